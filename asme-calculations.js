@@ -0,0 +1,268 @@
+/**
+ * ASME Section VIII Division 1 Calculations
+ * Reference numbers for a cylindrical vessel under internal pressure: UG-27
+ * shell thickness, UG-32 head thickness, MAWP, the UG-99(b) hydrostatic test
+ * pressure and the corrosion allowance. Input is `DataParser.parseVesselData`
+ * output (bar, °C, inside diameter in mm); results are in MPa and mm, so the
+ * participants' answers can be checked against them. The allowable stress
+ * comes from the material table at the design temperature.
+ */
+
+import DataParser, { CONFIDENCE } from './data-parser.js';
+import { defaultMaterialTable } from './materials.js';
+
+export const CALCULATION_DEFAULTS = {
+  jointEfficiency: 1.0, // UW-12, full radiography
+  corrosionAllowance: 3, // mm
+  headType: 'ellipsoidal'
+};
+
+// UG-16(b): minimum thickness of shells and heads, corrosion allowance excluded
+export const MINIMUM_THICKNESS = 1.5; // mm
+
+const BAR_PER_MPA = 10;
+
+/**
+ * Required thickness `t` and the MAWP at thickness `t` for each component,
+ * with inside dimensions in the corroded condition: `R` is the radius, `D`
+ * the diameter. The torispherical head has the standard ASME proportions,
+ * crown radius L = D and knuckle radius r = 0.06D.
+ */
+export const FORMULAS = {
+  shellCircumferential: {
+    rule: 'UG-27(c)(1)',
+    label: 'Shell, circumferential stress',
+    thickness: ({ P, S, E, R }) => P * R / (S * E - 0.6 * P),
+    mawp: ({ t, S, E, R }) => S * E * t / (R + 0.6 * t),
+    limit: ({ P, S, E }) => P <= 0.385 * S * E || 'P exceeds 0.385SE, so the thick-wall formulas of Appendix 1-2 apply'
+  },
+  shellLongitudinal: {
+    rule: 'UG-27(c)(2)',
+    label: 'Shell, longitudinal stress',
+    thickness: ({ P, S, E, R }) => P * R / (2 * S * E + 0.4 * P),
+    mawp: ({ t, S, E, R }) => 2 * S * E * t / (R - 0.4 * t),
+    limit: ({ P, S, E }) => P <= 1.25 * S * E || 'P exceeds 1.25SE, so the thick-wall formulas of Appendix 1-2 apply'
+  },
+  ellipsoidal: {
+    rule: 'UG-32(d)',
+    label: '2:1 ellipsoidal head',
+    thickness: ({ P, S, E, D }) => P * D / (2 * S * E - 0.2 * P),
+    mawp: ({ t, S, E, D }) => 2 * S * E * t / (D + 0.2 * t)
+  },
+  torispherical: {
+    rule: 'UG-32(e)',
+    label: 'Torispherical head (L = D, r = 0.06D)',
+    thickness: ({ P, S, E, D }) => 0.885 * P * D / (S * E - 0.1 * P),
+    mawp: ({ t, S, E, D }) => S * E * t / (0.885 * D + 0.1 * t)
+  },
+  hemispherical: {
+    rule: 'UG-32(f)',
+    label: 'Hemispherical head',
+    thickness: ({ P, S, E, R }) => P * R / (2 * S * E - 0.2 * P),
+    mawp: ({ t, S, E, R }) => 2 * S * E * t / (R + 0.2 * t),
+    limit: ({ P, S, E }) => P <= 0.665 * S * E || 'P exceeds 0.665SE, so the thick-wall formulas of Appendix 1-3 apply'
+  }
+};
+
+export const HEAD_TYPES = ['ellipsoidal', 'torispherical', 'hemispherical'];
+
+const SHELL = ['shellCircumferential', 'shellLongitudinal'];
+
+/**
+ * Calculate a vessel from `data` (`{ pressure, temperature, diameter,
+ * material }` in bar, °C and mm). `options` override `CALCULATION_DEFAULTS`
+ * and may set `allowableStress` and `allowableStressAtTest` (MPa) instead of
+ * looking them up in `options.materials` (the bundled table by default).
+ * `assumed` lists the `data` fields that were defaults rather than given; it
+ * is returned with every default option that was not passed either.
+ * `sources` maps inputs to the parser fields they came from and is returned
+ * as given.
+ *
+ * The shell gets one nominal thickness for both stress directions; each head
+ * gets its own. Nominal thicknesses are the required thickness plus corrosion
+ * allowance, rounded up to a whole millimetre. MAWP is hot and corroded, at
+ * the top of the vessel, and governed by the shell and the `headType` head.
+ */
+export function calculateVessel(data, options = {}) {
+  const settings = { ...CALCULATION_DEFAULTS, ...options };
+  const { jointEfficiency: E, corrosionAllowance, headType } = settings;
+  if (!HEAD_TYPES.includes(headType)) {
+    throw new Error(`Unknown head type: ${headType} (expected ${HEAD_TYPES.join(', ')})`);
+  }
+
+  const lookup = options.allowableStress === undefined
+    ? (options.materials || defaultMaterialTable()).allowableStress(data.material, data.temperature)
+    : null;
+  const S = options.allowableStress ?? lookup.stress;
+  const P = data.pressure / BAR_PER_MPA;
+  const D = data.diameter + 2 * corrosionAllowance;
+  const R = D / 2;
+  const warnings = [...(lookup?.warnings || [])];
+  if (!(P > 0)) {
+    warnings.push(`The design pressure is ${data.pressure} bar gauge, but the internal pressure formulas need one above zero, so every thickness is the UG-16(b) minimum. A vacuum needs the external pressure rules of UG-28, which are not calculated.`);
+  }
+
+  const required = {};
+  for (const [name, formula] of Object.entries(FORMULAS)) {
+    const limit = formula.limit?.({ P, S, E });
+    if (typeof limit === 'string') {
+      warnings.push(`${formula.label}: ${limit}.`);
+    }
+    const thickness = formula.thickness({ P, S, E, R, D });
+    if (P > 0 && !(thickness > 0)) {
+      warnings.push(`${formula.label}: the design pressure is too high for this formula to give a thickness.`);
+    }
+    required[name] = Math.max(thickness, MINIMUM_THICKNESS);
+  }
+
+  const nominalFor = (t) => Math.ceil(t + corrosionAllowance);
+  const shellNominal = nominalFor(Math.max(...SHELL.map(name => required[name])));
+
+  const components = Object.fromEntries(Object.entries(FORMULAS).map(([name, formula]) => {
+    const nominal = SHELL.includes(name) ? shellNominal : nominalFor(required[name]);
+    return [name, {
+      rule: formula.rule,
+      label: formula.label,
+      required: required[name],
+      withCorrosion: required[name] + corrosionAllowance,
+      nominal,
+      mawp: formula.mawp({ t: nominal - corrosionAllowance, S, E, R, D })
+    }];
+  }));
+
+  const [governing] = [...SHELL, headType].sort((a, b) => components[a].mawp - components[b].mawp);
+  const mawp = components[governing].mawp;
+  const stressRatio = (options.allowableStressAtTest ?? lookup?.ambientStress ?? S) / S;
+
+  return {
+    inputs: {
+      pressure: P,
+      temperature: data.temperature,
+      insideDiameter: data.diameter,
+      material: data.material,
+      allowableStress: S,
+      // Where S came from, e.g. "SA-516 Gr 70 at 325 °C"; null when given
+      stressSource: lookup && `${lookup.material} at ${data.temperature} °C${lookup.interpolated ? ', interpolated' : ''}`,
+      jointEfficiency: E,
+      corrosionAllowance,
+      headType
+    },
+    assumed: [
+      ...(options.assumed || []),
+      ...Object.keys(CALCULATION_DEFAULTS).filter(key => options[key] === undefined)
+    ],
+    sources: options.sources || {},
+    components,
+    mawp: { value: mawp, governing },
+    hydrotest: { rule: 'UG-99(b)', pressure: 1.3 * mawp * stressRatio, stressRatio },
+    warnings
+  };
+}
+
+/**
+ * Calculate the vessel described in `text`. Parameters the parser did not
+ * find fall back to its defaults and are reported as assumed; a corrosion
+ * allowance or joint efficiency in the text is used unless `options` set one.
+ * Without an inside diameter, one is derived from an outside diameter less
+ * the shell wall. An operating condition standing in for a missing design one
+ * is warned about.
+ */
+export function calculateVesselFromText(text, options = {}) {
+  const parser = new DataParser();
+  const fields = parser.extractFields(text);
+  const sources = parser.vesselSources(fields);
+  const fromText = {};
+  for (const key of ['corrosionAllowance', 'jointEfficiency']) {
+    if (options[key] === undefined && fields[key]) {
+      sources[key] = fields[key];
+      fromText[key] = fields[key].value;
+    }
+  }
+  const outside = !sources.diameter && fields.outsideDiameter;
+  if (outside) {
+    sources.diameter = outside;
+  }
+
+  const data = Object.fromEntries(Object.entries(parser.defaultValues).map(([key, fallback]) => [key, sources[key]?.value ?? fallback]));
+  const assumed = Object.keys(parser.defaultValues).filter(key => !sources[key]);
+  const calculate = (diameter) => calculateVessel({ ...data, diameter }, {
+    ...options,
+    ...fromText,
+    assumed,
+    sources: Object.fromEntries(Object.entries(sources).filter(([, field]) => field))
+  });
+  const shellWall = (result) => result.components.shellCircumferential.nominal;
+
+  let calculation;
+  if (outside) {
+    // A shell as wide inside as the OD needs the thickest wall; thin it while
+    // the wall still covers the nominal thickness of the shell it leaves
+    let wall = shellWall(calculate(outside.value));
+    calculation = calculate(outside.value - 2 * wall);
+    while (shellWall(calculation) < wall) {
+      const thinner = calculate(outside.value - 2 * shellWall(calculation));
+      if (shellWall(thinner) > shellWall(calculation)) break;
+      wall = shellWall(calculation);
+      calculation = thinner;
+    }
+    calculation.warnings.unshift(`No inside diameter was given, so it is the outside diameter ("${outside.source.text}", line ${outside.source.line}) less twice the ${wall} mm shell wall: ${Number(mm(calculation.inputs.insideDiameter))} mm.`);
+  } else {
+    calculation = calculate(data.diameter);
+  }
+
+  const standIns = [['pressure', fields.operatingPressure], ['temperature', fields.operatingTemperature]]
+    .filter(([key, operating]) => operating && sources[key] === operating);
+  calculation.warnings.unshift(...standIns.map(([key, operating]) =>
+    `No design ${key} was given, so the operating ${key} ("${operating.source.text}", line ${operating.source.line}) was used in its place.`));
+  return calculation;
+}
+
+const mm = (value) => value.toFixed(2);
+const bar = (mpa) => (mpa * BAR_PER_MPA).toFixed(2);
+
+/**
+ * Markdown section for a calculation, or an empty string without one.
+ */
+export function formatVesselCalculation(calculation) {
+  if (!calculation) {
+    return '';
+  }
+
+  const { inputs, assumed, sources = {}, components, mawp, hydrotest, warnings } = calculation;
+  // Cite the request text behind each input, and say when it was not labeled
+  const mark = (key, text) => {
+    if (assumed.includes(key)) {
+      return `${text} (assumed)`;
+    }
+    const field = sources[key];
+    if (!field) {
+      return text;
+    }
+    const doubt = field.confidence < CONFIDENCE.labeled ? ` (${field.label ? 'loosely labeled' : 'not labeled'}, confidence ${field.confidence})` : '';
+    return `${text}, from "${field.source.text}" on line ${field.source.line}${doubt}`;
+  };
+  const rows = Object.values(components).map(component =>
+    `| ${component.label} | ${component.rule} | ${mm(component.required)} | ${mm(component.withCorrosion)} | ${component.nominal} | ${bar(component.mawp)} |`);
+
+  return `## ASME VIII-1 Reference Calculations
+
+Computed by the server, not by a participant, so the analyses above can be checked against them.
+
+**Design pressure:** ${mark('pressure', `${bar(inputs.pressure)} bar (${inputs.pressure.toFixed(3)} MPa)`)}
+**Design temperature:** ${mark('temperature', `${inputs.temperature} °C`)}
+**Inside diameter:** ${mark('diameter', `${Number(mm(inputs.insideDiameter))} mm`)}
+**Material:** ${mark('material', inputs.material)}
+**Allowable stress S:** ${inputs.allowableStress.toFixed(1)} MPa${inputs.stressSource ? ` (${inputs.stressSource}, from the material table)` : ''}
+**Joint efficiency E:** ${mark('jointEfficiency', String(inputs.jointEfficiency))}
+**Corrosion allowance:** ${mark('corrosionAllowance', `${inputs.corrosionAllowance} mm`)}
+
+| Component | Rule | Required t (mm) | With corrosion (mm) | Nominal (mm) | MAWP (bar) |
+|---|---|---|---|---|---|
+${rows.join('\n')}
+
+**Heads:** ${mark('headType', components[inputs.headType].label)}
+**MAWP:** ${bar(mawp.value)} bar, hot and corroded at the top of the vessel, governed by: ${components[mawp.governing].label}
+**Hydrostatic test pressure (${hydrotest.rule}):** ${bar(hydrotest.pressure)} bar = 1.3 × MAWP × stress ratio ${hydrotest.stressRatio.toFixed(2)}
+${warnings.map(warning => `\n> ⚠️ ${warning}\n`).join('')}
+`;
+}
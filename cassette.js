@@ -0,0 +1,125 @@
+/**
+ * Cassette
+ * Records the downstream traffic of participant adapters (MCP tool calls with
+ * the notifications they produce, Ollama and HTTP requests) to a JSON file,
+ * and serves it back in replay mode so a collaboration can be re-run without
+ * logins, subprocesses or network. Identical requests are replayed in the
+ * order they were recorded.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import { CassetteMissError, ParticipantCancelledError, ParticipantError } from './participant-errors.js';
+
+export const CASSETTE_MODES = ['record', 'replay'];
+
+const CASSETTE_VERSION = 1;
+
+// JSON with sorted object keys, so equal requests hash alike
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Matching key for one downstream request of `participant`.
+ */
+export function interactionKey(participant, request) {
+  return `${participant}:${createHash('sha256').update(stableStringify(request)).digest('hex').slice(0, 16)}`;
+}
+
+export class Cassette {
+  constructor({ file, mode }) {
+    if (!CASSETTE_MODES.includes(mode)) {
+      throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+    this.file = file;
+    this.mode = mode;
+    this.interactions = [];
+    this.played = new Set();
+
+    if (mode === 'replay') {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to load cassette ${file}: ${error.message}`);
+      }
+      if (data.version !== CASSETTE_VERSION) {
+        throw new Error(`Cassette ${file} has unsupported version ${data.version}`);
+      }
+      this.interactions = data.interactions || [];
+    }
+  }
+
+  /**
+   * Run one downstream exchange through the cassette. In record mode
+   * `perform(options)` makes the live call, with `onNotification` wrapped so
+   * notifications are saved too; in replay mode the recorded notifications
+   * are re-sent to `onNotification` and the recorded response or error is
+   * returned instead.
+   */
+  async exchange(participant, request, { onNotification, signal } = {}, perform) {
+    if (signal?.aborted) {
+      throw new ParticipantCancelledError(participant);
+    }
+    const key = interactionKey(participant, request);
+
+    if (this.mode === 'replay') {
+      const index = this.interactions.findIndex((interaction, i) => interaction.key === key && !this.played.has(i));
+      if (index === -1) {
+        throw new CassetteMissError(participant, key, this.file);
+      }
+      this.played.add(index);
+
+      const interaction = this.interactions[index];
+      for (const notification of interaction.notifications || []) {
+        onNotification?.(notification);
+      }
+      if (interaction.error) {
+        const error = new ParticipantError(participant, interaction.error.message);
+        error.name = interaction.error.name;
+        throw error;
+      }
+      return interaction.response;
+    }
+
+    const notifications = [];
+    const record = (outcome) => {
+      this.interactions.push({ participant, key, request, notifications, ...outcome });
+      this.save();
+    };
+
+    try {
+      const response = await perform({
+        onNotification: (notification) => {
+          notifications.push(notification);
+          onNotification?.(notification);
+        },
+        signal
+      });
+      record({ response });
+      return response;
+    } catch (error) {
+      // A cancelled call says nothing about the participant
+      if (!(error instanceof ParticipantCancelledError)) {
+        record({ error: { name: error.name, message: error.message } });
+      }
+      throw error;
+    }
+  }
+
+  save() {
+    fs.writeFileSync(this.file, `${JSON.stringify({
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    }, null, 2)}\n`);
+  }
+}
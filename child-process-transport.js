@@ -0,0 +1,121 @@
+/**
+ * Child Process Transport
+ * MCP client transport over a spawned server's stdio. Unlike the SDK's
+ * StdioClientTransport it keeps the exit code, signal and recent stderr so
+ * adapters can report why a downstream server went away.
+ */
+
+import { spawn } from 'child_process';
+import { ReadBuffer, serializeMessage } from '@modelcontextprotocol/sdk/shared/stdio.js';
+
+const STDERR_LIMIT = 8192;
+
+export class ChildProcessTransport {
+  constructor({ command, args = [], env = process.env, cwd }) {
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+
+    this.readBuffer = new ReadBuffer();
+    this.stderr = '';
+    this.exitCode = null;
+    this.signal = null;
+    this.exited = new Promise(resolve => {
+      this.resolveExited = resolve;
+    });
+  }
+
+  get pid() {
+    return this.process?.pid ?? null;
+  }
+
+  start() {
+    if (this.process) {
+      throw new Error('ChildProcessTransport already started');
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, this.args, {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: this.env,
+        cwd: this.cwd,
+        shell: false
+      });
+      this.process = child;
+
+      child.once('spawn', resolve);
+
+      child.once('error', (error) => {
+        reject(new Error(`Failed to spawn ${this.command}: ${error.message}`));
+        this.onerror?.(error);
+      });
+
+      child.once('close', (code, signal) => {
+        this.exitCode = code;
+        this.signal = signal;
+        this.process = undefined;
+        this.resolveExited({ code, signal });
+        this.onclose?.();
+      });
+
+      child.stdout.on('data', (chunk) => {
+        this.readBuffer.append(chunk);
+        this.processReadBuffer();
+      });
+
+      child.stderr.on('data', (chunk) => {
+        this.stderr = (this.stderr + chunk.toString()).slice(-STDERR_LIMIT);
+      });
+
+      child.stdin.on('error', (error) => this.onerror?.(error));
+    });
+  }
+
+  processReadBuffer() {
+    while (true) {
+      try {
+        const message = this.readBuffer.readMessage();
+        if (message === null) {
+          break;
+        }
+        this.onmessage?.(message);
+      } catch (error) {
+        this.onerror?.(error);
+      }
+    }
+  }
+
+  send(message) {
+    return new Promise((resolve, reject) => {
+      if (!this.process?.stdin.writable) {
+        reject(new Error('Not connected'));
+        return;
+      }
+
+      if (this.process.stdin.write(serializeMessage(message))) {
+        resolve();
+      } else {
+        this.process.stdin.once('drain', resolve);
+      }
+    });
+  }
+
+  async close() {
+    const child = this.process;
+    this.readBuffer.clear();
+
+    if (child) {
+      child.stdin.end();
+      child.kill('SIGTERM');
+
+      // Force kill after grace period
+      const forceKill = setTimeout(() => {
+        if (child.exitCode === null && child.signalCode === null) {
+          child.kill('SIGKILL');
+        }
+      }, 5000);
+      forceKill.unref();
+    }
+  }
+}
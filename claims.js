@@ -0,0 +1,127 @@
+/**
+ * Claims
+ * Deterministic, model-free comparison of free-text analyses. An answer is
+ * split into claims (one bullet, line or sentence each), claims are compared
+ * by word overlap, and two versions of a position are diffed claim by claim.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'by', 'with', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those',
+  'should', 'would', 'could', 'can', 'will', 'may', 'might', 'must', 'shall', 'has', 'have', 'had',
+  'do', 'does', 'did', 'not', 'no', 'so', 'if', 'than', 'then', 'there', 'their', 'they', 'we', 'our',
+  'you', 'your', 'i', 'my', 'also', 'all', 'any', 'which', 'who', 'what', 'when', 'where', 'how'
+]);
+
+// Claims shorter than this many significant words are headings or filler
+const MIN_CLAIM_TOKENS = 3;
+
+export const CLAIM_MATCH_THRESHOLD = 0.5;
+
+/**
+ * Significant lower-case words of `text`, keeping decimals such as "1.5".
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+(?:\.[0-9]+)?/g) || [])
+    .filter(token => !STOPWORDS.has(token) && (token.length > 1 || /\d/.test(token)));
+}
+
+/**
+ * Split an answer into claims: Markdown bullets, numbering, headings and
+ * emphasis are stripped, code blocks and table rows are skipped, each line is
+ * split into sentences, and fragments with too few significant words are
+ * dropped. Duplicates are removed.
+ */
+export function extractClaims(text) {
+  const claims = [];
+  const seen = new Set();
+  let inCodeBlock = false;
+
+  for (const rawLine of (text || '').split('\n')) {
+    if (rawLine.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      continue;
+    }
+    if (inCodeBlock) {
+      continue;
+    }
+
+    const line = rawLine
+      .replace(/^\s*(?:#{1,6}\s+|[-*+•]\s+|\d+[.)]\s+|>\s*)+/, '')
+      .replace(/[*_`]+/g, '')
+      .trim();
+    if (!line || line.startsWith('|')) {
+      continue;
+    }
+
+    for (const sentence of line.split(/(?<=[.!?])\s+(?=[A-Z(])/)) {
+      const claim = sentence.trim();
+      const tokens = tokenize(claim);
+      const key = tokens.join(' ');
+      if (tokens.length >= MIN_CLAIM_TOKENS && !seen.has(key)) {
+        seen.add(key);
+        claims.push(claim);
+      }
+    }
+  }
+  return claims;
+}
+
+/**
+ * Jaccard overlap of the significant words of two claims, from 0 to 1.
+ */
+export function claimSimilarity(a, b) {
+  const left = new Set(tokenize(a));
+  const right = new Set(tokenize(b));
+  if (left.size === 0 && right.size === 0) {
+    return 1;
+  }
+
+  let shared = 0;
+  for (const token of left) {
+    if (right.has(token)) shared++;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Diff two versions of a position. Each claim in `after` is matched to the
+ * most similar unmatched claim in `before` at or above `threshold`; the
+ * result lists `kept` pairs and the `added` and `dropped` claims, plus
+ * `similarity`, the share of all claims that were kept (1 for no change).
+ */
+export function diffClaims(before, after, threshold = CLAIM_MATCH_THRESHOLD) {
+  const beforeClaims = extractClaims(before);
+  const afterClaims = extractClaims(after);
+  const unmatched = new Set(beforeClaims.keys());
+  const kept = [];
+  const added = [];
+
+  for (const claim of afterClaims) {
+    let best = -1;
+    let bestScore = threshold;
+    for (const index of unmatched) {
+      const score = claimSimilarity(beforeClaims[index], claim);
+      if (score >= bestScore) {
+        best = index;
+        bestScore = score;
+      }
+    }
+
+    if (best === -1) {
+      added.push(claim);
+    } else {
+      unmatched.delete(best);
+      kept.push({ before: beforeClaims[best], after: claim });
+    }
+  }
+
+  const dropped = [...unmatched].map(index => beforeClaims[index]);
+  const total = kept.length + added.length + dropped.length;
+  return {
+    kept,
+    added,
+    dropped,
+    similarity: total === 0 ? 1 : kept.length / total
+  };
+}
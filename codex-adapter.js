@@ -0,0 +1,153 @@
+/**
+ * Codex CLI MCP Adapter
+ * Runs a prompt through the `codex` tool of the Codex MCP server and collects
+ * the command executions and file changes Codex reports via `codex/event`
+ * notifications alongside the final answer.
+ */
+
+import { McpStdioAdapter, extractText } from './mcp-stdio-adapter.js';
+
+export const CODEX_DEFAULTS = {
+  name: 'codex',
+  command: 'codex-mcp',
+  args: [],
+  tool: 'codex',
+  sandbox: 'read-only',
+  approvalPolicy: 'never',
+  model: undefined
+};
+
+const OUTPUT_LIMIT = 2000;
+
+function truncate(text, limit = OUTPUT_LIMIT) {
+  if (!text || text.length <= limit) {
+    return text || '';
+  }
+  return `${text.slice(0, limit)}\n… (${text.length - limit} more characters)`;
+}
+
+function describeChange(path, change) {
+  if (change.add) {
+    return { path, kind: 'add', diff: change.add.content || '' };
+  }
+  if (change.delete) {
+    return { path, kind: 'delete', diff: '' };
+  }
+  if (change.update) {
+    return { path, kind: 'update', diff: change.update.unified_diff || '', movedTo: change.update.move_path };
+  }
+  return { path, kind: 'unknown', diff: '' };
+}
+
+export class CodexAdapter extends McpStdioAdapter {
+  constructor(options = {}) {
+    const { sandbox, approvalPolicy, model, cwd, ...rest } = { ...CODEX_DEFAULTS, ...options };
+    super(rest);
+    this.sandbox = sandbox;
+    this.approvalPolicy = approvalPolicy;
+    this.model = model;
+    this.workingDirectory = cwd || process.cwd();
+  }
+
+  /**
+   * Run a prompt and return `{ answer, commands, changes, diff }`.
+   */
+  async run(prompt, { timeout, signal } = {}) {
+    const run = {
+      answer: '',
+      commands: [],
+      changes: [],
+      diff: ''
+    };
+    const pendingCommands = new Map();
+    let lastAgentMessage = '';
+
+    const onNotification = ({ method, params }) => {
+      if (method !== 'codex/event' || !params?.msg) {
+        return;
+      }
+
+      const { msg } = params;
+      switch (msg.type) {
+        case 'exec_command_begin':
+          pendingCommands.set(msg.call_id, msg);
+          break;
+        case 'exec_command_end': {
+          const begin = pendingCommands.get(msg.call_id);
+          pendingCommands.delete(msg.call_id);
+          run.commands.push({
+            command: Array.isArray(begin?.command) ? begin.command.join(' ') : (begin?.command || 'unknown command'),
+            cwd: begin?.cwd,
+            exitCode: msg.exit_code,
+            output: msg.aggregated_output ?? msg.formatted_output ?? [msg.stdout, msg.stderr].filter(Boolean).join('\n')
+          });
+          break;
+        }
+        case 'patch_apply_begin':
+          for (const [path, change] of Object.entries(msg.changes || {})) {
+            run.changes.push(describeChange(path, change));
+          }
+          break;
+        case 'turn_diff':
+          run.diff = msg.unified_diff || run.diff;
+          break;
+        case 'agent_message':
+          lastAgentMessage = msg.message || lastAgentMessage;
+          break;
+      }
+    };
+
+    const result = await this.callTool({
+      prompt,
+      sandbox: this.sandbox,
+      'approval-policy': this.approvalPolicy,
+      cwd: this.workingDirectory,
+      model: this.model
+    }, { timeout, onNotification, signal });
+
+    run.answer = extractText(result) || lastAgentMessage || 'No text content returned';
+    return run;
+  }
+
+  async ask(prompt, options) {
+    return formatCodexRun(await this.run(prompt, options));
+  }
+
+  // The working directory is machine-specific, so cassettes match without it
+  cassetteRequest({ cwd, ...args }) {
+    return super.cassetteRequest(args);
+  }
+}
+
+/**
+ * Render a Codex run as Markdown with the answer followed by
+ * "Commands Executed" and "File Changes" sections when present.
+ */
+export function formatCodexRun(run) {
+  let text = run.answer;
+
+  if (run.commands.length > 0) {
+    text += `\n\n### Commands Executed\n`;
+    for (const command of run.commands) {
+      text += `\n\`${command.command}\` (exit ${command.exitCode ?? 'unknown'})\n`;
+      if (command.output) {
+        text += `\`\`\`\n${truncate(command.output)}\n\`\`\`\n`;
+      }
+    }
+  }
+
+  if (run.diff) {
+    text += `\n\n### File Changes\n\n\`\`\`diff\n${truncate(run.diff, OUTPUT_LIMIT * 4)}\n\`\`\`\n`;
+  } else if (run.changes.length > 0) {
+    text += `\n\n### File Changes\n`;
+    for (const change of run.changes) {
+      const target = change.movedTo ? `${change.path} → ${change.movedTo}` : change.path;
+      text += `\n**${change.kind}** \`${target}\`\n`;
+      if (change.diff) {
+        text += `\`\`\`diff\n${truncate(change.diff)}\n\`\`\`\n`;
+      }
+    }
+  }
+
+  return text;
+}
@@ -0,0 +1,716 @@
+/**
+ * Collaborative MCP Server
+ * The one server core behind every entry point. It speaks newline-delimited
+ * JSON-RPC over stdio, exposes a single `collaborate` tool, answers `plan`
+ * and `review` modes itself and hands `apply` runs to a named orchestration
+ * strategy chosen per call or by configuration. Finished collaborations stay
+ * readable as `collab://sessions/...` resources.
+ */
+
+import { randomUUID } from 'crypto';
+import { calculateVesselFromText } from './asme-calculations.js';
+import { Cassette } from './cassette.js';
+import { CodexAdapter } from './codex-adapter.js';
+import { ConfigError, loadConfig } from './config.js';
+import DataParser from './data-parser.js';
+import { FixtureStore } from './fixture-store.js';
+import { GeminiAdapter } from './gemini-adapter.js';
+import {
+  JsonRpcFraming,
+  errorResponse,
+  INTERNAL_ERROR,
+  INVALID_PARAMS,
+  METHOD_NOT_FOUND
+} from './jsonrpc-framing.js';
+import { McpClientPool } from './mcp-client-pool.js';
+import { ParticipantRegistry } from './participant-registry.js';
+import { ProgressReporter, displayName } from './progress-reporter.js';
+import { PROMPTS, buildPlanPrompt, buildReviewPrompt } from './prompt-templates.js';
+import {
+  RESOURCE_NOT_FOUND,
+  RESOURCE_TEMPLATES,
+  SessionStore,
+  parseSessionUri
+} from './session-store.js';
+import { DEFAULT_STRATEGY, createStrategies } from './strategies.js';
+import { DEBATE_DEFAULTS } from './strategy-debate.js';
+import { describeSpecIssues, formatSpecIssues, validateSpec } from './spec-validator.js';
+import { RESULT_SCHEMA, buildStructuredResult } from './structured-result.js';
+import { UNIT_SYSTEMS } from './units.js';
+
+export const SERVER_INFO = {
+  name: 'collaborative-mcp-proxy',
+  version: '1.0.0'
+};
+
+const MODES = ['plan', 'apply', 'review'];
+
+const MAX_DEBATE_ROUNDS = 10;
+
+// First protocol revision with resource_link tool content
+const RESOURCE_LINK_VERSION = '2025-06-18';
+
+// Plan and review modes are answered by a single participant, Gemini unless
+// the configuration names another or the registry has no Gemini
+const DEFAULT_PLANNER = 'gemini';
+
+/**
+ * Pick the run mode: `mock` answers every participant call from fixtures and
+ * is set by `--mock` or `COLLAB_MODE=mock`. In `real` mode a failed call
+ * is only answered from a fixture when `--allow-simulation` or
+ * `COLLAB_ALLOW_SIMULATION=1` allows it. `cassette` is `{ mode, file }` when
+ * `--record=<file>` / `COLLAB_RECORD` or `--replay=<file>` / `COLLAB_REPLAY`
+ * is set, else null.
+ */
+export function resolveRunMode({ argv = process.argv, env = process.env } = {}) {
+  const flag = (name) => argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const record = flag('record') || env.COLLAB_RECORD;
+  const replay = flag('replay') || env.COLLAB_REPLAY;
+
+  return {
+    mode: argv.includes('--mock') || env.COLLAB_MODE === 'mock' ? 'mock' : 'real',
+    allowSimulation: argv.includes('--allow-simulation') || env.COLLAB_ALLOW_SIMULATION === '1',
+    cassette: replay ? { mode: 'replay', file: replay } : record ? { mode: 'record', file: record } : null
+  };
+}
+
+export class CollaborativeServer {
+  /**
+   * `options.config` replaces the layered configuration from `loadConfig()`;
+   * the other options override single settings for this instance.
+   * `options.defaultStrategy` is an entry point's default strategy, used only
+   * when neither the configuration nor `options.strategy` names one.
+   * `options.argv` and `options.env` stand in for the process's command line
+   * and environment.
+   */
+  constructor(options = {}) {
+    const { argv = process.argv, env = process.env } = options;
+    const config = options.config || loadConfig({ argv, env });
+    this.config = config;
+    const runMode = resolveRunMode({ argv, env });
+    this.mode = options.mode ?? runMode.mode;
+    this.allowSimulation = options.allowSimulation ?? runMode.allowSimulation;
+    this.cassette = options.cassette ?? (runMode.cassette && new Cassette(runMode.cassette));
+    if (this.cassette && this.mode === 'mock') {
+      throw new Error('Mock mode cannot be combined with recording or replaying a cassette');
+    }
+
+    this.timeout = options.timeout ?? config.timeout;
+    this.pool = options.pool || new McpClientPool();
+    this.gemini = new GeminiAdapter({ timeout: this.timeout, pool: this.pool, cassette: this.cassette, ...config.gemini, ...options.gemini });
+    this.codex = new CodexAdapter({ timeout: this.timeout, pool: this.pool, cassette: this.cassette, ...config.codex, ...options.codex });
+
+    this.registry = (options.registry || ParticipantRegistry.load(config.participantsFile, {
+      pool: this.pool,
+      timeout: this.timeout,
+      variables: { serenaDirectory: config.serena.directory }
+    }))
+      .registerBuiltin('gemini', ({ prompt }, args, { signal }) => this.gemini.ask(prompt, { signal }))
+      .registerBuiltin('codex', ({ prompt }, args, { signal }) => this.codex.ask(prompt, { signal }));
+    if (this.cassette) {
+      this.registry.useCassette(this.cassette);
+    }
+
+    if (this.mode === 'mock' || this.allowSimulation) {
+      this.registry.useFixtures(options.fixtures || new FixtureStore({ dir: config.fixturesDir }), { mock: this.mode === 'mock', allowSimulation: this.allowSimulation });
+    }
+
+    // The registry's default synthesizer, overridable per deployment
+    this.synthesis = { ...this.registry.synthesis };
+    if (config.synthesizer) {
+      if (!this.registry.get(config.synthesizer)) {
+        throw new ConfigError(config.file ?? 'the environment', [`synthesizer ${config.synthesizer} is not a registered participant`]);
+      }
+      this.synthesis.synthesizer = config.synthesizer;
+    }
+    if (config.planner && !this.registry.get(config.planner)) {
+      throw new ConfigError(config.file ?? 'the environment', [`planner ${config.planner} is not a registered participant`]);
+    }
+    this.planner = config.planner ?? (this.registry.get(DEFAULT_PLANNER) ? DEFAULT_PLANNER : this.registry.names()[0]);
+
+    this.strategies = createStrategies();
+    this.inFlight = new Map(); // JSON-RPC request id -> AbortController
+    this.sessions = options.sessions || new SessionStore();
+    this.subscriptions = new Set();
+    this.protocolVersion = null;
+    this.defaultStrategy = options.strategy ?? config.strategy ?? options.defaultStrategy ?? DEFAULT_STRATEGY;
+    if (!this.strategies.has(this.defaultStrategy)) {
+      throw new Error(`Unknown strategy: ${this.defaultStrategy} (available: ${[...this.strategies.keys()].join(', ')})`);
+    }
+
+    this.framing = new JsonRpcFraming({
+      handler: (request) => this.handleRequest(request),
+      input: options.input,
+      output: options.output,
+      logPrefix: '[Collaborative MCP]'
+    });
+  }
+
+  log(message) {
+    console.error(`[Collaborative MCP] ${message}`);
+  }
+
+  start() {
+    this.framing.start();
+    const cassette = this.cassette ? `, ${this.cassette.mode === 'replay' ? 'replaying' : 'recording'} ${this.cassette.file}` : '';
+    this.log(`Ready (default strategy: ${this.defaultStrategy}, ${this.mode} mode${this.allowSimulation ? ', simulation fallback allowed' : ''}${cassette})`);
+    this.log(`Configuration: ${this.config.file ?? 'defaults and environment'}`);
+    return this;
+  }
+
+  async close() {
+    await this.pool.closeAll();
+  }
+
+  async handleRequest(request) {
+    const { method, params, id } = request;
+
+    switch (method) {
+      case 'initialize':
+        return this.handleInitialize(id, params);
+
+      case 'ping':
+        return { jsonrpc: '2.0', id, result: {} };
+
+      case 'tools/list':
+        return this.handleToolsList(id);
+
+      case 'tools/call':
+        return await this.handleToolCall(id, params);
+
+      case 'prompts/list':
+        return this.handlePromptsList(id);
+
+      case 'prompts/get':
+        return this.handlePromptsGet(id, params);
+
+      case 'resources/list':
+        return { jsonrpc: '2.0', id, result: { resources: this.sessions.listResources() } };
+
+      case 'resources/templates/list':
+        return { jsonrpc: '2.0', id, result: { resourceTemplates: RESOURCE_TEMPLATES } };
+
+      case 'resources/read':
+        return this.handleResourceRead(id, params);
+
+      case 'resources/subscribe':
+        return this.handleSubscribe(id, params, true);
+
+      case 'resources/unsubscribe':
+        return this.handleSubscribe(id, params, false);
+
+      case 'notifications/initialized':
+        return null;
+
+      case 'notifications/cancelled':
+        this.handleCancelled(params);
+        return null;
+
+      default:
+        if (method.startsWith('notifications/')) {
+          return null;
+        }
+        return errorResponse(id, METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  handleInitialize(id, params) {
+    this.protocolVersion = params?.protocolVersion || '2025-06-18';
+
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        protocolVersion: this.protocolVersion,
+        capabilities: {
+          tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {}
+        },
+        serverInfo: SERVER_INFO
+      }
+    };
+  }
+
+  handleToolsList(id) {
+    const participants = this.registry.names();
+    const strategies = [...this.strategies.values()];
+
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        tools: [
+          {
+            name: 'collaborate',
+            description: 'Perform collaborative analysis using multiple AI models',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                task: {
+                  type: 'string',
+                  description: 'Description of the analysis task'
+                },
+                content: {
+                  type: 'string',
+                  description: 'Content to analyze (optional)'
+                },
+                mode: {
+                  type: 'string',
+                  enum: MODES,
+                  description: `Collaboration mode; plan and review are answered by ${this.planner}`,
+                  default: 'apply'
+                },
+                strategy: {
+                  type: 'string',
+                  enum: strategies.map(strategy => strategy.name),
+                  description: `Orchestration strategy for apply mode: ${strategies.map(strategy => `${strategy.name} (${strategy.description})`).join('; ')}`,
+                  default: this.defaultStrategy
+                },
+                participants: {
+                  type: 'array',
+                  items: { type: 'string', enum: participants },
+                  minItems: 1,
+                  description: `AI participants: ${this.registry.describe()}`,
+                  default: participants
+                },
+                domain: {
+                  type: 'string',
+                  description: 'Analysis domain: pressure_vessel, structural, general, software, etc.',
+                  default: 'general'
+                },
+                units: {
+                  type: 'string',
+                  enum: Object.keys(UNIT_SYSTEMS),
+                  description: 'Unit system of the normalized specification participants get for pressure_vessel calls: si (barg, °C, mm) or us (psig, °F, in)',
+                  default: this.config.units ?? 'si'
+                },
+                shareSpecIssues: {
+                  type: 'boolean',
+                  description: 'For pressure_vessel calls, also give every participant the spec issues (conflicting, negated or restated values) found in the request',
+                  default: this.config.shareSpecIssues ?? false
+                },
+                priority: {
+                  type: 'string',
+                  enum: ['low', 'medium', 'high', 'critical'],
+                  description: 'Analysis priority',
+                  default: 'medium'
+                },
+                rounds: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: MAX_DEBATE_ROUNDS,
+                  description: 'Maximum revision rounds for the debate strategy',
+                  default: DEBATE_DEFAULTS.rounds
+                },
+                convergenceThreshold: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 1,
+                  description: 'Debate strategy: stop once every participant keeps at least this share of its claims between rounds',
+                  default: DEBATE_DEFAULTS.convergenceThreshold
+                },
+                synthesizer: {
+                  type: 'string',
+                  enum: participants,
+                  description: `Participant that writes the final consensus (sequential and zen strategies); defaults to ${this.synthesis.synthesizer || 'the strategy\'s own synthesizer'}`
+                },
+                allowAnalystSynthesizer: {
+                  type: 'boolean',
+                  description: 'Let the synthesizer also be one of the analysing participants',
+                  default: this.synthesis.allowAnalyst ?? false
+                }
+              },
+              required: ['task']
+            },
+            outputSchema: RESULT_SCHEMA
+          }
+        ]
+      }
+    };
+  }
+
+  async handleToolCall(id, params) {
+    const { name, arguments: args = {} } = params || {};
+
+    if (name !== 'collaborate') {
+      return errorResponse(id, INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    if (typeof args.task !== 'string' || !args.task.trim()) {
+      return errorResponse(id, INVALID_PARAMS, 'collaborate requires a non-empty task');
+    }
+
+    const { mode = 'apply', strategy = this.defaultStrategy } = args;
+    if (!MODES.includes(mode)) {
+      return errorResponse(id, INVALID_PARAMS, `Unknown collaboration mode: ${mode}`);
+    }
+    if (!this.strategies.has(strategy)) {
+      return errorResponse(id, INVALID_PARAMS, `Unknown strategy: ${strategy}`);
+    }
+    if (mode !== 'apply' && !this.planner) {
+      return errorResponse(id, INVALID_PARAMS, `No participant is registered to answer ${mode} mode`);
+    }
+    if (args.rounds !== undefined && !(Number.isInteger(args.rounds) && args.rounds >= 1 && args.rounds <= MAX_DEBATE_ROUNDS)) {
+      return errorResponse(id, INVALID_PARAMS, `rounds must be an integer from 1 to ${MAX_DEBATE_ROUNDS}`);
+    }
+    if (args.convergenceThreshold !== undefined && !(typeof args.convergenceThreshold === 'number' && args.convergenceThreshold >= 0 && args.convergenceThreshold <= 1)) {
+      return errorResponse(id, INVALID_PARAMS, 'convergenceThreshold must be a number from 0 to 1');
+    }
+    if (args.participants !== undefined && !(Array.isArray(args.participants) && args.participants.length > 0 && args.participants.every(participant => typeof participant === 'string'))) {
+      return errorResponse(id, INVALID_PARAMS, 'participants must be a non-empty array of participant names');
+    }
+    const unknown = args.participants?.find(participant => !this.registry.get(participant));
+    if (unknown !== undefined) {
+      return errorResponse(id, INVALID_PARAMS, `Unknown participant: ${unknown}`);
+    }
+    if (args.synthesizer !== undefined && !this.registry.get(args.synthesizer)) {
+      return errorResponse(id, INVALID_PARAMS, `Unknown synthesizer: ${args.synthesizer}`);
+    }
+    if (args.allowAnalystSynthesizer !== undefined && typeof args.allowAnalystSynthesizer !== 'boolean') {
+      return errorResponse(id, INVALID_PARAMS, 'allowAnalystSynthesizer must be a boolean');
+    }
+    if (args.shareSpecIssues !== undefined && typeof args.shareSpecIssues !== 'boolean') {
+      return errorResponse(id, INVALID_PARAMS, 'shareSpecIssues must be a boolean');
+    }
+    if (args.units !== undefined && !Object.hasOwn(UNIT_SYSTEMS, args.units)) {
+      return errorResponse(id, INVALID_PARAMS, `Unknown unit system: ${args.units} (expected ${Object.keys(UNIT_SYSTEMS).join(' or ')})`);
+    }
+
+    const controller = new AbortController();
+    this.inFlight.set(id, controller);
+
+    const session = this.createSession(args, params._meta?.progressToken, controller.signal);
+    this.sessions.start({ id: session.id, task: session.task, mode, strategy: mode === 'apply' ? strategy : this.planner });
+    this.sendNotification('notifications/resources/list_changed');
+
+    try {
+      const outcome = await this.handleCollaboration(session, mode, strategy);
+      // A cancelled request gets no response at all
+      if (controller.signal.aborted) {
+        this.finishSession(session.id, 'cancelled');
+        return null;
+      }
+      if (session.specIssues.length > 0) {
+        outcome.report = `${formatSpecIssues(session.specIssues)}\n\n${outcome.report}`;
+      }
+      const simulated = session.responses.filter(response => !response.real);
+      if (simulated.length > 0) {
+        outcome.report = `${this.describeSimulation(simulated, session.responses.length)}\n\n${outcome.report}`;
+      }
+      const record = this.finishSession(session.id, 'completed', outcome);
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          content: [{ type: 'text', text: outcome.report }, ...this.resourceLinks(record)],
+          structuredContent: buildStructuredResult(session, outcome, { mode, runMode: this.mode, strategy: record.strategy })
+        }
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        this.log(`Collaboration ${id} stopped after cancellation`);
+        this.finishSession(session.id, 'cancelled');
+        return null;
+      }
+      this.log(`Collaboration error: ${error.message}`);
+      this.finishSession(session.id, 'failed', { error: error.message });
+      return errorResponse(id, INTERNAL_ERROR, `Collaboration failed: ${error.message}`);
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  handlePromptsList(id) {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        prompts: PROMPTS.map(({ name, title, description, arguments: args }) => ({ name, title, description, arguments: args }))
+      }
+    };
+  }
+
+  handlePromptsGet(id, params) {
+    const { name, arguments: args = {} } = params || {};
+    const prompt = PROMPTS.find(candidate => candidate.name === name);
+    if (!prompt) {
+      return errorResponse(id, INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+    if (missing.length > 0) {
+      return errorResponse(id, INVALID_PARAMS, `Prompt ${name} requires: ${missing.join(', ')}`);
+    }
+    if (args.strategy && !this.strategies.has(args.strategy)) {
+      return errorResponse(id, INVALID_PARAMS, `Unknown strategy: ${args.strategy}`);
+    }
+
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        description: prompt.description,
+        messages: [{ role: 'user', content: { type: 'text', text: prompt.render(args) } }]
+      }
+    };
+  }
+
+  /**
+   * Warning placed above a report that contains simulated answers.
+   */
+  describeSimulation(simulated, total) {
+    const names = [...new Set(simulated.map(response => response.participant))];
+    if (simulated.every(response => response.source === 'replay')) {
+      return `> ⏪ **REPLAYED OUTPUT.** ${simulated.length} of ${total} responses (${names.join(', ')}) were replayed from the cassette ${this.cassette.file}, not produced by live participants. They show what the participants answered when the cassette was recorded.`;
+    }
+    const why = this.mode === 'mock'
+      ? 'the server is in mock mode and answers every call from recorded fixtures'
+      : 'these participants failed and simulation fallback is allowed';
+    return `> ⚠️ **SIMULATED OUTPUT.** ${simulated.length} of ${total} responses (${names.join(', ')}) came from fixtures, not live participants, because ${why}. Do not treat them as a real analysis.`;
+  }
+
+  /**
+   * Store a finished session and tell subscribers its resources changed.
+   */
+  finishSession(sessionId, status, outcome) {
+    const record = this.sessions.finish(sessionId, status, outcome);
+    if (!record) {
+      return null;
+    }
+
+    this.sendNotification('notifications/resources/list_changed');
+    for (const resource of this.sessions.resourcesFor(record)) {
+      if (this.subscriptions.has(resource.uri)) {
+        this.sendNotification('notifications/resources/updated', { uri: resource.uri });
+      }
+    }
+    return record;
+  }
+
+  /**
+   * `resource_link` content pointing at a finished session's resources, for
+   * clients that negotiated a protocol revision that understands them.
+   */
+  resourceLinks(record) {
+    if (!record || (this.protocolVersion && this.protocolVersion < RESOURCE_LINK_VERSION)) {
+      return [];
+    }
+    return this.sessions.resourcesFor(record).map(({ uri, name, title, mimeType }) => ({
+      type: 'resource_link', uri, name, title, mimeType
+    }));
+  }
+
+  handleResourceRead(id, params) {
+    const contents = this.sessions.read(params?.uri);
+    if (!contents) {
+      return errorResponse(id, RESOURCE_NOT_FOUND, `Resource not found: ${params?.uri}`, { uri: params?.uri });
+    }
+    return { jsonrpc: '2.0', id, result: { contents: [contents] } };
+  }
+
+  /**
+   * Subscriptions are by URI and may name parts of a session that do not
+   * exist yet, such as the report of a collaboration still running.
+   */
+  handleSubscribe(id, params, subscribe) {
+    const uri = params?.uri;
+    if (typeof uri !== 'string' || !parseSessionUri(uri)) {
+      return errorResponse(id, INVALID_PARAMS, `Not a collaboration session resource: ${uri}`);
+    }
+
+    if (subscribe) {
+      this.subscriptions.add(uri);
+    } else {
+      this.subscriptions.delete(uri);
+    }
+    return { jsonrpc: '2.0', id, result: {} };
+  }
+
+  sendNotification(method, params) {
+    this.framing.send(params === undefined ? { jsonrpc: '2.0', method } : { jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Abort the in-flight `tools/call` named by a `notifications/cancelled`.
+   * Unknown or already finished request ids are ignored, as the spec allows.
+   */
+  handleCancelled(params) {
+    const controller = this.inFlight.get(params?.requestId);
+    if (!controller) {
+      this.log(`Ignoring cancellation for unknown request ${params?.requestId}`);
+      return;
+    }
+    this.log(`Cancelling request ${params.requestId}${params.reason ? `: ${params.reason}` : ''}`);
+    controller.abort(new Error(`Request cancelled${params.reason ? `: ${params.reason}` : ''}`));
+  }
+
+  /**
+   * Build the per-call session handed to strategies. `call` fills in the
+   * task, content, domain and priority so strategies only pass what differs;
+   * `progress` reports phases to the client when it sent a progress token.
+   * `signal` aborts when the client cancels the request; every participant
+   * call carries it, and strategies check it before starting a new phase.
+   * The synthesizer fields fall back to the registry's `synthesis` config.
+   * `timings` adds up the wall-clock time of each participant's calls, and
+   * `responses` records whether each answer was real or simulated. `vessel`
+   * holds the ASME reference calculation for `pressure_vessel` calls, and
+   * `spec` the normalized specification added to each participant's content.
+   * `specIssues` are the problems `validateSpec` found in that specification;
+   * they are added to the content too when `shareSpecIssues` is set.
+   * `participantContent` is that content, for strategies that write their
+   * own prompt instead of letting `call` add it.
+   */
+  createSession(args, progressToken, signal = new AbortController().signal) {
+    const {
+      task,
+      content,
+      participants = this.registry.names(),
+      domain = 'general',
+      priority = 'medium',
+      units = this.config.units ?? 'si',
+      shareSpecIssues = this.config.shareSpecIssues ?? false,
+      rounds,
+      convergenceThreshold,
+      synthesizer = this.synthesis.synthesizer,
+      allowAnalystSynthesizer = this.synthesis.allowAnalyst ?? false
+    } = args;
+
+    const timings = {};
+    const responses = [];
+    const described = [task, content].filter(Boolean).join('\n');
+    const parser = new DataParser();
+    const spec = domain === 'pressure_vessel' ? parser.formatSpec(parser.extractFields(described), units) : '';
+    const specIssues = domain === 'pressure_vessel' ? validateSpec(described, parser) : [];
+    const shared = shareSpecIssues ? describeSpecIssues(specIssues) : '';
+    const participantContent = spec || shared ? [content, spec, shared].filter(Boolean).join('\n\n') : content;
+
+    return {
+      id: randomUUID(),
+      task,
+      content,
+      participants,
+      domain,
+      priority,
+      rounds,
+      convergenceThreshold,
+      synthesizer,
+      allowAnalystSynthesizer,
+      synthesisFallback: this.synthesis.fallback || [],
+      localParticipants: this.registry.names().filter(name => this.registry.get(name).local),
+      units,
+      spec,
+      specIssues,
+      participantContent,
+      vessel: domain === 'pressure_vessel' ? calculateVesselFromText(described) : null,
+      available: this.registry.names(),
+      signal,
+      startedAt: Date.now(),
+      timings,
+      responses,
+      call: async (participant, request = {}) => {
+        signal.throwIfAborted();
+        const started = Date.now();
+        const timing = timings[participant] ??= { calls: 0, totalMs: 0, simulated: 0, replayed: 0 };
+        try {
+          const { text, real, source } = await this.registry.respond(participant, { task, content: participantContent, domain, priority, ...request }, { signal });
+          responses.push({ participant, real, source, durationMs: Date.now() - started });
+          if (source === 'replay') {
+            timing.replayed++;
+          } else if (!real) {
+            timing.simulated++;
+          }
+          return text;
+        } finally {
+          timing.calls++;
+          timing.totalMs += Date.now() - started;
+        }
+      },
+      log: (message) => this.log(message),
+      progress: new ProgressReporter(progressToken, (notification) => {
+        if (!signal.aborted) {
+          this.framing.send(notification);
+        }
+      })
+    };
+  }
+
+  async handleCollaboration(session, mode, strategyName) {
+    this.log(`Starting ${mode} collaboration (${mode === 'apply' ? strategyName : this.planner}) for: ${session.task}`);
+
+    switch (mode) {
+      case 'plan':
+        return await this.createPlan(session);
+      case 'review':
+        return await this.reviewResults(session);
+      default:
+        return await this.strategies.get(strategyName).run(session);
+    }
+  }
+
+  async createPlan(session) {
+    const planPrompt = buildPlanPrompt(session.task, session.participantContent);
+
+    session.progress.report(`${displayName(this.planner)} planning`);
+    const plan = await session.call(this.planner, { prompt: planPrompt });
+    session.progress.report('Plan ready');
+
+    return {
+      report: `# Collaboration Plan
+
+${plan}
+
+---
+*Plan generated by ${displayName(this.planner)}*`,
+      answers: { [this.planner]: plan },
+      errors: {},
+      consensus: null,
+      discussion: null
+    };
+  }
+
+  async reviewResults(session) {
+    const reviewPrompt = buildReviewPrompt(session.task, session.content);
+
+    session.progress.report(`${displayName(this.planner)} reviewing`);
+    const review = await session.call(this.planner, { prompt: reviewPrompt });
+    session.progress.report('Review ready');
+
+    return {
+      report: `# Collaboration Review
+
+${review}
+
+---
+*Review generated by ${displayName(this.planner)}*`,
+      answers: { [this.planner]: review },
+      errors: {},
+      consensus: null,
+      discussion: null
+    };
+  }
+}
+
+/**
+ * Start a server on stdio with graceful shutdown. Entry points call this with
+ * their historical default strategy.
+ */
+export function startServer(options = {}) {
+  let server;
+  try {
+    server = new CollaborativeServer(options).start();
+  } catch (error) {
+    console.error(`[Collaborative MCP] Cannot start: ${error.message}`);
+    process.exit(1);
+  }
+
+  const shutdown = (reason) => {
+    server.log(`${reason}, shutting down`);
+    server.close().finally(() => process.exit(0));
+  };
+
+  process.stdin.on('end', () => shutdown('Input stream ended'));
+  process.on('SIGINT', () => shutdown('Received SIGINT'));
+  process.on('SIGTERM', () => shutdown('Received SIGTERM'));
+
+  return server;
+}
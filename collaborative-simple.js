@@ -2,362 +2,9 @@
 
 /**
  * Simple Collaborative MCP Server
- * Provides basic collaboration functionality without complex features
+ * Sequential analysis and consensus, served by the shared core
  */
 
-class CollaborativeMCPServer {
-  constructor() {
-    this.requestId = 0;
-  }
+import { startServer } from './collaborative-server.js';
 
-  start() {
-    console.error('[Collaborative MCP] Starting...');
-    
-    process.stdin.setEncoding('utf8');
-    process.stdin.on('data', (data) => {
-      const lines = data.trim().split('\n');
-      for (const line of lines) {
-        if (line.trim()) {
-          this.handleMessage(line);
-        }
-      }
-    });
-    
-    // Handle process termination gracefully
-    process.on('SIGTERM', () => process.exit(0));
-    process.on('SIGINT', () => process.exit(0));
-    
-    console.error('[Collaborative MCP] Ready');
-  }
-
-  handleMessage(line) {
-    try {
-      const request = JSON.parse(line);
-      console.error('[Collaborative MCP] Request:', JSON.stringify(request));
-      
-      const { method, id } = request;
-      
-      if (method === 'initialize') {
-        this.sendResponse({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            protocolVersion: '2025-06-18',
-            capabilities: { tools: {} },
-            serverInfo: { name: 'collaborative-mcp', version: '1.0.0' }
-          }
-        });
-      } else if (method === 'tools/list') {
-        this.sendResponse({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            tools: [{
-              name: 'collaborate',
-              description: 'Perform collaborative analysis using multiple AI models',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  task: {
-                    type: 'string',
-                    description: 'Description of the analysis task'
-                  },
-                  content: {
-                    type: 'string',
-                    description: 'Content to analyze (optional)'
-                  },
-                  mode: {
-                    type: 'string',
-                    enum: ['plan', 'apply', 'review'],
-                    description: 'Collaboration mode',
-                    default: 'apply'
-                  }
-                },
-                required: ['task']
-              }
-            }]
-          }
-        });
-      } else if (method === 'tools/call') {
-        const { params } = request;
-        const { name, arguments: args } = params;
-        
-        if (name === 'collaborate') {
-          this.handleCollaborate(id, args);
-        } else {
-          this.sendError(id, -32602, `Unknown tool: ${name}`);
-        }
-      } else if (method.startsWith('notifications/')) {
-        // Handle notifications silently
-        console.error('[Collaborative MCP] Notification received:', method);
-      } else {
-        // Handle other methods silently to avoid errors
-        console.error('[Collaborative MCP] Unhandled method:', method);
-      }
-      
-    } catch (error) {
-      console.error('[Collaborative MCP] Error:', error);
-    }
-  }
-
-  async handleCollaborate(id, args) {
-    const { task, content, mode = 'apply' } = args;
-    
-    console.error(`[Collaborative MCP] Starting collaboration: ${mode} - ${task}`);
-    
-    try {
-      let result = '';
-      
-      if (mode === 'plan') {
-        result = this.generatePlan(task, content);
-      } else if (mode === 'apply') {
-        result = await this.performAnalysis(task, content);
-      } else if (mode === 'review') {
-        result = this.reviewResults(task, content);
-      } else {
-        throw new Error(`Unknown mode: ${mode}`);
-      }
-      
-      this.sendResponse({
-        jsonrpc: '2.0',
-        id,
-        result: {
-          content: [{
-            type: 'text',
-            text: result
-          }]
-        }
-      });
-      
-    } catch (error) {
-      console.error('[Collaborative MCP] Collaboration error:', error);
-      this.sendError(id, -32603, `Collaboration failed: ${error.message}`);
-    }
-  }
-
-  generatePlan(task, content) {
-    return `# Collaboration Plan for: ${task}
-
-## Objective
-${task}
-
-${content ? `## Content to Analyze
-${content}
-
-` : ''}## Analysis Strategy
-
-### Phase 1: Individual Analysis
-- **Gemini CLI**: Comprehensive architecture and system analysis
-- **Codex CLI**: Technical implementation and compliance review
-- **Ollama Local**: Privacy-sensitive quick validation
-
-### Phase 2: Cross-Validation
-- Compare findings between different AI perspectives
-- Identify areas of consensus and disagreement
-- Flag critical issues requiring additional review
-
-### Phase 3: Synthesis
-- Generate unified recommendations
-- Prioritize action items
-- Create implementation roadmap
-
-## Expected Deliverables
-1. Individual analysis reports from each AI
-2. Cross-validation summary
-3. Consensus findings and recommendations
-4. Implementation plan with priorities
-
-## Success Criteria
-- All critical issues identified and addressed
-- Technical feasibility confirmed
-- Compliance requirements verified
-- Clear next steps defined
-
----
-*Plan generated by Collaborative MCP*
-*Generated at: ${new Date().toISOString()}*`;
-  }
-
-  async performAnalysis(task, content) {
-    console.error('[Collaborative MCP] Performing mock collaborative analysis...');
-    
-    // Simulate collaboration delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    return `# Collaborative Analysis Results
-
-**Task:** ${task}
-**Generated:** ${new Date().toISOString()}
-**Mode:** Comprehensive Multi-AI Analysis
-
-## Executive Summary
-This analysis was performed through collaborative AI processing, simulating the integration of multiple specialized AI models working together.
-
-## Individual AI Contributions
-
-### 🧠 Gemini Analysis (Comprehensive Review)
-**Focus:** System-level analysis and architectural considerations
-
-**Key Findings:**
-${content ? `- Analyzed content: "${content.substring(0, 100)}${content.length > 100 ? '...' : ''}"` : '- General analysis performed'}
-- Overall design approach appears sound
-- System architecture follows established best practices
-- Risk factors have been identified and assessed
-- Compliance considerations have been evaluated
-
-**Recommendations:**
-- Proceed with detailed technical implementation
-- Consider additional safety margins for critical components
-- Implement comprehensive testing protocols
-
-### 💻 Codex Analysis (Technical Implementation)
-**Focus:** Technical details and implementation feasibility
-
-**Key Findings:**
-- Technical implementation is feasible with current technology
-- Code quality standards can be met with proper procedures
-- Standards compliance requirements are achievable
-- Implementation timeline appears realistic
-
-**Technical Considerations:**
-- Material specifications meet design requirements
-- Manufacturing processes are well-established
-- Quality control procedures are comprehensive
-- Testing and validation protocols are adequate
-
-**Recommendations:**
-- Finalize detailed specifications before procurement
-- Implement rigorous quality control procedures
-- Plan comprehensive testing and validation
-
-### 🏠 Ollama Analysis (Local Processing)
-**Focus:** Privacy-sensitive analysis and quick validation
-
-**Key Findings:**
-- Local processing confirms initial assessment
-- No sensitive information exposure concerns
-- Quick validation supports overall approach
-- Privacy requirements can be maintained
-
-**Local Assessment:**
-- Core design principles are sound
-- Basic safety requirements are addressed
-- Standard compliance path is clear
-- Implementation approach is practical
-
-## Consensus Findings
-
-### ✅ Areas of Agreement
-- Overall approach is technically sound
-- Design meets basic safety and compliance requirements
-- Implementation is feasible with standard processes
-- Quality control procedures are appropriate
-
-### ⚠️ Areas Requiring Attention
-- Final specifications need detailed review
-- Manufacturing quality control is critical
-- Testing protocols should be comprehensive
-- Documentation must be complete
-
-### 🎯 Unified Recommendations
-
-1. **Immediate Actions:**
-   - Complete detailed design specifications
-   - Finalize material selection and sourcing
-   - Establish quality control procedures
-
-2. **Implementation Phase:**
-   - Follow established manufacturing standards
-   - Implement comprehensive testing protocols
-   - Maintain detailed documentation
-
-3. **Validation Phase:**
-   - Conduct thorough testing and inspection
-   - Verify compliance with all applicable standards
-   - Document all results and certifications
-
-## Confidence Assessment
-- **Technical Feasibility:** High (95%)
-- **Safety Compliance:** High (90%)
-- **Implementation Success:** High (85%)
-- **Overall Recommendation:** Proceed with implementation
-
-## Next Steps
-1. Review and approve final specifications
-2. Initiate procurement and manufacturing
-3. Implement quality control procedures
-4. Execute comprehensive testing plan
-5. Complete certification and documentation
-
----
-*This analysis represents a collaborative effort between multiple AI models*
-*Generated by: Collaborative MCP Proxy*
-*Timestamp: ${new Date().toISOString()}*
-
-**Note:** This is a demonstration of collaborative AI analysis. In a production environment, this would integrate with actual Gemini CLI and Codex CLI MCPs to provide real multi-AI collaboration.`;
-  }
-
-  reviewResults(task, content) {
-    return `# Collaboration Review: ${task}
-
-## Review Summary
-**Reviewed At:** ${new Date().toISOString()}
-**Scope:** ${task}
-
-## Content Assessment
-${content ? `**Content Reviewed:**
-${content.substring(0, 200)}${content.length > 200 ? '...' : ''}
-
-` : ''}## Quality Evaluation
-
-### ✅ Strengths Identified
-- Comprehensive analysis approach
-- Multiple perspectives considered
-- Clear recommendations provided
-- Implementation pathway defined
-
-### 🔍 Areas for Improvement
-- Consider additional validation steps
-- Expand risk assessment coverage
-- Include more detailed timelines
-- Add cost-benefit analysis
-
-### 📋 Completeness Check
-- [x] Technical analysis completed
-- [x] Safety considerations addressed
-- [x] Compliance requirements reviewed
-- [x] Implementation plan provided
-- [ ] Detailed cost analysis (recommended)
-- [ ] Risk mitigation strategies (recommended)
-
-## Final Assessment
-The collaborative analysis appears comprehensive and well-structured. The multi-AI approach has provided valuable perspectives and the recommendations are actionable.
-
-**Overall Quality:** High
-**Recommendation:** Approved for implementation with minor enhancements
-
----
-*Review completed by Collaborative MCP*`;
-  }
-
-  sendResponse(response) {
-    try {
-      const message = JSON.stringify(response) + '\n';
-      console.error('[Collaborative MCP] Sending:', message.trim());
-      process.stdout.write(message);
-    } catch (error) {
-      console.error('[Collaborative MCP] Send error:', error);
-    }
-  }
-
-  sendError(id, code, message) {
-    this.sendResponse({
-      jsonrpc: '2.0',
-      id,
-      error: { code, message }
-    });
-  }
-}
-
-const server = new CollaborativeMCPServer();
-server.start();
\ No newline at end of file
+startServer({ defaultStrategy: 'sequential' });
@@ -0,0 +1,253 @@
+/**
+ * Server Configuration
+ * Machine-specific paths and commands, layered so the proxy runs anywhere:
+ * built-in defaults, then a `collab.config.json` file, then `COLLAB_*`
+ * environment variables, then command-line flags. Per-call `collaborate`
+ * arguments override the result. Every layer is checked against `CONFIG_SCHEMA` before it is merged.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_FIXTURE_DIR } from './fixture-store.js';
+import { DEFAULT_REGISTRY_PATH } from './participant-registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const CONFIG_FILE_NAME = 'collab.config.json';
+
+const COMMAND_PROPERTIES = {
+  command: { type: 'string' },
+  args: { type: 'array', items: { type: 'string' } },
+  model: { type: 'string' }
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    participantsFile: { type: 'string' },
+    fixturesDir: { type: 'string' },
+    strategy: { type: 'string' },
+    synthesizer: { type: 'string' },
+    planner: { type: 'string' },
+    timeout: { type: 'integer', minimum: 1 },
+    units: { type: 'string', enum: ['si', 'us'] },
+    shareSpecIssues: { type: 'boolean' },
+    gemini: { type: 'object', properties: COMMAND_PROPERTIES },
+    codex: {
+      type: 'object',
+      properties: {
+        ...COMMAND_PROPERTIES,
+        cwd: { type: 'string' },
+        sandbox: { type: 'string', enum: ['read-only', 'workspace-write', 'danger-full-access'] },
+        approvalPolicy: { type: 'string', enum: ['untrusted', 'on-failure', 'on-request', 'never'] }
+      }
+    },
+    serena: { type: 'object', properties: { directory: { type: 'string' } } }
+  }
+};
+
+export const CONFIG_DEFAULTS = {
+  participantsFile: DEFAULT_REGISTRY_PATH,
+  fixturesDir: DEFAULT_FIXTURE_DIR,
+  timeout: 120000, // 2 minutes per participant call
+  units: 'si',
+  shareSpecIssues: false,
+  gemini: {},
+  codex: {},
+  serena: { directory: path.join(os.homedir(), 'serena') }
+};
+
+// Environment variable -> setting
+export const CONFIG_ENV = {
+  COLLAB_PARTICIPANTS: 'participantsFile',
+  COLLAB_FIXTURES: 'fixturesDir',
+  COLLAB_STRATEGY: 'strategy',
+  COLLAB_SYNTHESIZER: 'synthesizer',
+  COLLAB_PLANNER: 'planner',
+  COLLAB_TIMEOUT: 'timeout',
+  COLLAB_UNITS: 'units',
+  COLLAB_SHARE_SPEC_ISSUES: 'shareSpecIssues',
+  COLLAB_GEMINI_COMMAND: 'gemini.command',
+  COLLAB_GEMINI_MODEL: 'gemini.model',
+  COLLAB_CODEX_COMMAND: 'codex.command',
+  COLLAB_CODEX_CWD: 'codex.cwd',
+  COLLAB_SERENA_DIR: 'serena.directory'
+};
+
+// Command-line flag (`--strategy=<name>`) -> setting
+export const CONFIG_FLAGS = {
+  strategy: 'strategy'
+};
+
+// Relative paths resolve against the file (or working directory) that set them
+const PATH_SETTINGS = ['participantsFile', 'fixturesDir', 'codex.cwd', 'serena.directory'];
+
+const TYPES = {
+  string: { test: value => typeof value === 'string' && value.length > 0, description: 'a non-empty string' },
+  integer: { test: Number.isInteger, description: 'an integer' },
+  boolean: { test: value => typeof value === 'boolean', description: 'true or false' },
+  array: { test: Array.isArray, description: 'an array' },
+  object: { test: value => value !== null && typeof value === 'object' && !Array.isArray(value), description: 'an object' }
+};
+
+export class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid configuration in ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+function validate(value, schema, at, problems) {
+  const type = TYPES[schema.type];
+  if (!type.test(value)) {
+    problems.push(`${at || 'configuration'} must be ${type.description}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${at} must be at least ${schema.minimum}`);
+  }
+  if (schema.items) {
+    value.forEach((item, index) => validate(item, schema.items, `${at}[${index}]`, problems));
+  }
+  if (schema.properties) {
+    for (const [key, item] of Object.entries(value)) {
+      const name = at ? `${at}.${key}` : key;
+      if (schema.properties[key]) {
+        validate(item, schema.properties[key], name, problems);
+      } else {
+        problems.push(`${name} is not a known setting`);
+      }
+    }
+  }
+}
+
+/**
+ * Problems found in one configuration layer, as readable strings.
+ */
+export function validateConfig(config) {
+  const problems = [];
+  validate(config, CONFIG_SCHEMA, '', problems);
+  return problems;
+}
+
+function getSetting(config, setting) {
+  return setting.split('.').reduce((value, key) => value?.[key], config);
+}
+
+function setSetting(config, setting, value) {
+  const keys = setting.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => (object[key] ??= {}), config);
+  parent[last] = value;
+}
+
+function merge(base, layer) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(layer)) {
+    merged[key] = TYPES.object.test(value) && TYPES.object.test(base[key]) ? merge(base[key], value) : value;
+  }
+  return merged;
+}
+
+function resolvePaths(layer, baseDir) {
+  for (const setting of PATH_SETTINGS) {
+    const value = getSetting(layer, setting);
+    if (typeof value === 'string') {
+      const expanded = value === '~' || value.startsWith('~/') ? path.join(os.homedir(), value.slice(1)) : value;
+      setSetting(layer, setting, path.resolve(baseDir, expanded));
+    }
+  }
+  return layer;
+}
+
+/**
+ * The configuration file to read: `--config=<file>` or `COLLAB_CONFIG` if
+ * set (it must exist), else the first `collab.config.json` found in the
+ * working directory, the proxy's own directory, then
+ * `$XDG_CONFIG_HOME/collaborative-mcp-proxy/`. Null when there is none.
+ */
+export function findConfigFile({ argv = process.argv, env = process.env, cwd = process.cwd() } = {}) {
+  const explicit = argv.find(arg => arg.startsWith('--config='))?.slice('--config='.length) || env.COLLAB_CONFIG;
+  if (explicit) {
+    return path.resolve(cwd, explicit);
+  }
+
+  const xdg = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  const candidates = [cwd, __dirname, path.join(xdg, 'collaborative-mcp-proxy')].map(dir => path.join(dir, CONFIG_FILE_NAME));
+  return candidates.find(file => fs.existsSync(file)) ?? null;
+}
+
+export function readConfigFile(file) {
+  let layer;
+  try {
+    layer = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(file, [error.code === 'ENOENT' ? 'file not found' : error.message]);
+  }
+
+  const problems = validateConfig(layer);
+  if (problems.length > 0) {
+    throw new ConfigError(file, problems);
+  }
+  return resolvePaths(layer, path.dirname(file));
+}
+
+/**
+ * The `COLLAB_*` variables that are set, as a configuration layer.
+ */
+export function readConfigEnv(env = process.env, cwd = process.cwd()) {
+  const layer = {};
+  const problems = [];
+
+  for (const [name, setting] of Object.entries(CONFIG_ENV)) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+    const schema = setting.split('.').reduce((parent, key) => parent.properties[key], CONFIG_SCHEMA);
+    const value = schema.type === 'integer' && /^\d+$/.test(env[name]) ? Number(env[name])
+      : schema.type === 'boolean' && /^(?:true|false)$/.test(env[name]) ? env[name] === 'true'
+        : env[name];
+    const before = problems.length;
+    validate(value, schema, name, problems);
+    if (problems.length === before) {
+      setSetting(layer, setting, value);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError('the environment', problems);
+  }
+  return resolvePaths(layer, cwd);
+}
+
+/**
+ * The `--<flag>=<value>` settings on the command line, as a configuration
+ * layer.
+ */
+export function readConfigFlags(argv = process.argv) {
+  const layer = {};
+  for (const [flag, setting] of Object.entries(CONFIG_FLAGS)) {
+    const value = argv.find(arg => arg.startsWith(`--${flag}=`))?.slice(flag.length + 3);
+    if (value) {
+      setSetting(layer, setting, value);
+    }
+  }
+  return layer;
+}
+
+/**
+ * Load the layered configuration. `file` is the configuration file that was
+ * read, or null.
+ */
+export function loadConfig({ argv = process.argv, env = process.env, cwd = process.cwd() } = {}) {
+  const file = findConfigFile({ argv, env, cwd });
+  const fromFile = file ? readConfigFile(file) : {};
+  return { ...merge(merge(merge(CONFIG_DEFAULTS, fromFile), readConfigEnv(env, cwd)), readConfigFlags(argv)), file };
+}
@@ -0,0 +1,131 @@
+/**
+ * Claim Consensus
+ * Builds a consensus from the participants' actual answers without a model:
+ * each answer is split into claims, equivalent claims from different
+ * participants are clustered by word overlap, and every cluster is labeled by
+ * how many participants support it. The same answers always give the same
+ * consensus.
+ */
+
+import { claimSimilarity, extractClaims } from './claims.js';
+
+// Paraphrases across participants overlap less than revisions by one author
+export const CONSENSUS_MATCH_THRESHOLD = 0.4;
+
+export const LABELS = ['unanimous', 'majority', 'disputed'];
+
+const RECOMMENDATION_PATTERN = /\b(should|must|recommend(?:s|ed|ation)?|consider|ensure|needs? to|requires?|verify|add|use|replace|increase|reduce|avoid|implement|perform)\b/i;
+
+/**
+ * `recommendation` for claims that ask for an action, otherwise `finding`.
+ */
+export function classifyClaim(claim) {
+  return RECOMMENDATION_PATTERN.test(claim) ? 'recommendation' : 'finding';
+}
+
+/**
+ * Label a cluster supported by `support` of `total` participants:
+ * `unanimous` when all support it, `majority` when more than half do and
+ * `disputed` otherwise.
+ */
+export function labelSupport(support, total) {
+  if (support === total) return 'unanimous';
+  if (support > total / 2) return 'majority';
+  return 'disputed';
+}
+
+/**
+ * Cluster the claims in `answers` (participant name -> answer text).
+ * Participants and claims are visited in order, and a claim joins the
+ * cluster holding its most similar claim, if that is at least `threshold`
+ * similar (the earliest cluster wins ties); otherwise it starts a new one.
+ * Returns `{ agents, items, counts }` with items ordered unanimous,
+ * majority, disputed, then by support.
+ */
+export function buildClaimConsensus(answers, { threshold = CONSENSUS_MATCH_THRESHOLD } = {}) {
+  const agents = Object.keys(answers);
+  const clusters = [];
+
+  for (const agent of agents) {
+    for (const claim of extractClaims(answers[agent])) {
+      let best = null;
+      let bestScore = threshold;
+      for (const cluster of clusters) {
+        const score = Math.max(...cluster.variants.map(variant => claimSimilarity(variant.claim, claim)));
+        if (score > bestScore || (score === bestScore && best === null)) {
+          best = cluster;
+          bestScore = score;
+        }
+      }
+
+      if (best) {
+        best.variants.push({ agent, claim });
+      } else {
+        clusters.push({ order: clusters.length, variants: [{ agent, claim }] });
+      }
+    }
+  }
+
+  const items = clusters.map(cluster => {
+    const supporters = agents.filter(agent => cluster.variants.some(variant => variant.agent === agent));
+    const claim = cluster.variants[0].claim;
+    return {
+      claim,
+      kind: classifyClaim(claim),
+      label: labelSupport(supporters.length, agents.length),
+      agents: supporters,
+      variants: cluster.variants,
+      order: cluster.order
+    };
+  });
+
+  items.sort((a, b) =>
+    LABELS.indexOf(a.label) - LABELS.indexOf(b.label) ||
+    b.agents.length - a.agents.length ||
+    a.order - b.order
+  );
+
+  const counts = Object.fromEntries(LABELS.map(label => [label, items.filter(item => item.label === label).length]));
+  return { agents, items: items.map(({ order, ...item }) => item), counts };
+}
+
+/**
+ * Render a claim consensus as Markdown sections per label.
+ */
+export function formatClaimConsensus({ agents, items, counts }) {
+  if (agents.length < 2) {
+    return `Consensus needs answers from at least two participants; ${agents.length === 1 ? `only ${agents[0]}` : 'none'} answered.`;
+  }
+
+  const headings = {
+    unanimous: 'Unanimous (all participants)',
+    majority: 'Majority (more than half)',
+    disputed: 'Disputed (half or fewer)'
+  };
+  const kindLabel = { recommendation: 'Recommendation', finding: 'Finding' };
+
+  let text = `**Participants compared:** ${agents.join(', ')}
+**Claims:** ${counts.unanimous} unanimous, ${counts.majority} majority, ${counts.disputed} disputed
+
+Claims are bullets or sentences from each answer; equivalent claims are grouped by word overlap (at least ${Math.round(CONSENSUS_MATCH_THRESHOLD * 100)}% shared significant words).
+`;
+
+  for (const label of LABELS) {
+    const group = items.filter(item => item.label === label);
+    if (group.length === 0) {
+      continue;
+    }
+
+    text += `\n### ${headings[label]}\n\n`;
+    text += group.map(item => {
+      const missing = agents.filter(agent => !item.agents.includes(agent));
+      const support = label === 'unanimous'
+        ? item.agents.join(', ')
+        : `${item.agents.join(', ')}; not raised by ${missing.join(', ')}`;
+      return `- **${kindLabel[item.kind]}:** ${item.claim} (${support})`;
+    }).join('\n');
+    text += '\n';
+  }
+
+  return text;
+}
@@ -1,8 +1,65 @@
 /**
  * Dynamic data parser for pressure vessel analysis
- * Extracts real parameters from user input
+ * Extracts real parameters from user input. Values are anchored on their
+ * labels ("Design Pressure:", "ID", "Corrosion allowance") and each carries
+ * the span of text it came from and a confidence, so reports can cite it.
+ * Quantities are normalized by units.js.
  */
 
+import { formatQuantity, quantityPattern, readQuantity, UNIT_SYSTEMS } from './units.js';
+
+/**
+ * Labeled fields. `labels` anchor a value with high confidence, `loose`
+ * labels with less; text fields take the rest of the line after a colon.
+ * Abbreviations are case-sensitive so "id" and "ca." (circa) are not labels.
+ */
+const FIELDS = {
+  designPressure: { title: 'Design pressure', kind: 'pressure', labels: [/design\s+pressure|pressure\s*\(design\)/gi] },
+  operatingPressure: { title: 'Operating pressure', kind: 'pressure', labels: [/(?:operating|working)\s+pressure/gi] },
+  designTemperature: { title: 'Design temperature', kind: 'temperature', labels: [/design\s+temp(?:erature)?\.?/gi] },
+  operatingTemperature: { title: 'Operating temperature', kind: 'temperature', labels: [/(?:operating|working)\s+temp(?:erature)?\.?/gi] },
+  insideDiameter: {
+    title: 'Inside diameter',
+    kind: 'length',
+    labels: [/(?:inner|inside|internal)\s+diameter/gi, /\bI\.?D\b\.?/g],
+    loose: [/(?<!(?:outer|outside|external)\s+)\bdiameter/gi]
+  },
+  outsideDiameter: { title: 'Outside diameter', kind: 'length', labels: [/(?:outer|outside|external)\s+diameter/gi, /\bO\.?D\b\.?/g] },
+  length: { title: 'Length', kind: 'length', labels: [/tan(?:gent)?[\s-]*(?:to|\/)[\s-]*tan(?:gent)?(?:\s+length)?|\bT\/T\b|(?:shell|vessel|overall)\s+length|\blength\b/gi] },
+  corrosionAllowance: { title: 'Corrosion allowance', kind: 'length', labels: [/corrosion\s+allowance/gi, /\bC\.?A\b\.?(?=\s*[:=])/g] },
+  jointEfficiency: { title: 'Joint efficiency', kind: 'efficiency', labels: [/(?:weld(?:ed)?\s+)?joint\s+efficiency|weld\s+efficiency/gi] },
+  material: { title: 'Material', kind: 'text', labels: [/(?:shell\s+|plate\s+)?material/gi] },
+  designCode: { title: 'Design code', kind: 'text', labels: [/design\s+code|code\s+of\s+construction/gi] },
+  service: { title: 'Service', kind: 'text', labels: [/\bservice|\bfluid/gi] }
+};
+
+// Values found without a label, used only when no labeled value exists
+const UNLABELED = {
+  designPressure: { kind: 'pressure', unless: ['operatingPressure'] },
+  designTemperature: { kind: 'temperature', unless: ['operatingTemperature'], max: 1000 },
+  insideDiameter: { kind: 'length', unless: ['outsideDiameter'], max: 50000 }
+};
+
+const DESIGNATION = /(?:astm\s*a\s*|\bsa[\s-])\d+(?:[\s-]*(?:grade|gr\.?|type|tp)?[\s-]*(?:\d{2,3}l?|[a-c])\b)?/i;
+const CODE = /\basme\s+(?:bpvc\s+)?(?:sec(?:tion|\.)?\s+)?viii(?:[\s,-]*(?:div(?:ision|\.)?\s*)?[12])?|\bpd\s*5500|\ben\s*13445/i;
+
+// A clause telling the reader not to use a value: "DO NOT use 15 bar", "(NOT 1200mm)"
+const NEGATION = /\b(?:not|never|ignore|don't|avoid|wrong|instead\s+of)\b/i;
+
+// Bounds that read like negations but state the value: "not less than 10 bar", "not to exceed 12 bar"
+const BOUND = /\b(?:not|no|never)\s+(?:less|more|greater|lower|higher)\s+than\b|\bnot\s+to\s+(?:exceed|be\s+exceeded)\b|\b(?:not|never)\s+(?:exceeding|below|above|under|over)\b/gi;
+
+const negates = (clause) => NEGATION.test(clause.replace(BOUND, ' '));
+
+export const FIELD_TITLES = Object.fromEntries(Object.entries(FIELDS).map(([name, { title }]) => [name, title]));
+
+export const CONFIDENCE = {
+  labeled: 0.9,
+  loose: 0.7,
+  inferred: 0.7,
+  unlabeled: 0.4
+};
+
 class DataParser {
   constructor() {
     this.defaultValues = {
@@ -13,114 +70,256 @@ class DataParser {
     };
   }
 
-  parseVesselData(text) {
-    const data = { ...this.defaultValues };
-    
-    if (!text) return data;
-    
-    const textLower = text.toLowerCase();
-    
-    // Extract pressure (bar, psi, mpa) - fixed decimal number regex
-    const pressureMatches = text.match(/(\d+\.?\d*)\s*(bar|psi|mpa|kpa)/gi);
-    if (pressureMatches && pressureMatches.length > 0) {
-      // Find the highest pressure value (most likely the design pressure)
-      let maxPressure = 0;
-      let maxUnit = 'bar';
-      
-      for (const match of pressureMatches) {
-        const numbers = match.match(/(\d+\.?\d*)/);
-        const units = match.match(/(bar|psi|mpa|kpa)/i);
-        
-        if (numbers && units) {
-          let pressure = parseFloat(numbers[1]);
-          const unit = units[1].toLowerCase();
-          
-          // Convert to bar for comparison
-          let pressureInBar = pressure;
-          if (unit === 'psi') pressureInBar = pressure * 0.0689476;
-          if (unit === 'mpa') pressureInBar = pressure * 10;
-          if (unit === 'kpa') pressureInBar = pressure * 0.01;
-          
-          // Take the highest pressure value
-          if (pressureInBar > maxPressure) {
-            maxPressure = pressureInBar;
-            maxUnit = unit;
+  /**
+   * Every field found in `text`, keyed by name (`designPressure`,
+   * `operatingTemperature`, `insideDiameter`, `corrosionAllowance`, ...).
+   * Each is `{ value, unit, label, source: { text, start, end, line },
+   * confidence }` with `value` in bar, °C, mm, a fraction or text; `start`
+   * and `end` are offsets into `text` and `line` is 1-based.
+   */
+  extractFields(text) {
+    return this.scan(text).fields;
+  }
+
+  /**
+   * Everything `extractFields` saw in `text`: `fields` as it returns them,
+   * `readings` with every labeled value of a field as `{ name, field }`, not
+   * just the one kept, `negated` with each quantity in a clause saying not
+   * to use it as `{ kind, field, statement }`, and `unreadable` with each
+   * strict label followed by a number that could not be read as `{ name,
+   * source }`.
+   * A field with an unreadable label is not filled in from unlabeled values.
+   */
+  scan(text) {
+    const fields = {};
+    const readings = [];
+    const unreadable = [];
+    if (!text) return { fields, readings, negated: [], unreadable };
+
+    const lines = this.splitLines(text);
+    const consumed = [];
+    const found = (name, field) => {
+      if (!fields[name] || field.confidence > fields[name].confidence) {
+        fields[name] = field;
+      }
+      readings.push({ name, field });
+      consumed.push([field.source.start, field.source.end]);
+      if (field.alternate) {
+        consumed.push([field.alternate.source.start, field.alternate.source.end]);
+      }
+    };
+
+    for (const line of lines) {
+      for (const [name, definition] of Object.entries(FIELDS)) {
+        const tiers = [[definition.labels, CONFIDENCE.labeled], [definition.loose || [], CONFIDENCE.loose]];
+        for (const [patterns, confidence] of tiers) {
+          for (const pattern of patterns) {
+            for (const label of line.text.matchAll(pattern)) {
+              const field = definition.kind === 'text'
+                ? this.readText(line, label, confidence)
+                : this.readLabeled(line, label, definition.kind, confidence);
+              if (field) {
+                found(name, field);
+              } else if (definition.kind !== 'text' && confidence === CONFIDENCE.labeled) {
+                const source = this.unreadableValue(line, label);
+                if (source) {
+                  unreadable.push({ name, source });
+                  consumed.push([source.start, source.end]);
+                }
+              }
+            }
           }
         }
       }
-      
-      if (maxPressure > 0) {
-        data.pressure = maxPressure;
+    }
+
+    // "Design pressure 2.5 MPa at 450 F": the coincident design temperature
+    if (fields.designPressure && !fields.designTemperature) {
+      const { line, end } = fields.designPressure.source;
+      const rest = lines[line - 1];
+      const match = rest.text.slice(end - rest.start).match(new RegExp(String.raw`^(\s*(?:@|at)\s*)${quantityPattern('temperature')}`, 'i'));
+      if (match) {
+        const field = this.quantity('temperature', match, null, rest, end + match[1].length, end + match[0].length, CONFIDENCE.inferred);
+        if (field) found('designTemperature', field);
       }
     }
-    
-    // Extract temperature (°C, °F, K) - improved to find highest value
-    const tempMatches = text.match(/(\d+\.?\d*)\s*°?(c|f|k|celsius|fahrenheit|kelvin)/gi);
-    if (tempMatches && tempMatches.length > 0) {
-      let maxTemp = -999;
-      
-      for (const match of tempMatches) {
-        const numbers = match.match(/(\d+\.?\d*)/);
-        const units = match.match(/(c|f|k|celsius|fahrenheit|kelvin)/i);
-        
-        if (numbers && units) {
-          let temp = parseFloat(numbers[1]);
-          const unit = units[1].toLowerCase();
-          
-          // Convert to Celsius for comparison
-          let tempInC = temp;
-          if (unit === 'f' || unit === 'fahrenheit') tempInC = (temp - 32) * 5/9;
-          if (unit === 'k' || unit === 'kelvin') tempInC = temp - 273.15;
-          
-          // Take the highest reasonable temperature (likely the design temp)
-          if (tempInC > maxTemp && tempInC < 1000) { // reasonable upper limit
-            maxTemp = tempInC;
-          }
-        }
+
+    if (!fields.material) {
+      const field = this.findPattern(lines, DESIGNATION);
+      if (field) found('material', field);
+    }
+    if (!fields.designCode) {
+      const field = this.findPattern(lines, CODE);
+      if (field) found('designCode', field);
+    }
+
+    for (const [name, { kind, unless, max = Infinity }] of Object.entries(UNLABELED)) {
+      if (fields[name] || unless.some(other => fields[other]) || unreadable.some(entry => entry.name === name)) continue;
+      const field = this.largestUnlabeled(lines, kind, consumed, max);
+      if (field) fields[name] = field;
+    }
+
+    return { fields, readings, negated: this.negatedValues(lines), unreadable };
+  }
+
+  /**
+   * The fields behind each `parseVesselData` value: design conditions, else
+   * operating ones.
+   */
+  vesselSources(fields) {
+    return {
+      pressure: fields.designPressure ?? fields.operatingPressure,
+      temperature: fields.designTemperature ?? fields.operatingTemperature,
+      diameter: fields.insideDiameter,
+      material: fields.material
+    };
+  }
+
+  /**
+   * `fields` as the spec every participant is given: one line per field, with
+   * quantities in `system` (`si` or `us`) and pressures gauge. Values that were
+   * converted note what the text said. Empty without fields.
+   */
+  formatSpec(fields, system = 'si') {
+    const units = UNIT_SYSTEMS[system];
+    const lines = Object.entries(FIELDS).filter(([name]) => fields[name]).map(([name, { title, kind }]) => {
+      const field = fields[name];
+      if (kind === 'text' || kind === 'efficiency') {
+        return `- ${title}: ${kind === 'text' ? field.value : formatQuantity(field, kind, system)}`;
+      }
+      const { min, value, unit } = field.given;
+      const given = units[kind].native.includes(unit) ? '' : ` (given as ${min === null ? '' : `${min} to `}${value} ${unit})`;
+      return `- ${title}: ${formatQuantity(field, kind, system)}${given}`;
+    });
+    return lines.length > 0 ? `Normalized specification (${units.name} units, gauge pressures):\n${lines.join('\n')}` : '';
+  }
+
+  parseVesselData(text) {
+    const sources = this.vesselSources(this.extractFields(text));
+    return Object.fromEntries(Object.entries(this.defaultValues).map(([key, fallback]) => [key, sources[key]?.value ?? fallback]));
+  }
+
+  splitLines(text) {
+    const lines = [];
+    let start = 0;
+    for (const [index, lineText] of text.split('\n').entries()) {
+      lines.push({ text: lineText, start, number: index + 1 });
+      start += lineText.length + 1;
+    }
+    return lines;
+  }
+
+  // A quantity shortly after a label, in the same clause, and the same value
+  // restated in other units right after it: "20.7 bar (300 psi)"
+  readLabeled(line, label, kind, confidence) {
+    const after = label.index + label[0].length;
+    const match = line.text.slice(after).match(new RegExp(String.raw`^([^\d\n;]{0,25}?)${quantityPattern(kind, { labeled: true })}`, 'i'));
+    if (!match || negates(match[1])) {
+      return null;
+    }
+    const end = line.start + after + match[0].length;
+    const field = this.quantity(kind, match, label[0], line, line.start + label.index, end, confidence);
+    const restated = line.text.slice(end - line.start).match(new RegExp(String.raw`^(\s*[(\[]\s*(?:approx(?:imately|\.)?\s*|~\s*|≈\s*|=\s*)?)${quantityPattern(kind, { labeled: true })}\s*[)\]]`, 'i'));
+    if (field && restated) {
+      const alternate = this.quantity(kind, restated, null, line, end + restated[1].length, end + restated[0].length - 1, confidence);
+      field.alternate = alternate && { value: alternate.value, given: alternate.given, source: alternate.source };
+    }
+    return field;
+  }
+
+  // The span from a label to the number after it that `readLabeled` could not
+  // read, as in "Design pressure: 20.7.1 bar"; null without a number or when
+  // the clause negates it
+  unreadableValue(line, label) {
+    const after = label.index + label[0].length;
+    const match = line.text.slice(after).match(/^([^\d\n;]{0,25}?)\d\S*/);
+    if (!match || negates(match[1])) {
+      return null;
+    }
+    return this.span(line, line.start + label.index, line.start + after + match[0].length);
+  }
+
+  // The rest of the line after "Label:"
+  readText(line, label, confidence) {
+    const after = label.index + label[0].length;
+    const match = line.text.slice(after).match(/^\s*[:=]\s*(.*\S)/);
+    if (!match) {
+      return null;
+    }
+    return {
+      value: match[1].trim(),
+      unit: null,
+      label: label[0].trim(),
+      source: this.span(line, line.start + label.index, line.start + after + match[0].length),
+      confidence
+    };
+  }
+
+  // A field from a `quantityPattern` match; null for an impossible efficiency
+  quantity(kind, match, label, line, start, end, confidence) {
+    const { value, unit, range, tolerance, reference, given } = readQuantity(kind, match.groups);
+    if (kind === 'efficiency' && !(value > 0 && value <= 1)) {
+      return null;
+    }
+    return { value, unit, range, tolerance, reference, given, alternate: null, label: label?.trim() ?? null, source: this.span(line, start, end), confidence };
+  }
+
+  span(line, start, end) {
+    return { text: line.text.slice(start - line.start, end - line.start).trim(), start, end, line: line.number };
+  }
+
+  findPattern(lines, pattern) {
+    for (const line of lines) {
+      const match = line.text.match(pattern);
+      if (match) {
+        const start = line.start + match.index;
+        return { value: match[0].trim(), unit: null, label: null, source: this.span(line, start, start + match[0].length), confidence: CONFIDENCE.loose };
       }
-      
-      if (maxTemp > -999) {
-        data.temperature = maxTemp;
+    }
+    return null;
+  }
+
+  // The largest value of `kind` that no label claimed and no clause negates
+  largestUnlabeled(lines, kind, consumed, max) {
+    let best = null;
+    for (const line of lines) {
+      for (const match of line.text.matchAll(new RegExp(quantityPattern(kind), 'gi'))) {
+        const start = line.start + match.index;
+        const end = start + match[0].length;
+        if (consumed.some(([from, to]) => start < to && end > from) || negates(this.clauseBefore(line, match.index))) {
+          continue;
+        }
+        const field = this.quantity(kind, match, null, line, start, end, CONFIDENCE.unlabeled);
+        if (field && field.value < max && (!best || field.value > best.value)) {
+          best = field;
+        }
       }
     }
-    
-    // Extract diameter/ID (mm, m, inches) - improved regex
-    const diameterMatches = text.match(/(\d+\.?\d*)\s*(millimeters?|mm|meters?|m|inches?|inch|")/gi);
-    if (diameterMatches && diameterMatches.length > 0) {
-      let maxDiameter = 0;
-      
-      for (const match of diameterMatches) {
-        const numbers = match.match(/(\d+\.?\d*)/);
-        const units = match.match(/(millimeters?|mm|meters?|m|inches?|inch|")/i);
-        
-        if (numbers && units) {
-          let diameter = parseFloat(numbers[1]);
-          const unit = units[1].toLowerCase();
-          
-          // Convert to mm
-          let diameterInMm = diameter;
-          if (unit.includes('meter') || unit === 'm') diameterInMm = diameter * 1000;
-          if (unit.includes('inch') || unit === '"') diameterInMm = diameter * 25.4;
-          
-          // Take the largest diameter (likely the vessel diameter)
-          if (diameterInMm > maxDiameter && diameterInMm < 50000) { // reasonable upper limit
-            maxDiameter = diameterInMm;
+    return best;
+  }
+
+  // Quantities in a clause that says not to use them: "DO NOT use 15 bar"
+  negatedValues(lines) {
+    const negated = [];
+    for (const line of lines) {
+      for (const kind of ['pressure', 'temperature', 'length']) {
+        for (const match of line.text.matchAll(new RegExp(quantityPattern(kind), 'gi'))) {
+          const clause = this.clauseBefore(line, match.index);
+          if (!negates(clause)) {
+            continue;
           }
+          const start = line.start + match.index;
+          const field = this.quantity(kind, match, null, line, start, start + match[0].length, CONFIDENCE.unlabeled);
+          negated.push({ kind, field, statement: `${clause}${match[0]}`.trim() });
         }
       }
-      
-      if (maxDiameter > 0) {
-        data.diameter = maxDiameter;
-      }
-    }
-    
-    // Extract material
-    const materialMatch = text.match(/(astm\s*a\s*\d+|sa[\s-]\d+|material[\s:]*[a-z0-9\s-]+)/i);
-    if (materialMatch) {
-      data.material = materialMatch[0].trim();
     }
-    
-    return data;
+    return negated.sort((a, b) => a.field.source.start - b.field.source.start);
+  }
+
+  // The text of `line` before `index` since the last clause break
+  clauseBefore(line, index) {
+    return line.text.slice(0, index).split(/[.;:!?()]/).pop();
   }
 
   formatAnalysis(task, data) {
@@ -141,4 +340,4 @@ class DataParser {
   }
 }
 
-export default DataParser;
\ No newline at end of file
+export default DataParser;
@@ -2,550 +2,9 @@
 
 /**
  * Enhanced Collaborative MCP Server with Serena Integration
- * Option B: Hybrid approach combining Gemini CLI improvements with existing system
- * 
- * Participants:
- * - Claude: Orchestrator and quality control
- * - Gemini CLI MCP: Advanced architectural analysis
- * - Codex CLI MCP: Technical implementation
- * - Ollama: Local privacy-focused processing
- * - Serena MCP: Additional AI collaboration
+ * Domain- and priority-aware analysis, served by the shared core
  */
 
-const fs = require('fs');
-const { spawn } = require('child_process');
+import { startServer } from './collaborative-server.js';
 
-// Enhanced logging with Gemini CLI patterns
-function log(level, message, meta = {}) {
-  const timestamp = new Date().toISOString();
-  const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
-  
-  // Use console.log for ARM64 Mac compatibility (Gemini improvement)
-  if (level === 'error') {
-    console.error(`${timestamp} [${level.toUpperCase()}] ${message} ${metaStr}`);
-  } else {
-    console.log(`${timestamp} [${level.toUpperCase()}] ${message} ${metaStr}`);
-  }
-}
-
-class EnhancedCollaborativeMCPServer {
-  constructor() {
-    this.childProcesses = new Map();
-    this.log = log;
-    this.isARM64 = process.arch === 'arm64';
-    
-    // Enhanced session management
-    this.sessionToken = this.generateSessionToken();
-    this.activeConnections = new Map();
-    
-    // Serena MCP integration flag
-    this.serenaAvailable = false;
-    this.checkSerenaAvailability();
-  }
-
-  generateSessionToken() {
-    const token = `enhanced_mcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    this.log('info', 'Generated enhanced session token', { 
-      tokenId: token.substr(0, 25) + '...',
-      arch: process.arch 
-    });
-    return token;
-  }
-
-  async checkSerenaAvailability() {
-    try {
-      // Check if Serena MCP is configured and available
-      const configPath = '/Users/junteakim/Library/Application Support/Claude/claude_desktop_config.json';
-      if (fs.existsSync(configPath)) {
-        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        this.serenaAvailable = config.mcpServers && config.mcpServers.serena;
-        this.log('info', 'Serena MCP availability checked', { available: this.serenaAvailable });
-      }
-    } catch (error) {
-      this.log('error', 'Failed to check Serena availability', { error: error.message });
-    }
-  }
-
-  async handleRequest(request) {
-    this.log('debug', 'Received enhanced request', { 
-      method: request.method, 
-      id: request.id,
-      session: this.sessionToken.substr(0, 20) + '...'
-    });
-
-    try {
-      switch (request.method) {
-        case 'initialize':
-          return this.handleInitialize(request);
-        
-        case 'notifications/initialized':
-          this.log('info', 'Enhanced client initialized notification received');
-          return;
-        
-        case 'tools/list':
-          return this.handleToolsList(request);
-        
-        case 'tools/call':
-          return await this.handleToolsCall(request);
-        
-        default:
-          throw new Error(`Unknown method: ${request.method}`);
-      }
-    } catch (error) {
-      this.log('error', 'Enhanced request handling error', { 
-        error: error.message, 
-        method: request.method,
-        stack: error.stack.split('\n')[0] // First line of stack for debugging
-      });
-      
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        error: {
-          code: -32601,
-          message: error.message,
-          data: { 
-            originalMethod: request.method,
-            serverVersion: '2.0.0-enhanced'
-          }
-        }
-      };
-    }
-  }
-
-  handleInitialize(request) {
-    this.log('info', 'Initializing Enhanced Collaborative MCP Server', {
-      arch: process.arch,
-      platform: process.platform,
-      nodeVersion: process.version,
-      serenaAvailable: this.serenaAvailable
-    });
-    
-    return {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        protocolVersion: '2025-06-18',
-        capabilities: {
-          tools: {},
-          resources: {},
-          prompts: {}
-        },
-        serverInfo: {
-          name: 'enhanced-collaborative-proxy',
-          version: '2.0.0-hybrid',
-          architecture: process.arch,
-          features: [
-            'ARM64_NATIVE',
-            'STDIO_MCP', 
-            'PRESSURE_VESSEL_ANALYSIS',
-            'MULTI_AI_COLLABORATION',
-            this.serenaAvailable ? 'SERENA_INTEGRATION' : 'SERENA_PENDING'
-          ]
-        }
-      }
-    };
-  }
-
-  handleToolsList(request) {
-    this.log('debug', 'Handling enhanced tools/list request');
-    
-    const availableParticipants = ['ollama', 'gemini', 'codex'];
-    if (this.serenaAvailable) {
-      availableParticipants.push('serena');
-    }
-    
-    return {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        tools: [
-          {
-            name: 'collaborate',
-            description: 'Enhanced multi-AI collaborative analysis with Serena MCP integration, ARM64 Mac optimization, and specialized engineering domain support',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task: {
-                  type: 'string',
-                  description: 'Analysis task description'
-                },
-                content: {
-                  type: 'string',
-                  description: 'Content to analyze (specifications, requirements, engineering data, etc.)'
-                },
-                participants: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: `AI participants: ${availableParticipants.join(', ')}`,
-                  default: ['ollama']
-                },
-                domain: {
-                  type: 'string',
-                  description: 'Analysis domain: pressure_vessel, structural, general, software, etc.',
-                  default: 'general'
-                },
-                priority: {
-                  type: 'string',
-                  description: 'Analysis priority: low, medium, high, critical',
-                  default: 'medium'
-                }
-              },
-              required: ['task']
-            }
-          }
-        ]
-      }
-    };
-  }
-
-  async handleToolsCall(request) {
-    const { name, arguments: args } = request.params;
-    
-    this.log('debug', 'Handling enhanced tools/call', { 
-      toolName: name,
-      domain: args.domain || 'general',
-      priority: args.priority || 'medium',
-      participants: args.participants || ['ollama']
-    });
-
-    if (name === 'collaborate') {
-      const result = await this.performEnhancedCollaboration(args);
-      
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{
-            type: 'text',
-            text: result
-          }],
-          metadata: {
-            timestamp: new Date().toISOString(),
-            session: this.sessionToken.substr(0, 25) + '...',
-            platform: `${process.platform}_${process.arch}`,
-            serverVersion: '2.0.0-hybrid',
-            serenaIntegrated: this.serenaAvailable
-          }
-        }
-      };
-    }
-
-    throw new Error(`Unknown tool: ${name}`);
-  }
-
-  async performEnhancedCollaboration(args) {
-    const { 
-      task, 
-      content, 
-      participants = ['ollama'], 
-      domain = 'general',
-      priority = 'medium'
-    } = args;
-    
-    this.log('info', 'Starting enhanced collaboration with Serena integration', { 
-      task: task.substr(0, 60) + '...', 
-      participants,
-      domain,
-      priority,
-      arch: process.arch,
-      serenaAvailable: this.serenaAvailable
-    });
-
-    const results = {};
-    const errors = {};
-    const startTime = Date.now();
-
-    // Process each participant with enhanced error handling and Serena integration
-    for (const participant of participants) {
-      try {
-        this.log('debug', `Calling enhanced participant: ${participant}`, { 
-          domain, 
-          priority,
-          serenaMode: participant === 'serena' && this.serenaAvailable
-        });
-        
-        const result = await this.callParticipantEnhanced(participant, task, content, domain, priority);
-        results[participant] = result;
-        
-        this.log('info', `Enhanced success from ${participant}`, { 
-          responseLength: result.length,
-          processingTime: Date.now() - startTime,
-          domain
-        });
-        
-      } catch (error) {
-        this.log('error', `Enhanced error from ${participant}`, { 
-          error: error.message,
-          participant,
-          domain
-        });
-        errors[participant] = error.message;
-      }
-    }
-
-    return this.generateEnhancedReport(task, content, results, errors, domain, priority, startTime);
-  }
-
-  async callParticipantEnhanced(participant, task, content, domain, priority) {
-    switch (participant) {
-      case 'ollama':
-        return await this.callOllamaEnhanced(task, content, domain, priority);
-      case 'gemini':
-        return await this.callGeminiEnhanced(task, content, domain, priority);
-      case 'codex':
-        return await this.callCodexEnhanced(task, content, domain, priority);
-      case 'serena':
-        return await this.callSerenaEnhanced(task, content, domain, priority);
-      default:
-        throw new Error(`Unknown participant: ${participant}`);
-    }
-  }
-
-  async callSerenaEnhanced(task, content, domain, priority) {
-    this.log('debug', 'Enhanced Serena MCP integration', { 
-      domain, 
-      priority,
-      available: this.serenaAvailable
-    });
-    
-    if (!this.serenaAvailable) {
-      throw new Error('Serena MCP not available - check Claude Desktop configuration');
-    }
-    
-    const prompt = content ? `${task}\n\nContent: ${content}` : task;
-    
-    // Simulate Serena MCP processing time based on priority
-    const processingTime = priority === 'critical' ? 1500 : priority === 'high' ? 2000 : 2500;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    if (domain === 'pressure_vessel') {
-      return `# Serena MCP Engineering Analysis\n\n**Task:** ${task}\n\n**Status:** ✅ Serena MCP collaborative engineering analysis\n\n## Multi-Modal Engineering Assessment\n\n### Serena's Collaborative Insights\n\n**System Integration Analysis:**\n- **Multi-AI Coordination**: Serena validates consensus between Ollama, Gemini, and Codex analyses\n- **Quality Assurance**: Cross-validation of ASME calculations and safety factors\n- **Risk Assessment**: Independent verification of pressure vessel design parameters\n- **Manufacturing Optimization**: Alternative approaches to enhance fabrication efficiency\n\n### Enhanced Engineering Validation\n\n**Pressure Vessel Verification (Serena's Perspective):**\n- **Design Pressure**: 15 bar → Confirmed within safe operating envelope\n- **Material Selection**: ASTM A516 Gr 70 → Validated for temperature range (-10°C to 80°C)\n- **Wall Thickness**: 10mm → Meets minimum requirements with adequate margin\n- **Safety Systems**: 4:1 safety factor → Exceeds industry standards\n\n**Collaborative Consensus Building:**\n1. **Ollama Verification**: Local calculations confirmed accurate\n2. **Gemini Architecture**: System design approach validated\n3. **Codex Implementation**: Code quality and optimization verified\n4. **Serena Synthesis**: All analyses show consistent, safe design\n\n### Multi-AI Collaboration Benefits\n\n**Enhanced Decision Making:**\n- **Distributed Analysis**: Each AI contributes specialized expertise\n- **Consensus Validation**: Multiple independent verifications reduce errors\n- **Knowledge Synthesis**: Combined insights exceed individual AI capabilities\n- **Risk Mitigation**: Cross-checking prevents single-point-of-failure in analysis\n\n### ARM64 Mac Integration\n\n**Serena-Optimized Workflow:**\n- **Parallel Processing**: Utilizes Apple Silicon efficiency cores for background analysis\n- **Memory Optimization**: Leverages unified memory for large engineering datasets\n- **Energy Efficiency**: Maintains extended analysis sessions without thermal throttling\n- **Real-time Collaboration**: Low-latency communication between AI participants\n\n### Manufacturing Recommendations (Serena's Synthesis)\n\n**Fabrication Strategy:**\n- **Quality Control**: Implement multi-stage inspection protocol\n- **Welding Optimization**: Pre-qualified welding procedures for A516 Gr 70\n- **Testing Protocol**: Enhanced hydrostatic testing at 22.5 bar\n- **Documentation**: Comprehensive manufacturing data package\n\n**Risk Mitigation:**\n- **Material Traceability**: Mill test certificate verification\n- **Process Control**: Real-time monitoring during critical operations\n- **Inspection Points**: Strategic quality checkpoints throughout fabrication\n- **Certification**: Third-party verification of ASME compliance\n\n**Collaborative Conclusion**: Serena MCP confirms that the multi-AI analysis provides comprehensive, reliable pressure vessel design validation with excellent safety margins and manufacturing feasibility.\n\n**Recommendation**: Proceed with confidence to detailed engineering and fabrication phases.`;
-    }
-    
-    // General domain analysis
-    return `# Serena MCP Collaborative Analysis\n\n**Task:** ${task}\n\n**Status:** ✅ Serena MCP enhanced collaboration\n\n## Collaborative Intelligence Synthesis\n\n### Serena's Multi-AI Coordination\n\n**Analysis Integration:**\n- **Consensus Building**: Validates and synthesizes insights from all AI participants\n- **Quality Assurance**: Cross-references outputs for consistency and accuracy\n- **Gap Analysis**: Identifies areas requiring additional investigation\n- **Optimization**: Suggests improvements based on collaborative insights\n\n### Enhanced Collaborative Features\n\n**Multi-AI Benefits:**\n- **Distributed Expertise**: Each AI contributes specialized knowledge\n- **Error Reduction**: Multiple independent analyses increase reliability\n- **Creative Solutions**: Combined perspectives generate innovative approaches\n- **Comprehensive Coverage**: Broader analysis scope than single AI\n\n### ARM64 Mac Optimization\n\n**Serena Integration Performance:**\n- **Native Execution**: Optimized for Apple Silicon architecture\n- **Efficient Memory Usage**: Leverages unified memory for large datasets\n- **Parallel Processing**: Utilizes performance cores for intensive analysis\n- **Energy Efficiency**: Maintains productivity without thermal constraints\n\n### Collaborative Workflow Enhancement\n\n**Process Improvements:**\n- **Real-time Validation**: Immediate cross-checking of analysis results\n- **Iterative Refinement**: Continuous improvement through AI feedback loops\n- **Knowledge Synthesis**: Combining insights for superior outcomes\n- **Quality Metrics**: Quantitative assessment of collaborative effectiveness\n\n**Collaborative Assessment**: Serena MCP successfully integrates with the multi-AI system, providing valuable consensus building and quality assurance capabilities.\n\n**System Status**: Enhanced collaborative framework operational with Serena integration.`;
-  }
-
-  async callOllamaEnhanced(task, content, domain, priority) {
-    this.log('debug', 'Enhanced Ollama analysis', { domain, priority, arch: process.arch });
-    
-    const prompt = content ? `${task}\n\nContent: ${content}` : task;
-    
-    // Priority-based processing time
-    const processingTime = priority === 'critical' ? 500 : priority === 'high' ? 800 : 1000;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    if (domain === 'pressure_vessel') {
-      return `# Ollama Enhanced Engineering Analysis\n\n**Task:** ${task}\n**Priority:** ${priority}\n\n**Status:** ✅ Enhanced pressure vessel analysis with Serena collaboration\n\n## Advanced ASME Section VIII Division 1 Analysis\n\n### Enhanced Material & Design Specifications\n- **Material**: Carbon Steel ASTM A516 Grade 70\n- **Allowable Stress**: 138 MPa (20,000 psi) at design temperature\n- **Joint Efficiency**: 1.0 (fully radiographed welds)\n- **Corrosion Allowance**: 3.2mm (1/8 inch)\n- **Design Life**: 20+ years with proper maintenance\n\n### Enhanced Calculations with Serena Validation\n\n**Cylindrical Shell Thickness (UG-27) - Validated:**\n- Design Pressure: 15 bar (1.5 MPa)\n- Internal Radius: 600mm\n- Formula: t = (P×R)/(S×E-0.6×P)\n- Calculation: t = (1.5×600)/(138×1.0-0.6×1.5) = 6.54mm\n- **With Corrosion**: 6.54 + 3.2 = 9.74mm\n- **Recommended**: 10mm (rounded up for safety)\n- **Serena Verification**: ✅ Calculations confirmed accurate\n\n**Ellipsoidal Head Thickness (UG-32) - Cross-Validated:**\n- Factor K = 1.0 for 2:1 ellipsoidal head\n- Formula: t = (P×D×K)/(2×S×E-0.2×P)\n- Required Thickness: 6.54mm\n- **Recommended**: 10mm minimum\n- **Multi-AI Consensus**: ✅ All participants agree on thickness\n\n### Enhanced Safety Analysis\n- **Design Factor**: 4:1 (exceeds ASME minimum of 3.5:1)\n- **Hydrostatic Test**: 22.5 bar (1.5 × design pressure)\n- **Burst Pressure**: ~60 bar (theoretical, 4× safety margin)\n- **Service Life**: >20 years with 0.1mm/year corrosion rate\n- **Operating Envelope**: Validated for -10°C to 80°C range\n\n### ARM64 Mac Enhanced Performance\n- **Calculation Speed**: 45% faster than x86_64 baseline\n- **Energy Efficiency**: 50% less power consumption for extended analysis\n- **Memory Utilization**: Optimal use of unified memory architecture\n- **Thermal Performance**: No throttling during intensive calculations\n- **Local Processing**: Design data remains confidential on device\n\n### Collaborative Integration Benefits\n- **Multi-AI Validation**: Cross-checked by Gemini, Codex, and Serena\n- **Error Reduction**: 85% decrease in calculation errors through consensus\n- **Quality Assurance**: Independent verification of all critical parameters\n- **Enhanced Confidence**: Multiple AI perspectives increase design reliability\n\n### Manufacturing Readiness Assessment\n- **Material Availability**: ASTM A516 Gr 70 readily available\n- **Fabrication Complexity**: Standard vessel construction techniques\n- **Welding Requirements**: Qualified procedures for carbon steel\n- **Testing Protocol**: Standard hydrostatic testing capabilities\n- **Timeline Estimate**: 6-8 weeks from material procurement to testing\n\n**Enhanced Recommendation**: Design meets and exceeds all ASME requirements with excellent safety margins. Multi-AI collaboration confirms design integrity. Ready for detailed engineering and fabrication.`;
-    }
-    
-    return `# Ollama Enhanced Analysis\n\n**Task:** ${task}\n**Priority:** ${priority}\n\n**Status:** ✅ Enhanced analysis with Serena collaboration\n\n**Enhanced Capabilities:**\n- ARM64 Mac native optimization\n- Priority-based processing (${priority} priority)\n- Multi-AI collaborative validation\n- Enhanced error handling and logging\n- Improved session management\n\n**Collaborative Benefits:**\n- Cross-validation with Gemini, Codex, and Serena\n- Enhanced accuracy through consensus building\n- Reduced single-point-of-failure risks\n- Comprehensive multi-perspective analysis\n\n**Platform Optimization**: Enhanced ARM64 performance with ${processingTime}ms processing time for ${priority} priority tasks.`;
-  }
-
-  async callGeminiEnhanced(task, content, domain, priority) {
-    this.log('debug', 'Enhanced Gemini simulation with Serena integration', { domain, priority });
-    
-    const processingTime = priority === 'critical' ? 1500 : priority === 'high' ? 1800 : 2000;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    if (domain === 'pressure_vessel') {
-      return `# Gemini Enhanced Architecture Analysis\n\n**Task:** ${task}\n**Priority:** ${priority}\n\n**Status:** ✅ Comprehensive engineering architecture with Serena collaboration\n\n## Enhanced System Architecture & Compliance\n\n### ASME Compliance Framework with Multi-AI Validation\n\n**Enhanced Code Requirements Matrix:**\n- ✅ **UG-20**: Vessel design requirements (Serena verified)\n- ✅ **UG-27**: Shell thickness calculations (Ollama confirmed)\n- ✅ **UG-32**: Head thickness requirements (Codex validated)\n- ✅ **UW-11**: Welding procedure specifications\n- ⚠️ **UG-99**: Pressure testing protocols (requires site-specific adaptation)\n- ✅ **UCS-56**: Carbon steel material properties\n- ✅ **UG-120**: Nameplate and marking requirements\n\n### Enhanced Risk-Based Design Analysis\n\n**Comprehensive FMEA with Multi-AI Input:**\n1. **Overpressure Scenario**\n   - Probability: Very Low (1×10⁻⁶)\n   - Severity: High (catastrophic failure)\n   - Detection: High (pressure relief systems)\n   - **Serena Assessment**: Adequate protection systems\n\n2. **Corrosion Degradation**\n   - Probability: Medium (expected over time)\n   - Severity: Medium (gradual wall thinning)\n   - Detection: Medium (periodic inspection)\n   - **Multi-AI Consensus**: 3.2mm allowance sufficient\n\n3. **Fatigue Failure**\n   - Probability: Low (designed for static pressure)\n   - Severity: High (potential crack propagation)\n   - Detection: Low (requires NDT)\n   - **Collaborative Recommendation**: Implement periodic inspection program\n\n### Enhanced Manufacturing Strategy with Serena Insights\n\n**Optimized Fabrication Sequence:**\n1. **Material Procurement** (Weeks 1-2)\n   - Mill test certificate verification\n   - Impact testing at design temperature\n   - **Serena Quality Check**: Material traceability protocol\n\n2. **Fabrication Phase** (Weeks 3-6)\n   - CNC cutting with edge preparation\n   - Shell rolling and longitudinal seam welding\n   - Head forming and circumferential welding\n   - **Multi-AI Monitoring**: Real-time quality validation\n\n3. **Post-Fabrication** (Weeks 7-8)\n   - Post-weld heat treatment (PWHT)\n   - Non-destructive testing (100% RT)\n   - Hydrostatic pressure testing\n   - **Collaborative Verification**: Multi-point quality assurance\n\n### Enhanced Quality Assurance Protocol\n\n**Multi-Level Inspection Strategy:**\n- **Level 1**: Automated monitoring (dimensional, visual)\n- **Level 2**: Skilled technician inspection (welding, surface)\n- **Level 3**: Third-party verification (pressure testing, certification)\n- **Level 4**: AI-assisted analysis (pattern recognition, predictive maintenance)\n\n### Advanced ARM64 Engineering Workflow\n\n**Enhanced Collaborative Integration:**\n- **Real-time Design Validation**: Multi-AI consensus on design changes\n- **Parallel Processing**: Distributed analysis across AI participants\n- **Energy-Efficient Computing**: Extended analysis sessions on Apple Silicon\n- **Secure Collaboration**: Local processing maintains design confidentiality\n\n### Manufacturing Cost Optimization\n\n**Serena-Enhanced Cost Analysis:**\n- **Material Cost**: $8,500 (ASTM A516 Gr 70, including waste factor)\n- **Fabrication Cost**: $12,000 (160 hours @ $75/hour)\n- **Testing/Certification**: $3,500 (hydrostatic test, documentation)\n- **Total Estimated Cost**: $24,000 ± 15%\n- **Cost Optimization**: 12% savings through multi-AI process optimization\n\n### Environmental Impact Assessment\n\n**Enhanced Lifecycle Analysis:**\n- **Manufacturing Carbon Footprint**: 2.8 tons CO₂ equivalent\n- **Transport Impact**: 0.4 tons CO₂ equivalent\n- **Operational Efficiency**: 20-year service life minimizes replacement impact\n- **End-of-Life**: 95% recyclable steel content\n\n**Enhanced Recommendation**: Architecture supports efficient manufacturing with comprehensive quality assurance. Multi-AI collaboration ensures optimal design validation and risk mitigation. Ready for implementation with confidence.`;
-    }
-    
-    return `# Gemini Enhanced Analysis\n\n**Task:** ${task}\n**Priority:** ${priority}\n\n**Enhanced Architectural Assessment:**\n- Multi-AI collaborative framework validated\n- Serena integration enhances consensus building\n- ARM64 Mac optimization confirmed\n- Enhanced error handling and session management\n\n**System Architecture**: Enhanced collaborative framework with Serena integration provides superior analysis capabilities and reliability.`;
-  }
-
-  async callCodexEnhanced(task, content, domain, priority) {
-    this.log('debug', 'Enhanced Codex simulation with Serena integration', { domain, priority });
-    
-    const processingTime = priority === 'critical' ? 1200 : priority === 'high' ? 1400 : 1500;
-    await new Promise(resolve => setTimeout(resolve, processingTime));
-    
-    if (domain === 'pressure_vessel') {
-      return `# Codex Enhanced Implementation Analysis\n\n**Task:** ${task}\n**Priority:** ${priority}\n\n**Status:** ✅ Advanced calculation engine with Serena collaboration\n\n## Enhanced Computational Implementation\n\n### ARM64-Optimized ASME Calculator with Serena Integration\n\n\`\`\`python\n#!/usr/bin/env python3\n# Enhanced ASME Section VIII Div 1 Calculator\n# Multi-AI Collaborative System with Serena Integration\n# Optimized for Apple Silicon ARM64 architecture\n\nimport numpy as np\nimport pandas as pd\nfrom dataclasses import dataclass, field\nfrom typing import Dict, List, Optional, Tuple, Any\nfrom concurrent.futures import ProcessPoolExecutor, ThreadPoolExecutor\nimport asyncio\nimport logging\nimport json\nfrom pathlib import Path\n\n# Enhanced logging configuration\nlogging.basicConfig(\n    level=logging.INFO,\n    format='%(asctime)s - %(name)s - %(levelname)s - %(message)s'\n)\nlogger = logging.getLogger('ASMECalculator')\n\n@dataclass\nclass EnhancedVesselSpecs:\n    \"\"\"Enhanced vessel specifications with Serena validation\"\"\"\n    diameter: float = 1.2  # meters\n    length: float = 3.0    # meters\n    pressure: float = 15   # bar\n    temp_min: float = -10  # Celsius\n    temp_max: float = 80   # Celsius\n    material: str = \"A516-70\"\n    corrosion_allowance: float = 3.2  # mm\n    joint_efficiency: float = 1.0\n    design_life: int = 20  # years\n    priority: str = \"medium\"\n    serena_validated: bool = False\n    \n    def __post_init__(self):\n        \"\"\"Enhanced validation with Serena integration\"\"\"\n        self._validate_specifications()\n        self.serena_validated = True\n        logger.info(f\"Serena-validated specs: {self.diameter}m x {self.length}m @ {self.pressure} bar\")\n    \n    def _validate_specifications(self):\n        \"\"\"Comprehensive specification validation\"\"\"\n        validations = [\n            (self.pressure > 0, \"Pressure must be positive\"),\n            (self.diameter > 0, \"Diameter must be positive\"),\n            (self.length > 0, \"Length must be positive\"),\n            (self.temp_max > self.temp_min, \"Max temperature must exceed min temperature\"),\n            (self.joint_efficiency <= 1.0, \"Joint efficiency cannot exceed 1.0\"),\n            (self.corrosion_allowance >= 0, \"Corrosion allowance must be non-negative\")\n        ]\n        \n        for condition, message in validations:\n            if not condition:\n                raise ValueError(f\"Serena validation failed: {message}\")\n\nclass MultiAICollaborativeCalculator:\n    \"\"\"Enhanced ASME calculator with multi-AI collaboration\"\"\"\n    \n    def __init__(self, specs: EnhancedVesselSpecs):\n        self.specs = specs\n        self.material_database = self._load_material_database()\n        self.ai_participants = ['ollama', 'gemini', 'codex', 'serena']\n        self.consensus_threshold = 0.75  # 75% agreement required\n        self.calculation_history = []\n        \n        logger.info(f\"Initialized multi-AI calculator with {len(self.ai_participants)} participants\")\n    \n    def _load_material_database(self) -> Dict[str, Dict[str, Any]]:\n        \"\"\"Enhanced material database with Serena validation\"\"\"\n        return {\n            \"A516-70\": {\n                \"allowable_stress_mpa\": 138.0,\n                \"joint_efficiency\": 1.0,\n                \"density_kg_m3\": 7850,\n                \"yield_strength_mpa\": 262,\n                \"ultimate_strength_mpa\": 485,\n                \"elastic_modulus_gpa\": 200,\n                \"poisson_ratio\": 0.27,\n                \"thermal_expansion\": 11.7e-6,  # per °C\n                \"serena_approved\": True\n            }\n        }\n    \n    async def calculate_shell_thickness_collaborative(self) -> Dict[str, float]:\n        \"\"\"Multi-AI collaborative shell thickness calculation\"\"\"\n        logger.info(\"Starting collaborative shell thickness calculation\")\n        \n        # Individual AI calculations\n        ai_results = {}\n        for ai in self.ai_participants:\n            result = await self._ai_calculate_shell_thickness(ai)\n            ai_results[ai] = result\n            logger.debug(f\"{ai} calculated thickness: {result['recommended_mm']}mm\")\n        \n        # Consensus building\n        consensus_result = self._build_consensus(ai_results)\n        consensus_result['ai_agreement'] = self._calculate_agreement(ai_results)\n        consensus_result['validated_by'] = list(ai_results.keys())\n        \n        self.calculation_history.append({\n            'calculation_type': 'shell_thickness',\n            'individual_results': ai_results,\n            'consensus': consensus_result,\n            'timestamp': pd.Timestamp.now().isoformat()\n        })\n        \n        return consensus_result\n    \n    async def _ai_calculate_shell_thickness(self, ai_participant: str) -> Dict[str, float]:\n        \"\"\"Simulate individual AI calculation with slight variations\"\"\"\n        # Base ASME calculation\n        P = self.specs.pressure * 0.1  # Convert bar to MPa\n        R = (self.specs.diameter * 1000) / 2  # Convert m to mm\n        S = self.material_database[self.specs.material][\"allowable_stress_mpa\"]\n        E = self.specs.joint_efficiency\n        \n        # AI-specific calculation variations (simulating different approaches)\n        ai_factors = {\n            'ollama': 1.00,    # Conservative baseline\n            'gemini': 0.98,    # Slightly optimized\n            'codex': 1.02,     # Includes implementation safety\n            'serena': 0.99     # Balanced approach\n        }\n        \n        factor = ai_factors.get(ai_participant, 1.0)\n        \n        # ASME formula with AI-specific factor\n        t_required = (P * R * factor) / (S * E - 0.6 * P)\n        t_with_corr = t_required + self.specs.corrosion_allowance\n        t_recommended = max(10.0, np.ceil(t_with_corr))\n        \n        # Simulate AI processing delay\n        await asyncio.sleep(0.1)\n        \n        return {\n            \"ai_participant\": ai_participant,\n            \"required_mm\": round(t_required, 2),\n            \"with_corrosion_mm\": round(t_with_corr, 2),\n            \"recommended_mm\": t_recommended,\n            \"safety_factor\": round(S * E / (P * R / t_recommended + 0.6 * P), 2),\n            \"calculation_factor\": factor\n        }\n    \n    def _build_consensus(self, ai_results: Dict[str, Dict[str, float]]) -> Dict[str, float]:\n        \"\"\"Build consensus from multiple AI calculations\"\"\"\n        thickness_values = [result['recommended_mm'] for result in ai_results.values()]\n        \n        return {\n            \"recommended_mm\": float(np.median(thickness_values)),\n            \"min_thickness_mm\": float(np.min(thickness_values)),\n            \"max_thickness_mm\": float(np.max(thickness_values)),\n            \"std_deviation_mm\": float(np.std(thickness_values)),\n            \"confidence_level\": self._calculate_confidence(thickness_values)\n        }\n    \n    def _calculate_agreement(self, ai_results: Dict[str, Dict[str, float]]) -> float:\n        \"\"\"Calculate agreement percentage between AI participants\"\"\"\n        thickness_values = [result['recommended_mm'] for result in ai_results.values()]\n        variation_coefficient = np.std(thickness_values) / np.mean(thickness_values)\n        agreement = max(0, 1 - variation_coefficient * 5)  # Scale to 0-1\n        return round(agreement * 100, 1)\n    \n    def _calculate_confidence(self, values: List[float]) -> float:\n        \"\"\"Calculate confidence level based on value distribution\"\"\"\n        if len(values) < 2:\n            return 0.5\n        \n        cv = np.std(values) / np.mean(values)  # Coefficient of variation\n        confidence = max(0.5, 1 - cv * 2)  # Higher confidence for lower variation\n        return round(confidence, 3)\n    \n    def generate_collaborative_report(self) -> str:\n        \"\"\"Generate comprehensive multi-AI collaboration report\"\"\"\n        if not self.calculation_history:\n            return \"No calculations performed yet.\"\n        \n        latest = self.calculation_history[-1]\n        consensus = latest['consensus']\n        \n        report = f\"\"\"\n# Multi-AI Collaborative ASME Calculation Report\n## Enhanced with Serena Integration\n\n### Vessel Specifications (Serena Validated: {self.specs.serena_validated})\n- Diameter: {self.specs.diameter}m\n- Length: {self.specs.length}m\n- Design Pressure: {self.specs.pressure} bar\n- Material: {self.specs.material}\n- Priority: {self.specs.priority}\n\n### Collaborative Shell Thickness Analysis\n- **Consensus Thickness**: {consensus['recommended_mm']}mm\n- **Range**: {consensus['min_thickness_mm']}mm - {consensus['max_thickness_mm']}mm\n- **Standard Deviation**: {consensus['std_deviation_mm']:.2f}mm\n- **AI Agreement**: {consensus.get('ai_agreement', 'N/A')}%\n- **Confidence Level**: {consensus['confidence_level']:.1%}\n\n### Individual AI Contributions\n\"\"\"\n        \n        for ai, result in latest['individual_results'].items():\n            report += f\"- **{ai.upper()}**: {result['recommended_mm']}mm (factor: {result.get('calculation_factor', 1.0):.2f})\\n\"\n        \n        report += f\"\"\"\n\n### Multi-AI Validation Benefits\n- **Error Reduction**: Consensus approach reduces calculation errors\n- **Enhanced Reliability**: Multiple independent validations\n- **Optimized Design**: Balanced approach from different AI perspectives\n- **Quality Assurance**: Cross-validation ensures accuracy\n\n### ARM64 Performance Metrics\n- **Calculation Time**: {len(self.ai_participants) * 0.1:.1f}s (parallel processing)\n- **Memory Efficiency**: Optimized for unified memory architecture\n- **Energy Consumption**: 40% reduction vs x86_64\n- **Scalability**: Linear scaling with additional AI participants\n\n**Multi-AI Recommendation**: Proceed with {consensus['recommended_mm']}mm thickness based on {consensus.get('ai_agreement', 'high')}% AI agreement.\n\"\"\"\n        return report\n\n# ARM64 Optimization Class Enhanced\nclass EnhancedARM64Optimizer:\n    \"\"\"Advanced ARM64 optimizations with Serena integration\"\"\"\n    \n    @staticmethod\n    async def parallel_multi_ai_analysis(specifications: List[EnhancedVesselSpecs]) -> List[Dict]:\n        \"\"\"Parallel analysis of multiple vessels with multi-AI collaboration\"\"\"\n        async def analyze_vessel(spec):\n            calculator = MultiAICollaborativeCalculator(spec)\n            result = await calculator.calculate_shell_thickness_collaborative()\n            return {\n                'vessel_id': f\"{spec.diameter}x{spec.length}_{spec.pressure}bar\",\n                'analysis': result,\n                'report': calculator.generate_collaborative_report()\n            }\n        \n        # Process vessels in parallel using ARM64 cores\n        tasks = [analyze_vessel(spec) for spec in specifications]\n        results = await asyncio.gather(*tasks)\n        \n        logger.info(f\"Completed parallel analysis of {len(specifications)} vessels\")\n        return results\n    \n    @staticmethod\n    def optimize_numpy_for_arm64():\n        \"\"\"Configure NumPy for optimal ARM64 performance\"\"\"\n        try:\n            # Enable Apple's Accelerate framework if available\n            import numpy.core._multiarray_umath\n            logger.info(\"NumPy ARM64 optimization active\")\n        except ImportError:\n            logger.warning(\"ARM64 optimization not available\")\n\n# Example Usage for Enhanced Multi-AI System\nif __name__ == \"__main__\":\n    async def main():\n        # Initialize ARM64 optimizations\n        EnhancedARM64Optimizer.optimize_numpy_for_arm64()\n        \n        # Create enhanced vessel with Serena validation\n        vessel = EnhancedVesselSpecs(\n            diameter=1.2,\n            pressure=15,\n            material=\"A516-70\",\n            priority=\"high\"\n        )\n        \n        # Perform multi-AI collaborative calculation\n        calculator = MultiAICollaborativeCalculator(vessel)\n        result = await calculator.calculate_shell_thickness_collaborative()\n        \n        # Generate and display report\n        report = calculator.generate_collaborative_report()\n        print(report)\n        \n        logger.info(f\"Multi-AI analysis complete: {result['ai_agreement']}% agreement\")\n    \n    # Run the enhanced collaborative analysis\n    asyncio.run(main())\n\`\`\`\n\n### Enhanced Performance Benchmarks (ARM64 Mac with Serena)\n\n**Collaborative Computation Performance:**\n- **Multi-AI Calculation**: <0.4s for 4-participant analysis\n- **Consensus Building**: <0.05s for agreement calculation\n- **Memory Efficiency**: 6MB for collaborative session (25% reduction)\n- **Parallel Scaling**: 94% efficiency across AI participants\n- **Energy Consumption**: 42% less than x86_64 equivalent\n\n**Enhanced Code Quality Metrics:**\n- **Test Coverage**: 98% (including multi-AI scenarios)\n- **Complexity**: Cyclomatic 2.5 (optimized for collaboration)\n- **Documentation**: 96% coverage with Serena integration notes\n- **Type Safety**: Full async/await mypy compliance\n- **Reliability**: 99.8% calculation consistency across AI participants\n\n**Serena Integration Benefits:**\n- **Consensus Validation**: Independent verification of all calculations\n- **Quality Assurance**: Multi-point validation reduces errors by 89%\n- **Enhanced Confidence**: Cross-AI validation increases design reliability\n- **Process Optimization**: Collaborative workflows improve efficiency\n\n**Implementation Status**: ✅ Production-ready with enhanced multi-AI collaboration, comprehensive ARM64 optimization, and integrated Serena validation framework.`;
-    }
-    
-    return `# Codex Enhanced Analysis\n\n**Task:** ${task}\n**Priority:** ${priority}\n\n**Enhanced Implementation:**\n- Multi-AI collaborative framework\n- Serena integration for consensus building\n- ARM64 Mac optimization with ${processingTime}ms processing\n- Enhanced error handling and async processing\n- Priority-based resource allocation\n\n**Code Quality**: A+ with comprehensive multi-AI collaboration and ARM64 optimizations.`;
-  }
-
-  generateEnhancedReport(task, content, results, errors, domain, priority, startTime) {
-    const timestamp = new Date().toISOString();
-    const processingTime = Date.now() - startTime;
-    const successCount = Object.keys(results).length;
-    const errorCount = Object.keys(errors).length;
-    const totalParticipants = successCount + errorCount;
-
-    let report = `# 🤖 Enhanced Multi-AI Collaborative Analysis with Serena Integration\n\n`;
-    report += `**Task:** ${task}\n`;
-    report += `**Domain:** ${domain}\n`;
-    report += `**Priority:** ${priority}\n`;
-    report += `**Generated:** ${timestamp}\n`;
-    report += `**Platform:** ${process.platform} ${process.arch}\n`;
-    report += `**Node.js:** ${process.version}\n`;
-    report += `**Processing Time:** ${processingTime}ms\n`;
-    report += `**Participants:** ${totalParticipants} AI models\n`;
-    report += `**Success Rate:** ${successCount}/${totalParticipants} (${Math.round(successCount/totalParticipants*100)}%)\n`;
-    report += `**Session:** ${this.sessionToken.substr(0, 25)}...\n`;
-    report += `**Serena Integration:** ${this.serenaAvailable ? '✅ Active' : '⚠️ Pending'}\n\n`;
-
-    // Add enhanced results with collaborative context
-    for (const [participant, result] of Object.entries(results)) {
-      const isSerena = participant === 'serena';
-      const icon = isSerena ? '🤝' : participant === 'ollama' ? '🏠' : participant === 'gemini' ? '🏗️' : '💻';
-      report += `## ${icon} ${participant.toUpperCase()} Analysis\n\n${result}\n\n---\n\n`;
-    }
-
-    // Add enhanced error reporting
-    for (const [participant, error] of Object.entries(errors)) {
-      report += `## ❌ ${participant.toUpperCase()} Error\n\n**Error:** ${error}\n**Impact:** Analysis continued with remaining participants\n\n---\n\n`;
-    }
-
-    // Enhanced system status with Serena integration
-    report += `## 🔧 Enhanced Collaborative System Status\n\n`;
-    report += `- ✅ ARM64 Mac native optimization active\n`;
-    report += `- ✅ Enhanced error handling and logging\n`;
-    report += `- ✅ Priority-based processing (${priority})\n`;
-    report += `- ✅ stdio MCP protocol stable\n`;
-    report += `- ✅ Multi-domain analysis capability\n`;
-    report += `- ✅ Session management enhanced\n`;
-    report += `- ${this.serenaAvailable ? '✅' : '⚠️'} Serena MCP integration ${this.serenaAvailable ? 'active' : 'pending'}\n\n`;
-
-    // Enhanced collaboration metrics
-    if (successCount > 1) {
-      report += `## 📊 Collaboration Metrics\n\n`;
-      report += `- **Multi-AI Consensus**: ${successCount} participants contributed\n`;
-      report += `- **Validation Coverage**: ${Math.round(successCount/totalParticipants*100)}% of intended participants\n`;
-      report += `- **Quality Assurance**: Cross-validation across ${successCount} AI systems\n`;
-      report += `- **Reliability Factor**: ${successCount >= 3 ? 'High' : successCount >= 2 ? 'Medium' : 'Basic'}\n`;
-      report += `- **Processing Efficiency**: ${Math.round(processingTime/successCount)}ms average per participant\n\n`;
-    }
-
-    // Domain-specific summary
-    if (domain === 'pressure_vessel') {
-      report += `## 🏗️ Engineering Domain Summary\n\n`;
-      report += `- **ASME Compliance**: Section VIII Division 1 validated by ${successCount} AI systems\n`;
-      report += `- **Safety Validation**: Multi-AI consensus on 4:1 safety factors\n`;
-      report += `- **Material Analysis**: ASTM A516 Grade 70 cross-validated\n`;
-      report += `- **Manufacturing Readiness**: Fabrication protocols verified\n`;
-      report += `- **Quality Assurance**: Multi-point validation protocol established\n`;
-      if (this.serenaAvailable && results.serena) {
-        report += `- **Serena Validation**: Independent verification and consensus building\n`;
-      }
-      report += `\n`;
-    }
-
-    report += `*Generated by Enhanced Collaborative MCP Proxy v2.0.0-hybrid*\n`;
-    report += `*ARM64 Mac Optimized • Serena Integration • Multi-AI Validation*\n`;
-    report += `*Session: ${this.sessionToken.substr(0, 25)}... • ${timestamp}*`;
-
-    return report;
-  }
-
-  async cleanup() {
-    this.log('info', 'Enhanced cleanup with Serena integration');
-    
-    for (const [key, process] of this.childProcesses) {
-      if (!process.killed) {
-        process.kill('SIGTERM');
-        this.log('debug', `Terminated process: ${key}`);
-      }
-    }
-    
-    this.childProcesses.clear();
-    this.activeConnections.clear();
-    this.log('info', 'Enhanced cleanup completed');
-  }
-
-  async run() {
-    this.log('info', 'Starting Enhanced Collaborative MCP Server with Serena Integration');
-    this.log('info', `Platform: ${process.platform} ${process.arch}, Node.js: ${process.version}`);
-    this.log('info', `Session: ${this.sessionToken.substr(0, 25)}...`);
-    this.log('info', `Serena MCP: ${this.serenaAvailable ? 'Available' : 'Pending configuration'}`);
-
-    // Enhanced graceful shutdown
-    ['SIGINT', 'SIGTERM'].forEach(signal => {
-      process.on(signal, () => {
-        this.log('info', `Received ${signal}, enhanced shutdown with Serena cleanup`);
-        this.cleanup().finally(() => process.exit(0));
-      });
-    });
-
-    // Enhanced stdio communication
-    let buffer = '';
-    
-    process.stdin.on('data', (data) => {
-      buffer += data.toString();
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-      
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const request = JSON.parse(line);
-            
-            this.handleRequest(request).then(response => {
-              if (response) {
-                // Enhanced output with console.log (Gemini improvement)
-                console.log(JSON.stringify(response));
-              }
-            }).catch(error => {
-              this.log('error', 'Enhanced request error handling', { 
-                error: error.message,
-                method: request.method,
-                stack: error.stack.split('\n')[0]
-              });
-              
-              const errorResponse = {
-                jsonrpc: '2.0',
-                id: request.id,
-                error: {
-                  code: -32603,
-                  message: 'Enhanced error handling: ' + error.message,
-                  data: { 
-                    originalError: error.message,
-                    serverVersion: '2.0.0-hybrid',
-                    serenaIntegrated: this.serenaAvailable
-                  }
-                }
-              };
-              
-              console.log(JSON.stringify(errorResponse));
-            });
-            
-          } catch (error) {
-            this.log('error', 'Enhanced JSON parse error', { 
-              error: error.message, 
-              line: line.substr(0, 100) + '...'
-            });
-          }
-        }
-      }
-    });
-
-    // Enhanced stdin handling with Serena awareness
-    process.stdin.on('end', () => {
-      this.log('info', 'Enhanced stdin ended, Serena-aware shutdown');
-      this.cleanup().finally(() => process.exit(0));
-    });
-
-    process.stdin.on('error', (error) => {
-      if (error.code !== 'EPIPE') {
-        this.log('error', 'Enhanced stdin error handling', { 
-          error: error.message,
-          code: error.code,
-          serenaActive: this.serenaAvailable
-        });
-      }
-    });
-
-    this.log('info', 'Enhanced Collaborative MCP Server with Serena integration ready for requests');
-  }
-}
-
-// Start the enhanced server with Serena integration
-const server = new EnhancedCollaborativeMCPServer();
-server.run().catch(error => {
-  console.error('Enhanced server startup failed:', error);
-  process.exit(1);
-});
\ No newline at end of file
+startServer({ defaultStrategy: 'enhanced' });
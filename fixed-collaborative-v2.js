@@ -2,468 +2,9 @@
 
 /**
  * Fixed Collaborative MCP Server v2
- * ARM64 Mac optimized implementation with correct MCP SDK usage
+ * Sequential analysis and consensus, served by the shared core
  */
 
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
-import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
-import { Client } from "@modelcontextprotocol/sdk/client/index.js";
-import { spawn } from 'child_process';
-import winston from 'winston';
+import { startServer } from './collaborative-server.js';
 
-// Configure structured logging
-const logger = winston.createLogger({
-  level: 'debug',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message, ...meta }) => {
-      return `${timestamp} [${level.toUpperCase()}] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'collaborative-mcp-v2.log' })
-  ]
-});
-
-class FixedCollaborativeMCPServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: "fixed-collaborative-proxy-v2",
-        version: "2.0.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-
-    this.mcpClients = new Map();
-    this.childProcesses = new Map();
-    this.setupHandlers();
-  }
-
-  setupHandlers() {
-    // Use the correct MCP SDK method signature
-    this.server.setRequestHandler("tools/list", async () => {
-      logger.debug('Handling tools/list request');
-      return {
-        tools: [
-          {
-            name: "collaborate",
-            description: "Perform collaborative analysis using multiple AI models with proper ARM64 Mac support",
-            inputSchema: {
-              type: "object",
-              properties: {
-                task: {
-                  type: "string",
-                  description: "Description of the analysis task"
-                },
-                content: {
-                  type: "string",
-                  description: "Content to analyze (optional)"
-                },
-                mode: {
-                  type: "string",
-                  enum: ["plan", "apply", "review"],
-                  description: "Collaboration mode",
-                  default: "apply"
-                },
-                participants: {
-                  type: "array",
-                  items: { type: "string" },
-                  description: "AI participants (gemini, codex, ollama)",
-                  default: ["ollama"]
-                }
-              },
-              required: ["task"]
-            }
-          }
-        ]
-      };
-    });
-
-    this.server.setRequestHandler("tools/call", async (request) => {
-      logger.debug('Handling tools/call request', { toolName: request.params.name });
-      
-      if (request.params.name === "collaborate") {
-        return await this.handleCollaborate(request.params.arguments);
-      }
-      
-      throw new Error(`Unknown tool: ${request.params.name}`);
-    });
-
-    logger.info('Request handlers configured successfully');
-  }
-
-  async handleCollaborate(args) {
-    const { task, content, mode = "apply", participants = ["ollama"] } = args;
-    
-    logger.info('Starting collaborative analysis', { task, mode, participants });
-
-    const results = {};
-    const errors = {};
-    
-    // Process each participant with proper error handling
-    for (const participant of participants) {
-      try {
-        logger.debug(`Processing participant: ${participant}`);
-        results[participant] = await this.callParticipant(participant, task, content);
-        logger.info(`Successfully got response from ${participant}`);
-      } catch (error) {
-        logger.error(`Error from participant ${participant}:`, error);
-        errors[participant] = error.message;
-      }
-    }
-
-    const report = this.generateCollaborativeReport(task, content, results, errors, mode);
-
-    return {
-      content: [{
-        type: "text",
-        text: report
-      }]
-    };
-  }
-
-  async callParticipant(participant, task, content) {
-    switch (participant) {
-      case 'gemini':
-        return await this.callGeminiMCP(task, content);
-      case 'codex':
-        return await this.callCodexMCP(task, content);
-      case 'ollama':
-        return await this.callOllamaMCP(task, content);
-      default:
-        throw new Error(`Unknown participant: ${participant}`);
-    }
-  }
-
-  async callGeminiMCP(task, content) {
-    const clientKey = 'gemini-client';
-    
-    try {
-      if (!this.mcpClients.has(clientKey)) {
-        logger.debug('Creating new Gemini MCP client');
-        await this.createMCPClient(clientKey, 'npx', ['-y', 'gemini-mcp-tool']);
-      }
-
-      const client = this.mcpClients.get(clientKey);
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-
-      logger.debug('Calling Gemini MCP ask-gemini tool');
-      
-      const result = await client.request(
-        {
-          method: "tools/call",
-          params: {
-            name: 'ask-gemini',
-            arguments: {
-              prompt: prompt,
-              model: 'gemini-2.5-pro'
-            }
-          }
-        },
-        { timeoutMs: 30000 }
-      );
-
-      return this.extractTextFromResult(result);
-      
-    } catch (error) {
-      await this.cleanupClient(clientKey);
-      throw new Error(`Gemini MCP call failed: ${error.message}`);
-    }
-  }
-
-  async callCodexMCP(task, content) {
-    const clientKey = 'codex-client';
-    
-    try {
-      if (!this.mcpClients.has(clientKey)) {
-        logger.debug('Creating new Codex MCP client');
-        await this.createMCPClient(clientKey, '/usr/local/bin/codex-mcp', []);
-      }
-
-      const client = this.mcpClients.get(clientKey);
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-
-      logger.debug('Calling Codex MCP');
-      
-      const result = await client.request(
-        {
-          method: "tools/call",
-          params: {
-            name: 'codex',
-            arguments: {
-              prompt: prompt
-            }
-          }
-        },
-        { timeoutMs: 30000 }
-      );
-
-      return this.extractTextFromResult(result);
-      
-    } catch (error) {
-      await this.cleanupClient(clientKey);
-      throw new Error(`Codex MCP call failed: ${error.message}`);
-    }
-  }
-
-  async callOllamaMCP(task, content) {
-    try {
-      logger.debug('Calling Ollama (simulated)');
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-      
-      // Simulate Ollama response - replace with actual Ollama API call
-      const response = `# Ollama Analysis Results\n\n**Task:** ${task}\n\n**Analysis:**\n\nThis is a simulated Ollama response demonstrating successful ARM64 Mac collaborative MCP functionality. The task has been processed and analyzed using the local Ollama model.\n\n**Key Points:**\n- ARM64 Mac compatibility verified ✅\n- MCP protocol communication stable ✅\n- Collaborative analysis framework operational ✅\n\n**Technical Details:**\nThe fixed collaborative MCP server successfully:\n1. Resolved WebSocket connection issues\n2. Eliminated stdout.flush() errors\n3. Fixed EPIPE handling\n4. Implemented proper MCP SDK usage\n\n**Recommendations:**\nThe system is now ready for production use with multiple AI models in collaborative analysis scenarios.`;
-      
-      // Simulate some processing time
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      return response;
-      
-    } catch (error) {
-      throw new Error(`Ollama call failed: ${error.message}`);
-    }
-  }
-
-  async createMCPClient(clientKey, command, args) {
-    return new Promise((resolve, reject) => {
-      logger.debug(`Creating MCP client for ${clientKey}: ${command} ${args.join(' ')}`);
-      
-      const childProcess = spawn(command, args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: false,
-        detached: false,
-        env: { ...process.env }
-      });
-
-      // Handle process lifecycle events
-      childProcess.on('error', (error) => {
-        logger.error(`Failed to spawn ${clientKey}:`, error);
-        reject(new Error(`Failed to spawn ${command}: ${error.message}`));
-      });
-
-      childProcess.on('exit', (code, signal) => {
-        logger.warn(`${clientKey} process exited`, { code, signal });
-        this.cleanupClient(clientKey);
-      });
-
-      // Monitor stderr for debugging
-      childProcess.stderr.on('data', (data) => {
-        logger.debug(`${clientKey} STDERR:`, data.toString().trim());
-      });
-
-      // Store the process reference
-      this.childProcesses.set(clientKey, childProcess);
-
-      try {
-        // Create transport with proper error handling
-        const transport = new StdioClientTransport({
-          stdin: childProcess.stdin,
-          stdout: childProcess.stdout,
-          stderr: childProcess.stderr
-        });
-
-        const client = new Client(
-          { name: `collab-${clientKey}`, version: '2.0.0' },
-          { capabilities: {} }
-        );
-
-        // Set up connection timeout
-        const connectTimeout = setTimeout(() => {
-          logger.error(`${clientKey} connection timeout`);
-          reject(new Error(`${clientKey} connection timeout`));
-        }, 15000);
-
-        // Connect the client
-        client.connect(transport).then(() => {
-          clearTimeout(connectTimeout);
-          logger.info(`Successfully connected to ${clientKey}`);
-          this.mcpClients.set(clientKey, client);
-          resolve(client);
-        }).catch((error) => {
-          clearTimeout(connectTimeout);
-          logger.error(`${clientKey} connection failed:`, error);
-          this.cleanupClient(clientKey);
-          reject(new Error(`${clientKey} connection failed: ${error.message}`));
-        });
-
-      } catch (error) {
-        logger.error(`Error creating ${clientKey} client:`, error);
-        reject(error);
-      }
-    });
-  }
-
-  async cleanupClient(clientKey) {
-    try {
-      // Close MCP client
-      if (this.mcpClients.has(clientKey)) {
-        const client = this.mcpClients.get(clientKey);
-        try {
-          await client.close();
-        } catch (error) {
-          logger.warn(`Error closing ${clientKey} client:`, error);
-        }
-        this.mcpClients.delete(clientKey);
-      }
-
-      // Kill child process with proper signal handling
-      if (this.childProcesses.has(clientKey)) {
-        const childProcess = this.childProcesses.get(clientKey);
-        if (!childProcess.killed) {
-          childProcess.kill('SIGTERM');
-          
-          // Force kill after grace period
-          setTimeout(() => {
-            if (!childProcess.killed) {
-              logger.warn(`Force killing ${clientKey} process`);
-              childProcess.kill('SIGKILL');
-            }
-          }, 5000);
-        }
-        this.childProcesses.delete(clientKey);
-      }
-    } catch (error) {
-      logger.error(`Error during cleanup of ${clientKey}:`, error);
-    }
-  }
-
-  extractTextFromResult(result) {
-    const texts = [];
-    if (result && result.content) {
-      for (const item of result.content) {
-        if (item.type === 'text' && item.text) {
-          texts.push(item.text);
-        }
-      }
-    }
-    return texts.join('\n') || 'No text content returned from MCP call';
-  }
-
-  generateCollaborativeReport(task, content, results, errors, mode) {
-    const timestamp = new Date().toISOString();
-    const successCount = Object.keys(results).length;
-    const errorCount = Object.keys(errors).length;
-    const totalAttempted = successCount + errorCount;
-
-    let report = `# 🤖 Collaborative AI Analysis Report (ARM64 Mac Optimized)\n\n`;
-    report += `**Task:** ${task}\n`;
-    report += `**Mode:** ${mode}\n`;
-    report += `**Generated:** ${timestamp}\n`;
-    report += `**Success Rate:** ${successCount}/${totalAttempted} AI models responded\n`;
-    report += `**Platform:** ARM64 Mac • Node.js ${process.version}\n\n`;
-
-    // Add successful results
-    for (const [participant, result] of Object.entries(results)) {
-      report += `## 🧠 ${participant.toUpperCase()} Analysis\n\n`;
-      report += `${result}\n\n`;
-      report += `---\n\n`;
-    }
-
-    // Add error information
-    if (errorCount > 0) {
-      report += `## ⚠️ Connection Issues\n\n`;
-      for (const [participant, error] of Object.entries(errors)) {
-        report += `**${participant}:** ${error}\n\n`;
-      }
-      report += `---\n\n`;
-    }
-
-    // Add collaboration summary
-    if (successCount > 0) {
-      report += `## 🔄 Collaboration Summary\n\n`;
-      
-      if (successCount > 1) {
-        report += `Successfully coordinated ${successCount} AI models for comprehensive analysis. `;
-        report += `Each model provided unique perspectives that complement each other.\n\n`;
-      } else {
-        report += `Single AI model provided analysis. System is ready for multi-model collaboration.\n\n`;
-      }
-      
-      report += `**Technical Status:**\n`;
-      report += `- ✅ ARM64 Mac compatibility verified\n`;
-      report += `- ✅ MCP protocol handshake successful\n`;
-      report += `- ✅ WebSocket connection issues resolved\n`;
-      report += `- ✅ EPIPE and stdout.flush errors fixed\n`;
-      report += `- ✅ Process lifecycle management stable\n\n`;
-    }
-
-    report += `## 🛠 System Information\n\n`;
-    report += `- **Server:** Fixed Collaborative MCP Proxy v2.0\n`;
-    report += `- **Protocol:** MCP 2025-06-18\n`;
-    report += `- **Platform:** ${process.platform} ${process.arch}\n`;
-    report += `- **Node.js:** ${process.version}\n`;
-    report += `- **Memory Usage:** ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB\n\n`;
-
-    report += `---\n`;
-    report += `*Generated by Fixed Collaborative MCP Proxy v2.0*\n`;
-    report += `*Optimized for ARM64 Mac • Expert-reviewed architecture*\n`;
-    report += `*Timestamp: ${timestamp}*`;
-
-    return report;
-  }
-
-  async cleanup() {
-    logger.info('Cleaning up all clients and processes');
-    
-    const cleanupPromises = [];
-    for (const clientKey of this.mcpClients.keys()) {
-      cleanupPromises.push(this.cleanupClient(clientKey));
-    }
-    
-    await Promise.allSettled(cleanupPromises);
-    logger.info('Cleanup completed');
-  }
-
-  async run() {
-    logger.info('Starting Fixed Collaborative MCP Server v2.0');
-    logger.info(`Platform: ${process.platform} ${process.arch}, Node.js: ${process.version}`);
-    
-    const transport = new StdioServerTransport();
-    
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      logger.info('Received SIGINT, shutting down gracefully');
-      await this.cleanup();
-      process.exit(0);
-    });
-
-    process.on('SIGTERM', async () => {
-      logger.info('Received SIGTERM, shutting down gracefully');
-      await this.cleanup();
-      process.exit(0);
-    });
-
-    // Handle uncaught errors
-    process.on('uncaughtException', (error) => {
-      logger.error('Uncaught exception:', error);
-      this.cleanup().finally(() => process.exit(1));
-    });
-
-    process.on('unhandledRejection', (reason, promise) => {
-      logger.error('Unhandled rejection at:', promise, 'reason:', reason);
-    });
-
-    try {
-      await this.server.connect(transport);
-      logger.info('Fixed Collaborative MCP Server v2.0 connected and ready!');
-      logger.info('Ready to handle collaborative analysis requests');
-    } catch (error) {
-      logger.error('Failed to start server:', error);
-      process.exit(1);
-    }
-  }
-}
-
-// Start the server
-const server = new FixedCollaborativeMCPServer();
-server.run().catch((error) => {
-  logger.error('Server startup failed:', error);
-  process.exit(1);
-});
\ No newline at end of file
+startServer({ defaultStrategy: 'sequential' });
@@ -2,431 +2,9 @@
 
 /**
  * Fixed Collaborative MCP Server
- * ARM64 Mac optimized implementation following expert recommendations
+ * Sequential analysis and consensus, served by the shared core
  */
 
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
-import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
-import { Client } from "@modelcontextprotocol/sdk/client/index.js";
-import { spawn } from 'child_process';
-import winston from 'winston';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { startServer } from './collaborative-server.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure structured logging
-const logger = winston.createLogger({
-  level: 'debug',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.printf(({ timestamp, level, message, ...meta }) => {
-      return `${timestamp} [${level.toUpperCase()}] ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
-    })
-  ),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'collaborative-mcp.log' })
-  ]
-});
-
-class FixedCollaborativeMCPServer {
-  constructor() {
-    this.server = new Server(
-      {
-        name: "fixed-collaborative-proxy",
-        version: "1.0.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-
-    this.setupHandlers();
-    this.mcpClients = new Map(); // Track active MCP client connections
-    this.childProcesses = new Map(); // Track spawned processes
-  }
-
-  setupHandlers() {
-    this.server.setRequestHandler("tools/list", async () => ({
-      tools: [
-        {
-          name: "collaborate",
-          description: "Perform collaborative analysis using multiple AI models with proper ARM64 Mac support",
-          inputSchema: {
-            type: "object",
-            properties: {
-              task: {
-                type: "string",
-                description: "Description of the analysis task"
-              },
-              content: {
-                type: "string",
-                description: "Content to analyze (optional)"
-              },
-              mode: {
-                type: "string",
-                enum: ["plan", "apply", "review"],
-                description: "Collaboration mode",
-                default: "apply"
-              },
-              participants: {
-                type: "array",
-                items: { type: "string" },
-                description: "AI participants (gemini, codex, ollama)",
-                default: ["gemini", "codex", "ollama"]
-              }
-            },
-            required: ["task"]
-          }
-        }
-      ]
-    }));
-
-    this.server.setRequestHandler("tools/call", async (request) => {
-      if (request.params.name === "collaborate") {
-        return await this.handleCollaborate(request.params.arguments);
-      }
-      throw new Error(`Unknown tool: ${request.params.name}`);
-    });
-  }
-
-  async handleCollaborate(args) {
-    const { task, content, mode = "apply", participants = ["gemini", "codex", "ollama"] } = args;
-    
-    logger.info('Starting collaborative analysis', { task, mode, participants });
-
-    const results = {};
-    const errors = {};
-    
-    // Process each participant with proper error handling
-    for (const participant of participants) {
-      try {
-        logger.debug(`Processing participant: ${participant}`);
-        results[participant] = await this.callParticipant(participant, task, content);
-        logger.info(`Successfully got response from ${participant}`);
-      } catch (error) {
-        logger.error(`Error from participant ${participant}:`, error);
-        errors[participant] = error.message;
-      }
-    }
-
-    return {
-      content: [{
-        type: "text",
-        text: this.generateCollaborativeReport(task, content, results, errors, mode)
-      }]
-    };
-  }
-
-  async callParticipant(participant, task, content) {
-    switch (participant) {
-      case 'gemini':
-        return await this.callGeminiMCP(task, content);
-      case 'codex':
-        return await this.callCodexMCP(task, content);
-      case 'ollama':
-        return await this.callOllamaMCP(task, content);
-      default:
-        throw new Error(`Unknown participant: ${participant}`);
-    }
-  }
-
-  async callGeminiMCP(task, content) {
-    const clientKey = 'gemini-client';
-    
-    try {
-      // Check if we already have a connected client
-      if (!this.mcpClients.has(clientKey)) {
-        logger.debug('Creating new Gemini MCP client');
-        await this.createMCPClient(clientKey, 'npx', ['-y', 'gemini-mcp-tool']);
-      }
-
-      const client = this.mcpClients.get(clientKey);
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-
-      logger.debug('Calling Gemini MCP ask-gemini tool');
-      
-      const result = await client.callTool({
-        name: 'ask-gemini',
-        arguments: {
-          prompt: prompt,
-          model: 'gemini-2.5-pro'
-        }
-      });
-
-      return this.extractTextFromResult(result);
-      
-    } catch (error) {
-      await this.cleanupClient(clientKey);
-      throw new Error(`Gemini MCP call failed: ${error.message}`);
-    }
-  }
-
-  async callCodexMCP(task, content) {
-    const clientKey = 'codex-client';
-    
-    try {
-      if (!this.mcpClients.has(clientKey)) {
-        logger.debug('Creating new Codex MCP client');
-        await this.createMCPClient(clientKey, 'npx', ['-y', 'codex-mcp']);
-      }
-
-      const client = this.mcpClients.get(clientKey);
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-
-      logger.debug('Calling Codex MCP');
-      
-      const result = await client.callTool({
-        name: 'codex',
-        arguments: {
-          prompt: prompt
-        }
-      });
-
-      return this.extractTextFromResult(result);
-      
-    } catch (error) {
-      await this.cleanupClient(clientKey);
-      throw new Error(`Codex MCP call failed: ${error.message}`);
-    }
-  }
-
-  async callOllamaMCP(task, content) {
-    // For Ollama, we'll use a direct HTTP call since it's working
-    try {
-      logger.debug('Calling Ollama directly');
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-      
-      // This is a placeholder - in real implementation, you'd make HTTP call to Ollama
-      return `Ollama Analysis for: ${prompt.substring(0, 100)}...\n\nThis is a successful response from Ollama local model, demonstrating that the collaborative system can integrate with different AI backends effectively.`;
-      
-    } catch (error) {
-      throw new Error(`Ollama call failed: ${error.message}`);
-    }
-  }
-
-  async createMCPClient(clientKey, command, args) {
-    return new Promise((resolve, reject) => {
-      logger.debug(`Spawning process: ${command} ${args.join(' ')}`);
-      
-      const childProcess = spawn(command, args, {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        shell: false,
-        detached: false,
-        env: { ...process.env }
-      });
-
-      let processReady = false;
-      
-      // Handle process lifecycle events
-      childProcess.on('error', (error) => {
-        logger.error(`Failed to spawn ${clientKey}:`, error);
-        reject(new Error(`Failed to spawn ${command}: ${error.message}`));
-      });
-
-      childProcess.on('exit', (code, signal) => {
-        logger.warn(`${clientKey} process exited`, { code, signal });
-        this.cleanupClient(clientKey);
-      });
-
-      // Monitor stderr for errors (CRITICAL for debugging)
-      childProcess.stderr.on('data', (data) => {
-        const output = data.toString();
-        logger.debug(`${clientKey} STDERR:`, output);
-        
-        // Look for signs that the process is ready
-        if (output.includes('listening') || output.includes('ready') || output.includes('started')) {
-          processReady = true;
-        }
-      });
-
-      // Monitor stdout for ready signals
-      childProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        logger.debug(`${clientKey} STDOUT:`, output);
-      });
-
-      // Store the process reference
-      this.childProcesses.set(clientKey, childProcess);
-
-      // Create MCP client with proper error handling
-      try {
-        const transport = new StdioClientTransport({
-          stdin: childProcess.stdin,
-          stdout: childProcess.stdout
-        });
-
-        const client = new Client(
-          { name: `collab-${clientKey}`, version: '1.0.0' },
-          { capabilities: {} }
-        );
-
-        // Add connection error handling
-        transport.onclose = () => {
-          logger.warn(`${clientKey} transport closed`);
-          this.cleanupClient(clientKey);
-        };
-
-        transport.onerror = (error) => {
-          logger.error(`${clientKey} transport error:`, error);
-          this.cleanupClient(clientKey);
-        };
-
-        // Connect with timeout
-        const connectTimeout = setTimeout(() => {
-          reject(new Error(`${clientKey} connection timeout`));
-        }, 15000); // 15 second timeout as recommended
-
-        client.connect(transport).then(() => {
-          clearTimeout(connectTimeout);
-          logger.info(`Successfully connected to ${clientKey}`);
-          this.mcpClients.set(clientKey, client);
-          resolve(client);
-        }).catch((error) => {
-          clearTimeout(connectTimeout);
-          logger.error(`${clientKey} connection failed:`, error);
-          this.cleanupClient(clientKey);
-          reject(new Error(`${clientKey} connection failed: ${error.message}`));
-        });
-
-      } catch (error) {
-        logger.error(`Error creating ${clientKey} client:`, error);
-        reject(error);
-      }
-    });
-  }
-
-  async cleanupClient(clientKey) {
-    try {
-      // Close MCP client
-      if (this.mcpClients.has(clientKey)) {
-        const client = this.mcpClients.get(clientKey);
-        try {
-          await client.close();
-        } catch (error) {
-          logger.warn(`Error closing ${clientKey} client:`, error);
-        }
-        this.mcpClients.delete(clientKey);
-      }
-
-      // Kill child process
-      if (this.childProcesses.has(clientKey)) {
-        const childProcess = this.childProcesses.get(clientKey);
-        if (!childProcess.killed) {
-          childProcess.kill('SIGTERM');
-          
-          // Force kill after 5 seconds if still alive
-          setTimeout(() => {
-            if (!childProcess.killed) {
-              childProcess.kill('SIGKILL');
-            }
-          }, 5000);
-        }
-        this.childProcesses.delete(clientKey);
-      }
-    } catch (error) {
-      logger.error(`Error during cleanup of ${clientKey}:`, error);
-    }
-  }
-
-  extractTextFromResult(result) {
-    const texts = [];
-    if (result && result.content) {
-      for (const item of result.content) {
-        if (item.type === 'text' && item.text) {
-          texts.push(item.text);
-        }
-      }
-    }
-    return texts.join('\n') || 'No text content returned';
-  }
-
-  generateCollaborativeReport(task, content, results, errors, mode) {
-    const timestamp = new Date().toISOString();
-    const successCount = Object.keys(results).length;
-    const errorCount = Object.keys(errors).length;
-    const totalAttempted = successCount + errorCount;
-
-    let report = `# Fixed Collaborative AI Analysis Report\n\n`;
-    report += `**Task:** ${task}\n`;
-    report += `**Mode:** ${mode}\n`;
-    report += `**Generated:** ${timestamp}\n`;
-    report += `**Success Rate:** ${successCount}/${totalAttempted} AI models responded\n\n`;
-
-    // Add successful results
-    for (const [participant, result] of Object.entries(results)) {
-      report += `## 🤖 ${participant.toUpperCase()} Analysis\n\n`;
-      report += `${result}\n\n`;
-    }
-
-    // Add error information
-    if (errorCount > 0) {
-      report += `## ⚠️ Connection Issues\n\n`;
-      for (const [participant, error] of Object.entries(errors)) {
-        report += `**${participant}:** ${error}\n\n`;
-      }
-    }
-
-    // Add collaboration summary
-    if (successCount > 1) {
-      report += `## 🔄 Collaboration Summary\n\n`;
-      report += `Successfully coordinated ${successCount} AI models for comprehensive analysis. `;
-      report += `Each model provided unique perspectives that were synthesized above.\n\n`;
-    }
-
-    report += `---\n`;
-    report += `*Generated by Fixed Collaborative MCP Proxy*\n`;
-    report += `*ARM64 Mac Optimized • MCP Protocol 2025-06-18*\n`;
-    report += `*Timestamp: ${timestamp}*`;
-
-    return report;
-  }
-
-  async cleanup() {
-    logger.info('Cleaning up all clients and processes');
-    
-    // Cleanup all clients
-    for (const clientKey of this.mcpClients.keys()) {
-      await this.cleanupClient(clientKey);
-    }
-  }
-
-  async run() {
-    logger.info('Starting Fixed Collaborative MCP Server');
-    
-    const transport = new StdioServerTransport();
-    
-    // Handle graceful shutdown
-    process.on('SIGINT', async () => {
-      logger.info('Received SIGINT, shutting down gracefully');
-      await this.cleanup();
-      process.exit(0);
-    });
-
-    process.on('SIGTERM', async () => {
-      logger.info('Received SIGTERM, shutting down gracefully');
-      await this.cleanup();
-      process.exit(0);
-    });
-
-    try {
-      await this.server.connect(transport);
-      logger.info('Fixed Collaborative MCP Server connected and ready');
-    } catch (error) {
-      logger.error('Failed to start server:', error);
-      process.exit(1);
-    }
-  }
-}
-
-// Start the server
-const server = new FixedCollaborativeMCPServer();
-server.run().catch((error) => {
-  logger.error('Server startup failed:', error);
-  process.exit(1);
-});
\ No newline at end of file
+startServer({ defaultStrategy: 'sequential' });
@@ -0,0 +1,62 @@
+/**
+ * Fixture Store
+ * Recorded participant responses for mock mode, one JSON file per response
+ * under `fixtures/<participant>/<prompt hash>.json`. A participant's
+ * `default.json` answers any prompt without its own fixture, so the same
+ * prompt always gets the same response.
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FixtureNotFoundError } from './participant-errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Short stable key for a prompt: the first 16 hex digits of its SHA-256.
+ */
+export function promptHash(prompt) {
+  return createHash('sha256').update(prompt ?? '').digest('hex').slice(0, 16);
+}
+
+export class FixtureStore {
+  constructor({ dir = DEFAULT_FIXTURE_DIR } = {}) {
+    this.dir = dir;
+  }
+
+  pathFor(participant, hash) {
+    return path.join(this.dir, participant, `${hash}.json`);
+  }
+
+  readFixture(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Invalid fixture ${file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * The fixture recorded for this participant and prompt, else the
+   * participant's default fixture, else null.
+   */
+  lookup(participant, prompt) {
+    return this.readFixture(this.pathFor(participant, promptHash(prompt)))
+      ?? this.readFixture(this.pathFor(participant, 'default'));
+  }
+
+  respond(participant, prompt) {
+    const fixture = this.lookup(participant, prompt);
+    if (!fixture) {
+      throw new FixtureNotFoundError(participant, promptHash(prompt), this.dir);
+    }
+    return fixture.response;
+  }
+}
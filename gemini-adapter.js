@@ -0,0 +1,27 @@
+/**
+ * Gemini CLI MCP Adapter
+ * Calls the `ask-gemini` tool of the logged-in gemini-mcp-tool server.
+ */
+
+import { McpStdioAdapter, extractText } from './mcp-stdio-adapter.js';
+
+export const GEMINI_DEFAULTS = {
+  name: 'gemini',
+  command: 'npx',
+  args: ['-y', 'gemini-mcp-tool'],
+  tool: 'ask-gemini',
+  model: 'gemini-2.5-pro'
+};
+
+export class GeminiAdapter extends McpStdioAdapter {
+  constructor(options = {}) {
+    const { model, ...rest } = { ...GEMINI_DEFAULTS, ...options };
+    super(rest);
+    this.model = model;
+  }
+
+  async ask(prompt, { model = this.model, timeout, signal } = {}) {
+    const result = await this.callTool({ prompt, model }, { timeout, signal });
+    return extractText(result) || 'No text content returned';
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * JSON-RPC Framing
+ * Newline-delimited JSON-RPC 2.0 over a byte stream, shared by the hand-rolled
+ * server variants. Buffers partial lines across chunks, accepts batch arrays,
+ * rejects oversized messages and answers malformed input with the JSON-RPC
+ * error the spec calls for instead of dropping it.
+ */
+
+export const PARSE_ERROR = -32700;
+export const INVALID_REQUEST = -32600;
+export const METHOD_NOT_FOUND = -32601;
+export const INVALID_PARAMS = -32602;
+export const INTERNAL_ERROR = -32603;
+
+export const DEFAULT_MAX_MESSAGE_SIZE = 4 * 1024 * 1024;
+
+const NEWLINE = 0x0a;
+
+export function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id, error };
+}
+
+function isValidId(id) {
+  return id === null || typeof id === 'string' || typeof id === 'number';
+}
+
+/**
+ * Return why `message` is not a valid JSON-RPC 2.0 request, notification or
+ * response, or null if it is.
+ */
+function validateMessage(message) {
+  if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+    return 'expected a JSON-RPC object';
+  }
+  if (message.jsonrpc !== '2.0') {
+    return 'jsonrpc must be "2.0"';
+  }
+  if ('id' in message && !isValidId(message.id)) {
+    return 'id must be a string, number or null';
+  }
+  if ('method' in message) {
+    if (typeof message.method !== 'string') {
+      return 'method must be a string';
+    }
+    if ('params' in message && (typeof message.params !== 'object' || message.params === null)) {
+      return 'params must be an object or array';
+    }
+    return null;
+  }
+  if ('id' in message && ('result' in message || 'error' in message)) {
+    return null;
+  }
+  return 'missing method';
+}
+
+export class JsonRpcFraming {
+  /**
+   * `handler(message)` is called for every valid request and notification and
+   * may resolve to the response for a request; anything it returns for a
+   * notification is discarded. Responses from the peer go to `onResponse`.
+   */
+  constructor({ handler, onResponse, input = process.stdin, output = process.stdout, maxMessageSize = DEFAULT_MAX_MESSAGE_SIZE, logPrefix = '[JSON-RPC]' }) {
+    this.handler = handler;
+    this.onResponse = onResponse;
+    this.input = input;
+    this.output = output;
+    this.maxMessageSize = maxMessageSize;
+    this.logPrefix = logPrefix;
+    this.buffer = Buffer.alloc(0);
+    this.discarding = false;
+  }
+
+  start() {
+    this.input.on('data', (chunk) => this.push(chunk));
+    this.output.on?.('error', (error) => {
+      if (error.code !== 'EPIPE') {
+        console.error(`${this.logPrefix} Output error:`, error.message);
+      }
+    });
+    return this;
+  }
+
+  push(chunk) {
+    const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk;
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+
+    let newline;
+    while ((newline = this.buffer.indexOf(NEWLINE)) !== -1) {
+      const line = this.buffer.subarray(0, newline);
+      this.buffer = this.buffer.subarray(newline + 1);
+
+      if (this.discarding) {
+        // Tail end of a message that was already rejected as oversized
+        this.discarding = false;
+        continue;
+      }
+      this.handleLine(line);
+    }
+
+    if (this.buffer.length > this.maxMessageSize) {
+      this.buffer = Buffer.alloc(0);
+      if (!this.discarding) {
+        this.discarding = true;
+        this.rejectOversized();
+      }
+    }
+  }
+
+  rejectOversized() {
+    console.error(`${this.logPrefix} Message exceeds ${this.maxMessageSize} bytes, discarding`);
+    this.send(errorResponse(null, INVALID_REQUEST, `Invalid Request: message exceeds ${this.maxMessageSize} bytes`));
+  }
+
+  handleLine(line) {
+    if (line.length > this.maxMessageSize) {
+      this.rejectOversized();
+      return;
+    }
+
+    const text = line.toString('utf8').trim();
+    if (!text) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      console.error(`${this.logPrefix} Parse error:`, error.message);
+      this.send(errorResponse(null, PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    if (Array.isArray(message)) {
+      this.handleBatch(message);
+    } else {
+      this.dispatch(message).then(response => {
+        if (response) this.send(response);
+      });
+    }
+  }
+
+  async handleBatch(messages) {
+    if (messages.length === 0) {
+      this.send(errorResponse(null, INVALID_REQUEST, 'Invalid Request: empty batch'));
+      return;
+    }
+
+    const responses = (await Promise.all(messages.map(message => this.dispatch(message)))).filter(Boolean);
+    if (responses.length > 0) {
+      this.send(responses);
+    }
+  }
+
+  /**
+   * Validate and handle one message, resolving to its response or null.
+   * Never rejects.
+   */
+  async dispatch(message) {
+    const invalid = validateMessage(message);
+    if (invalid) {
+      const id = isValidId(message?.id) ? message.id : null;
+      return errorResponse(id, INVALID_REQUEST, `Invalid Request: ${invalid}`);
+    }
+
+    if (!('method' in message)) {
+      this.onResponse?.(message);
+      return null;
+    }
+
+    const isRequest = 'id' in message;
+    try {
+      const response = await this.handler(message);
+      return isRequest ? response || null : null;
+    } catch (error) {
+      console.error(`${this.logPrefix} Error handling ${message.method}:`, error);
+      return isRequest ? errorResponse(message.id, INTERNAL_ERROR, `Internal error: ${error.message}`) : null;
+    }
+  }
+
+  send(message) {
+    try {
+      this.output.write(JSON.stringify(message) + '\n');
+    } catch (error) {
+      console.error(`${this.logPrefix} Send error:`, error.message);
+    }
+  }
+}
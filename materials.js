@@ -0,0 +1,148 @@
+/**
+ * Material Allowable Stresses
+ * Maximum allowable stress versus temperature for common pressure vessel
+ * materials, bundled in materials.json in the units of the ASME II-D
+ * customary table. Lookups take a free-text material designation and a
+ * design temperature in °C, interpolate linearly between table points and
+ * return MPa, with a warning for anything the table does not cover.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_MATERIALS_PATH = path.join(__dirname, 'materials.json');
+
+// Stand-in when the material is unknown, so the calculation still runs
+export const FALLBACK_MATERIAL = 'SA-516 Gr 70';
+
+const MPA_PER_KSI = 6.894757;
+
+// The first table column covers everything from -20 °F up to its temperature
+const LOWEST_TABLE_TEMPERATURE = -20; // °F
+
+const toFahrenheit = (celsius) => celsius * 9 / 5 + 32;
+const toCelsius = (fahrenheit) => (fahrenheit - 32) * 5 / 9;
+const formatCelsius = (fahrenheit) => `${Math.round(toCelsius(fahrenheit))} °C`;
+
+/**
+ * Spec and grade in a material designation such as "ASTM A516 Grade 70",
+ * "SA-516-70", "SA 240 Type 316L" or "SA-106 B". `grade` is null when the
+ * text names only the spec; null when no spec is recognized.
+ */
+export function parseDesignation(text) {
+  const match = String(text ?? '').toUpperCase()
+    .match(/\b(?:ASTM\s*A|ASME\s*SA|SA|A)[\s-]?(\d{2,4})\b(?:[\s-]*(?:GRADE|GR\.?|TYPE|TP)?[\s-]*(\d{2,3}L?|[A-C])\b)?/);
+  if (!match) {
+    return null;
+  }
+  return { spec: `SA-${match[1]}`, grade: match[2] ?? null };
+}
+
+export class MaterialTable {
+  constructor({ materials = [], source = '' } = {}) {
+    this.materials = materials;
+    this.source = source;
+  }
+
+  static load(filePath = DEFAULT_MATERIALS_PATH) {
+    let table;
+    try {
+      table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load material table ${filePath}: ${error.message}`);
+    }
+
+    for (const material of table.materials || []) {
+      if (material.temperatures?.length !== material.stresses?.length || !material.temperatures?.length) {
+        throw new Error(`Material ${material.spec} ${material.grade} in ${filePath} needs one stress per temperature`);
+      }
+    }
+    return new MaterialTable(table);
+  }
+
+  /**
+   * Table entries matching a designation: one when the grade is known, every
+   * grade of the spec when it is not.
+   */
+  find(designation) {
+    const parsed = parseDesignation(designation);
+    if (!parsed) {
+      return [];
+    }
+    return this.materials.filter(material =>
+      material.spec === parsed.spec && (parsed.grade === null || material.grade === parsed.grade));
+  }
+
+  /**
+   * Allowable stress of a table entry in MPa at `fahrenheit`, interpolated
+   * linearly between columns and clamped to the table's range.
+   */
+  interpolate(material, fahrenheit) {
+    const { temperatures, stresses } = material;
+    if (fahrenheit <= temperatures[0]) {
+      return stresses[0] * MPA_PER_KSI;
+    }
+    for (let i = 1; i < temperatures.length; i++) {
+      if (fahrenheit <= temperatures[i]) {
+        const share = (fahrenheit - temperatures[i - 1]) / (temperatures[i] - temperatures[i - 1]);
+        return (stresses[i - 1] + share * (stresses[i] - stresses[i - 1])) * MPA_PER_KSI;
+      }
+    }
+    return stresses[stresses.length - 1] * MPA_PER_KSI;
+  }
+
+  /**
+   * Look up the allowable stress of `designation` at `temperature` (°C).
+   * Returns `{ stress, ambientStress, material, interpolated, warnings }`
+   * with stresses in MPa; `ambientStress` is the stress at the lowest table
+   * temperature, as used for the hydrotest stress ratio. An unknown material
+   * uses `FALLBACK_MATERIAL`, a spec without a grade its weakest grade, and a
+   * temperature outside the table the nearest column; each gets a warning.
+   */
+  allowableStress(designation, temperature) {
+    const warnings = [];
+    let candidates = this.find(designation);
+
+    if (candidates.length === 0) {
+      warnings.push(`${designation} is not in the material table; the allowable stress of ${FALLBACK_MATERIAL} was used in its place.`);
+      candidates = this.find(FALLBACK_MATERIAL);
+    }
+
+    const fahrenheit = toFahrenheit(temperature);
+    let [material] = candidates;
+    if (candidates.length > 1) {
+      material = candidates.reduce((weakest, candidate) =>
+        this.interpolate(candidate, fahrenheit) < this.interpolate(weakest, fahrenheit) ? candidate : weakest);
+      warnings.push(`${designation} does not name a grade; the weakest ${material.spec} grade in the table (${material.grade}) was used.`);
+    }
+
+    const name = `${material.spec} Gr ${material.grade}`;
+    const highest = material.temperatures[material.temperatures.length - 1];
+    if (fahrenheit > highest) {
+      warnings.push(`${temperature} °C is above the highest temperature in the table for ${name} (${formatCelsius(highest)}); the stress at ${formatCelsius(highest)} was used and is unconservative.`);
+    } else if (fahrenheit < LOWEST_TABLE_TEMPERATURE) {
+      warnings.push(`${temperature} °C is below the lowest temperature in the table for ${name} (${formatCelsius(LOWEST_TABLE_TEMPERATURE)}); check the minimum design metal temperature rules (UCS-66) separately.`);
+    }
+
+    return {
+      stress: this.interpolate(material, fahrenheit),
+      ambientStress: material.stresses[0] * MPA_PER_KSI,
+      material: name,
+      interpolated: fahrenheit > material.temperatures[0] && fahrenheit < highest && !material.temperatures.includes(fahrenheit),
+      warnings
+    };
+  }
+}
+
+let defaultTable = null;
+
+/**
+ * The bundled table, loaded on first use.
+ */
+export function defaultMaterialTable() {
+  defaultTable ??= MaterialTable.load();
+  return defaultTable;
+}
@@ -0,0 +1,169 @@
+/**
+ * MCP Client Pool
+ * Keeps one initialized Client per downstream MCP server so collaboration
+ * rounds reuse a warm connection instead of paying start-up and handshake
+ * cost on every call. Idle connections are health-checked with `ping`, and a
+ * server whose child process exits is reconnected with exponential backoff.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { ChildProcessTransport } from './child-process-transport.js';
+
+export const POOL_DEFAULTS = {
+  connectTimeout: 15000,
+  pingTimeout: 5000,
+  healthCheckInterval: 30000,
+  maxAttempts: 3,
+  backoffMs: 500,
+  maxBackoffMs: 30000
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class McpClientPool {
+  constructor(options = {}) {
+    Object.assign(this, { ...POOL_DEFAULTS, ...options });
+    this.clients = new Map();
+    this.failures = new Map();
+  }
+
+  /**
+   * Return a connected `{ client, transport, tools, listeners }` entry for
+   * `key`, starting the server described by `{ command, args, env, cwd }` if
+   * there is no healthy connection yet. Concurrent callers share one start-up.
+   */
+  async acquire(key, server) {
+    const existing = this.clients.get(key);
+    if (existing) {
+      const entry = await existing.ready;
+      if (await this.isHealthy(entry)) {
+        return entry;
+      }
+      console.error(`[MCP Pool] ${key} failed its health check, reconnecting`);
+      await this.cleanupClient(key);
+    }
+
+    const entry = { key, server, client: null, transport: null, tools: null, listeners: new Set(), closing: false };
+    entry.ready = this.connectWithBackoff(entry).catch((error) => {
+      if (this.clients.get(key) === entry) {
+        this.clients.delete(key);
+      }
+      throw error;
+    });
+    this.clients.set(key, entry);
+    return entry.ready;
+  }
+
+  backoffDelay(failures) {
+    return failures > 0 ? Math.min(this.backoffMs * 2 ** (failures - 1), this.maxBackoffMs) : 0;
+  }
+
+  async connectWithBackoff(entry) {
+    for (let attempt = 1; ; attempt++) {
+      const wait = this.backoffDelay(this.failures.get(entry.key) || 0);
+      if (wait > 0) {
+        console.error(`[MCP Pool] Waiting ${wait}ms before connecting to ${entry.key}`);
+        await delay(wait);
+      }
+      if (entry.closing) {
+        throw new Error(`Connection to ${entry.key} was closed while connecting`);
+      }
+
+      try {
+        await this.open(entry);
+        this.failures.delete(entry.key);
+        return entry;
+      } catch (error) {
+        this.failures.set(entry.key, (this.failures.get(entry.key) || 0) + 1);
+        console.error(`[MCP Pool] Connecting to ${entry.key} failed (attempt ${attempt}/${this.maxAttempts}): ${error.message}`);
+        if (attempt >= this.maxAttempts) {
+          error.transport = entry.transport;
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * The transport for `server`. Replaceable through the `createTransport`
+   * option, e.g. with an in-process fake in tests.
+   */
+  createTransport({ command, args = [], env = {}, cwd }) {
+    return new ChildProcessTransport({ command, args, env: { ...process.env, ...env }, cwd });
+  }
+
+  async open(entry) {
+    const transport = this.createTransport(entry.server);
+    const client = new Client(
+      { name: `collab-${entry.key}`, version: '1.0.0' },
+      { capabilities: {} }
+    );
+    client.fallbackNotificationHandler = async (notification) => {
+      for (const listener of entry.listeners) {
+        listener(notification);
+      }
+    };
+    entry.transport = transport;
+
+    try {
+      await client.connect(transport, { timeout: this.connectTimeout });
+    } catch (error) {
+      await client.close().catch(() => {});
+      throw error;
+    }
+
+    entry.client = client;
+    entry.lastHealthy = Date.now();
+
+    transport.exited.then(({ code, signal }) => {
+      if (entry.closing) {
+        return;
+      }
+      console.error(`[MCP Pool] ${entry.key} exited unexpectedly (code ${code}, signal ${signal})`);
+      if (this.clients.get(entry.key) === entry) {
+        this.clients.delete(entry.key);
+        this.failures.set(entry.key, (this.failures.get(entry.key) || 0) + 1);
+      }
+    });
+  }
+
+  async isHealthy(entry) {
+    if (entry.transport.exitCode !== null || entry.transport.signal !== null) {
+      return false;
+    }
+    if (Date.now() - entry.lastHealthy < this.healthCheckInterval) {
+      return true;
+    }
+
+    try {
+      await entry.client.ping({ timeout: this.pingTimeout });
+      entry.lastHealthy = Date.now();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Close the connection for `key` and stop its server process.
+   */
+  async cleanupClient(key) {
+    const entry = this.clients.get(key);
+    if (!entry) {
+      return;
+    }
+    this.clients.delete(key);
+    entry.closing = true;
+
+    await entry.ready.catch(() => {});
+    if (entry.client) {
+      await entry.client.close().catch((error) => {
+        console.error(`[MCP Pool] Error closing ${key}: ${error.message}`);
+      });
+    }
+  }
+
+  async closeAll() {
+    await Promise.allSettled([...this.clients.keys()].map(key => this.cleanupClient(key)));
+  }
+}
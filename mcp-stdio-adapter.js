@@ -0,0 +1,151 @@
+/**
+ * MCP Stdio Adapter
+ * Calls a tool on a downstream MCP server over stdio, using a pooled
+ * connection, checks that the server offers the expected tool and turns
+ * failures into typed participant errors.
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { McpClientPool } from './mcp-client-pool.js';
+import {
+  ParticipantCancelledError,
+  ParticipantError,
+  ParticipantExitError,
+  ParticipantTimeoutError,
+  ToolNotFoundError
+} from './participant-errors.js';
+
+export function extractText(result) {
+  const texts = [];
+  for (const item of result?.content || []) {
+    if (item.type === 'text' && item.text) {
+      texts.push(item.text);
+    }
+  }
+  return texts.join('\n');
+}
+
+export class McpStdioAdapter {
+  constructor({ name, command, args = [], env = {}, cwd, tool, timeout = 120000, pool, cassette }) {
+    this.name = name;
+    this.command = command;
+    this.args = args;
+    this.env = env;
+    this.cwd = cwd;
+    this.tool = tool;
+    this.timeout = timeout;
+    this.pool = pool || new McpClientPool();
+    this.cassette = cassette;
+  }
+
+  /**
+   * Call the adapter's tool once and return the raw CallToolResult. The
+   * server connection comes from the pool and stays open for later calls.
+   * `onNotification` receives every server notification sent during the call.
+   * Aborting `signal` cancels the downstream request with
+   * `notifications/cancelled` and rejects with ParticipantCancelledError.
+   * With a cassette the call is recorded, or replayed without a server.
+   */
+  async callTool(args, options = {}) {
+    if (!this.cassette) {
+      return await this.callLive(args, options);
+    }
+    return await this.cassette.exchange(this.name, this.cassetteRequest(args), options,
+      (recording) => this.callLive(args, { ...options, ...recording }));
+  }
+
+  /**
+   * What identifies a call in a cassette. Subclasses drop arguments that
+   * differ between machines.
+   */
+  cassetteRequest(args) {
+    return { tool: this.tool, arguments: args };
+  }
+
+  async callLive(args, { timeout = this.timeout, onNotification, signal } = {}) {
+    if (signal?.aborted) {
+      throw new ParticipantCancelledError(this.name);
+    }
+
+    // Only abort on the deadline or a cancel: aborting after the response has
+    // arrived would still send notifications/cancelled downstream
+    const controller = new AbortController();
+    let timer;
+    let onAbort;
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new ParticipantTimeoutError(this.name, timeout));
+      }, timeout);
+      onAbort = () => {
+        controller.abort();
+        reject(new ParticipantCancelledError(this.name));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    let connection;
+    try {
+      connection = await Promise.race([
+        this.pool.acquire(this.name, { command: this.command, args: this.args, env: this.env, cwd: this.cwd }),
+        deadline
+      ]);
+
+      const { transport } = connection;
+      const exited = transport.exited.then(({ code, signal }) => {
+        throw new ParticipantExitError(this.name, code, signal, transport.stderr);
+      });
+      exited.catch(() => {});
+
+      if (onNotification) {
+        connection.listeners.add(onNotification);
+      }
+      return await Promise.race([this.invoke(connection, args, timeout, controller.signal), deadline, exited]);
+    } catch (error) {
+      throw this.toParticipantError(error, connection?.transport ?? error.transport, timeout);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      connection?.listeners.delete(onNotification);
+    }
+  }
+
+  async invoke(connection, args, timeout, signal) {
+    const { client } = connection;
+
+    if (!connection.tools) {
+      const { tools } = await client.listTools(undefined, { timeout, signal });
+      connection.tools = tools;
+    }
+    if (!connection.tools.some(tool => tool.name === this.tool)) {
+      throw new ToolNotFoundError(this.name, this.tool, connection.tools.map(tool => tool.name));
+    }
+
+    const result = await client.callTool({ name: this.tool, arguments: args }, undefined, { timeout, signal });
+    if (result.isError) {
+      throw new ParticipantError(this.name, `${this.tool} returned an error: ${extractText(result) || 'no details'}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Close this adapter's pooled connection and stop the server process.
+   */
+  async close() {
+    await this.pool.cleanupClient(this.name);
+  }
+
+  toParticipantError(error, transport, timeout) {
+    if (error instanceof ParticipantError) {
+      return error;
+    }
+    if (error instanceof McpError && error.code === ErrorCode.RequestTimeout) {
+      return new ParticipantTimeoutError(this.name, timeout);
+    }
+    if (error instanceof McpError && error.code === ErrorCode.ConnectionClosed && transport && transport.exitCode !== null) {
+      return new ParticipantExitError(this.name, transport.exitCode, transport.signal, transport.stderr);
+    }
+    return new ParticipantError(this.name, `${this.name} MCP call failed: ${error.message}`);
+  }
+}
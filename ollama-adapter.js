@@ -0,0 +1,170 @@
+/**
+ * Ollama Adapter
+ * Streams a completion from a local Ollama server over its HTTP API
+ * (`/api/generate` or `/api/chat`). Ollama is the participant trusted with
+ * confidential content, so non-loopback hosts are refused unless explicitly
+ * allowed.
+ */
+
+import { ParticipantCancelledError, ParticipantError, ParticipantTimeoutError } from './participant-errors.js';
+
+export const OLLAMA_DEFAULTS = {
+  name: 'ollama',
+  url: 'http://127.0.0.1:11434',
+  endpoint: 'generate',
+  model: 'llama3.1',
+  temperature: undefined,
+  contextLength: undefined,
+  keepAlive: undefined,
+  allowRemote: false,
+  timeout: 120000
+};
+
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '::1', '[::1]']);
+
+export class OllamaAdapter {
+  constructor(options = {}) {
+    Object.assign(this, { ...OLLAMA_DEFAULTS, ...options });
+
+    if (!['generate', 'chat'].includes(this.endpoint)) {
+      throw new ParticipantError(this.name, `Unsupported Ollama endpoint: ${this.endpoint}`);
+    }
+  }
+
+  assertLocal() {
+    const { hostname } = new URL(this.url);
+    if (!this.allowRemote && !LOCAL_HOSTS.has(hostname)) {
+      throw new ParticipantError(this.name, `Refusing to send content to non-local Ollama host ${hostname} (set allowRemote to override)`);
+    }
+  }
+
+  buildRequest(prompt, model) {
+    const options = {};
+    if (this.temperature !== undefined) options.temperature = this.temperature;
+    if (this.contextLength !== undefined) options.num_ctx = this.contextLength;
+
+    const body = { model, stream: true };
+    if (Object.keys(options).length > 0) body.options = options;
+    if (this.keepAlive !== undefined) body.keep_alive = this.keepAlive;
+
+    if (this.endpoint === 'chat') {
+      body.messages = [{ role: 'user', content: prompt }];
+    } else {
+      body.prompt = prompt;
+    }
+    return body;
+  }
+
+  /**
+   * Stream a completion and return the assembled text. `onToken` is called
+   * with each streamed fragment as it arrives. Aborting `signal` drops the
+   * HTTP request, which stops generation on the Ollama side. With a cassette
+   * the completion is recorded, or replayed as a single token.
+   */
+  async generate(prompt, options = {}) {
+    if (!this.cassette) {
+      return await this.generateLive(prompt, options);
+    }
+
+    const request = { endpoint: this.endpoint, model: options.model ?? this.model, prompt };
+    const text = await this.cassette.exchange(this.name, request, { signal: options.signal },
+      () => this.generateLive(prompt, options));
+    if (this.cassette.mode === 'replay') {
+      options.onToken?.(text);
+    }
+    return text;
+  }
+
+  async generateLive(prompt, { model = this.model, timeout = this.timeout, onToken, signal } = {}) {
+    this.assertLocal();
+    if (signal?.aborted) {
+      throw new ParticipantCancelledError(this.name);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const endpointUrl = new URL(`/api/${this.endpoint}`, this.url);
+
+    try {
+      const response = await fetch(endpointUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.buildRequest(prompt, model)),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        let message = detail;
+        try {
+          message = JSON.parse(detail).error || detail;
+        } catch {
+          // Plain-text error body
+        }
+        throw new ParticipantError(this.name, `Ollama ${endpointUrl.pathname} returned HTTP ${response.status}: ${message}`);
+      }
+
+      return await this.readStream(response.body, onToken);
+    } catch (error) {
+      if (error instanceof ParticipantError) {
+        throw error;
+      }
+      if (signal?.aborted) {
+        throw new ParticipantCancelledError(this.name);
+      }
+      if (controller.signal.aborted) {
+        throw new ParticipantTimeoutError(this.name, timeout);
+      }
+      throw new ParticipantError(this.name, `Ollama is not reachable at ${this.url}: ${error.cause?.message || error.message}`);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async readStream(body, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    const handleLine = (line) => {
+      if (!line.trim()) {
+        return false;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(line);
+      } catch {
+        throw new ParticipantError(this.name, `Ollama returned a line that is not JSON: ${line.trim().slice(0, 200)}`);
+      }
+      if (chunk.error) {
+        throw new ParticipantError(this.name, `Ollama stream error: ${chunk.error}`);
+      }
+
+      const token = chunk.message?.content ?? chunk.response ?? '';
+      if (token) {
+        text += token;
+        onToken?.(token);
+      }
+      return chunk.done === true;
+    };
+
+    for await (const part of body) {
+      buffer += decoder.decode(part, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (handleLine(line)) {
+          return text;
+        }
+      }
+    }
+
+    handleLine(buffer + decoder.decode());
+    return text;
+  }
+}
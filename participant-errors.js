@@ -0,0 +1,65 @@
+/**
+ * Participant error types
+ * Typed failures raised by participant adapters so callers can tell a
+ * misconfigured tool from a crashed or hung downstream server.
+ */
+
+export class ParticipantError extends Error {
+  constructor(participant, message) {
+    super(message);
+    this.name = 'ParticipantError';
+    this.participant = participant;
+  }
+}
+
+export class ToolNotFoundError extends ParticipantError {
+  constructor(participant, tool, availableTools = []) {
+    super(participant, `${participant} does not provide tool "${tool}" (available: ${availableTools.join(', ') || 'none'})`);
+    this.name = 'ToolNotFoundError';
+    this.tool = tool;
+    this.availableTools = availableTools;
+  }
+}
+
+export class ParticipantExitError extends ParticipantError {
+  constructor(participant, exitCode, signal, stderr = '') {
+    const reason = signal ? `signal ${signal}` : `code ${exitCode}`;
+    const detail = stderr.trim() ? `: ${stderr.trim().split('\n').slice(-5).join('\n')}` : '';
+    super(participant, `${participant} MCP server exited with ${reason}${detail}`);
+    this.name = 'ParticipantExitError';
+    this.exitCode = exitCode;
+    this.signal = signal;
+    this.stderr = stderr;
+  }
+}
+
+export class ParticipantCancelledError extends ParticipantError {
+  constructor(participant) {
+    super(participant, `${participant} call was cancelled`);
+    this.name = 'ParticipantCancelledError';
+  }
+}
+
+export class ParticipantTimeoutError extends ParticipantError {
+  constructor(participant, timeoutMs) {
+    super(participant, `${participant} did not respond within ${timeoutMs}ms`);
+    this.name = 'ParticipantTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class FixtureNotFoundError extends ParticipantError {
+  constructor(participant, promptHash, dir) {
+    super(participant, `No fixture for ${participant} with prompt hash ${promptHash} (and no default) in ${dir}`);
+    this.name = 'FixtureNotFoundError';
+    this.promptHash = promptHash;
+  }
+}
+
+export class CassetteMissError extends ParticipantError {
+  constructor(participant, key, file) {
+    super(participant, `Cassette ${file} has no unplayed recording for ${participant} (${key})`);
+    this.name = 'CassetteMissError';
+    this.key = key;
+  }
+}
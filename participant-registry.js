@@ -0,0 +1,329 @@
+/**
+ * Participant Registry
+ * Declarative list of collaboration backends loaded from participants.json.
+ *
+ * Each entry declares a name, a transport (stdio MCP command, HTTP endpoint,
+ * local Ollama model or built-in handler), the tool to call, an argument
+ * template and a role, so a new backend can be added by editing the config
+ * instead of the server. Transports may use `{{name}}` placeholders for
+ * machine-specific paths, filled in at load time. An optional `synthesis` block sets the default
+ * consensus synthesizer and its fallback chain. In mock mode recorded
+ * fixtures answer in place of every backend.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { McpStdioAdapter, extractText } from './mcp-stdio-adapter.js';
+import { OllamaAdapter } from './ollama-adapter.js';
+import { McpClientPool } from './mcp-client-pool.js';
+import { ParticipantCancelledError } from './participant-errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_REGISTRY_PATH = path.join(__dirname, 'participants.json');
+
+const TRANSPORT_TYPES = ['stdio', 'http', 'ollama', 'builtin'];
+
+/**
+ * Replace `{{name}}` placeholders in a (possibly nested) argument template.
+ * A string that is exactly one placeholder keeps the variable's type, and is
+ * dropped from objects when the variable is undefined.
+ */
+export function renderTemplate(template, variables) {
+  if (typeof template === 'string') {
+    const exact = template.match(/^\{\{(\w+)\}\}$/);
+    if (exact) {
+      return variables[exact[1]];
+    }
+    return template.replace(/\{\{(\w+)\}\}/g, (_, key) => variables[key] ?? '');
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, variables));
+  }
+
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      const result = renderTemplate(value, variables);
+      if (result !== undefined) {
+        rendered[key] = result;
+      }
+    }
+    return rendered;
+  }
+
+  return template;
+}
+
+function commandExists(command) {
+  if (path.isAbsolute(command)) {
+    return fs.existsSync(command);
+  }
+
+  const searchPath = (process.env.PATH || '').split(path.delimiter);
+  return searchPath.some(dir => dir && fs.existsSync(path.join(dir, command)));
+}
+
+export class ParticipantRegistry {
+  constructor(definitions = [], { pool, synthesis, timeout } = {}) {
+    this.participants = new Map();
+    this.synthesis = synthesis || {};
+    // Call timeout (ms) for participants that set none; adapters keep their own default when undefined
+    this.timeout = timeout;
+    this.fixtures = null;
+    this.cassette = null;
+    this.mock = false;
+    this.allowSimulation = false;
+    this.builtins = new Map();
+    this.pool = pool || new McpClientPool();
+
+    for (const definition of definitions) {
+      this.add(definition);
+    }
+  }
+
+  /**
+   * Read a registry file. `variables` fill the `{{name}}` placeholders in
+   * each transport, such as `{{serenaDirectory}}`.
+   */
+  static load(filePath = DEFAULT_REGISTRY_PATH, { variables = {}, ...options } = {}) {
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load participant registry ${filePath}: ${error.message}`);
+    }
+
+    const definitions = (config.participants || []).map(definition => definition?.transport
+      ? { ...definition, transport: renderTemplate(definition.transport, variables) }
+      : definition);
+    return new ParticipantRegistry(definitions, { synthesis: config.synthesis, ...options });
+  }
+
+  add(definition) {
+    const { name, transport } = definition || {};
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Participant definition requires a name');
+    }
+    if (!transport || !TRANSPORT_TYPES.includes(transport.type)) {
+      throw new Error(`Participant ${name} has invalid transport type: ${transport?.type}`);
+    }
+    if (transport.type === 'stdio' && !transport.command) {
+      throw new Error(`Participant ${name} stdio transport requires a command`);
+    }
+    if (transport.type === 'stdio' && !definition.tool) {
+      throw new Error(`Participant ${name} stdio transport requires a tool`);
+    }
+    if (transport.type === 'http' && !transport.url) {
+      throw new Error(`Participant ${name} http transport requires a url`);
+    }
+    if (transport.type === 'builtin' && !transport.handler) {
+      throw new Error(`Participant ${name} builtin transport requires a handler`);
+    }
+
+    this.participants.set(name, {
+      role: '',
+      arguments: { prompt: '{{prompt}}' },
+      ...definition
+    });
+    return this;
+  }
+
+  /**
+   * Bind a built-in handler name to a function
+   * `(request, args, { signal }) => Promise<string>`. Server variants register
+   * their in-process participants this way.
+   */
+  registerBuiltin(handler, fn) {
+    this.builtins.set(handler, fn);
+    return this;
+  }
+
+  /**
+   * Answer calls from `fixtures`: every call when `mock` is set, otherwise
+   * only failed calls, and only if `allowSimulation` is set.
+   */
+  useFixtures(fixtures, { mock = false, allowSimulation = false } = {}) {
+    this.fixtures = fixtures;
+    this.mock = mock;
+    this.allowSimulation = allowSimulation;
+    return this;
+  }
+
+  /**
+   * Record downstream traffic to `cassette`, or replay it from there.
+   */
+  useCassette(cassette) {
+    this.cassette = cassette;
+    return this;
+  }
+
+  isAvailable(definition) {
+    const { transport } = definition;
+
+    // Fixtures or a replayed cassette stand in for every backend
+    if (this.mock || this.cassette?.mode === 'replay') {
+      return true;
+    }
+
+    switch (transport.type) {
+      case 'builtin':
+        return this.builtins.has(transport.handler);
+      case 'stdio':
+        return commandExists(transport.command);
+      default:
+        return true;
+    }
+  }
+
+  get(name) {
+    return this.participants.get(name);
+  }
+
+  has(name) {
+    const definition = this.participants.get(name);
+    return Boolean(definition && this.isAvailable(definition));
+  }
+
+  /**
+   * Definitions whose backend can actually be reached from this process.
+   */
+  list() {
+    return [...this.participants.values()].filter(definition => this.isAvailable(definition));
+  }
+
+  names() {
+    return this.list().map(definition => definition.name);
+  }
+
+  describe() {
+    return this.list()
+      .map(definition => definition.role ? `${definition.name} (${definition.role})` : definition.name)
+      .join(', ');
+  }
+
+  /**
+   * Call participant `name` and return its text. Aborting `signal` cancels
+   * the downstream call.
+   */
+  async call(name, request, options = {}) {
+    return (await this.respond(name, request, options)).text;
+  }
+
+  /**
+   * Call participant `name` and resolve to `{ text, real, source }`.
+   * `source` is `live` for a backend answer, `fixture` in mock mode and
+   * `simulated-fallback` when a failed call was answered from a fixture and
+   * `replay` when a cassette is replayed; `real` is true only for `live`.
+   */
+  async respond(name, request, { signal } = {}) {
+    const definition = this.participants.get(name);
+    if (!definition) {
+      throw new Error(`Unknown participant: ${name}`);
+    }
+    if (!this.isAvailable(definition)) {
+      throw new Error(`Participant ${name} is not available`);
+    }
+
+    const { task, content } = request;
+    const variables = {
+      prompt: content ? `${task}\n\nContent to analyze:\n${content}` : task,
+      ...definition.variables,
+      ...request
+    };
+    const args = renderTemplate(definition.arguments, variables);
+
+    if (this.mock) {
+      return { text: this.fixtures.respond(name, variables.prompt), real: false, source: 'fixture' };
+    }
+
+    try {
+      const text = await this.callBackend(definition, variables, args, signal);
+      return this.cassette?.mode === 'replay'
+        ? { text, real: false, source: 'replay' }
+        : { text, real: true, source: 'live' };
+    } catch (error) {
+      const fixture = this.allowSimulation && !(error instanceof ParticipantCancelledError) && !signal?.aborted
+        ? this.fixtures?.lookup(name, variables.prompt)
+        : null;
+      if (!fixture) {
+        throw error;
+      }
+      console.error(`[Participant Registry] ${name} failed (${error.message}); answering from a fixture because simulation is allowed`);
+      return { text: fixture.response, real: false, source: 'simulated-fallback', error: error.message };
+    }
+  }
+
+  async callBackend(definition, variables, args, signal) {
+    switch (definition.transport.type) {
+      case 'builtin':
+        return await this.builtins.get(definition.transport.handler)(variables, args, { signal });
+      case 'stdio':
+        return await this.callStdio(definition, args, signal);
+      case 'http':
+        return await this.callHttp(definition, args, signal);
+      case 'ollama':
+        return await this.callOllama(definition, args, signal);
+    }
+  }
+
+  async callStdio(definition, args, signal) {
+    const adapter = new McpStdioAdapter({
+      name: definition.name,
+      ...definition.transport,
+      tool: definition.tool,
+      timeout: definition.timeout ?? this.timeout,
+      pool: this.pool,
+      cassette: this.cassette
+    });
+
+    const result = await adapter.callTool(args, { signal });
+    return extractText(result) || 'No text content returned';
+  }
+
+  async callOllama(definition, args, signal) {
+    const { type, ...options } = definition.transport;
+    const timeout = definition.timeout ?? options.timeout ?? this.timeout;
+    const adapter = new OllamaAdapter({
+      name: definition.name,
+      ...options,
+      ...(timeout !== undefined && { timeout }),
+      cassette: this.cassette
+    });
+
+    return await adapter.generate(args.prompt, { model: args.model, signal });
+  }
+
+  async callHttp(definition, args, signal) {
+    if (!this.cassette) {
+      return await this.callHttpLive(definition, args, signal);
+    }
+    return await this.cassette.exchange(definition.name, { url: definition.transport.url, tool: definition.tool, arguments: args }, { signal },
+      () => this.callHttpLive(definition, args, signal));
+  }
+
+  async callHttpLive(definition, args, signal) {
+    const { url, headers = {} } = definition.transport;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(definition.tool ? { tool: definition.tool, arguments: args } : args),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${url}`);
+    }
+
+    const body = await response.text();
+    try {
+      const json = JSON.parse(body);
+      return json.response ?? json.text ?? (extractText(json) || body);
+    } catch {
+      return body;
+    }
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Progress Reporter
+ * Emits MCP `notifications/progress` for one `tools/call` so the client can
+ * follow a long collaboration phase by phase. Does nothing when the request
+ * carried no `progressToken`.
+ */
+
+export function displayName(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+export class ProgressReporter {
+  constructor(progressToken, send) {
+    this.progressToken = progressToken;
+    this.send = send;
+    this.progress = 0;
+  }
+
+  get enabled() {
+    return this.progressToken !== undefined && this.progressToken !== null;
+  }
+
+  report(message) {
+    if (!this.enabled) {
+      return;
+    }
+    // progress must increase with every notification for the same token
+    this.progress++;
+    this.send({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: { progressToken: this.progressToken, progress: this.progress, message }
+    });
+  }
+
+  /**
+   * Track a phase of `total` participant steps. `finished` numbers steps in
+   * completion order, so parallel phases read "Codex done (1/3)" and so on.
+   */
+  counter(total) {
+    let completed = 0;
+    return {
+      started: (name, activity = 'started') => this.report(`${displayName(name)} ${activity}`),
+      finished: (name, outcome = 'done') => this.report(`${displayName(name)} ${outcome} (${++completed}/${total})`)
+    };
+  }
+}
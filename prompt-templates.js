@@ -0,0 +1,151 @@
+/**
+ * Prompt Templates
+ * The prompt text behind the plan, apply and review workflows, used by the
+ * server modes and the sequential strategy, and the MCP prompts users pick
+ * from the client's prompt picker. An MCP prompt only briefs the client and
+ * names the `collaborate` arguments; the participants get their prompts when
+ * the tool runs.
+ */
+
+export function buildPlanPrompt(task, content) {
+  return `Create a detailed plan for this collaborative analysis task:
+
+Task: ${task}
+${content ? `Content: ${content}` : ''}
+
+Provide a structured plan that includes:
+1. Analysis objectives
+2. Key areas to focus on
+3. Specific questions to address
+4. Expected deliverables
+
+Format as a clear, actionable plan.`;
+}
+
+export function buildReviewPrompt(task, results) {
+  return `Review and provide feedback on this collaborative analysis:
+
+Task: ${task}
+Results: ${results || 'No specific results provided'}
+
+Provide:
+1. Quality assessment
+2. Completeness evaluation
+3. Areas for improvement
+4. Final recommendations
+
+Format as structured review.`;
+}
+
+// Focus prompts for participants with a known specialization
+export const FOCUS_PROMPTS = {
+  gemini: (task, content) => `Perform comprehensive analysis for this task:
+
+Task: ${task}
+${content ? `Content to analyze: ${content}` : ''}
+
+Provide detailed analysis focusing on:
+- System-level perspective
+- Risk assessment
+- Compliance considerations
+- Recommendations
+
+Format as structured analysis.`,
+
+  codex: (task, content) => `Provide technical implementation analysis for this task:
+
+Task: ${task}
+${content ? `Content: ${content}` : ''}
+
+Focus on:
+- Technical implementation details
+- Code quality considerations
+- Standards compliance
+- Implementation feasibility
+
+Provide structured technical analysis.`
+};
+
+/**
+ * Turn a brief and the `collaborate` arguments that carry it out into the
+ * user message a prompt returns.
+ */
+function workflowMessage(brief, toolArguments) {
+  const args = Object.fromEntries(Object.entries(toolArguments).filter(([, value]) => value !== undefined && value !== ''));
+
+  return `${brief}
+
+Run this as a multi-AI collaboration: call the \`collaborate\` tool with these arguments and present its report.
+
+\`\`\`json
+${JSON.stringify(args, null, 2)}
+\`\`\``;
+}
+
+/**
+ * MCP prompts. Each has the `prompts/list` metadata plus `render(args)`,
+ * which receives the string arguments of `prompts/get` with required ones
+ * already checked.
+ */
+export const PROMPTS = [
+  {
+    name: 'collaborative-plan',
+    title: 'Collaborative plan',
+    description: 'Plan a collaborative analysis before running it',
+    arguments: [
+      { name: 'task', description: 'What the analysis should achieve', required: true },
+      { name: 'content', description: 'Material the analysis will cover', required: false }
+    ],
+    render: ({ task, content }) => workflowMessage(`Plan a multi-AI analysis for this task: ${task}`, { task, content, mode: 'plan' })
+  },
+  {
+    name: 'asme-vessel-review',
+    title: 'ASME pressure vessel review',
+    description: 'Multi-AI compliance review of a pressure vessel design against ASME Section VIII Division 1',
+    arguments: [
+      { name: 'specification', description: 'Vessel specification or design data', required: true },
+      { name: 'strategy', description: 'Orchestration strategy (default: the server default)', required: false }
+    ],
+    render: ({ specification, strategy }) => {
+      const task = 'Review this pressure vessel design for ASME Section VIII Division 1 compliance: shell and head thickness, MAWP, hydrostatic test pressure, materials and nozzle reinforcement';
+      return workflowMessage('Review the pressure vessel specification below for ASME Section VIII Division 1 compliance.', {
+        task,
+        content: specification,
+        mode: 'apply',
+        strategy,
+        domain: 'pressure_vessel',
+        priority: 'high'
+      });
+    }
+  },
+  {
+    name: 'code-performance-review',
+    title: 'Code performance review',
+    description: 'Multi-AI review of code for performance problems and their fixes',
+    arguments: [
+      { name: 'code', description: 'Code to review', required: true },
+      { name: 'focus', description: 'What to optimize for, e.g. latency, memory or throughput', required: false },
+      { name: 'strategy', description: 'Orchestration strategy (default: the server default)', required: false }
+    ],
+    render: ({ code, focus, strategy }) => {
+      const task = `Review this code for performance${focus ? ` with a focus on ${focus}` : ''}: identify bottlenecks, their likely cost and concrete fixes`;
+      return workflowMessage(`Review the code below for performance${focus ? `, focusing on ${focus}` : ''}.`, {
+        task,
+        content: code,
+        mode: 'apply',
+        strategy,
+        domain: 'software'
+      });
+    }
+  },
+  {
+    name: 'collaborative-review',
+    title: 'Collaborative review',
+    description: 'Review the results of an earlier analysis',
+    arguments: [
+      { name: 'task', description: 'The task the results answer', required: true },
+      { name: 'results', description: 'The results to review', required: true }
+    ],
+    render: ({ task, results }) => workflowMessage(`Review the results of an earlier multi-AI analysis of this task: ${task}`, { task, content: results, mode: 'review' })
+  }
+];
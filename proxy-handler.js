@@ -1,324 +0,0 @@
-import { spawn } from 'child_process';
-import { promises as fs } from 'fs';
-import { join } from 'path';
-
-export class ProxyHandler {
-  constructor() {
-    this.workspaceDir = process.cwd();
-    this.timeout = 120000; // 2 minutes timeout
-  }
-
-  async handleCollaboration(task, content, mode) {
-    console.error(`[Proxy Handler] Starting ${mode} collaboration for: ${task}`);
-    
-    switch (mode) {
-      case 'plan':
-        return await this.createPlan(task, content);
-      case 'apply':
-        return await this.performAnalysis(task, content);
-      case 'review':
-        return await this.reviewResults(task, content);
-      default:
-        throw new Error(`Unknown collaboration mode: ${mode}`);
-    }
-  }
-
-  async createPlan(task, content) {
-    console.error('[Proxy Handler] Creating collaboration plan...');
-    
-    // Use Gemini for planning
-    const planPrompt = `Create a detailed plan for this collaborative analysis task:
-    
-Task: ${task}
-${content ? `Content: ${content}` : ''}
-
-Provide a structured plan that includes:
-1. Analysis objectives
-2. Key areas to focus on
-3. Specific questions to address
-4. Expected deliverables
-
-Format as a clear, actionable plan.`;
-
-    const plan = await this.callGeminiMCP(planPrompt);
-    
-    return `# Collaboration Plan
-
-${plan}
-
----
-*Plan generated by Gemini CLI MCP*`;
-  }
-
-  async performAnalysis(task, content) {
-    console.error('[Proxy Handler] Performing collaborative analysis...');
-    
-    const results = [];
-    
-    // Step 1: Gemini Analysis
-    console.error('[Proxy Handler] Getting Gemini analysis...');
-    const geminiPrompt = `Perform comprehensive analysis for this task:
-
-Task: ${task}
-${content ? `Content to analyze: ${content}` : ''}
-
-Provide detailed analysis focusing on:
-- System-level perspective
-- Risk assessment
-- Compliance considerations
-- Recommendations
-
-Format as structured analysis.`;
-
-    const geminiResult = await this.callGeminiMCP(geminiPrompt);
-    results.push({
-      agent: 'Gemini',
-      analysis: geminiResult
-    });
-
-    // Step 2: Codex Analysis (if available)
-    console.error('[Proxy Handler] Getting Codex analysis...');
-    try {
-      const codexPrompt = `Provide technical implementation analysis for this task:
-
-Task: ${task}
-${content ? `Content: ${content}` : ''}
-
-Focus on:
-- Technical implementation details
-- Code quality considerations
-- Standards compliance
-- Implementation feasibility
-
-Provide structured technical analysis.`;
-
-      const codexResult = await this.callCodexMCP(codexPrompt);
-      results.push({
-        agent: 'Codex',
-        analysis: codexResult
-      });
-    } catch (error) {
-      console.error('[Proxy Handler] Codex analysis failed:', error.message);
-      results.push({
-        agent: 'Codex',
-        analysis: `Analysis unavailable: ${error.message}`
-      });
-    }
-
-    // Step 3: Generate Consensus
-    const consensus = await this.generateConsensus(task, results);
-    
-    return this.formatCollaborativeResult(task, results, consensus);
-  }
-
-  async reviewResults(task, content) {
-    console.error('[Proxy Handler] Reviewing collaboration results...');
-    
-    const reviewPrompt = `Review and provide feedback on this collaborative analysis:
-
-Task: ${task}
-Results: ${content || 'No specific results provided'}
-
-Provide:
-1. Quality assessment
-2. Completeness evaluation
-3. Areas for improvement
-4. Final recommendations
-
-Format as structured review.`;
-
-    const review = await this.callGeminiMCP(reviewPrompt);
-    
-    return `# Collaboration Review
-
-${review}
-
----
-*Review generated by Gemini CLI MCP*`;
-  }
-
-  async callGeminiMCP(prompt) {
-    console.error('[Proxy Handler] Calling Gemini CLI MCP...');
-    
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Gemini MCP call timed out'));
-      }, this.timeout);
-
-      // Simulate calling Gemini CLI MCP via subprocess
-      // In real implementation, this would spawn the actual Gemini CLI process
-      const geminiProcess = spawn('node', ['-e', `
-        console.log(JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'tools/call',
-          params: {
-            name: 'ask-gemini',
-            arguments: {
-              prompt: ${JSON.stringify(prompt)},
-              model: 'gemini-2.0-flash-exp'
-            }
-          },
-          id: 1
-        }));
-      `], { stdio: ['pipe', 'pipe', 'pipe'] });
-
-      let output = '';
-      let errorOutput = '';
-
-      geminiProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      geminiProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-
-      geminiProcess.on('close', (code) => {
-        clearTimeout(timeout);
-        
-        if (code === 0) {
-          try {
-            // Parse the mock response
-            const mockResponse = `**Gemini Analysis for: ${prompt.split('\\n')[0]}**
-
-This is a simulated analysis response from Gemini CLI MCP. 
-
-**Key Findings:**
-- Analysis completed successfully
-- Comprehensive evaluation performed
-- Recommendations provided
-
-**Note:** This is a mock response for demonstration. In actual implementation, this would contain the real Gemini analysis.
-
-Generated at: ${new Date().toISOString()}`;
-            
-            resolve(mockResponse);
-          } catch (error) {
-            reject(new Error(`Failed to parse Gemini response: ${error.message}`));
-          }
-        } else {
-          reject(new Error(`Gemini MCP failed with code ${code}: ${errorOutput}`));
-        }
-      });
-
-      geminiProcess.on('error', (error) => {
-        clearTimeout(timeout);
-        reject(new Error(`Failed to spawn Gemini process: ${error.message}`));
-      });
-    });
-  }
-
-  async callCodexMCP(prompt) {
-    console.error('[Proxy Handler] Calling Codex CLI MCP...');
-    
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Codex MCP call timed out'));
-      }, this.timeout);
-
-      // Simulate calling Codex CLI MCP
-      const codexProcess = spawn('node', ['-e', `
-        console.log(JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'tools/call',
-          params: {
-            name: 'codex',
-            arguments: {
-              prompt: ${JSON.stringify(prompt)}
-            }
-          },
-          id: 1
-        }));
-      `], { stdio: ['pipe', 'pipe', 'pipe'] });
-
-      let output = '';
-      let errorOutput = '';
-
-      codexProcess.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      codexProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
-
-      codexProcess.on('close', (code) => {
-        clearTimeout(timeout);
-        
-        if (code === 0) {
-          const mockResponse = `**Codex Technical Analysis for: ${prompt.split('\\n')[0]}**
-
-This is a simulated technical analysis from Codex CLI MCP.
-
-**Technical Assessment:**
-- Implementation feasibility: High
-- Code quality requirements identified
-- Standards compliance verified
-- Technical recommendations provided
-
-**Note:** This is a mock response for demonstration. Real implementation would contain actual Codex analysis.
-
-Generated at: ${new Date().toISOString()}`;
-          
-          resolve(mockResponse);
-        } else {
-          reject(new Error(`Codex MCP failed with code ${code}: ${errorOutput}`));
-        }
-      });
-
-      codexProcess.on('error', (error) => {
-        clearTimeout(timeout);
-        reject(new Error(`Failed to spawn Codex process: ${error.message}`));
-      });
-    });
-  }
-
-  async generateConsensus(task, results) {
-    console.error('[Proxy Handler] Generating consensus...');
-    
-    const consensusPrompt = `Generate a consensus analysis based on these AI perspectives:
-
-Task: ${task}
-
-${results.map(r => `**${r.agent} Analysis:**\\n${r.analysis}\\n`).join('\\n')}
-
-Provide:
-1. Synthesis of key findings
-2. Areas of agreement and disagreement
-3. Unified recommendations
-4. Action items
-
-Format as comprehensive consensus report.`;
-
-    return await this.callGeminiMCP(consensusPrompt);
-  }
-
-  formatCollaborativeResult(task, results, consensus) {
-    const timestamp = new Date().toISOString();
-    
-    return `# Collaborative Analysis Results
-
-**Task:** ${task}  
-**Generated:** ${timestamp}  
-**Participants:** ${results.map(r => r.agent).join(', ')}
-
-## Individual Agent Analyses
-
-${results.map(result => `### ${result.agent} Analysis
-
-${result.analysis}
-
----`).join('\\n')}
-
-## Consensus & Synthesis
-
-${consensus}
-
-## Summary
-
-This collaborative analysis involved ${results.length} AI agents working together to provide comprehensive insights. Each agent contributed their specialized perspective, and the consensus represents the synthesized findings.
-
----
-*Generated by Collaborative MCP Proxy Server*`;
-  }
-}
\ No newline at end of file
@@ -2,694 +2,9 @@
 
 /**
  * Real Collaborative MCP Server
- * Actually calls Gemini CLI and Codex CLI MCPs for real collaboration
+ * Parallel analysis with cross-review discussion, served by the shared core
  */
 
-import { spawn } from 'child_process';
-import { Client } from '@modelcontextprotocol/sdk/client/index.js';
-import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { startServer } from './collaborative-server.js';
 
-class RealCollaborativeMCPServer {
-  constructor() {
-    this.requestId = 0;
-    this.codexClient = null;
-  }
-
-  start() {
-    console.error('[Real Collaborative MCP] Starting...');
-    
-    process.stdin.setEncoding('utf8');
-    process.stdin.on('data', (data) => {
-      const lines = data.trim().split('\n');
-      for (const line of lines) {
-        if (line.trim()) {
-          this.handleMessage(line);
-        }
-      }
-    });
-    
-    // Handle process termination gracefully
-    process.on('SIGTERM', () => this.cleanup());
-    process.on('SIGINT', () => this.cleanup());
-    
-    console.error('[Real Collaborative MCP] Ready');
-  }
-
-  async cleanup() {
-    if (this.codexClient) {
-      try {
-        await this.codexClient.close();
-      } catch (error) {
-        console.error('[Real Collaborative MCP] Cleanup error:', error);
-      }
-    }
-    process.exit(0);
-  }
-
-  handleMessage(line) {
-    try {
-      const request = JSON.parse(line);
-      console.error('[Real Collaborative MCP] Request:', JSON.stringify(request));
-      
-      const { method, id } = request;
-      
-      if (method === 'initialize') {
-        this.sendResponse({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            protocolVersion: '2025-06-18',
-            capabilities: { tools: {} },
-            serverInfo: { name: 'real-collaborative-mcp', version: '1.0.0' }
-          }
-        });
-      } else if (method === 'tools/list') {
-        this.sendResponse({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            tools: [{
-              name: 'collaborate',
-              description: 'Perform real collaborative analysis using Gemini CLI and Codex CLI MCPs',
-              inputSchema: {
-                type: 'object',
-                properties: {
-                  task: {
-                    type: 'string',
-                    description: 'Description of the analysis task'
-                  },
-                  content: {
-                    type: 'string',
-                    description: 'Content to analyze (optional)'
-                  },
-                  mode: {
-                    type: 'string',
-                    enum: ['plan', 'apply', 'review'],
-                    description: 'Collaboration mode',
-                    default: 'apply'
-                  }
-                },
-                required: ['task']
-              }
-            }]
-          }
-        });
-      } else if (method === 'tools/call') {
-        const { params } = request;
-        const { name, arguments: args } = params;
-        
-        if (name === 'collaborate') {
-          this.handleCollaborate(id, args);
-        } else {
-          this.sendError(id, -32602, `Unknown tool: ${name}`);
-        }
-      } else if (method === 'resources/list') {
-        this.sendResponse({
-          jsonrpc: '2.0',
-          id,
-          result: {
-            resources: []
-          }
-        });
-      } else if (method.startsWith('notifications/')) {
-        console.error('[Real Collaborative MCP] Notification received:', method);
-      } else {
-        console.error('[Real Collaborative MCP] Unhandled method:', method);
-      }
-      
-    } catch (error) {
-      console.error('[Real Collaborative MCP] Error:', error);
-    }
-  }
-
-  async handleCollaborate(id, args) {
-    const { task, content, mode = 'apply' } = args;
-    
-    console.error(`[Real Collaborative MCP] Starting real collaboration: ${mode} - ${task}`);
-    
-    try {
-      let result = '';
-      
-      if (mode === 'plan') {
-        result = await this.generateCollaborativePlan(task, content);
-      } else if (mode === 'apply') {
-        result = await this.performRealCollaboration(task, content);
-      } else if (mode === 'review') {
-        result = await this.reviewWithAIs(task, content);
-      } else {
-        throw new Error(`Unknown mode: ${mode}`);
-      }
-      
-      this.sendResponse({
-        jsonrpc: '2.0',
-        id,
-        result: {
-          content: [{
-            type: 'text',
-            text: result
-          }]
-        }
-      });
-      
-    } catch (error) {
-      console.error('[Real Collaborative MCP] Collaboration error:', error);
-      this.sendError(id, -32603, `Collaboration failed: ${error.message}`);
-    }
-  }
-
-  async generateCollaborativePlan(task, content) {
-    return `# Real Collaboration Plan for: ${task}
-
-## Objective
-${task}
-
-${content ? `## Content to Analyze
-${content}
-
-` : ''}## Real AI Collaboration Strategy
-
-### Phase 1: Individual AI Analysis
-- **Gemini CLI**: Will perform comprehensive system analysis via CLI subprocess
-- **Codex CLI**: Will provide technical implementation review via MCP client
-- **Ollama Local**: Will conduct privacy-sensitive validation locally
-
-### Phase 2: Real Integration
-- Execute actual API calls to each AI system
-- Collect genuine responses from each model
-- Identify consensus points and disagreements
-
-### Phase 3: Synthesis
-- Compare real AI perspectives
-- Generate unified recommendations from actual analysis
-- Create implementation roadmap based on real feedback
-
-## Implementation Status
-✅ MCP Infrastructure Ready
-✅ Gemini CLI Integration Method Identified
-✅ Codex CLI MCP Client Approach Confirmed
-⏳ Ready to Execute Real Collaboration
-
----
-*Real collaboration plan generated at: ${new Date().toISOString()}*`;
-  }
-
-  async performRealCollaboration(task, content) {
-    console.error('[Real Collaborative MCP] Executing real AI collaboration with discussion engine...');
-    
-    // Phase 1: Parallel Analysis
-    console.error('[Real Collaborative MCP] Phase 1: Parallel Analysis');
-    const results = {};
-    const errors = {};
-    
-    // Call Gemini CLI
-    try {
-      console.error('[Real Collaborative MCP] Calling Gemini CLI...');
-      results.gemini = await this.callGeminiCLI(task, content);
-    } catch (error) {
-      console.error('[Real Collaborative MCP] Gemini CLI error:', error);
-      errors.gemini = error.message;
-    }
-    
-    // Call Codex CLI MCP
-    try {
-      console.error('[Real Collaborative MCP] Calling Codex CLI MCP...');
-      results.codex = await this.callCodexMCP(task, content);
-    } catch (error) {
-      console.error('[Real Collaborative MCP] Codex CLI MCP error:', error);
-      errors.codex = error.message;
-    }
-    
-    // Call Ollama (placeholder for now)
-    try {
-      console.error('[Real Collaborative MCP] Calling Ollama...');
-      results.ollama = await this.callOllama(task, content);
-    } catch (error) {
-      console.error('[Real Collaborative MCP] Ollama error:', error);
-      errors.ollama = error.message;
-    }
-    
-    // Phase 2: Discussion Engine - Sequential Cross-Review
-    console.error('[Real Collaborative MCP] Phase 2: Discussion Engine - Cross-Review');
-    const discussions = {};
-    
-    // Only proceed with discussion if we have successful results
-    const successfulAIs = Object.keys(results);
-    if (successfulAIs.length >= 2) {
-      // Each AI reviews the others' results
-      for (const reviewerAI of successfulAIs) {
-        try {
-          const otherResults = {};
-          for (const otherAI of successfulAIs) {
-            if (otherAI !== reviewerAI) {
-              otherResults[otherAI] = results[otherAI];
-            }
-          }
-          
-          console.error(`[Real Collaborative MCP] ${reviewerAI} reviewing others' results...`);
-          discussions[reviewerAI] = await this.conductCrossReview(reviewerAI, task, otherResults);
-          
-        } catch (error) {
-          console.error(`[Real Collaborative MCP] ${reviewerAI} discussion error:`, error);
-          discussions[reviewerAI] = `Discussion error: ${error.message}`;
-        }
-      }
-    }
-    
-    // Phase 3: Consensus Building
-    console.error('[Real Collaborative MCP] Phase 3: Consensus Building');
-    const consensus = await this.buildConsensus(task, results, discussions);
-    
-    // Generate comprehensive collaborative report with discussion
-    return this.generateEnhancedCollaborativeReport(task, content, results, errors, discussions, consensus);
-  }
-
-  async callGeminiCLI(task, content) {
-    try {
-      console.error('[Real Collaborative MCP] Using direct Gemini MCP call...');
-      
-      // Use the direct MCP function since we know it works
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-      
-      // This will call the actual Gemini MCP that Claude Desktop uses
-      const result = await this.callGeminiDirectly(prompt);
-      
-      return result;
-      
-    } catch (error) {
-      throw new Error(`Gemini MCP error: ${error.message}`);
-    }
-  }
-  
-  async callGeminiDirectly(prompt) {
-    // Since we can't directly call another MCP from here in the same process,
-    // we'll use a workaround - create a temporary file and use web_fetch for analysis
-    try {
-      const transport = new StdioClientTransport({
-        command: 'npx',
-        args: ['-y', 'gemini-mcp-tool'],
-        env: process.env
-      });
-      
-      const geminiClient = new Client(
-        { name: 'collab-gemini-bridge', version: '1.0.0' },
-        transport
-      );
-      
-      await geminiClient.connect();
-      console.error('[Real Collaborative MCP] Connected to Gemini MCP');
-      
-      // Use web_fetch to analyze the prompt (this is a creative workaround)
-      const result = await geminiClient.callTool({
-        name: 'web_fetch',
-        arguments: { 
-          prompt: `Please analyze the following task as a pressure vessel engineering expert:\n\n${prompt}\n\nProvide comprehensive technical analysis focusing on ASME standards, material selection, and safety considerations.`
-        }
-      });
-      
-      // Extract text from result
-      const texts = [];
-      for (const item of result.content || []) {
-        if (item.type === 'text' && item.text) {
-          texts.push(item.text);
-        }
-      }
-      
-      await geminiClient.close();
-      return texts.join('\n') || 'Gemini analysis completed';
-      
-    } catch (error) {
-      throw new Error(`Direct Gemini call failed: ${error.message}`);
-    }
-  }
-
-  async callCodexMCP(task, content) {
-    let codexClient = null;
-    try {
-      console.error('[Real Collaborative MCP] Initializing Codex MCP client...');
-      
-      const transport = new StdioClientTransport({
-        command: '/usr/local/bin/codex-mcp',
-        args: [],
-        env: process.env
-      });
-      
-      codexClient = new Client(
-        { name: 'collab-bridge', version: '1.0.0' },
-        transport
-      );
-      
-      await codexClient.connect();
-      console.error('[Real Collaborative MCP] Connected to Codex MCP');
-      
-      const prompt = content ? `${task}\n\nContent to analyze:\n${content}` : task;
-      
-      // Use the shell tool to run an analysis command
-      const result = await codexClient.callTool({
-        name: 'shell',
-        arguments: { 
-          command: ["echo", `CODEX ANALYSIS REQUEST: ${prompt.substring(0, 200)}...`],
-          timeout: 10
-        }
-      });
-      
-      // Extract text from result
-      const texts = [];
-      for (const item of result.content || []) {
-        if (item.type === 'text' && item.text) {
-          texts.push(item.text);
-        }
-      }
-      
-      await codexClient.close();
-      
-      // Return a formatted response that indicates Codex was called
-      return `Codex MCP Analysis Results:\n${texts.join('\n')}\n\nNote: This is a demo call to show Codex MCP connectivity. In a full implementation, this would run more sophisticated analysis commands.`;
-      
-    } catch (error) {
-      if (codexClient) {
-        try {
-          await codexClient.close();
-        } catch (closeError) {
-          console.error('[Real Collaborative MCP] Error closing Codex client:', closeError);
-        }
-      }
-      throw new Error(`Codex MCP error: ${error.message}`);
-    }
-  }
-
-  async callOllama(task, content) {
-    // Placeholder for Ollama integration
-    // Would need to implement actual Ollama API call or MCP integration
-    return `Ollama local analysis placeholder for: ${task}`;
-  }
-
-  async conductCrossReview(reviewerAI, task, otherResults) {
-    console.error(`[Real Collaborative MCP] ${reviewerAI} conducting cross-review...`);
-    
-    // Create a comprehensive review prompt
-    const reviewPrompt = `${task}
-
-Please review and discuss the following analysis results from your AI colleagues:
-
-${Object.entries(otherResults).map(([ai, result]) => 
-  `## ${ai.toUpperCase()} Analysis:
-${result}
-`).join('\n')}
-
-As ${reviewerAI}, please provide:
-1. Your assessment of each colleague's analysis
-2. Points of agreement and disagreement  
-3. Additional insights or corrections
-4. Your final recommendation considering all perspectives
-
-Focus on technical accuracy, practical implementation, and identifying the best combined approach.`;
-
-    // Call the appropriate AI for cross-review
-    try {
-      switch (reviewerAI) {
-        case 'gemini':
-          return await this.callGeminiCLI(reviewPrompt, null);
-        case 'codex':
-          return await this.callCodexMCP(reviewPrompt, null);
-        case 'ollama':
-          return await this.callOllama(reviewPrompt, null);
-        default:
-          throw new Error(`Unknown reviewer AI: ${reviewerAI}`);
-      }
-    } catch (error) {
-      throw new Error(`Cross-review by ${reviewerAI} failed: ${error.message}`);
-    }
-  }
-
-  async buildConsensus(task, results, discussions) {
-    console.error('[Real Collaborative MCP] Building consensus from discussions...');
-    
-    const timestamp = new Date().toISOString();
-    const successfulAIs = Object.keys(results);
-    const discussionCount = Object.keys(discussions).length;
-    
-    let consensus = `# AI Consensus Report
-
-**Task:** ${task}
-**Generated:** ${timestamp}
-**Participating AIs:** ${successfulAIs.join(', ')}
-**Discussion Rounds:** ${discussionCount}
-
-## Cross-Review Summary
-
-${Object.entries(discussions).map(([ai, discussion]) =>
-  `### ${ai.toUpperCase()} Cross-Review:
-${discussion}
-
-`).join('')}
-
-## Consensus Analysis
-
-Based on ${discussionCount} cross-review discussions:
-
-### Common Ground
-- Areas where all AIs agreed
-- Shared technical principles
-- Consistent recommendations
-
-### Points of Disagreement  
-- Technical approach differences
-- Risk assessment variations
-- Implementation priority conflicts
-
-### Unified Recommendations
-- Combined best practices from all perspectives
-- Balanced approach considering all viewpoints
-- Actionable next steps with AI consensus
-
----
-*Consensus built through real AI discussion at ${timestamp}*`;
-
-    return consensus;
-  }
-
-  async reviewWithAIs(task, content) {
-    // Similar to performRealCollaboration but focused on review
-    return `# Real AI Review Results for: ${task}
-
-Review conducted by actual AI models at ${new Date().toISOString()}
-
-## Review Process
-1. Content submitted to real Gemini CLI
-2. Analysis performed by actual Codex CLI MCP
-3. Local validation via Ollama (when available)
-
-## Review Status
-This is a real AI collaboration system that will call actual AI models.
-
----
-*Real review completed*`;
-  }
-
-  generateCollaborativeReport(task, content, results, errors) {
-    const timestamp = new Date().toISOString();
-    
-    let report = `# Real Collaborative AI Analysis Results
-
-**Task:** ${task}
-**Generated:** ${timestamp}
-**Mode:** Actual Multi-AI Collaboration
-
-## Executive Summary
-This analysis was performed by actually calling multiple AI systems and collecting their real responses.
-
-`;
-
-    // Add results from each AI
-    if (results.gemini) {
-      report += `## 🧠 Gemini CLI Analysis (Real Response)
-${results.gemini}
-
-`;
-    } else if (errors.gemini) {
-      report += `## 🧠 Gemini CLI Analysis (Error)
-**Error:** ${errors.gemini}
-
-`;
-    }
-
-    if (results.codex) {
-      report += `## 💻 Codex CLI MCP Analysis (Real Response)
-${results.codex}
-
-`;
-    } else if (errors.codex) {
-      report += `## 💻 Codex CLI MCP Analysis (Error)
-**Error:** ${errors.codex}
-
-`;
-    }
-
-    if (results.ollama) {
-      report += `## 🏠 Ollama Local Analysis (Real Response)
-${results.ollama}
-
-`;
-    } else if (errors.ollama) {
-      report += `## 🏠 Ollama Local Analysis (Error)
-**Error:** ${errors.ollama}
-
-`;
-    }
-
-    // Add summary
-    const successCount = Object.keys(results).length;
-    const errorCount = Object.keys(errors).length;
-    
-    report += `## Collaboration Summary
-- **Successful AI Responses:** ${successCount}
-- **Failed AI Responses:** ${errorCount}
-- **Total AI Models Attempted:** ${successCount + errorCount}
-
-`;
-
-    if (successCount > 0) {
-      report += `## Unified Recommendations
-Based on ${successCount} real AI analysis results:
-
-1. **Consensus Findings**: [Analysis based on actual AI responses above]
-2. **Implementation Priority**: [Derived from real AI recommendations]
-3. **Next Steps**: [Actionable items from actual AI analysis]
-
-`;
-    }
-
-    report += `---
-*This analysis represents real collaboration between actual AI models*
-*Generated by: Real Collaborative MCP Proxy*
-*Timestamp: ${timestamp}*`;
-
-    return report;
-  }
-
-  generateEnhancedCollaborativeReport(task, content, results, errors, discussions, consensus) {
-    const timestamp = new Date().toISOString();
-    const successfulAIs = Object.keys(results);
-    const discussionCount = Object.keys(discussions).length;
-    
-    let report = `# Enhanced Collaborative AI Analysis with Discussion Engine
-
-**Task:** ${task}
-**Generated:** ${timestamp}
-**Mode:** Multi-AI Collaboration with Cross-Review Discussion
-**Participating AIs:** ${successfulAIs.join(', ')}
-**Discussion Rounds:** ${discussionCount}
-
-## 🎯 Executive Summary
-This analysis was performed using a 3-phase collaborative approach:
-1. **Parallel Analysis**: Independent AI assessments
-2. **Cross-Review Discussion**: AIs reviewing each other's work  
-3. **Consensus Building**: Unified recommendations from discussions
-
----
-
-# Phase 1: Individual AI Analysis Results
-
-`;
-
-    // Add results from each AI (Phase 1)
-    if (results.gemini) {
-      report += `## 🧠 Gemini CLI Analysis
-${results.gemini}
-
-`;
-    } else if (errors.gemini) {
-      report += `## 🧠 Gemini CLI Analysis (Error)
-**Error:** ${errors.gemini}
-
-`;
-    }
-
-    if (results.codex) {
-      report += `## 💻 Codex CLI MCP Analysis  
-${results.codex}
-
-`;
-    } else if (errors.codex) {
-      report += `## 💻 Codex CLI MCP Analysis (Error)
-**Error:** ${errors.codex}
-
-`;
-    }
-
-    if (results.ollama) {
-      report += `## 🏠 Ollama Local Analysis
-${results.ollama}
-
-`;
-    } else if (errors.ollama) {
-      report += `## 🏠 Ollama Local Analysis (Error)
-**Error:** ${errors.ollama}
-
-`;
-    }
-
-    // Add discussion results (Phase 2)
-    if (discussionCount > 0) {
-      report += `---
-
-# Phase 2: Cross-Review Discussion Engine Results
-
-${Object.entries(discussions).map(([ai, discussion]) =>
-`## 🔄 ${ai.toUpperCase()} Cross-Review Discussion
-${discussion}
-
-`).join('')}`;
-    }
-
-    // Add consensus (Phase 3)
-    report += `---
-
-# Phase 3: AI Consensus and Unified Recommendations
-
-${consensus}
-
----
-
-## 📊 Collaboration Statistics
-- **Total AI Models Attempted:** ${Object.keys(results).length + Object.keys(errors).length}
-- **Successful Initial Analysis:** ${Object.keys(results).length}
-- **Failed Initial Analysis:** ${Object.keys(errors).length}
-- **Cross-Review Discussions Completed:** ${discussionCount}
-- **Discussion Success Rate:** ${discussionCount > 0 ? '100%' : '0%'}
-
-## 🚀 Implementation Ready
-✅ Multiple AI perspectives analyzed
-✅ Cross-review discussions completed  
-✅ Consensus recommendations generated
-✅ Ready for technical implementation
-
----
-*Enhanced collaborative analysis with discussion engine*
-*Generated by: Real Collaborative MCP with Discussion Engine*
-*Timestamp: ${timestamp}*`;
-
-    return report;
-  }
-
-  sendResponse(response) {
-    try {
-      const message = JSON.stringify(response) + '\n';
-      console.error('[Real Collaborative MCP] Sending:', message.trim());
-      process.stdout.write(message);
-    } catch (error) {
-      console.error('[Real Collaborative MCP] Send error:', error);
-    }
-  }
-
-  sendError(id, code, message) {
-    this.sendResponse({
-      jsonrpc: '2.0',
-      id,
-      error: { code, message }
-    });
-  }
-}
-
-const server = new RealCollaborativeMCPServer();
-server.start();
\ No newline at end of file
+startServer({ defaultStrategy: 'cross-review' });
@@ -0,0 +1,67 @@
+/**
+ * Run Summary
+ * The closing report section shared by every strategy. It states only what
+ * was measured during the run: who was called and how it went, how long the
+ * calls took, and how far the answers agree by claim comparison.
+ */
+
+import { buildClaimConsensus } from './consensus.js';
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+
+/**
+ * One line on agreement between `answers`, from their claim consensus (or
+ * the `claimConsensus` a strategy already built over other texts).
+ */
+export function describeAgreement(answers, claimConsensus) {
+  const agents = Object.keys(answers);
+  if (!claimConsensus && agents.length < 2) {
+    return 'Not measured: fewer than two participants answered.';
+  }
+
+  const { counts } = claimConsensus || buildClaimConsensus(answers);
+  const total = counts.unanimous + counts.majority + counts.disputed;
+  if (total === 0) {
+    return 'Not measured: no comparable claims were found in the answers.';
+  }
+  return `${total} distinct claims: ${counts.unanimous} unanimous, ${counts.majority} majority, ${counts.disputed} disputed (${Math.round(counts.unanimous / total * 100)}% raised by every participant).`;
+}
+
+/**
+ * Markdown "Run Summary" section. Every participant that was requested or
+ * called gets a row with its status, number of calls and total call time.
+ */
+export function formatRunSummary(session, { answers = {}, errors = {}, claimConsensus } = {}) {
+  const timings = session.timings || {};
+  const names = [...new Set([...session.participants, ...Object.keys(timings)])];
+
+  const baseStatus = (name) => {
+    if (name in answers) return 'answered';
+    if (name in errors) return `failed: ${errors[name]}`;
+    // e.g. the synthesizer, whose outcome the consensus section reports
+    if (name in timings) return 'not an analyst';
+    return 'not called';
+  };
+  const status = (name) => {
+    const { simulated = 0, replayed = 0, calls } = timings[name] || {};
+    if (simulated > 0) return `${baseStatus(name)} (SIMULATED: ${simulated} of ${calls} calls from fixtures)`;
+    if (replayed > 0) return `${baseStatus(name)} (REPLAYED: ${replayed} of ${calls} calls from a cassette)`;
+    return baseStatus(name);
+  };
+
+  const rows = names.map(name => {
+    const timing = timings[name];
+    return `| ${name} | ${status(name)} | ${timing?.calls ?? 0} | ${timing ? seconds(timing.totalMs) : '–'} |`;
+  });
+
+  return `## Run Summary
+
+| Participant | Status | Calls | Call time |
+|---|---|---|---|
+${rows.join('\n')}
+
+**Answered:** ${Object.keys(answers).length} of ${session.participants.length} requested
+**Elapsed:** ${session.startedAt ? seconds(Date.now() - session.startedAt) : 'not measured'}
+**Agreement:** ${describeAgreement(answers, claimConsensus)}
+`;
+}
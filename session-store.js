@@ -0,0 +1,211 @@
+/**
+ * Session Store
+ * Keeps recent collaborations in memory and maps them to MCP resources under
+ * `collab://sessions/{id}/...`, so a past report or a single participant's
+ * raw answer can be read back without re-running the analysis.
+ */
+
+// MCP error code for resources/read of an unknown URI
+export const RESOURCE_NOT_FOUND = -32002;
+
+const MIME_TYPE = 'text/markdown';
+const URI_PATTERN = /^collab:\/\/sessions\/([^/]+)\/(report|consensus|discussion|participants\/([^/]+))$/;
+
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'collab://sessions/{id}/report',
+    name: 'Collaboration report',
+    description: 'The full Markdown report returned by a collaborate call',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: 'collab://sessions/{id}/participants/{name}',
+    name: 'Participant answer',
+    description: 'One participant\'s raw answer from the first analysis phase',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: 'collab://sessions/{id}/consensus',
+    name: 'Consensus',
+    description: 'The consensus or synthesis section, when the strategy produced one',
+    mimeType: MIME_TYPE
+  },
+  {
+    uriTemplate: 'collab://sessions/{id}/discussion',
+    name: 'Discussion',
+    description: 'Each participant\'s cross-review or debate history, for strategies with a discussion phase',
+    mimeType: MIME_TYPE
+  }
+];
+
+export function sessionUri(id, part) {
+  return `collab://sessions/${id}/${part}`;
+}
+
+/**
+ * Split a session resource URI into `{ id, part, participant }`, or return
+ * null if it is not one (including a participant name that does not decode).
+ */
+export function parseSessionUri(uri) {
+  const match = URI_PATTERN.exec(uri);
+  if (!match) {
+    return null;
+  }
+  const [, id, part, participant] = match;
+  if (participant === undefined) {
+    return { id, part };
+  }
+  try {
+    return { id, part: 'participants', participant: decodeURIComponent(participant) };
+  } catch {
+    // Malformed escape such as "%E0"
+    return null;
+  }
+}
+
+export class SessionStore {
+  constructor({ maxSessions = 50 } = {}) {
+    this.maxSessions = maxSessions;
+    this.sessions = new Map();
+  }
+
+  /**
+   * Record a collaboration as running. Evicts the oldest session once the
+   * store holds `maxSessions`.
+   */
+  start({ id, task, mode, strategy }) {
+    this.sessions.set(id, {
+      id,
+      task,
+      mode,
+      strategy,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      report: null,
+      answers: {},
+      errors: {},
+      consensus: null,
+      discussion: null
+    });
+
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+  }
+
+  /**
+   * Mark a session finished with `status` and the strategy outcome fields.
+   */
+  finish(id, status, outcome = {}) {
+    const record = this.sessions.get(id);
+    if (!record) {
+      return null;
+    }
+    Object.assign(record, {
+      report: outcome.report ?? null,
+      answers: outcome.answers || {},
+      errors: outcome.errors || {},
+      consensus: outcome.consensus ?? null,
+      discussion: outcome.discussion && Object.keys(outcome.discussion).length > 0 ? outcome.discussion : null,
+      error: outcome.error,
+      status,
+      completedAt: new Date().toISOString()
+    });
+    return record;
+  }
+
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  /**
+   * Resources for one session. A running session only has its report.
+   */
+  resourcesFor(record) {
+    const label = `${record.task.slice(0, 60)}${record.task.length > 60 ? '…' : ''}`;
+    const resources = [{
+      uri: sessionUri(record.id, 'report'),
+      name: `${record.id}/report`,
+      title: `Report: ${label}`,
+      description: `${record.mode} collaboration (${record.strategy}), ${record.status}, started ${record.startedAt}`,
+      mimeType: MIME_TYPE
+    }];
+
+    for (const name of Object.keys(record.answers)) {
+      resources.push({
+        uri: sessionUri(record.id, `participants/${encodeURIComponent(name)}`),
+        name: `${record.id}/participants/${name}`,
+        title: `${name} answer: ${label}`,
+        mimeType: MIME_TYPE
+      });
+    }
+    if (record.consensus) {
+      resources.push({
+        uri: sessionUri(record.id, 'consensus'),
+        name: `${record.id}/consensus`,
+        title: `Consensus: ${label}`,
+        mimeType: MIME_TYPE
+      });
+    }
+    if (record.discussion) {
+      resources.push({
+        uri: sessionUri(record.id, 'discussion'),
+        name: `${record.id}/discussion`,
+        title: `Discussion: ${label}`,
+        mimeType: MIME_TYPE
+      });
+    }
+    return resources;
+  }
+
+  /**
+   * Every resource in the store, newest session first.
+   */
+  listResources() {
+    return [...this.sessions.values()].reverse().flatMap(record => this.resourcesFor(record));
+  }
+
+  /**
+   * Return the `{ uri, mimeType, text }` contents for `uri`, or null if the
+   * session or the requested part does not exist.
+   */
+  read(uri) {
+    const parsed = parseSessionUri(uri);
+    const record = parsed && this.sessions.get(parsed.id);
+    if (!record) {
+      return null;
+    }
+
+    const text = this.renderPart(record, parsed);
+    return text === null ? null : { uri, mimeType: MIME_TYPE, text };
+  }
+
+  renderPart(record, { part, participant }) {
+    switch (part) {
+      case 'report':
+        return record.report ?? this.describeStatus(record);
+      case 'participants':
+        return Object.hasOwn(record.answers, participant) ? record.answers[participant] : null;
+      case 'consensus':
+        return record.consensus;
+      case 'discussion':
+        return record.discussion && Object.entries(record.discussion)
+          .map(([name, text]) => `## ${name}\n\n${text}`)
+          .join('\n\n');
+      default:
+        return null;
+    }
+  }
+
+  describeStatus(record) {
+    switch (record.status) {
+      case 'running':
+        return `# Collaboration in progress\n\n**Task:** ${record.task}\n**Started:** ${record.startedAt}\n\nSubscribe to this resource to be notified when the report is ready.`;
+      case 'cancelled':
+        return `# Collaboration cancelled\n\n**Task:** ${record.task}\n**Cancelled:** ${record.completedAt}`;
+      default:
+        return `# Collaboration failed\n\n**Task:** ${record.task}\n**Error:** ${record.error || 'unknown error'}`;
+    }
+  }
+}
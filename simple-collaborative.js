@@ -2,1151 +2,9 @@
 
 /**
  * Simple Collaborative MCP Server
- * Using basic JSON-RPC without complex SDK patterns
+ * Parallel analysis with Serena consensus, served by the shared core
  */
 
-import fs from 'fs';
-import { spawn } from 'child_process';
-import DataParser from './data-parser.js';
+import { startServer } from './collaborative-server.js';
 
-// Simple logging function
-function log(level, message, meta = {}) {
-  const timestamp = new Date().toISOString();
-  const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
-  console.error(`${timestamp} [${level.toUpperCase()}] ${message} ${metaStr}`);
-}
-
-class SimpleCollaborativeMCPServer {
-  constructor() {
-    this.childProcesses = new Map();
-    this.log = log;
-    this.dataParser = new DataParser();
-  }
-
-  async handleRequest(request) {
-    this.log('debug', 'Received request', { method: request.method, id: request.id });
-
-    try {
-      switch (request.method) {
-        case 'initialize':
-          return this.handleInitialize(request);
-        
-        case 'notifications/initialized':
-          this.log('info', 'Client initialized notification received');
-          return; // Notifications don't need responses
-        
-        case 'tools/list':
-          return this.handleToolsList(request);
-        
-        case 'tools/call':
-          return await this.handleToolsCall(request);
-        
-        default:
-          throw new Error(`Unknown method: ${request.method}`);
-      }
-    } catch (error) {
-      this.log('error', 'Request handling error', { error: error.message, method: request.method });
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        error: {
-          code: -32601,
-          message: error.message
-        }
-      };
-    }
-  }
-
-  handleInitialize(request) {
-    this.log('info', 'Initializing MCP server');
-    
-    return {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        protocolVersion: '2025-06-18',
-        capabilities: {
-          tools: {}
-        },
-        serverInfo: {
-          name: 'simple-collaborative-proxy',
-          version: '1.0.0'
-        }
-      }
-    };
-  }
-
-  handleToolsList(request) {
-    this.log('debug', 'Handling tools/list request');
-    
-    return {
-      jsonrpc: '2.0',
-      id: request.id,
-      result: {
-        tools: [
-          {
-            name: 'collaborate',
-            description: 'Perform collaborative analysis using multiple AI models',
-            inputSchema: {
-              type: 'object',
-              properties: {
-                task: {
-                  type: 'string',
-                  description: 'Description of the analysis task'
-                },
-                content: {
-                  type: 'string',
-                  description: 'Content to analyze (optional)'
-                },
-                participants: {
-                  type: 'array',
-                  items: { type: 'string' },
-                  description: 'AI participants (gemini, codex, ollama, serena)',
-                  default: ['ollama', 'gemini', 'codex', 'serena']
-                }
-              },
-              required: ['task']
-            }
-          }
-        ]
-      }
-    };
-  }
-
-  async handleToolsCall(request) {
-    const { name, arguments: args } = request.params;
-    
-    this.log('debug', 'Handling tools/call request', { toolName: name });
-
-    if (name === 'collaborate') {
-      const result = await this.performCollaboration(args);
-      
-      return {
-        jsonrpc: '2.0',
-        id: request.id,
-        result: {
-          content: [{
-            type: 'text',
-            text: result
-          }]
-        }
-      };
-    }
-
-    throw new Error(`Unknown tool: ${name}`);
-  }
-
-  async performCollaboration(args) {
-    const { task, content, participants = ['ollama', 'gemini', 'codex', 'serena'] } = args;
-    
-    this.log('info', 'Starting Zen-style collaboration', { task, participants });
-
-    // Zen MCP-inspired workflow: Sequential collaboration with context passing
-    const collaborationContext = {
-      task,
-      content,
-      participants,
-      results: {},
-      insights: [],
-      consensus: null
-    };
-
-    // Phase 1: Initial Analysis (parallel for efficiency)
-    const initialResults = {};
-    const errors = {};
-
-    const nonSerenaParticipants = participants.filter(p => p !== 'serena');
-    
-    this.log('info', 'Phase 1: Parallel initial analysis', { participants: nonSerenaParticipants });
-    
-    // Run initial analyses in parallel (excluding Serena)
-    const promises = nonSerenaParticipants.map(async (participant) => {
-      try {
-        this.log('debug', `Initial analysis by: ${participant}`);
-        const result = await this.callParticipant(participant, task, content);
-        this.log('info', `Initial analysis complete: ${participant}`);
-        return { participant, result, success: true };
-      } catch (error) {
-        this.log('error', `Initial analysis error: ${participant}`, { error: error.message });
-        return { participant, error: error.message, success: false };
-      }
-    });
-
-    const initialAnalyses = await Promise.allSettled(promises);
-    
-    // Collect initial results
-    initialAnalyses.forEach((result) => {
-      if (result.status === 'fulfilled') {
-        const { participant, result: analysis, error, success } = result.value;
-        if (success) {
-          initialResults[participant] = analysis;
-          collaborationContext.results[participant] = analysis;
-        } else {
-          errors[participant] = error;
-        }
-      }
-    });
-
-    // Phase 2: Serena Synthesis & Consensus (if included)
-    if (participants.includes('serena')) {
-      this.log('info', 'Phase 2: Serena consensus building with context from other AIs');
-      
-      try {
-        // Prepare context for Serena with other AI results
-        const contextForSerena = this.prepareSerenaContext(task, content, initialResults);
-        collaborationContext.consensus = await this.callSerenaWithContext(contextForSerena, collaborationContext);
-        collaborationContext.results['serena'] = collaborationContext.consensus;
-        this.log('info', 'Serena consensus completed');
-      } catch (error) {
-        this.log('error', 'Serena consensus failed', { error: error.message });
-        errors['serena'] = error.message;
-      }
-    }
-
-    return this.generateZenStyleReport(collaborationContext, errors);
-  }
-
-  async callParticipant(participant, task, content) {
-    switch (participant) {
-      case 'ollama':
-        return await this.callOllama(task, content);
-      case 'gemini':
-        return await this.callGemini(task, content);
-      case 'codex':
-        return await this.callCodex(task, content);
-      case 'serena':
-        return await this.callSerena(task, content);
-      default:
-        throw new Error(`Unknown participant: ${participant}`);
-    }
-  }
-
-  async callRealSerenaMCP(prompt) {
-    // Real Serena MCP subprocess call
-    try {
-      this.log('debug', 'Starting Serena MCP subprocess');
-      
-      const serenaProcess = spawn('uv', [
-        'run', 
-        '--directory', 
-        '/Users/junteakim/serena', 
-        'serena', 
-        'start-mcp-server',
-        '--context', 'desktop-app',
-        '--mode', 'interactive'
-      ], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-        cwd: '/Users/junteakim/serena'
-      });
-
-      let responseBuffer = '';
-      let errorBuffer = '';
-      
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          serenaProcess.kill('SIGTERM');
-          reject(new Error('Serena MCP timeout'));
-        }, 5000); // 5 second timeout for faster fallback
-
-        serenaProcess.stdout.on('data', (data) => {
-          responseBuffer += data.toString();
-          
-          // Look for JSON-RPC responses
-          const lines = responseBuffer.split('\n');
-          for (const line of lines) {
-            if (line.trim() && line.includes('"result"')) {
-              try {
-                const response = JSON.parse(line);
-                if (response.result && response.result.content) {
-                  clearTimeout(timeout);
-                  serenaProcess.kill('SIGTERM');
-                  
-                  const content = response.result.content[0]?.text || 'Serena analysis completed';
-                  resolve(`# Serena MCP Real Analysis\n\n${content}\n\n*Generated by real Serena MCP integration*`);
-                  return;
-                }
-              } catch (e) {
-                // Ignore JSON parse errors
-              }
-            }
-          }
-        });
-
-        serenaProcess.stderr.on('data', (data) => {
-          errorBuffer += data.toString();
-          
-          // Check for successful startup
-          if (errorBuffer.includes('Starting Serena server')) {
-            this.log('debug', 'Serena MCP started, sending request');
-            
-            // Send MCP initialization
-            const initRequest = {
-              jsonrpc: '2.0',
-              id: 1,
-              method: 'initialize',
-              params: {
-                protocolVersion: '2025-06-18',
-                capabilities: {},
-                clientInfo: { name: 'collaborative-proxy', version: '1.0.0' }
-              }
-            };
-            
-            serenaProcess.stdin.write(JSON.stringify(initRequest) + '\n');
-            
-            // Send analysis request
-            setTimeout(() => {
-              const analysisRequest = {
-                jsonrpc: '2.0',
-                id: 2,
-                method: 'tools/call',
-                params: {
-                  name: 'think_about_collected_information',
-                  arguments: {
-                    thinking: `Multi-AI collaborative analysis request: ${prompt}`
-                  }
-                }
-              };
-              
-              serenaProcess.stdin.write(JSON.stringify(analysisRequest) + '\n');
-            }, 2000);
-          }
-        });
-
-        serenaProcess.on('error', (error) => {
-          clearTimeout(timeout);
-          this.log('error', 'Serena MCP process error', { error: error.message });
-          reject(error);
-        });
-
-        serenaProcess.on('exit', (code) => {
-          clearTimeout(timeout);
-          if (code !== 0) {
-            this.log('warn', `Serena MCP exited with code ${code}`);
-          }
-          resolve(null); // Will trigger fallback
-        });
-      });
-      
-    } catch (error) {
-      this.log('error', 'Serena MCP subprocess failed', { error: error.message });
-      return null; // Will trigger fallback
-    }
-  }
-
-  async callOllama(task, content) {
-    // Universal Ollama analysis - let LLM decide what to do with the data
-    this.log('debug', 'Ollama universal analysis');
-    
-    const prompt = content ? `${task}\n\nContent: ${content}` : task;
-    
-    // Extract any numerical data that might be useful
-    const extractedData = this.extractUniversalData(prompt);
-    
-    this.log('info', 'Extracted data for Ollama', extractedData);
-    
-    // Simulate processing time
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Let LLM analyze based on the full context
-    return `# Ollama Analysis (Local AI - Privacy Focused)
-
-**Task:** ${task}
-
-**Status:** ✅ Analysis completed
-
-## 📊 EXTRACTED DATA
-${this.formatExtractedData(extractedData)}
-
-## Analysis
-
-Based on the provided information, here's my analysis:
-
-**Context:** ${prompt}
-
-**Key Findings:**
-- Task complexity: ${this.assessComplexity(prompt)}
-- Data availability: ${extractedData.measurements?.length || 0} numerical values found
-- Domain focus: ${this.identifyDomain(prompt)}
-
-**Analysis Results:**
-The task "${task}" has been processed using local AI capabilities. ${this.generateContextualAnalysis(prompt, extractedData)}
-
-### Local Processing Benefits
-- High-performance calculation engine
-- Local processing ensures data privacy
-- Efficient memory usage for complex analysis
-- Real-time parameter extraction and processing
-
-**Recommendation:** ${this.generateUniversalRecommendation(prompt, extractedData)}`;
-  }
-
-  determineAnalysisType(prompt) {
-    const text = prompt.toLowerCase();
-    
-    if (text.includes('code') || text.includes('programming') || text.includes('function') || text.includes('algorithm')) {
-      return 'Code Analysis';
-    } else if (text.includes('data') || text.includes('statistics') || text.includes('analysis')) {
-      return 'Data Analysis';
-    } else if (text.includes('design') || text.includes('architecture') || text.includes('system')) {
-      return 'System Design';
-    } else if (text.includes('performance') || text.includes('optimization') || text.includes('speed')) {
-      return 'Performance Analysis';
-    } else if (text.includes('security') || text.includes('vulnerability') || text.includes('audit')) {
-      return 'Security Analysis';
-    } else if (text.includes('review') || text.includes('evaluation') || text.includes('assessment')) {
-      return 'Review & Assessment';
-    } else {
-      return 'General Analysis';
-    }
-  }
-
-  extractGeneralData(prompt) {
-    const data = {};
-    
-    // Extract numbers with units
-    const numberMatches = prompt.match(/(\d+\.?\d*)\s*([a-zA-Z%]+)/g);
-    if (numberMatches) {
-      data.measurements = numberMatches.slice(0, 10); // Limit to 10 measurements
-    }
-    
-    // Extract file types
-    const fileMatches = prompt.match(/\w+\.(js|py|java|cpp|html|css|json|xml|sql|md)/g);
-    if (fileMatches) {
-      data.files = [...new Set(fileMatches)]; // Remove duplicates
-    }
-    
-    // Extract URLs
-    const urlMatches = prompt.match(/https?:\/\/[^\s]+/g);
-    if (urlMatches) {
-      data.urls = urlMatches.slice(0, 5);
-    }
-    
-    // Extract keywords
-    const keywords = [];
-    const commonWords = ['performance', 'optimization', 'security', 'analysis', 'design', 'implementation', 'review'];
-    for (const word of commonWords) {
-      if (prompt.toLowerCase().includes(word)) {
-        keywords.push(word);
-      }
-    }
-    data.keywords = keywords;
-    
-    return data;
-  }
-
-  formatExtractedData(data) {
-    let formatted = '';
-    
-    if (data.measurements?.length > 0) {
-      formatted += `- **Measurements:** ${data.measurements.join(', ')}\n`;
-    }
-    
-    if (data.files?.length > 0) {
-      formatted += `- **Files:** ${data.files.join(', ')}\n`;
-    }
-    
-    if (data.urls?.length > 0) {
-      formatted += `- **URLs:** ${data.urls.length} link(s) detected\n`;
-    }
-    
-    if (data.keywords?.length > 0) {
-      formatted += `- **Keywords:** ${data.keywords.join(', ')}\n`;
-    }
-    
-    return formatted || '- **Data Type:** Text-based analysis\n';
-  }
-
-  generateGeneralAnalysis(prompt, type, data) {
-    const wordCount = prompt.split(' ').length;
-    const complexity = wordCount > 100 ? 'High' : wordCount > 50 ? 'Medium' : 'Low';
-    
-    return `
-**Analysis Complexity:** ${complexity} (${wordCount} words)
-
-**Key Observations:**
-- Task type identified as ${type}
-- ${data.measurements?.length || 0} quantitative measurements found
-- ${data.files?.length || 0} file references detected
-- ${data.keywords?.length || 0} domain-specific keywords identified
-
-**Processing Approach:**
-- Real-time data extraction and parsing
-- Context-aware analysis based on task type
-- Optimized local processing
-- Privacy-preserving analysis (no external API calls)
-
-**Technical Details:**
-- Input processing time: <100ms
-- Memory usage: Optimized for efficiency
-- Data extraction: Pattern-based with regex optimization
-- Output generation: Template-based with dynamic content`;
-  }
-
-  generateRecommendation(type, data) {
-    switch (type) {
-      case 'Code Analysis':
-        return 'Code structure analyzed. Consider peer review and automated testing.';
-      case 'Data Analysis':
-        return 'Data patterns identified. Recommend statistical validation and visualization.';
-      case 'System Design':
-        return 'System architecture reviewed. Consider scalability and maintainability factors.';
-      case 'Performance Analysis':
-        return 'Performance metrics evaluated. Focus on bottleneck identification and optimization.';
-      case 'Security Analysis':
-        return 'Security aspects reviewed. Implement additional validation and monitoring.';
-      default:
-        return 'Analysis completed successfully. Ready for further processing or review.';
-    }
-  }
-
-  extractUniversalData(text) {
-    const data = {};
-    
-    // Extract all numbers with units
-    const measurements = text.match(/(\d+\.?\d*)\s*([a-zA-Z%°\/]+)/g);
-    if (measurements) {
-      data.measurements = measurements.slice(0, 15); // More generous limit
-    }
-    
-    // Extract technical terms
-    const technicalTerms = text.match(/\b(pressure|temperature|diameter|thickness|stress|material|analysis|calculation|design|specification|requirement)\b/gi);
-    if (technicalTerms) {
-      data.technicalTerms = [...new Set(technicalTerms.map(t => t.toLowerCase()))];
-    }
-    
-    // Extract file references
-    const files = text.match(/\w+\.(js|py|java|cpp|html|css|json|xml|sql|md|pdf|doc|xls)/gi);
-    if (files) {
-      data.files = [...new Set(files)];
-    }
-    
-    return data;
-  }
-
-  assessComplexity(text) {
-    const wordCount = text.split(' ').length;
-    const technicalTerms = (text.match(/\b(analysis|calculation|design|specification|requirement|implementation|optimization)\b/gi) || []).length;
-    const numericData = (text.match(/\d+\.?\d*/g) || []).length;
-    
-    const score = wordCount + (technicalTerms * 5) + (numericData * 2);
-    
-    if (score > 200) return 'High complexity (detailed technical analysis required)';
-    if (score > 100) return 'Medium complexity (standard analysis appropriate)';
-    return 'Low complexity (quick review sufficient)';
-  }
-
-  identifyDomain(text) {
-    const domains = {
-      'Engineering': ['pressure', 'vessel', 'asme', 'temperature', 'material', 'stress', 'calculation'],
-      'Software': ['code', 'programming', 'function', 'algorithm', 'software', 'development'],
-      'Data Science': ['data', 'statistics', 'analysis', 'visualization', 'model', 'dataset'],
-      'Business': ['cost', 'savings', 'budget', 'revenue', 'profit', 'investment'],
-      'Security': ['security', 'vulnerability', 'audit', 'compliance', 'risk'],
-      'General': []
-    };
-    
-    const textLower = text.toLowerCase();
-    let maxMatches = 0;
-    let detectedDomain = 'General';
-    
-    for (const [domain, keywords] of Object.entries(domains)) {
-      const matches = keywords.filter(keyword => textLower.includes(keyword)).length;
-      if (matches > maxMatches) {
-        maxMatches = matches;
-        detectedDomain = domain;
-      }
-    }
-    
-    return `${detectedDomain} (${maxMatches} keyword matches)`;
-  }
-
-  generateContextualAnalysis(prompt, data) {
-    const hasNumbers = data.measurements && data.measurements.length > 0;
-    const hasTechnical = data.technicalTerms && data.technicalTerms.length > 0;
-    
-    if (hasNumbers && hasTechnical) {
-      return `This appears to be a technical analysis task with quantitative data. Detected ${data.measurements.length} numerical values and ${data.technicalTerms.length} technical terms. The analysis suggests this requires detailed calculation and domain expertise.`;
-    } else if (hasNumbers) {
-      return `This task involves numerical analysis with ${data.measurements.length} quantitative values. Appropriate for data-driven conclusions and calculations.`;
-    } else if (hasTechnical) {
-      return `This is a technical task involving ${data.technicalTerms.length} domain-specific terms. Focus on conceptual analysis and technical recommendations.`;
-    } else {
-      return `This appears to be a general analysis task. Standard analytical approach recommended.`;
-    }
-  }
-
-  generateUniversalRecommendation(prompt, data) {
-    const textLower = prompt.toLowerCase();
-    
-    if (textLower.includes('calculate') || textLower.includes('computation')) {
-      return 'Detailed calculations recommended. Verify assumptions and validate results.';
-    } else if (textLower.includes('design') || textLower.includes('architecture')) {
-      return 'Design review recommended. Consider alternatives and optimization opportunities.';
-    } else if (textLower.includes('analysis') || textLower.includes('review')) {
-      return 'Comprehensive analysis completed. Consider peer review for validation.';
-    } else if (textLower.includes('optimization') || textLower.includes('improvement')) {
-      return 'Optimization opportunities identified. Implement changes systematically.';
-    } else {
-      return 'Analysis completed. Ready for next phase or further investigation.';
-    }
-  }
-
-  assessDataCompleteness(data) {
-    let score = 0;
-    let total = 5; // Maximum score
-    
-    if (data.measurements && data.measurements.length > 0) score += 2;
-    if (data.technicalTerms && data.technicalTerms.length > 0) score += 1;
-    if (data.files && data.files.length > 0) score += 1;
-    if (data.measurements && data.measurements.length > 5) score += 1;
-    
-    const percentage = Math.round((score / total) * 100);
-    
-    if (percentage >= 80) return 'High (comprehensive data available)';
-    if (percentage >= 60) return 'Medium (adequate data for analysis)';
-    if (percentage >= 40) return 'Basic (limited data available)';
-    return 'Low (minimal data for analysis)';
-  }
-
-  async callGemini(task, content) {
-    // Universal Gemini analysis - architectural and comprehensive perspective
-    try {
-      this.log('debug', 'Gemini universal analysis');
-      
-      const prompt = content ? `${task}\n\nContent: ${content}` : task;
-      
-      // Extract data for analysis
-      const extractedData = this.extractUniversalData(prompt);
-      
-      this.log('info', 'Gemini extracted data', extractedData);
-      
-      // Simulate processing time similar to real Gemini
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Universal Gemini analysis - comprehensive architectural perspective
-      return `# Gemini Analysis (Comprehensive Architecture)
-
-**Task:** ${task}
-
-**Status:** ✅ Comprehensive architectural analysis completed
-
-## 📊 EXTRACTED DATA
-${this.formatExtractedData(extractedData)}
-
-## Architectural Analysis
-
-**Context:** ${prompt}
-
-**System Perspective:**
-Based on Gemini's architectural analysis capabilities, here's a comprehensive evaluation:
-
-**Complexity Assessment:** ${this.assessComplexity(prompt)}
-**Domain Analysis:** ${this.identifyDomain(prompt)}
-**Data Richness:** ${extractedData.measurements?.length || 0} quantitative elements identified
-
-## Key Architectural Insights
-
-**Structural Analysis:**
-${this.generateContextualAnalysis(prompt, extractedData)}
-
-**Design Patterns:**
-- Information flow: Input → Processing → Analysis → Output
-- Data validation: Quantitative and qualitative assessment
-- Error handling: Graceful degradation with fallbacks
-- Scalability: Modular design supporting expansion
-
-**Quality Metrics:**
-- Completeness: ${this.assessDataCompleteness(extractedData)}
-- Reliability: Cross-validation through multiple perspectives
-- Maintainability: Clear separation of concerns
-- Performance: Optimized for collaborative processing
-
-## Strategic Recommendations
-
-**Immediate Actions:**
-${this.generateUniversalRecommendation(prompt, extractedData)}
-
-**Long-term Considerations:**
-- Consider implementing automated validation
-- Explore integration opportunities with existing systems
-- Evaluate performance optimization potential
-- Plan for scalability and future requirements
-
-**Architectural Assessment:** The analysis demonstrates strong foundational elements with clear opportunities for optimization and enhancement.`;
-    } catch (error) {
-      this.log('error', 'Gemini simulation failed', { error: error.message });
-      throw new Error(`Gemini analysis failed: ${error.message}`);
-    }
-  }
-
-  async callCodex(task, content) {
-    // Advanced Codex simulation (integrated with Claude Desktop)
-    try {
-      this.log('debug', 'Simulating Codex MCP analysis (integrated with Claude Desktop)');
-      
-      const prompt = content ? `${task}\n\nContent: ${content}` : task;
-      
-      // Simulate processing time similar to real Codex
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      
-      // Check if this is a pressure vessel analysis task
-      const isPressureVessel = prompt.toLowerCase().includes('pressure vessel') || 
-                               prompt.toLowerCase().includes('asme') || 
-                               prompt.toLowerCase().includes('vessel');
-      
-      if (isPressureVessel) {
-        return `# Codex Engineering Implementation (Code-Driven Analysis)
-
-**Task:** ${task}
-
-**Status:** ✅ Pressure vessel calculation engine implementation
-
-## Computational Engineering Implementation
-
-### ARM64 Optimized Pressure Vessel Calculator
-
-\`\`\`python
-# ASME Section VIII Div 1 Calculation Engine
-# Optimized for ARM64 Mac architecture
-
-import math
-import numpy as np
-from dataclasses import dataclass
-from typing import Dict, Tuple
-
-@dataclass
-class VesselSpecs:
-    diameter: float = 1.2  # meters
-    length: float = 3.0    # meters
-    pressure: float = 15   # bar
-    temp_min: float = -10  # Celsius
-    temp_max: float = 80   # Celsius
-    material: str = "A516-70"
-
-class ASMECalculator:
-    def __init__(self, specs: VesselSpecs):
-        self.specs = specs
-        self.material_props = {
-            "A516-70": {"S": 138.0, "E": 1.0}  # MPa, efficiency
-        }
-    
-    def shell_thickness(self) -> Dict[str, float]:
-        """Calculate cylindrical shell thickness per UG-27"""
-        P = self.specs.pressure * 0.1  # Convert bar to MPa
-        R = (self.specs.diameter * 1000) / 2  # Convert m to mm
-        S = self.material_props[self.specs.material]["S"]
-        E = self.material_props[self.specs.material]["E"]
-        
-        # t = (P * R) / (S * E - 0.6 * P)
-        t_required = (P * R) / (S * E - 0.6 * P)
-        t_corrosion = 3.2  # mm corrosion allowance
-        t_total = t_required + t_corrosion
-        
-        return {
-            "required_mm": round(t_required, 2),
-            "with_corrosion_mm": round(t_total, 2),
-            "recommended_mm": max(10.0, math.ceil(t_total))
-        }
-\`\`\`
-
-### Performance Benchmarks (ARM64 Mac)
-
-- **Calculation Time**: <0.1ms per vessel analysis
-- **Memory Usage**: 12MB for complex FEA preprocessing
-- **Parallel Efficiency**: 85% scaling across 8 cores
-- **Energy Efficiency**: 40% less power vs x86_64
-
-**Implementation Status**: ✅ Production-ready with comprehensive ASME compliance and ARM64 optimization.`;
-      }
-      
-      return `# Codex Analysis (Integrated via Claude Desktop)\n\n**Task:** ${task}\n\n**Status:** ✅ Codex MCP integration via Claude Desktop\n\n**Technical Implementation Analysis:**\n\n## Code Architecture Assessment\n\nFor the task "${task}", here's a comprehensive technical analysis:\n\n### ARM64 Mac Implementation Details\n\n\`\`\`javascript\n// Key ARM64 optimizations in the collaborative system:\nclass CollaborativeMCPServer {\n  constructor() {\n    // Native ARM64 process management\n    this.childProcesses = new Map();\n    this.isARM64 = process.arch === 'arm64';\n  }\n  \n  // Optimized for Apple Silicon unified memory\n  async handleConcurrentRequests(requests) {\n    const results = await Promise.allSettled(\n      requests.map(req => this.processRequest(req))\n    );\n    return results;\n  }\n}\n\`\`\`\n\n### Technical Strengths\n\n1. **Process Management**: Proper child process handling with SIGTERM/SIGINT\n2. **Memory Efficiency**: Leverages ARM64 unified memory architecture\n3. **Error Handling**: Comprehensive EPIPE and stream management\n4. **Protocol Compliance**: Full JSON-RPC 2.0 implementation\n\n### Performance Optimizations\n\n- **Native Compilation**: No Rosetta 2 translation overhead\n- **Efficient I/O**: Stream-based communication with proper buffering\n- **Resource Cleanup**: Proactive process termination and cleanup\n- **Concurrent Processing**: Promise-based parallel execution\n\n### Security Considerations\n\n- Input validation for all MCP requests\n- Process isolation between AI participants\n- Timeout mechanisms to prevent resource exhaustion\n- Proper error boundary implementation\n\n**Code Quality Score**: A+ (Excellent ARM64 compatibility and robust implementation)`;
-      
-    } catch (error) {
-      this.log('error', 'Codex simulation failed', { error: error.message });
-      throw new Error(`Codex analysis failed: ${error.message}`);
-    }
-  }
-
-  async callSerena(task, content) {
-    // Real Serena MCP integration for collaborative consensus building
-    try {
-      this.log('debug', 'Calling real Serena MCP for collaborative analysis');
-      
-      const prompt = content ? `${task}\n\nContent: ${content}` : task;
-      
-      // Call real Serena MCP
-      const serenaResult = await this.callRealSerenaMCP(prompt);
-      
-      if (serenaResult) {
-        return serenaResult;
-      }
-      
-      // Fallback to simulation if real MCP fails
-      this.log('warn', 'Serena MCP call failed, using simulation fallback');
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Check if this is a pressure vessel analysis task
-      const isPressureVessel = prompt.toLowerCase().includes('pressure vessel') || 
-                               prompt.toLowerCase().includes('asme') || 
-                               prompt.toLowerCase().includes('vessel');
-      
-      if (isPressureVessel) {
-        return `# Serena MCP Collaborative Engineering Analysis\n\n**Task:** ${task}\n\n**Status:** ✅ Serena MCP multi-AI consensus and validation\n\n## Collaborative Intelligence Integration\n\n### Multi-AI Consensus Building (Serena's Role)\n\n**Validation Framework:**\n- **Ollama Verification**: ✅ Local calculations cross-checked and confirmed accurate\n- **Gemini Architecture**: ✅ System design and compliance framework validated\n- **Codex Implementation**: ✅ Code quality and ARM64 optimization verified\n- **Serena Synthesis**: ✅ All analyses demonstrate consistent, reliable design\n\n### Enhanced ASME Compliance Validation\n\n**Serena's Independent Assessment:**\n- **Design Pressure**: 15 bar → Confirmed within operational safety envelope\n- **Material Selection**: ASTM A516 Gr 70 → Independently verified for service conditions\n- **Wall Thickness**: 10mm → Meets requirements with appropriate safety margin\n- **Safety Factor**: 4:1 → Exceeds minimum standards with high confidence\n- **Temperature Range**: -10°C to 80°C → Material compatibility confirmed\n\n### Collaborative Quality Assurance\n\n**Multi-Point Validation Protocol:**\n1. **Independent Calculation**: Each AI performs autonomous analysis\n2. **Cross-Validation**: Results compared for consistency and accuracy\n3. **Consensus Building**: Discrepancies resolved through collaborative review\n4. **Quality Verification**: Final design validated by all participants\n5. **Risk Assessment**: Comprehensive safety evaluation completed\n\n### Manufacturing Feasibility (Serena's Perspective)\n\n**Production Readiness Assessment:**\n- **Material Availability**: ASTM A516 Gr 70 readily sourced from multiple suppliers\n- **Fabrication Complexity**: Standard pressure vessel construction techniques\n- **Welding Requirements**: Established procedures for carbon steel applications\n- **Quality Control**: Multi-stage inspection protocol implementable\n- **Timeline Feasibility**: 6-8 weeks realistic for material-to-test completion\n\n### Risk Mitigation Strategy\n\n**Collaborative Risk Assessment:**\n- **Design Risk**: Low - Conservative approach with proven materials\n- **Manufacturing Risk**: Low - Standard fabrication techniques\n- **Operational Risk**: Very Low - Substantial safety margins maintained\n- **Regulatory Risk**: Very Low - Full ASME compliance achieved\n- **Economic Risk**: Low - Cost-effective design within budget parameters\n\n### Multi-AI Collaboration Benefits\n\n**Enhanced Decision Making Through Consensus:**\n- **Error Reduction**: 85% decrease in calculation errors through cross-validation\n- **Confidence Increase**: Multi-AI agreement provides high design reliability\n- **Knowledge Synthesis**: Combined expertise exceeds individual AI capabilities\n- **Quality Assurance**: Independent verification eliminates single-point failures\n- **Innovation Enhancement**: Collaborative insights generate optimized solutions\n\n### ARM64 Mac Collaborative Optimization\n\n**Serena-Enhanced Performance:**\n- **Parallel Processing**: Coordinated analysis across multiple AI systems\n- **Resource Efficiency**: Optimal utilization of Apple Silicon architecture\n- **Session Management**: Enhanced coordination of multi-AI workflows\n- **Real-time Validation**: Immediate consensus building and verification\n- **Energy Optimization**: Collaborative processing reduces individual AI load\n\n### Final Consensus and Recommendations\n\n**Unanimous Multi-AI Agreement:**\n- Design meets and exceeds all ASME Section VIII Division 1 requirements\n- Safety margins provide excellent protection against operational variability\n- Manufacturing approach is practical and cost-effective\n- Quality assurance protocol ensures consistent, reliable fabrication\n- Economic analysis demonstrates favorable cost-benefit ratio\n\n**Serena's Collaborative Assessment**: The multi-AI analysis provides comprehensive, reliable pressure vessel design validation with exceptional safety margins and manufacturing feasibility. All AI participants demonstrate consistent agreement on design adequacy and safety compliance.\n\n**Consensus Recommendation**: Proceed with confidence to detailed engineering and fabrication phases. The collaborative validation provides superior design assurance compared to single-AI analysis.`;
-      }
-      
-      // General domain analysis
-      return `# Serena MCP Collaborative Analysis\n\n**Task:** ${task}\n\n**Status:** ✅ Serena MCP multi-AI collaboration and consensus\n\n## Collaborative Intelligence Framework\n\n### Serena's Multi-AI Coordination Role\n\n**Consensus Building Process:**\n- **Analysis Integration**: Synthesizes insights from Ollama, Gemini, and Codex\n- **Quality Verification**: Cross-validates outputs for consistency and accuracy\n- **Gap Analysis**: Identifies areas requiring additional investigation or clarification\n- **Optimization**: Suggests improvements based on collaborative insights\n- **Risk Assessment**: Evaluates potential issues through multi-perspective analysis\n\n### Enhanced Collaborative Benefits\n\n**Multi-AI Advantages:**\n- **Distributed Expertise**: Each AI contributes specialized domain knowledge\n- **Error Reduction**: Multiple independent analyses significantly increase reliability\n- **Creative Solutions**: Combined perspectives generate innovative approaches\n- **Comprehensive Coverage**: Broader analysis scope than single AI systems\n- **Quality Assurance**: Built-in verification through collaborative validation\n\n### ARM64 Mac Integration Excellence\n\n**Serena-Optimized Performance:**\n- **Native Execution**: Fully optimized for Apple Silicon ARM64 architecture\n- **Efficient Memory Usage**: Leverages unified memory for optimal data sharing\n- **Parallel Processing**: Coordinates multiple AI systems using performance cores\n- **Energy Efficiency**: Maintains extended collaborative sessions without thermal constraints\n- **Session Management**: Enhanced coordination of multi-AI workflows\n\n### Collaborative Workflow Enhancement\n\n**Process Improvements:**\n- **Real-time Validation**: Immediate cross-checking of analysis results\n- **Iterative Refinement**: Continuous improvement through AI feedback loops\n- **Knowledge Synthesis**: Effective combination of insights for superior outcomes\n- **Quality Metrics**: Quantitative assessment of collaborative effectiveness\n- **Consensus Tracking**: Monitoring agreement levels across AI participants\n\n### System Performance Validation\n\n**Collaborative Metrics:**\n- **Agreement Rate**: >90% consensus across participating AI systems\n- **Error Reduction**: 78% decrease in analysis errors through cross-validation\n- **Quality Enhancement**: 45% improvement in output comprehensiveness\n- **Processing Efficiency**: 32% reduction in total analysis time through coordination\n- **Reliability Score**: 96% consistency in collaborative recommendations\n\n**Serena's Collaborative Assessment**: The multi-AI framework successfully integrates diverse AI capabilities to provide enhanced analysis quality, improved reliability, and superior decision-making support. The collaborative approach demonstrates clear advantages over individual AI analysis.\n\n**System Status**: Enhanced collaborative framework fully operational with Serena coordination providing valuable consensus building and quality assurance capabilities.`;
-      
-    } catch (error) {
-      this.log('error', 'Serena MCP integration failed', { error: error.message });
-      throw new Error(`Serena MCP analysis failed: ${error.message}`);
-    }
-  }
-
-  generateReport(task, content, results, errors) {
-    const timestamp = new Date().toISOString();
-    const successCount = Object.keys(results).length;
-    const errorCount = Object.keys(errors).length;
-
-    let report = `# 🤖 Simple Collaborative AI Analysis\n\n`;
-    report += `**Task:** ${task}\n`;
-    report += `**Generated:** ${timestamp}\n`;
-    report += `**Platform:** ${process.platform} ${process.arch}\n`;
-    report += `**Node.js:** ${process.version}\n`;
-    report += `**Success Rate:** ${successCount}/${successCount + errorCount}\n\n`;
-
-    // Add results
-    for (const [participant, result] of Object.entries(results)) {
-      report += `## ${participant.toUpperCase()} Results\n\n${result}\n\n---\n\n`;
-    }
-
-    // Add errors
-    for (const [participant, error] of Object.entries(errors)) {
-      report += `## ❌ ${participant.toUpperCase()} Error\n\n${error}\n\n---\n\n`;
-    }
-
-    // Add system status
-    report += `## 🔧 System Status\n\n`;
-    report += `- ✅ System compatibility verified\n`;
-    report += `- ✅ JSON-RPC communication stable\n`;
-    report += `- ✅ Process management working\n`;
-    report += `- ✅ Error handling implemented\n`;
-    report += `- ✅ WebSocket issues resolved\n\n`;
-
-    report += `*Generated by Simple Collaborative MCP Proxy*\n`;
-    report += `*High Performance Optimized • ${timestamp}*`;
-
-    return report;
-  }
-
-  prepareSerenaContext(task, content, initialResults) {
-    // Prepare a concise context for Serena to reduce token usage
-    const context = {
-      originalTask: task,
-      originalContent: content,
-      aiAnalyses: {}
-    };
-
-    // Extract key insights from each AI (token-optimized)
-    for (const [ai, result] of Object.entries(initialResults)) {
-      // Extract key points instead of full text to save tokens
-      const keyPoints = this.extractKeyInsights(result, ai);
-      context.aiAnalyses[ai] = keyPoints;
-    }
-
-    return context;
-  }
-
-  extractKeyInsights(result, aiName) {
-    // Token-efficient extraction of key insights
-    const text = result || '';
-    
-    // Extract numerical data and key findings
-    const numbers = text.match(/(\d+\.?\d*)\s*([a-zA-Z%°\/]+)/g) || [];
-    const recommendations = text.match(/\*\*Recommendation.*?\*\*/g) || [];
-    const keyFindings = text.match(/\*\*.*?\*\*/g) || [];
-    
-    return {
-      ai: aiName,
-      keyNumbers: numbers.slice(0, 5), // Limit to reduce tokens
-      mainRecommendation: recommendations[0] || 'No specific recommendation',
-      criticalFindings: keyFindings.slice(0, 3), // Top 3 findings only
-      summary: text.substring(0, 200) + '...' // Brief summary
-    };
-  }
-
-  async callSerenaWithContext(context, collaborationContext) {
-    // Use Serena MCP with token-optimized context
-    try {
-      this.log('debug', 'Calling Serena MCP with multi-AI context');
-      
-      // Create a concise prompt for Serena
-      const serenaPrompt = this.buildSerenaPrompt(context);
-      
-      // Try real Serena MCP first
-      const serenaResult = await this.callRealSerenaMCP(serenaPrompt);
-      
-      if (serenaResult) {
-        return serenaResult;
-      }
-      
-      // Fallback to simulation with context
-      this.log('warn', 'Using Serena simulation with AI context');
-      return this.generateSerenaConsensus(context, collaborationContext);
-      
-    } catch (error) {
-      this.log('error', 'Serena context call failed', { error: error.message });
-      return this.generateSerenaConsensus(context, collaborationContext);
-    }
-  }
-
-  buildSerenaPrompt(context) {
-    // Token-efficient prompt for Serena
-    return `Multi-AI Analysis Consensus Task:
-
-Original Task: ${context.originalTask}
-
-AI Analysis Summary:
-${Object.entries(context.aiAnalyses).map(([ai, insights]) => 
-  `${ai.toUpperCase()}: ${insights.mainRecommendation} | Key: ${insights.keyNumbers.join(', ')}`
-).join('\n')}
-
-Please provide consensus analysis focusing on:
-1. Agreement/disagreement between AIs
-2. Most reliable conclusions
-3. Areas needing clarification
-4. Final unified recommendation`;
-  }
-
-  generateSerenaConsensus(context, collaborationContext) {
-    // Generate consensus based on other AI results
-    const aiCount = Object.keys(context.aiAnalyses).length;
-    const allNumbers = Object.values(context.aiAnalyses)
-      .flatMap(insight => insight.keyNumbers)
-      .slice(0, 10); // Limit for display
-    
-    return `# Serena Multi-AI Consensus Analysis
-
-**Task:** ${context.originalTask}
-
-**Status:** ✅ Consensus analysis based on ${aiCount} AI perspectives
-
-## Multi-AI Agreement Analysis
-
-**Participating AIs:** ${Object.keys(context.aiAnalyses).join(', ')}
-
-**Key Numerical Consensus:**
-${allNumbers.map(num => `- ${num}`).join('\n')}
-
-**Consensus Findings:**
-${Object.entries(context.aiAnalyses).map(([ai, insights]) => 
-  `- **${ai.toUpperCase()}**: ${insights.mainRecommendation.replace(/\*\*/g, '')}`
-).join('\n')}
-
-## Unified Assessment
-
-**Agreement Level:** ${this.calculateAgreementLevel(context.aiAnalyses)}
-**Confidence Score:** ${this.calculateConfidenceScore(context.aiAnalyses)}
-**Risk Assessment:** ${this.assessConsensusRisk(context.aiAnalyses)}
-
-## Final Consensus Recommendation
-
-Based on multi-AI analysis, the consensus recommendation is to ${this.generateFinalRecommendation(context.aiAnalyses)}.
-
-**Quality Assurance:** All AI perspectives have been synthesized for maximum reliability and comprehensive coverage.
-
-*Consensus built from ${aiCount} AI analyses with Serena coordination*`;
-  }
-
-  calculateAgreementLevel(analyses) {
-    // Simple agreement calculation based on common terms
-    const allRecommendations = Object.values(analyses)
-      .map(a => a.mainRecommendation.toLowerCase());
-    
-    const commonWords = ['recommend', 'analysis', 'completed', 'requirements'];
-    const agreements = commonWords.reduce((count, word) => {
-      const mentionCount = allRecommendations.filter(rec => rec.includes(word)).length;
-      return count + (mentionCount > 1 ? 1 : 0);
-    }, 0);
-    
-    const percentage = Math.round((agreements / commonWords.length) * 100);
-    if (percentage >= 75) return 'High (strong consensus)';
-    if (percentage >= 50) return 'Medium (partial consensus)';
-    return 'Low (divergent views)';
-  }
-
-  calculateConfidenceScore(analyses) {
-    const count = Object.keys(analyses).length;
-    if (count >= 3) return 'High (multiple AI validation)';
-    if (count >= 2) return 'Medium (dual AI confirmation)';
-    return 'Basic (single AI analysis)';
-  }
-
-  assessConsensusRisk(analyses) {
-    const hasNumbers = Object.values(analyses).some(a => a.keyNumbers.length > 0);
-    const hasRecommendations = Object.values(analyses).every(a => a.mainRecommendation !== 'No specific recommendation');
-    
-    if (hasNumbers && hasRecommendations) return 'Low (quantitative data with clear recommendations)';
-    if (hasRecommendations) return 'Medium (qualitative analysis with recommendations)';
-    return 'Higher (limited analysis depth)';
-  }
-
-  generateFinalRecommendation(analyses) {
-    const recommendations = Object.values(analyses)
-      .map(a => a.mainRecommendation.toLowerCase());
-    
-    if (recommendations.some(r => r.includes('calculation'))) {
-      return 'proceed with detailed calculations and validation';
-    } else if (recommendations.some(r => r.includes('design'))) {
-      return 'advance to detailed design phase';
-    } else if (recommendations.some(r => r.includes('review'))) {
-      return 'conduct comprehensive review and optimization';
-    } else {
-      return 'continue with next phase based on analysis findings';
-    }
-  }
-
-  generateZenStyleReport(collaborationContext, errors) {
-    const { task, results, participants } = collaborationContext;
-    const timestamp = new Date().toISOString();
-    const successCount = Object.keys(results).length;
-    const errorCount = Object.keys(errors).length;
-
-    let report = `# 🧠 Zen-Style Collaborative AI Analysis
-
-**Task:** ${task}
-**Generated:** ${timestamp}
-**Platform:** ${process.platform} ${process.arch}
-**Collaboration Style:** Zen MCP Architecture
-**Success Rate:** ${successCount}/${successCount + errorCount}
-
-## 🔄 Collaboration Workflow
-
-**Phase 1: Parallel Initial Analysis**
-${participants.filter(p => p !== 'serena').map(p => 
-  results[p] ? `✅ ${p.toUpperCase()}` : `❌ ${p.toUpperCase()}`
-).join(' • ')}
-
-**Phase 2: Serena Consensus Building**
-${results['serena'] ? '✅ SERENA (Context-aware synthesis)' : '❌ SERENA (Failed)'}
-
-`;
-
-    // Add results in Zen style
-    for (const [participant, result] of Object.entries(results)) {
-      if (participant === 'serena') {
-        report += `## 🎯 CONSENSUS (Serena Multi-AI Synthesis)\n\n${result}\n\n---\n\n`;
-      } else {
-        report += `## 🤖 ${participant.toUpperCase()} Analysis\n\n${result}\n\n---\n\n`;
-      }
-    }
-
-    // Add errors
-    for (const [participant, error] of Object.entries(errors)) {
-      report += `## ❌ ${participant.toUpperCase()} Error\n\n${error}\n\n---\n\n`;
-    }
-
-    report += `## 🏗️ Zen Architecture Benefits
-
-- **Context Preservation**: AI insights carry forward to consensus building
-- **Token Optimization**: Serena receives summarized context, not full texts
-- **Collaborative Intelligence**: Multiple perspectives synthesized into unified view
-- **Efficient Workflow**: Parallel analysis + sequential consensus building
-- **Quality Assurance**: Multi-AI validation with final synthesis
-
-*Generated by Zen-Style Collaborative MCP Proxy*
-*Context-Aware AI Collaboration • ${timestamp}*`;
-
-    return report;
-  }
-
-  async cleanup() {
-    this.log('info', 'Cleaning up processes');
-    
-    for (const [key, process] of this.childProcesses) {
-      if (!process.killed) {
-        process.kill('SIGTERM');
-        this.log('debug', `Terminated process: ${key}`);
-      }
-    }
-    
-    this.childProcesses.clear();
-  }
-
-  async run() {
-    this.log('info', 'Starting Simple Collaborative MCP Server');
-    this.log('info', `Platform: ${process.platform} ${process.arch}, Node.js: ${process.version}`);
-
-    // Handle graceful shutdown
-    process.on('SIGINT', () => {
-      this.log('info', 'Received SIGINT, shutting down');
-      this.cleanup().finally(() => process.exit(0));
-    });
-
-    process.on('SIGTERM', () => {
-      this.log('info', 'Received SIGTERM, shutting down');
-      this.cleanup().finally(() => process.exit(0));
-    });
-
-    // Setup stdio communication
-    let buffer = '';
-    
-    process.stdin.on('data', (data) => {
-      buffer += data.toString();
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-      
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const request = JSON.parse(line);
-            
-            this.handleRequest(request).then(response => {
-              if (response) {
-                // Write response without flush - fixes stdout.flush issue
-                process.stdout.write(JSON.stringify(response) + '\n');
-              }
-            }).catch(error => {
-              this.log('error', 'Unhandled request error', { error: error.message });
-              
-              const errorResponse = {
-                jsonrpc: '2.0',
-                id: request.id,
-                error: {
-                  code: -32603,
-                  message: 'Internal error'
-                }
-              };
-              
-              process.stdout.write(JSON.stringify(errorResponse) + '\n');
-            });
-            
-          } catch (error) {
-            this.log('error', 'JSON parse error', { error: error.message, line });
-          }
-        }
-      }
-    });
-
-    // Handle stdin end - fixes EPIPE issues
-    process.stdin.on('end', () => {
-      this.log('info', 'Stdin ended, shutting down');
-      this.cleanup().finally(() => process.exit(0));
-    });
-
-    process.stdin.on('error', (error) => {
-      if (error.code !== 'EPIPE') {
-        this.log('error', 'Stdin error', { error: error.message });
-      }
-    });
-
-    this.log('info', 'Simple Collaborative MCP Server ready for requests');
-  }
-}
-
-// Start the server
-const server = new SimpleCollaborativeMCPServer();
-server.run().catch(error => {
-  console.error('Server startup failed:', error);
-  process.exit(1);
-});
\ No newline at end of file
+startServer({ defaultStrategy: 'zen' });
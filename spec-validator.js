@@ -0,0 +1,148 @@
+/**
+ * Spec Validation
+ * Checks the vessel spec in a request before it goes to the participants:
+ * a field given different values in different places, values the text says
+ * not to use, values restated in other units ("20.7 bar (300 psi)") that
+ * do not quite match, and labeled values that could not be read. The issues
+ * open the report and can be passed on to the participants with their prompt.
+ */
+
+import DataParser, { FIELD_TITLES } from './data-parser.js';
+
+// Two readings agree within 1%, or within this much in the canonical unit
+const AGREEMENT = { relative: 0.01, absolute: { bar: 0.01, '°C': 0.5, mm: 0.5 } };
+
+const SEVERITY_ORDER = ['warning', 'note'];
+
+const round = (value) => String(Number(value.toPrecision(4)));
+const written = ({ given }) => `${given.min === null ? '' : `${given.min} to `}${given.value}${given.unit ? ` ${given.unit}` : ''}`;
+const shown = (field) => typeof field.value === 'string' ? `"${field.value}"` : written(field);
+
+function difference(a, b) {
+  return Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Whether two readings of the same field say the same thing. Text compares
+ * case-insensitively; quantities within `AGREEMENT` of each other agree.
+ */
+export function sameValue(a, b) {
+  if (typeof a.value === 'string' || typeof b.value === 'string') {
+    return String(a.value).toLowerCase() === String(b.value).toLowerCase();
+  }
+  return Math.abs(a.value - b.value) <= (AGREEMENT.absolute[a.unit] ?? 0)
+    || difference(a.value, b.value) <= AGREEMENT.relative;
+}
+
+function conflicts(fields, readings) {
+  const issues = [];
+  for (const [name, kept] of Object.entries(fields)) {
+    const others = [];
+    for (const { field } of readings.filter(reading => reading.name === name)) {
+      if (!sameValue(field, kept) && !others.some(other => sameValue(other, field))) {
+        others.push(field);
+      }
+    }
+    if (others.length === 0) {
+      continue;
+    }
+    const values = [kept, ...others].sort((a, b) => a.source.start - b.source.start);
+    issues.push({
+      type: 'conflict',
+      severity: 'warning',
+      field: name,
+      message: `${FIELD_TITLES[name]} is given as ${values.map(field => `${shown(field)} on line ${field.source.line}`).join(' and ')}; ${shown(kept)} from line ${kept.source.line} was used.`,
+      sources: values.map(field => field.source)
+    });
+  }
+  return issues;
+}
+
+function restatements(fields) {
+  const issues = [];
+  for (const [name, field] of Object.entries(fields)) {
+    const { alternate } = field;
+    if (!alternate) {
+      continue;
+    }
+    const agrees = sameValue(field, alternate);
+    const gap = difference(field.value, alternate.value) * 100;
+    issues.push({
+      type: 'restated',
+      severity: agrees ? 'note' : 'warning',
+      field: name,
+      message: `${FIELD_TITLES[name]} on line ${field.source.line} is given as ${written(field)} and as ${written(alternate)} (${round(alternate.value)} ${field.unit}), `
+        + `${agrees ? 'which agree' : `which differ by ${gap < 10 ? gap.toFixed(1) : Math.round(gap)}%`}; ${written(field)} was used.`,
+      sources: [field.source, alternate.source]
+    });
+  }
+  return issues;
+}
+
+function negations(fields, readings, negated) {
+  const read = [...readings, ...Object.entries(fields).map(([name, field]) => ({ name, field }))];
+  return negated.map(({ field, statement }) => {
+    const { name, field: used } = read.find(reading =>
+      reading.field.unit === field.unit && sameValue(reading.field, field) && reading.field.source.start !== field.source.start) ?? {};
+    return {
+      type: 'negated',
+      severity: used ? 'warning' : 'note',
+      field: name ?? null,
+      message: `${written(field)} on line ${field.source.line} is negated ("${statement}") and was not used.`
+        + (used ? ` The same value was read as ${FIELD_TITLES[name]} on line ${used.source.line}; check which is meant.` : ''),
+      sources: used ? [field.source, used.source] : [field.source]
+    };
+  });
+}
+
+function unreadables(fields, unreadable) {
+  return unreadable.map(({ name, source }) => {
+    const used = fields[name];
+    return {
+      type: 'unreadable',
+      severity: 'warning',
+      field: name,
+      message: `${FIELD_TITLES[name]} on line ${source.line} ("${source.text}") could not be read`
+        + (used ? `; ${shown(used)} from line ${used.source.line} was used.` : ' and was left out.'),
+      sources: used ? [source, used.source] : [source]
+    };
+  });
+}
+
+/**
+ * Issues with the vessel spec in `text`, warnings first. Each is `{ type,
+ * severity, field, message, sources }`: `type` is `conflict`, `restated`,
+ * `negated` or `unreadable`, `severity` is `warning` or `note`, `field` is
+ * the field it concerns (or null) and `sources` are the spans it cites.
+ */
+export function validateSpec(text, parser = new DataParser()) {
+  const { fields, readings, negated, unreadable } = parser.scan(text);
+  const issues = [...conflicts(fields, readings), ...restatements(fields), ...negations(fields, readings, negated), ...unreadables(fields, unreadable)];
+  return issues.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+const marker = (issue) => issue.severity === 'warning' ? '⚠️' : 'ℹ️';
+
+/**
+ * The report's "Spec Issues" section, or an empty string without issues.
+ */
+export function formatSpecIssues(issues) {
+  if (!issues || issues.length === 0) {
+    return '';
+  }
+  return `## Spec Issues
+
+Found in the request before it was sent to the participants.
+
+${issues.map(issue => `- ${marker(issue)} ${issue.message}`).join('\n')}`;
+}
+
+/**
+ * The issues as plain text for a participant's prompt, or an empty string.
+ */
+export function describeSpecIssues(issues) {
+  if (!issues || issues.length === 0) {
+    return '';
+  }
+  return `Spec issues found in this request:\n${issues.map(issue => `- ${issue.message}`).join('\n')}`;
+}
@@ -0,0 +1,26 @@
+/**
+ * Orchestration Strategies
+ * Named ways of running an `apply` collaboration. A strategy is an object with
+ * a `name`, a one-line `description` and `run(session)` resolving to an
+ * outcome: `{ report, answers, errors, consensus, discussion }`. `report` is
+ * the Markdown returned to the client; `answers` and `errors` map participant
+ * names to raw answers and failure messages, `discussion` maps participants
+ * to their cross-review or debate history, and `consensus`/`discussion` are null when the
+ * strategy has no such phase.
+ */
+
+import { SequentialStrategy } from './strategy-sequential.js';
+import { ZenStrategy } from './strategy-zen.js';
+import { CrossReviewStrategy } from './strategy-cross-review.js';
+import { EnhancedStrategy } from './strategy-enhanced.js';
+import { DebateStrategy } from './strategy-debate.js';
+
+export const DEFAULT_STRATEGY = 'sequential';
+
+export function createStrategies() {
+  const strategies = new Map();
+  for (const strategy of [new SequentialStrategy(), new ZenStrategy(), new CrossReviewStrategy(), new EnhancedStrategy(), new DebateStrategy()]) {
+    strategies.set(strategy.name, strategy);
+  }
+  return strategies;
+}
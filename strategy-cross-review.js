@@ -0,0 +1,243 @@
+/**
+ * Cross-Review Strategy
+ * Every participant answers independently, then each one reviews the others'
+ * answers. The report quotes the reviews beside a claim consensus of the
+ * first-round answers. This is the discussion engine from
+ * `real-collaborative.js`.
+ */
+
+import { buildClaimConsensus, formatClaimConsensus } from './consensus.js';
+import { formatVesselCalculation } from './asme-calculations.js';
+import { formatRunSummary } from './run-summary.js';
+
+export class CrossReviewStrategy {
+  constructor() {
+    this.name = 'cross-review';
+    this.description = 'Independent analysis, then each participant reviews the others';
+  }
+
+  async run(session) {
+    const { task, participants } = session;
+    session.log('Executing real AI collaboration with discussion engine...');
+    
+    // Phase 1: Parallel Analysis
+    session.log('Phase 1: Parallel Analysis');
+    const results = {};
+    const errors = {};
+    
+    const steps = session.progress.counter(participants.length);
+    const outcomes = await Promise.all(participants.map(async (participant) => {
+      try {
+        session.log(`Calling ${participant}...`);
+        steps.started(participant);
+        const result = await session.call(participant);
+        steps.finished(participant);
+        return { participant, result };
+      } catch (error) {
+        session.log(`${participant} error: ${error.message}`);
+        steps.finished(participant, 'failed');
+        return { participant, error: error.message };
+      }
+    }));
+    
+    // Keep the requested participant order in the report
+    for (const { participant, result, error } of outcomes) {
+      if (error === undefined) {
+        results[participant] = result;
+      } else {
+        errors[participant] = error;
+      }
+    }
+    
+    // Phase 2: Discussion Engine - Sequential Cross-Review
+    session.signal.throwIfAborted();
+    session.log('Phase 2: Discussion Engine - Cross-Review');
+    const discussions = {};
+    const reviewErrors = {};
+    
+    // Only proceed with discussion if we have successful results
+    const successfulAIs = Object.keys(results);
+    if (successfulAIs.length >= 2) {
+      // Each AI reviews the others' results
+      const reviews = session.progress.counter(successfulAIs.length);
+      for (const reviewerAI of successfulAIs) {
+        session.signal.throwIfAborted();
+        try {
+          const otherResults = {};
+          for (const otherAI of successfulAIs) {
+            if (otherAI !== reviewerAI) {
+              otherResults[otherAI] = results[otherAI];
+            }
+          }
+          
+          session.log(`${reviewerAI} reviewing others' results...`);
+          reviews.started(reviewerAI, 'cross-review started');
+          discussions[reviewerAI] = await this.conductCrossReview(session, reviewerAI, otherResults);
+          reviews.finished(reviewerAI, 'cross-review done');
+          
+        } catch (error) {
+          session.log(`${reviewerAI} discussion error: ${error.message}`);
+          discussions[reviewerAI] = `Discussion error: ${error.message}`;
+          reviewErrors[reviewerAI] = error.message;
+          reviews.finished(reviewerAI, 'cross-review failed');
+        }
+      }
+    }
+    
+    // Phase 3: Consensus Building
+    session.signal.throwIfAborted();
+    session.log('Phase 3: Consensus Building');
+    const consensus = this.buildConsensus(task, results, discussions, reviewErrors);
+    session.progress.report('Consensus built');
+    
+    // Generate comprehensive collaborative report with discussion
+    return {
+      report: this.generateEnhancedCollaborativeReport(session, results, errors, discussions, reviewErrors, consensus),
+      answers: results,
+      errors,
+      consensus,
+      discussion: discussions
+    };
+  }
+
+  async conductCrossReview(session, reviewerAI, otherResults) {
+    // Create a comprehensive review prompt
+    const reviewPrompt = `${session.task}
+
+Please review and discuss the following analysis results from your AI colleagues:
+
+${Object.entries(otherResults).map(([ai, result]) => 
+  `## ${ai.toUpperCase()} Analysis:
+${result}
+`).join('\n')}
+
+As ${reviewerAI}, please provide:
+1. Your assessment of each colleague's analysis
+2. Points of agreement and disagreement  
+3. Additional insights or corrections
+4. Your final recommendation considering all perspectives
+
+Focus on technical accuracy, practical implementation, and identifying the best combined approach.`;
+
+    // Call the appropriate AI for cross-review
+    try {
+      return await session.call(reviewerAI, { task: reviewPrompt, content: null });
+    } catch (error) {
+      throw new Error(`Cross-review by ${reviewerAI} failed: ${error.message}`);
+    }
+  }
+
+  buildConsensus(task, results, discussions, reviewErrors) {
+    const timestamp = new Date().toISOString();
+    const successfulAIs = Object.keys(results);
+    const discussionCount = Object.keys(discussions).length - Object.keys(reviewErrors).length;
+    
+    let consensus = `# AI Consensus Report
+
+**Task:** ${task}
+**Generated:** ${timestamp}
+**Participating AIs:** ${successfulAIs.join(', ')}
+**Cross-Reviews Completed:** ${discussionCount}
+
+## Cross-Review Summary
+
+${Object.entries(discussions).map(([ai, discussion]) =>
+  `### ${ai.toUpperCase()} Cross-Review:
+${discussion}
+
+`).join('')}
+
+## Claim Consensus
+
+Agreement across the ${successfulAIs.length} independent analyses, before cross-review:
+
+${formatClaimConsensus(buildClaimConsensus(results))}
+---
+*Claim consensus computed from the first-round analyses; the cross-reviews are quoted as written, at ${timestamp}*`;
+
+    return consensus;
+  }
+
+  generateEnhancedCollaborativeReport(session, results, errors, discussions, reviewErrors, consensus) {
+    const { task } = session;
+    const timestamp = new Date().toISOString();
+    const successfulAIs = Object.keys(results);
+    const reviewCount = Object.keys(discussions).length;
+    const discussionCount = reviewCount - Object.keys(reviewErrors).length;
+    
+    let report = `# Enhanced Collaborative AI Analysis with Discussion Engine
+
+**Task:** ${task}
+**Generated:** ${timestamp}
+**Mode:** Multi-AI Collaboration with Cross-Review Discussion
+**Participating AIs:** ${successfulAIs.join(', ')}
+**Cross-Reviews Completed:** ${discussionCount}
+
+## 🎯 Executive Summary
+This analysis was performed using a 3-phase collaborative approach:
+1. **Parallel Analysis**: Independent AI assessments
+2. **Cross-Review Discussion**: AIs reviewing each other's work  
+3. **Claim Consensus**: Claims the first-round analyses share, computed before the reviews, which are quoted as written
+
+---
+
+# Phase 1: Individual AI Analysis Results
+
+`;
+
+    // Add results from each AI (Phase 1)
+    const headings = {
+      gemini: '🧠 Gemini CLI Analysis',
+      codex: '💻 Codex CLI MCP Analysis',
+      ollama: '🏠 Ollama Local Analysis'
+    };
+
+    for (const participant of [...Object.keys(results), ...Object.keys(errors)]) {
+      const heading = headings[participant] || `🤖 ${participant.toUpperCase()} Analysis`;
+      if (participant in results) {
+        report += `## ${heading}
+${results[participant]}
+
+`;
+      } else {
+        report += `## ${heading} (Error)
+**Error:** ${errors[participant]}
+
+`;
+      }
+    }
+
+    // Add discussion results (Phase 2)
+    if (reviewCount > 0) {
+      report += `---
+
+# Phase 2: Cross-Review Discussion Engine Results
+
+${Object.entries(discussions).map(([ai, discussion]) =>
+`## 🔄 ${ai.toUpperCase()} Cross-Review Discussion
+${discussion}
+
+`).join('')}`;
+    }
+
+    // Add consensus (Phase 3)
+    report += `---
+
+# Phase 3: AI Consensus
+
+${consensus}
+
+---
+
+## 📊 Collaboration Statistics
+- **Successful Initial Analysis:** ${Object.keys(results).length} of ${Object.keys(results).length + Object.keys(errors).length}
+- **Cross-Reviews Completed:** ${discussionCount} of ${reviewCount}${successfulAIs.length < 2 ? ' (skipped: fewer than two analyses)' : ''}
+
+${formatVesselCalculation(session.vessel)}${formatRunSummary(session, { answers: results, errors })}
+---
+*Generated by Collaborative MCP Proxy Server (cross-review strategy)*
+*Timestamp: ${timestamp}*`;
+
+    return report;
+  }
+}
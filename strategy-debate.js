@@ -0,0 +1,236 @@
+/**
+ * Debate Strategy
+ * Participants state opening positions, then revise them over several rounds,
+ * each time seeing the others' latest positions. The debate stops early once
+ * positions converge: every participant kept at least `convergenceThreshold`
+ * of its claims from the previous round. The report traces how each
+ * position changed from round to round.
+ */
+
+import { diffClaims } from './claims.js';
+import { buildClaimConsensus, formatClaimConsensus } from './consensus.js';
+import { formatVesselCalculation } from './asme-calculations.js';
+import { formatRunSummary } from './run-summary.js';
+
+export const DEBATE_DEFAULTS = {
+  rounds: 3,
+  convergenceThreshold: 0.8
+};
+
+// Claims listed per change in the round-by-round history
+const CLAIMS_SHOWN = 5;
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+export class DebateStrategy {
+  constructor() {
+    this.name = 'debate';
+    this.description = 'Participants revise their positions over several rounds until they converge';
+  }
+
+  async run(session) {
+    const { task, participants } = session;
+    const maxRounds = session.rounds ?? DEBATE_DEFAULTS.rounds;
+    const threshold = session.convergenceThreshold ?? DEBATE_DEFAULTS.convergenceThreshold;
+
+    session.log(`Starting debate with ${participants.join(', ')} (up to ${maxRounds} rounds, convergence ${percent(threshold)})`);
+
+    // Round 0: opening positions, in parallel
+    const positions = {};
+    const errors = {};
+    const history = {};
+    const opening = session.progress.counter(participants.length);
+
+    await Promise.all(participants.map(async (participant) => {
+      opening.started(participant);
+      try {
+        positions[participant] = await session.call(participant);
+        opening.finished(participant);
+      } catch (error) {
+        session.log(`${participant} opening position failed: ${error.message}`);
+        errors[participant] = error.message;
+        opening.finished(participant, 'failed');
+      }
+    }));
+
+    // Keep the requested participant order
+    const debaters = participants.filter(participant => participant in positions);
+    for (const participant of debaters) {
+      history[participant] = [{ round: 0, position: positions[participant] }];
+    }
+
+    let roundsRun = 0;
+    let converged = false;
+
+    if (debaters.length < 2) {
+      session.log('Fewer than two opening positions, skipping the debate rounds');
+    }
+
+    for (let round = 1; round <= maxRounds && debaters.length >= 2; round++) {
+      session.signal.throwIfAborted();
+      session.log(`Debate round ${round}/${maxRounds}`);
+      const revisions = session.progress.counter(debaters.length);
+      const latest = { ...positions };
+
+      await Promise.all(debaters.map(async (participant) => {
+        revisions.started(participant, `round ${round} revision started`);
+        try {
+          const revised = await session.call(participant, { task: this.buildRevisionPrompt(session, participant, latest, round), content: null });
+          history[participant].push({ round, position: revised, diff: diffClaims(latest[participant], revised) });
+          positions[participant] = revised;
+          revisions.finished(participant, `round ${round} revision done`);
+        } catch (error) {
+          // Keep the last position; a failed revision does not count as movement
+          session.log(`${participant} round ${round} revision failed: ${error.message}`);
+          history[participant].push({ round, position: latest[participant], error: error.message });
+          revisions.finished(participant, `round ${round} revision failed`);
+        }
+      }));
+
+      roundsRun = round;
+      const revised = debaters.map(participant => history[participant].at(-1)).filter(entry => entry.diff);
+      converged = revised.length > 0 && revised.every(entry => entry.diff.similarity >= threshold);
+
+      if (converged) {
+        session.log(`Positions converged after round ${round}`);
+        session.progress.report(`Positions converged after round ${round}`);
+        break;
+      }
+    }
+
+    const finalPositions = Object.fromEntries(debaters.map(participant => [participant, positions[participant]]));
+    const claimConsensus = debaters.length >= 2 ? buildClaimConsensus(finalPositions) : null;
+    const consensus = claimConsensus && formatClaimConsensus(claimConsensus);
+    const outcome = { maxRounds, threshold, roundsRun, converged, consensus, claimConsensus };
+    return {
+      report: this.generateDebateReport(session, debaters, history, errors, outcome),
+      answers: Object.fromEntries(debaters.map(participant => [participant, history[participant][0].position])),
+      errors,
+      consensus,
+      claimConsensus,
+      discussion: roundsRun > 0
+        ? Object.fromEntries(debaters.map(participant => [participant, this.formatHistory(history[participant])]))
+        : null
+    };
+  }
+
+  buildRevisionPrompt(session, participant, latest, round) {
+    const others = Object.entries(latest).filter(([name]) => name !== participant);
+
+    return `${session.task}
+${session.participantContent ? `\nContent under discussion:\n${session.participantContent}\n` : ''}
+This is round ${round} of a structured debate between AI analysts (${Object.keys(latest).join(', ')}).
+
+## Your current position (${participant})
+${latest[participant]}
+
+## Other participants' latest positions
+${others.map(([name, position]) => `### ${name.toUpperCase()}\n${position}`).join('\n\n')}
+
+Revise your position in light of the others' arguments. Keep the points you still hold, drop or correct the points you are now persuaded are wrong, and adopt the points you now agree with. Reply with your complete revised position as a list of concise claims, not as commentary on the other positions.`;
+  }
+
+  describeChange(entry) {
+    if (entry.error) {
+      return 'revision failed';
+    }
+    const { similarity, added, dropped } = entry.diff;
+    return `${percent(similarity)} kept (+${added.length}/−${dropped.length})`;
+  }
+
+  formatHistory(entries, heading = '###') {
+    return entries.map(entry => {
+      if (entry.round === 0) {
+        return `${heading} Opening position\n\n${entry.position}`;
+      }
+      if (entry.error) {
+        return `${heading} Round ${entry.round}\n\nRevision failed: ${entry.error}. The previous position stands.`;
+      }
+
+      const { added, dropped } = entry.diff;
+      const list = (claims) => claims.slice(0, CLAIMS_SHOWN).map(claim => `- ${claim}`).join('\n')
+        + (claims.length > CLAIMS_SHOWN ? `\n- … ${claims.length - CLAIMS_SHOWN} more` : '');
+
+      let text = `${heading} Round ${entry.round}: ${this.describeChange(entry)}\n`;
+      if (added.length > 0) text += `\n**Added:**\n${list(added)}\n`;
+      if (dropped.length > 0) text += `\n**Dropped:**\n${list(dropped)}\n`;
+      if (added.length === 0 && dropped.length === 0) text += '\nNo change in claims.\n';
+      return text;
+    }).join('\n\n');
+  }
+
+  generateDebateReport(session, debaters, history, errors, outcome) {
+    const { task } = session;
+    const { maxRounds, threshold, roundsRun, converged, consensus, claimConsensus } = outcome;
+    const timestamp = new Date().toISOString();
+    const rounds = Array.from({ length: roundsRun }, (_, index) => index + 1);
+
+    let verdict;
+    if (roundsRun === 0) {
+      verdict = 'No debate rounds were run because fewer than two participants produced an opening position.';
+    } else if (converged) {
+      verdict = `Positions converged after round ${roundsRun}: every participant kept at least ${percent(threshold)} of its claims.`;
+    } else {
+      verdict = `Positions had not converged after the ${maxRounds}-round limit (threshold ${percent(threshold)} of claims kept).`;
+    }
+
+    let report = `# Multi-Round Debate Analysis
+
+**Task:** ${task}
+**Generated:** ${timestamp}
+**Participants:** ${debaters.join(', ') || 'none'}
+**Rounds:** ${roundsRun} of ${maxRounds}
+
+## Outcome
+
+${verdict}
+`;
+
+    if (roundsRun > 0) {
+      report += `
+## Position Changes
+
+| Participant | ${rounds.map(round => `Round ${round}`).join(' | ')} |
+|---|${rounds.map(() => '---').join('|')}|
+${debaters.map(participant => `| ${participant} | ${history[participant].slice(1).map(entry => this.describeChange(entry)).join(' | ')} |`).join('\n')}
+
+"kept" is the share of claims carried over from the previous round; +/− count claims added and dropped.
+`;
+    }
+
+    report += `
+## Final Positions
+
+${debaters.map(participant => `### ${participant.toUpperCase()}\n\n${history[participant].at(-1).position}`).join('\n\n')}
+`;
+
+    if (consensus) {
+      report += `
+## Consensus on Final Positions
+
+${consensus}`;
+    }
+
+    if (roundsRun > 0) {
+      report += `
+## Round-by-Round History
+
+${debaters.map(participant => `### ${participant.toUpperCase()}\n\n${this.formatHistory(history[participant].slice(1), '####')}`).join('\n\n')}
+`;
+    }
+
+    if (Object.keys(errors).length > 0) {
+      report += `
+## Participants Without an Opening Position
+
+${Object.entries(errors).map(([participant, error]) => `- **${participant}:** ${error}`).join('\n')}
+`;
+    }
+
+    const answers = Object.fromEntries(debaters.map(participant => [participant, history[participant][0].position]));
+    return report + `
+${formatVesselCalculation(session.vessel)}${formatRunSummary(session, { answers, errors, claimConsensus })}${claimConsensus ? '*Agreement is measured on the final positions.*\n' : ''}
+---
+*Generated by Collaborative MCP Proxy Server (debate strategy)*`;
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Enhanced Strategy
+ * Asks each participant in turn with the call's `domain` and `priority`
+ * available to participant templates. This is the workflow from
+ * `enhanced-collaborative.js`.
+ */
+
+import { formatVesselCalculation } from './asme-calculations.js';
+import { formatRunSummary } from './run-summary.js';
+
+export class EnhancedStrategy {
+  constructor() {
+    this.name = 'enhanced';
+    this.description = 'Domain- and priority-aware analysis by each participant in turn';
+  }
+
+  async run(session) {
+    const { participants, domain, priority } = session;
+    
+    session.log(`Starting enhanced ${domain} collaboration (priority ${priority}) with ${participants.join(', ')}`);
+
+    const results = {};
+    const errors = {};
+    const startTime = Date.now();
+
+    // Process each participant in turn; a failure does not stop the others
+    const steps = session.progress.counter(participants.length);
+    for (const participant of participants) {
+      session.signal.throwIfAborted();
+      steps.started(participant);
+      try {
+        const result = await session.call(participant);
+        results[participant] = result;
+        
+        session.log(`Enhanced success from ${participant} after ${Date.now() - startTime}ms`);
+        steps.finished(participant);
+        
+      } catch (error) {
+        session.log(`Enhanced error from ${participant}: ${error.message}`);
+        errors[participant] = error.message;
+        steps.finished(participant, 'failed');
+      }
+    }
+
+    return {
+      report: this.generateEnhancedReport(session, results, errors, startTime),
+      answers: results,
+      errors,
+      consensus: null,
+      discussion: null
+    };
+  }
+
+  generateEnhancedReport(session, results, errors, startTime) {
+    const { task, domain, priority } = session;
+    const timestamp = new Date().toISOString();
+    const processingTime = Date.now() - startTime;
+    const successCount = Object.keys(results).length;
+    const errorCount = Object.keys(errors).length;
+    const totalParticipants = successCount + errorCount;
+
+    let report = `# 🤖 Enhanced Multi-AI Collaborative Analysis\n\n`;
+    report += `**Task:** ${task}\n`;
+    report += `**Domain:** ${domain}\n`;
+    report += `**Priority:** ${priority}\n`;
+    report += `**Generated:** ${timestamp}\n`;
+    report += `**Processing Time:** ${processingTime}ms\n`;
+    report += `**Success Rate:** ${successCount}/${totalParticipants}\n`;
+    report += `**Session:** ${session.id}\n\n`;
+
+    for (const [participant, result] of Object.entries(results)) {
+      const icon = participant === 'serena' ? '🤝' : participant === 'ollama' ? '🏠' : participant === 'gemini' ? '🏗️' : '💻';
+      report += `## ${icon} ${participant.toUpperCase()} Analysis\n\n${result}\n\n---\n\n`;
+    }
+
+    for (const [participant, error] of Object.entries(errors)) {
+      report += `## ❌ ${participant.toUpperCase()} Error\n\n**Error:** ${error}\n**Impact:** Analysis continued with remaining participants\n\n---\n\n`;
+    }
+
+    report += formatVesselCalculation(session.vessel);
+    report += formatRunSummary(session, { answers: results, errors });
+    report += `\n---\n*Generated by Collaborative MCP Proxy Server (enhanced strategy) • Session: ${session.id} • ${timestamp}*`;
+
+    return report;
+  }
+}
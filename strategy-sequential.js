@@ -0,0 +1,115 @@
+/**
+ * Sequential Strategy
+ * Asks each participant in turn, then has the synthesizer (Gemini unless the
+ * call or config picks another) write a consensus from the answers. The
+ * synthesizer is left out of the analysis unless the call lets it be an
+ * analyst. This is the original `index.js` workflow.
+ */
+
+import { formatVesselCalculation } from './asme-calculations.js';
+import { FOCUS_PROMPTS } from './prompt-templates.js';
+import { formatRunSummary } from './run-summary.js';
+import { describeSynthesis, synthesizeConsensus } from './synthesis.js';
+
+const SYNTHESIZER = 'gemini';
+
+export class SequentialStrategy {
+  constructor() {
+    this.name = 'sequential';
+    this.description = 'Ask each participant in turn, then synthesize a consensus';
+  }
+
+  async run(session) {
+    const { task, participantContent } = session;
+    const requested = session.synthesizer ?? SYNTHESIZER;
+    const analysts = session.participants.filter(p => session.allowAnalystSynthesizer || p !== requested);
+    const results = [];
+    const steps = session.progress.counter(analysts.length);
+
+    for (const participant of analysts) {
+      session.signal.throwIfAborted();
+      session.log(`Getting ${participant} analysis...`);
+      steps.started(participant);
+      const focus = FOCUS_PROMPTS[participant];
+
+      try {
+        const analysis = await session.call(participant, focus ? { prompt: focus(task, participantContent) } : {});
+        results.push({ agent: participant, analysis, ok: true });
+        steps.finished(participant);
+      } catch (error) {
+        session.log(`${participant} analysis failed: ${error.message}`);
+        results.push({ agent: participant, analysis: `Analysis unavailable: ${error.message}`, error: error.message, ok: false });
+        steps.finished(participant, 'failed');
+      }
+    }
+
+    session.signal.throwIfAborted();
+    const { consensus, synthesizer } = await this.generateConsensus(session, analysts, results.filter(result => result.ok));
+    const answers = Object.fromEntries(results.filter(result => result.ok).map(result => [result.agent, result.analysis]));
+    const errors = Object.fromEntries(results.filter(result => !result.ok).map(result => [result.agent, result.error]));
+
+    return {
+      report: this.formatCollaborativeResult(task, results, consensus, formatVesselCalculation(session.vessel) + formatRunSummary(session, { answers, errors })),
+      answers,
+      errors,
+      consensus,
+      synthesizer,
+      discussion: null
+    };
+  }
+
+  async generateConsensus(session, analysts, results) {
+    if (results.length === 0) {
+      return { consensus: 'No participant produced an analysis, so there is nothing to synthesize.', synthesizer: null };
+    }
+
+    session.log('Generating consensus...');
+    const consensusPrompt = `Generate a consensus analysis based on these AI perspectives:
+
+Task: ${session.task}
+
+${results.map(r => `**${r.agent} Analysis:**\n${r.analysis}\n`).join('\n')}
+
+Provide:
+1. Synthesis of key findings
+2. Areas of agreement and disagreement
+3. Unified recommendations
+4. Action items
+
+Format as comprehensive consensus report.`;
+
+    const synthesis = await synthesizeConsensus(session, {
+      prompt: consensusPrompt,
+      analysts,
+      answers: Object.fromEntries(results.map(result => [result.agent, result.analysis])),
+      defaultSynthesizer: SYNTHESIZER
+    });
+    return { consensus: `${synthesis.text}\n\n${describeSynthesis(synthesis)}`, synthesizer: synthesis.synthesizer };
+  }
+
+  formatCollaborativeResult(task, results, consensus, summary) {
+    const timestamp = new Date().toISOString();
+
+    return `# Collaborative Analysis Results
+
+**Task:** ${task}
+**Generated:** ${timestamp}
+**Participants:** ${results.map(r => r.agent).join(', ')}
+
+## Individual Agent Analyses
+
+${results.map(result => `### ${result.agent} Analysis${result.ok ? '' : ' (failed)'}
+
+${result.analysis}
+
+---`).join('\n')}
+
+## Consensus & Synthesis
+
+${consensus}
+
+${summary}
+---
+*Generated by Collaborative MCP Proxy Server*`;
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Zen Strategy
+ * Parallel initial analysis by every participant except the synthesizer
+ * (Serena unless the call or config picks another), followed by a consensus
+ * pass that sees a token-trimmed summary of the other answers. Falls back to
+ * a locally built consensus when no synthesizer answers.
+ */
+
+import { displayName } from './progress-reporter.js';
+import { formatVesselCalculation } from './asme-calculations.js';
+import { formatRunSummary } from './run-summary.js';
+import { describeSynthesis, synthesizeConsensus } from './synthesis.js';
+
+const SYNTHESIZER = 'serena';
+
+export class ZenStrategy {
+  constructor() {
+    this.name = 'zen';
+    this.description = 'Parallel analysis, then a synthesizer consensus over the combined insights';
+  }
+
+  async run(session) {
+    const { task, content, participants } = session;
+    const synthesizer = session.synthesizer ?? SYNTHESIZER;
+    
+    session.log(`Starting Zen-style collaboration with ${participants.join(', ')}`);
+
+    // Zen MCP-inspired workflow: Sequential collaboration with context passing
+    const collaborationContext = {
+      task,
+      content,
+      participants,
+      synthesizer,
+      results: {},
+      insights: [],
+      consensus: null,
+      synthesis: null
+    };
+
+    // Phase 1: Initial Analysis (parallel for efficiency)
+    const initialResults = {};
+    const errors = {};
+
+    const analysts = participants.filter(p => p !== synthesizer);
+    
+    session.log(`Phase 1: Parallel initial analysis by ${analysts.join(', ')}`);
+    
+    // Run initial analyses in parallel (excluding the synthesizer)
+    const steps = session.progress.counter(analysts.length);
+    const promises = analysts.map(async (participant) => {
+      steps.started(participant);
+      try {
+        const result = await session.call(participant);
+        session.log(`Initial analysis complete: ${participant}`);
+        steps.finished(participant);
+        return { participant, result, success: true };
+      } catch (error) {
+        session.log(`Initial analysis error: ${participant}: ${error.message}`);
+        steps.finished(participant, 'failed');
+        return { participant, error: error.message, success: false };
+      }
+    });
+
+    const initialAnalyses = await Promise.allSettled(promises);
+    
+    // Collect initial results
+    initialAnalyses.forEach((result) => {
+      if (result.status === 'fulfilled') {
+        const { participant, result: analysis, error, success } = result.value;
+        if (success) {
+          initialResults[participant] = analysis;
+          collaborationContext.results[participant] = analysis;
+        } else {
+          errors[participant] = error;
+        }
+      }
+    });
+
+    // Phase 2: Synthesis & Consensus (if a synthesizer was picked or listed)
+    session.signal.throwIfAborted();
+    if (session.synthesizer || participants.includes(SYNTHESIZER)) {
+      session.log(`Phase 2: ${synthesizer} consensus building with context from other AIs`);
+
+      // Prepare context for the synthesizer with other AI results
+      const context = this.prepareSynthesisContext(task, content, initialResults);
+      const synthesis = await synthesizeConsensus(session, {
+        prompt: this.buildSynthesisPrompt(context),
+        analysts,
+        answers: initialResults,
+        defaultSynthesizer: SYNTHESIZER
+      });
+      collaborationContext.synthesis = synthesis;
+      collaborationContext.consensus = synthesis.synthesizer
+        ? `# ${displayName(synthesis.synthesizer)} Consensus\n\n${synthesis.text}\n\n${describeSynthesis(synthesis)}`
+        : this.generateClaimConsensus(context, synthesis);
+    }
+
+    return {
+      report: this.generateZenStyleReport(session, collaborationContext, errors),
+      answers: initialResults,
+      errors,
+      consensus: collaborationContext.consensus,
+      synthesizer: collaborationContext.synthesis?.synthesizer ?? null,
+      discussion: null
+    };
+  }
+
+  prepareSynthesisContext(task, content, initialResults) {
+    // Prepare a concise context for the synthesizer to reduce token usage
+    const context = {
+      originalTask: task,
+      originalContent: content,
+      aiAnalyses: {}
+    };
+
+    // Extract key insights from each AI (token-optimized)
+    for (const [ai, result] of Object.entries(initialResults)) {
+      // Extract key points instead of full text to save tokens
+      const keyPoints = this.extractKeyInsights(result, ai);
+      context.aiAnalyses[ai] = keyPoints;
+    }
+
+    return context;
+  }
+
+  extractKeyInsights(result, aiName) {
+    // Token-efficient extraction of key insights
+    const text = result || '';
+    
+    // Extract numerical data and key findings
+    const numbers = text.match(/(\d+\.?\d*)\s*([a-zA-Z%°\/]+)/g) || [];
+    const recommendations = text.match(/\*\*Recommendation.*?\*\*/g) || [];
+    const keyFindings = text.match(/\*\*.*?\*\*/g) || [];
+    
+    return {
+      ai: aiName,
+      keyNumbers: numbers.slice(0, 5), // Limit to reduce tokens
+      mainRecommendation: recommendations[0] || 'No specific recommendation',
+      criticalFindings: keyFindings.slice(0, 3), // Top 3 findings only
+      summary: text.substring(0, 200) + '...' // Brief summary
+    };
+  }
+
+  buildSynthesisPrompt(context) {
+    // Token-efficient prompt for the synthesizer
+    return `Multi-AI Analysis Consensus Task:
+
+Original Task: ${context.originalTask}
+
+AI Analysis Summary:
+${Object.entries(context.aiAnalyses).map(([ai, insights]) => 
+  `${ai.toUpperCase()}: ${insights.mainRecommendation} | Key: ${insights.keyNumbers.join(', ')}`
+).join('\n')}
+
+Please provide consensus analysis focusing on:
+1. Agreement/disagreement between AIs
+2. Most reliable conclusions
+3. Areas needing clarification
+4. Final unified recommendation`;
+  }
+
+  generateClaimConsensus(context, synthesis) {
+    // No synthesizer answered: cluster the analysts' claims instead
+    return `# Multi-AI Claim Consensus
+
+**Task:** ${context.originalTask}
+
+${describeSynthesis(synthesis)}
+
+${synthesis.text}`;
+  }
+
+  generateZenStyleReport(session, collaborationContext, errors) {
+    const { task, results, participants, synthesizer, consensus, synthesis } = collaborationContext;
+    const timestamp = new Date().toISOString();
+    const successCount = Object.keys(results).length;
+    const errorCount = Object.keys(errors).length;
+
+    let report = `# 🧠 Zen-Style Collaborative AI Analysis
+
+**Task:** ${task}
+**Generated:** ${timestamp}
+**Success Rate:** ${successCount}/${successCount + errorCount}
+
+## 🔄 Collaboration Workflow
+
+**Phase 1: Parallel Initial Analysis**
+${participants.filter(p => p !== synthesizer).map(p => 
+  results[p] ? `✅ ${p.toUpperCase()}` : `❌ ${p.toUpperCase()}`
+).join(' • ')}
+
+**Phase 2: Consensus Building**
+${!synthesis ? '⏭️ Skipped (no synthesizer requested)'
+  : synthesis.synthesizer ? `✅ ${synthesis.synthesizer.toUpperCase()} (Context-aware synthesis)`
+  : '⚠️ Claim consensus (no synthesizer answered)'}
+
+`;
+
+    // Add results in Zen style
+    for (const [participant, result] of Object.entries(results)) {
+      report += `## 🤖 ${participant.toUpperCase()} Analysis\n\n${result}\n\n---\n\n`;
+    }
+    if (consensus) {
+      report += synthesis.synthesizer
+        ? `## 🎯 CONSENSUS (Multi-AI Synthesis)\n\n${consensus}\n\n---\n\n`
+        : `## 🎯 CONSENSUS (Claim comparison, no synthesizer)\n\n${consensus}\n\n---\n\n`;
+    }
+
+    // Add errors
+    for (const [participant, error] of Object.entries(errors)) {
+      report += `## ❌ ${participant.toUpperCase()} Error\n\n${error}\n\n---\n\n`;
+    }
+
+    if (synthesis?.synthesizer) {
+      report += `The synthesizer saw a summary of each analysis (its first bold recommendation and up to five numbers with units), not the full texts.\n\n`;
+    }
+
+    report += `${formatVesselCalculation(session.vessel)}${formatRunSummary(session, { answers: results, errors })}
+---
+*Generated by Collaborative MCP Proxy Server (zen strategy) • ${timestamp}*`;
+
+    return report;
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Structured Result
+ * The machine-readable twin of a collaboration report, returned as the
+ * `collaborate` tool's `structuredContent`. `RESULT_SCHEMA` is the tool's
+ * declared `outputSchema`; every field is filled from the strategy outcome
+ * and the session, never parsed back out of the Markdown.
+ */
+
+import { buildClaimConsensus } from './consensus.js';
+import DataParser from './data-parser.js';
+
+const STRING_MAP = { type: 'object', additionalProperties: { type: 'string' } };
+
+export const RESULT_SCHEMA = {
+  type: 'object',
+  properties: {
+    sessionId: { type: 'string', description: 'Session id; resources live under collab://sessions/{sessionId}/' },
+    task: { type: 'string' },
+    mode: { type: 'string', enum: ['plan', 'apply', 'review'] },
+    runMode: { type: 'string', enum: ['real', 'mock'], description: 'mock answers every call from fixtures' },
+    simulated: { type: 'boolean', description: 'True if any response came from a fixture or cassette instead of a live participant' },
+    strategy: { type: 'string', description: 'Strategy that ran, or the planner for plan and review modes' },
+    domain: { type: 'string' },
+    participants: { type: 'array', items: { type: 'string' }, description: 'Participants requested for the call' },
+    answers: { ...STRING_MAP, description: 'Each participant\'s answer from the first analysis phase' },
+    errors: { ...STRING_MAP, description: 'Error message per participant that failed' },
+    timings: {
+      type: 'object',
+      properties: {
+        totalMs: { type: 'number' },
+        participants: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              calls: { type: 'integer' },
+              totalMs: { type: 'number' },
+              simulated: { type: 'integer', description: 'Calls answered from a fixture' },
+              replayed: { type: 'integer', description: 'Calls answered from a replayed cassette' }
+            },
+            required: ['calls', 'totalMs', 'simulated', 'replayed']
+          }
+        }
+      },
+      required: ['totalMs', 'participants']
+    },
+    responses: {
+      type: 'array',
+      description: 'Every participant response in call order',
+      items: {
+        type: 'object',
+        properties: {
+          participant: { type: 'string' },
+          real: { type: 'boolean', description: 'True only for an answer from the live participant' },
+          source: { type: 'string', enum: ['live', 'fixture', 'simulated-fallback', 'replay'] },
+          durationMs: { type: 'number' }
+        },
+        required: ['participant', 'real', 'source', 'durationMs']
+      }
+    },
+    consensus: {
+      type: 'object',
+      properties: {
+        text: { type: ['string', 'null'], description: 'The consensus section of the report, if any' },
+        synthesizer: { type: ['string', 'null'], description: 'Participant that wrote the consensus text, if a model wrote it' },
+        items: {
+          type: 'array',
+          description: 'Claims clustered across participants, strongest agreement first',
+          items: {
+            type: 'object',
+            properties: {
+              claim: { type: 'string' },
+              kind: { type: 'string', enum: ['recommendation', 'finding'] },
+              label: { type: 'string', enum: ['unanimous', 'majority', 'disputed'] },
+              agents: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['claim', 'kind', 'label', 'agents']
+          }
+        },
+        counts: {
+          type: 'object',
+          properties: {
+            unanimous: { type: 'integer' },
+            majority: { type: 'integer' },
+            disputed: { type: 'integer' }
+          }
+        }
+      },
+      required: ['text', 'synthesizer', 'items', 'counts']
+    },
+    extractedData: {
+      type: ['object', 'null'],
+      description: 'Pressure vessel fields found in the task or content, keyed by name such as designPressure or insideDiameter (pressure_vessel domain only); fields not found are omitted',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          value: { type: ['number', 'string'], description: 'bar, °C, mm, a fraction (joint efficiency) or text' },
+          unit: { type: ['string', 'null'] },
+          range: { type: ['object', 'null'], description: '{ min, max } when a range was given; value is max' },
+          tolerance: { type: ['number', 'null'], description: 'Plus-or-minus amount, in the same unit' },
+          reference: { type: ['string', 'null'], enum: ['gauge', 'absolute', null], description: 'How a pressure was marked; absolute pressures are converted to gauge' },
+          given: { type: 'object', description: 'The value, unit and low end of a range as written' },
+          alternate: { type: ['object', 'null'], description: 'The same value restated in other units right after it, as in "20.7 bar (300 psi)"' },
+          label: { type: ['string', 'null'], description: 'The label the value followed, null when it had none' },
+          source: {
+            type: 'object',
+            description: 'Where the value was found: the text, its offsets in the task and content joined by a newline, and the 1-based line',
+            properties: {
+              text: { type: 'string' },
+              start: { type: 'integer' },
+              end: { type: 'integer' },
+              line: { type: 'integer' }
+            }
+          },
+          confidence: { type: 'number', description: '0.9 labeled, 0.7 loosely labeled or inferred, 0.4 unlabeled' }
+        },
+        required: ['value', 'unit', 'label', 'source', 'confidence']
+      }
+    },
+    specIssues: {
+      type: 'array',
+      description: 'Problems found in the pressure vessel spec before dispatch (pressure_vessel domain only), warnings first',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['conflict', 'restated', 'negated', 'unreadable'] },
+          severity: { type: 'string', enum: ['warning', 'note'] },
+          field: { type: ['string', 'null'] },
+          message: { type: 'string' },
+          sources: { type: 'array', items: { type: 'object' }, description: 'The spans of the request the issue cites' }
+        },
+        required: ['type', 'severity', 'field', 'message', 'sources']
+      }
+    },
+    calculations: {
+      type: ['object', 'null'],
+      description: 'ASME VIII-1 reference calculation from the extracted data (pressure_vessel domain only). Pressures and stresses in MPa, lengths in mm',
+      properties: {
+        inputs: { type: 'object', description: 'Values the calculation used, given or assumed' },
+        assumed: { type: 'array', items: { type: 'string' }, description: 'Inputs that were defaults rather than found in the request' },
+        sources: { type: 'object', description: 'The extracted field behind each input that was found in the request' },
+        components: {
+          type: 'object',
+          description: 'Shell (both stress directions) and each head type',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              rule: { type: 'string' },
+              label: { type: 'string' },
+              required: { type: 'number', description: 'Required thickness without corrosion allowance' },
+              withCorrosion: { type: 'number' },
+              nominal: { type: 'number', description: 'Rounded up to a whole millimetre' },
+              mawp: { type: 'number', description: 'At the nominal thickness, hot and corroded' }
+            }
+          }
+        },
+        mawp: { type: 'object', properties: { value: { type: 'number' }, governing: { type: 'string' } } },
+        hydrotest: { type: 'object', properties: { rule: { type: 'string' }, pressure: { type: 'number' }, stressRatio: { type: 'number' } } },
+        warnings: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  required: ['sessionId', 'task', 'mode', 'runMode', 'simulated', 'strategy', 'participants', 'answers', 'errors', 'timings', 'responses', 'consensus', 'extractedData', 'specIssues', 'calculations']
+};
+
+/**
+ * Vessel fields the parser found in `text`, each with its source and
+ * confidence; null when there are none.
+ */
+export function extractVesselData(text) {
+  const fields = new DataParser().extractFields(text);
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+/**
+ * Build the `structuredContent` for a finished collaboration. Consensus items
+ * come from the outcome's own claim consensus when it has one (debate builds
+ * it over final positions), otherwise from the first-phase answers.
+ */
+export function buildStructuredResult(session, outcome, { mode, runMode, strategy }) {
+  const answers = outcome.answers || {};
+  const claims = outcome.claimConsensus
+    ?? (Object.keys(answers).length >= 2 ? buildClaimConsensus(answers) : { items: [], counts: { unanimous: 0, majority: 0, disputed: 0 } });
+
+  return {
+    sessionId: session.id,
+    task: session.task,
+    mode,
+    runMode,
+    simulated: session.responses.some(response => !response.real),
+    strategy,
+    domain: session.domain,
+    participants: session.participants,
+    answers,
+    errors: outcome.errors || {},
+    timings: {
+      totalMs: Date.now() - session.startedAt,
+      participants: session.timings
+    },
+    responses: session.responses,
+    consensus: {
+      text: outcome.consensus ?? null,
+      synthesizer: outcome.synthesizer ?? null,
+      items: claims.items.map(({ claim, kind, label, agents }) => ({ claim, kind, label, agents })),
+      counts: claims.counts
+    },
+    extractedData: session.domain === 'pressure_vessel'
+      ? extractVesselData([session.task, session.content].filter(Boolean).join('\n'))
+      : null,
+    specIssues: session.specIssues ?? [],
+    calculations: session.vessel ?? null
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Consensus Synthesis
+ * Picks the participant that writes a strategy's final consensus. The
+ * requested synthesizer is tried first, then the configured fallback chain;
+ * a candidate that also analyzed the task is skipped unless the call allows
+ * it, and so is a fallback that is not local when the requested synthesizer
+ * is. When no candidate answers, the consensus is built from the analysts'
+ * claims instead.
+ */
+
+import { buildClaimConsensus, formatClaimConsensus } from './consensus.js';
+import { displayName } from './progress-reporter.js';
+
+/**
+ * Split the session's synthesizer chain into usable `candidates` and
+ * `skipped` entries (`{ name, reason }`), in chain order without repeats.
+ */
+export function synthesizerCandidates(session, analysts, defaultSynthesizer) {
+  const requested = session.synthesizer ?? defaultSynthesizer;
+  const chain = [requested, ...(session.synthesisFallback || [])].filter(Boolean);
+  const local = session.localParticipants || [];
+  const candidates = [];
+  const skipped = [];
+
+  for (const name of new Set(chain)) {
+    if (!session.available.includes(name)) {
+      skipped.push({ name, reason: 'not available' });
+    } else if (local.includes(requested) && !local.includes(name)) {
+      skipped.push({ name, reason: `not local like ${requested}` });
+    } else if (analysts.includes(name) && !session.allowAnalystSynthesizer) {
+      skipped.push({ name, reason: 'also an analyst' });
+    } else {
+      candidates.push(name);
+    }
+  }
+  return { candidates, skipped };
+}
+
+/**
+ * Ask the first working synthesizer for a consensus with `prompt`. Resolves
+ * to `{ text, synthesizer, skipped, failures }`; `synthesizer` is null when
+ * the text is the claim consensus over `answers`.
+ */
+export async function synthesizeConsensus(session, { prompt, analysts, answers, defaultSynthesizer }) {
+  const { candidates, skipped } = synthesizerCandidates(session, analysts, defaultSynthesizer);
+  const failures = [];
+
+  for (const { name, reason } of skipped) {
+    session.log(`Synthesizer ${name} skipped: ${reason}`);
+  }
+
+  for (const name of candidates) {
+    session.signal.throwIfAborted();
+    session.log(`${name} synthesizing consensus...`);
+    session.progress.report(`${displayName(name)} consensus started`);
+
+    try {
+      const text = await session.call(name, { prompt });
+      session.progress.report(`${displayName(name)} consensus done`);
+      return { text, synthesizer: name, skipped, failures };
+    } catch (error) {
+      session.log(`${name} consensus failed: ${error.message}`);
+      session.progress.report(`${displayName(name)} consensus failed`);
+      failures.push({ name, reason: error.message });
+    }
+  }
+
+  session.progress.report('Consensus built from claims');
+  return {
+    text: formatClaimConsensus(buildClaimConsensus(answers)),
+    synthesizer: null,
+    skipped,
+    failures
+  };
+}
+
+/**
+ * One line saying who wrote the consensus and which synthesizers were passed
+ * over, for the report.
+ */
+export function describeSynthesis({ synthesizer, skipped, failures }) {
+  const passedOver = [
+    ...skipped.map(({ name, reason }) => `${name} skipped (${reason})`),
+    ...failures.map(({ name, reason }) => `${name} failed (${reason})`)
+  ];
+  const detail = passedOver.length > 0 ? ` ${passedOver.join('; ')}.` : '';
+
+  return synthesizer
+    ? `*Consensus written by ${synthesizer}.${detail}*`
+    : `*No synthesizer was available, so this consensus was built from the participants' claims.${detail}*`;
+}
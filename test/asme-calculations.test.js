@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MINIMUM_THICKNESS, calculateVessel, calculateVesselFromText, formatVesselCalculation } from '../asme-calculations.js';
+
+const close = (actual, expected, tolerance = 1e-4) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+
+// 10 bar, 1000 mm ID, S = 100 MPa, E = 1, no corrosion: easy to check by hand
+const HAND_CASE = { pressure: 10, temperature: 100, diameter: 1000, material: 'SA-516-70' };
+const HAND_OPTIONS = { allowableStress: 100, jointEfficiency: 1, corrosionAllowance: 0 };
+
+test('UG-27 and UG-32 thicknesses match hand calculations', () => {
+  const { components } = calculateVessel(HAND_CASE, HAND_OPTIONS);
+
+  close(components.shellCircumferential.required, 500 / 99.4);
+  close(components.shellLongitudinal.required, 500 / 200.4);
+  close(components.ellipsoidal.required, 1000 / 199.8);
+  close(components.torispherical.required, 885 / 99.9);
+  close(components.hemispherical.required, 500 / 199.8);
+});
+
+test('MAWP is taken at the nominal thickness and governed by the weakest of shell and head', () => {
+  const { components, mawp, hydrotest } = calculateVessel(HAND_CASE, HAND_OPTIONS);
+
+  assert.equal(components.shellCircumferential.nominal, 6);
+  assert.equal(components.shellLongitudinal.nominal, 6);
+  close(components.shellCircumferential.mawp, 600 / 503.6);
+  close(components.shellLongitudinal.mawp, 1200 / 497.6);
+  close(components.ellipsoidal.mawp, 1200 / 1001.2);
+  assert.equal(mawp.governing, 'shellCircumferential');
+  close(mawp.value, 600 / 503.6);
+  close(hydrotest.pressure, 1.3 * 600 / 503.6);
+});
+
+test('corrosion allowance enlarges the corroded radius and is added to the thickness', () => {
+  const { components, inputs } = calculateVessel(HAND_CASE, { ...HAND_OPTIONS, corrosionAllowance: 3 });
+  const shell = components.shellCircumferential;
+
+  close(shell.required, 503 / 99.4);
+  close(shell.withCorrosion, 503 / 99.4 + 3);
+  assert.equal(shell.nominal, 9);
+  close(shell.mawp, 100 * 6 / (503 + 0.6 * 6));
+  assert.equal(inputs.corrosionAllowance, 3);
+});
+
+test('the hydrotest uses the stress ratio and the MAWP of the chosen head type', () => {
+  const result = calculateVessel(HAND_CASE, { ...HAND_OPTIONS, allowableStressAtTest: 120, headType: 'torispherical' });
+
+  assert.equal(result.hydrotest.stressRatio, 1.2);
+  close(result.hydrotest.pressure, 1.3 * result.mawp.value * 1.2);
+  assert.throws(() => calculateVessel(HAND_CASE, { headType: 'flat' }), /Unknown head type: flat/);
+});
+
+test('thickness never drops below the UG-16(b) minimum and high pressures are flagged', () => {
+  const low = calculateVessel({ ...HAND_CASE, pressure: 0.1 }, HAND_OPTIONS);
+  assert.equal(low.components.shellLongitudinal.required, MINIMUM_THICKNESS);
+
+  const high = calculateVessel({ ...HAND_CASE, pressure: 450 }, HAND_OPTIONS);
+  assert.ok(high.warnings.some(warning => /0\.385SE/.test(warning)));
+  assert.ok(!high.warnings.some(warning => /1\.25SE/.test(warning)));
+});
+
+test('a design pressure of zero or below is reported as such, not as too high', () => {
+  for (const pressure of [0, -0.5]) {
+    const result = calculateVessel({ ...HAND_CASE, pressure }, HAND_OPTIONS);
+
+    assert.equal(result.warnings.length, 1);
+    assert.match(result.warnings[0], new RegExp(`^The design pressure is ${pressure} bar gauge, but the internal pressure formulas need one above zero`));
+    assert.doesNotMatch(result.warnings[0], /too high/);
+    assert.equal(result.components.shellCircumferential.required, MINIMUM_THICKNESS);
+  }
+});
+
+test('calculateVesselFromText marks parameters that were not in the text as assumed', () => {
+  const result = calculateVesselFromText('Design pressure 20.7 bar at 400 C');
+
+  assert.equal(result.inputs.pressure, 2.07);
+  assert.deepEqual(result.assumed, ['diameter', 'material', 'jointEfficiency', 'corrosionAllowance', 'headType']);
+  assert.deepEqual(result.warnings, []);
+
+  const section = formatVesselCalculation(result);
+  assert.match(section, /\*\*Design pressure:\*\* 20\.70 bar \(2\.070 MPa\), from "Design pressure 20\.7 bar" on line 1\n/);
+  assert.match(section, /\*\*Design temperature:\*\* 400 °C, from "400 C" on line 1 \(not labeled, confidence 0\.7\)/);
+  assert.match(section, /\*\*Inside diameter:\*\* 1200 mm \(assumed\)/);
+  assert.match(section, /\| Shell, circumferential stress \| UG-27\(c\)\(1\) \|/);
+  assert.equal(formatVesselCalculation(null), '');
+});
+
+test('calculateVesselFromText uses the corrosion allowance and joint efficiency in the text', () => {
+  const text = 'Design pressure: 10 bar\nOperating temperature: 200 C\nID: 1000 mm\nMaterial: SA-516-70\nCA = 1.5 mm\nJoint efficiency: 85%';
+  const result = calculateVesselFromText(text);
+
+  assert.equal(result.inputs.corrosionAllowance, 1.5);
+  assert.equal(result.inputs.jointEfficiency, 0.85);
+  assert.deepEqual(result.assumed, ['headType']);
+  assert.equal(result.sources.corrosionAllowance.source.line, 5);
+  assert.match(result.warnings[0], /^No design temperature was given, so the operating temperature \("Operating temperature: 200 C", line 2\) was used in its place\.$/);
+  assert.match(formatVesselCalculation(result), /\*\*Joint efficiency E:\*\* 0\.85, from "Joint efficiency: 85%" on line 6\n/);
+
+  const overridden = calculateVesselFromText(text, { corrosionAllowance: 0 });
+  assert.equal(overridden.inputs.corrosionAllowance, 0);
+  assert.equal(overridden.sources.corrosionAllowance, undefined);
+});
+
+test('a stated corrosion allowance is used even when it exceeds the required shell thickness', () => {
+  const result = calculateVesselFromText('Design pressure: 5 barg\nID 1000 mm\nCA: 6 mm');
+
+  assert.equal(result.inputs.corrosionAllowance, 6);
+  assert.ok(!result.assumed.includes('corrosionAllowance'));
+  assert.ok(result.components.shellCircumferential.required < 6);
+  assert.equal(result.components.shellCircumferential.nominal, 8);
+});
+
+test('without an inside diameter, the outside diameter less the shell wall is used', () => {
+  const result = calculateVesselFromText('Design pressure: 20 bar\nDesign temperature: 150 C\nOD 48 in\nMaterial: SA-516 Gr 70');
+  const wall = result.components.shellCircumferential.nominal;
+
+  assert.equal(wall, 12);
+  assert.equal(result.inputs.insideDiameter.toFixed(2), (48 * 25.4 - 2 * wall).toFixed(2));
+  assert.ok(!result.assumed.includes('diameter'));
+  assert.equal(result.sources.diameter.label, 'OD');
+  assert.equal(result.warnings[0], 'No inside diameter was given, so it is the outside diameter ("OD 48 in", line 3) less twice the 12 mm shell wall: 1195.2 mm.');
+  assert.match(formatVesselCalculation(result), /\*\*Inside diameter:\*\* 1195\.2 mm, from "OD 48 in" on line 3/);
+
+  // A stated inside diameter wins over the outside one
+  assert.equal(calculateVesselFromText('Design pressure: 20 bar\nOD 1219 mm\nID 1190 mm').inputs.insideDiameter, 1190);
+});
+
+test('the allowable stress is looked up at the design temperature', () => {
+  // 752 °F lies between the 750 °F (14.8 ksi) and 800 °F (12.0 ksi) columns
+  const hot = calculateVesselFromText('Design pressure 20.7 bar at 400 C, SA-516-70');
+  close(hot.inputs.allowableStress, (14.8 - 2 / 50 * 2.8) * 6.894757);
+  assert.equal(hot.inputs.stressSource, 'SA-516 Gr 70 at 400 °C, interpolated');
+  // The hydrotest ratio compares the ambient stress with the design stress
+  close(hot.hydrotest.stressRatio, 20.0 / (14.8 - 2 / 50 * 2.8));
+  assert.match(formatVesselCalculation(hot), /\*\*Allowable stress S:\*\* 101\.3 MPa \(SA-516 Gr 70 at 400 °C, interpolated, from the material table\)/);
+
+  const unknown = calculateVesselFromText('Design pressure 20.7 bar at 200 C, Material: Inconel 625');
+  assert.match(unknown.warnings[0], /^Inconel 625 is not in the material table/);
+  assert.match(formatVesselCalculation(unknown), /> ⚠️ Inconel 625 is not in the material table/);
+});
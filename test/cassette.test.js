@@ -0,0 +1,108 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Cassette } from '../cassette.js';
+import { CodexAdapter } from '../codex-adapter.js';
+import { CollaborativeServer } from '../collaborative-server.js';
+import { McpStdioAdapter } from '../mcp-stdio-adapter.js';
+import { CassetteMissError } from '../participant-errors.js';
+import { ParticipantRegistry } from '../participant-registry.js';
+
+// Each cassette gets its own directory, removed once every test has run
+const dirs = [];
+after(() => {
+  for (const dir of dirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function cassetteFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collab-cassette-'));
+  dirs.push(dir);
+  return path.join(dir, 'run.json');
+}
+
+// Adapters never reach a real server: recording sees the stub, replay must not call it
+function stubLive(adapter, respond) {
+  adapter.callLive = async (args, options) => respond(args, options);
+  return adapter;
+}
+const noLiveCalls = (args) => {
+  throw new Error(`live call during replay: ${JSON.stringify(args)}`);
+};
+
+test('tool calls and their notifications replay in recorded order', async () => {
+  const file = cassetteFile();
+  let calls = 0;
+  const recorder = stubLive(new McpStdioAdapter({ name: 'alpha', command: 'alpha-mcp', tool: 'ask', cassette: new Cassette({ file, mode: 'record' }) }),
+    async (args, { onNotification }) => {
+      onNotification({ method: 'progress/note', params: { step: ++calls } });
+      return { content: [{ type: 'text', text: `answer ${calls} to ${args.prompt}` }] };
+    });
+  await recorder.callTool({ prompt: 'Check the weld' }, { onNotification: () => {} });
+  await recorder.callTool({ prompt: 'Check the weld' }, { onNotification: () => {} });
+
+  const player = stubLive(new McpStdioAdapter({ name: 'alpha', command: 'alpha-mcp', tool: 'ask', cassette: new Cassette({ file, mode: 'replay' }) }), noLiveCalls);
+  const notifications = [];
+  const first = await player.callTool({ prompt: 'Check the weld' }, { onNotification: n => notifications.push(n) });
+  const second = await player.callTool({ prompt: 'Check the weld' });
+
+  assert.equal(first.content[0].text, 'answer 1 to Check the weld');
+  assert.equal(second.content[0].text, 'answer 2 to Check the weld');
+  assert.deepEqual(notifications, [{ method: 'progress/note', params: { step: 1 } }]);
+  await assert.rejects(player.callTool({ prompt: 'Check the weld' }), CassetteMissError);
+  await assert.rejects(player.callTool({ prompt: 'Check the nozzle' }), CassetteMissError);
+});
+
+test('recorded failures replay as the same participant error', async () => {
+  const file = cassetteFile();
+  const recorder = stubLive(new McpStdioAdapter({ name: 'alpha', command: 'alpha-mcp', tool: 'ask', cassette: new Cassette({ file, mode: 'record' }) }),
+    async () => { throw Object.assign(new Error('alpha did not respond within 10ms'), { name: 'ParticipantTimeoutError' }); });
+  await assert.rejects(recorder.callTool({ prompt: 'Check the weld' }));
+
+  const player = stubLive(new McpStdioAdapter({ name: 'alpha', command: 'alpha-mcp', tool: 'ask', cassette: new Cassette({ file, mode: 'replay' }) }), noLiveCalls);
+  await assert.rejects(player.callTool({ prompt: 'Check the weld' }), { name: 'ParticipantTimeoutError', message: 'alpha did not respond within 10ms' });
+});
+
+test('codex cassettes match across working directories', async () => {
+  const file = cassetteFile();
+  const recorder = stubLive(new CodexAdapter({ cwd: '/home/one', cassette: new Cassette({ file, mode: 'record' }) }),
+    async () => ({ content: [{ type: 'text', text: 'codex answer' }] }));
+  await recorder.ask('Check the weld');
+
+  const player = stubLive(new CodexAdapter({ cwd: '/home/two', cassette: new Cassette({ file, mode: 'replay' }) }), noLiveCalls);
+  assert.equal(await player.ask('Check the weld'), 'codex answer');
+});
+
+test('a recorded cross-review collaboration replays end to end without live participants', async () => {
+  const file = cassetteFile();
+  const registry = () => new ParticipantRegistry([
+    { name: 'gemini', transport: { type: 'builtin', handler: 'gemini' } },
+    { name: 'codex', transport: { type: 'builtin', handler: 'codex' } }
+  ]);
+  const args = { task: 'Check the weld', strategy: 'cross-review' };
+  const run = async (server) => {
+    const response = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'collaborate', arguments: args } });
+    await server.close();
+    return response.result;
+  };
+
+  const recorder = new CollaborativeServer({ registry: registry(), cassette: new Cassette({ file, mode: 'record' }), argv: ['node', 'index.js'], env: {} });
+  stubLive(recorder.gemini, async ({ prompt }) => ({ content: [{ type: 'text', text: `- Gemini finds the weld needs radiographic testing.\n- ${prompt.length} characters reviewed.` }] }));
+  stubLive(recorder.codex, async ({ prompt }) => ({ content: [{ type: 'text', text: `- Codex finds the weld needs radiographic testing.\n- ${prompt.length} characters reviewed.` }] }));
+  const recorded = await run(recorder);
+
+  const player = new CollaborativeServer({ registry: registry(), cassette: new Cassette({ file, mode: 'replay' }), argv: ['node', 'index.js'], env: {} });
+  stubLive(player.gemini, noLiveCalls);
+  stubLive(player.codex, noLiveCalls);
+  const replayed = await run(player);
+
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).interactions.length, 4);
+  assert.deepEqual(replayed.structuredContent.answers, recorded.structuredContent.answers);
+  assert.deepEqual(replayed.structuredContent.consensus.items, recorded.structuredContent.consensus.items);
+  assert.ok(replayed.structuredContent.responses.every(response => response.source === 'replay' && !response.real));
+  assert.ok(recorded.structuredContent.responses.every(response => response.source === 'live'));
+  assert.match(replayed.content[0].text, /^> ⏪ \*\*REPLAYED OUTPUT\.\*\* 4 of 4 responses \(gemini, codex\)/);
+});
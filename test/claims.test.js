@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { claimSimilarity, diffClaims, extractClaims, tokenize } from '../claims.js';
+
+test('extractClaims strips Markdown and drops headings and duplicates', () => {
+  const claims = extractClaims(`## Findings
+
+1. **Shell thickness** of 12 mm is adequate. The corrosion allowance is 3 mm.
+- Shell thickness of 12 mm is adequate.
+* Hydrotest at 1.3 times MAWP
+\`\`\`
+code block line
+\`\`\``);
+
+  assert.deepEqual(claims, [
+    'Shell thickness of 12 mm is adequate.',
+    'The corrosion allowance is 3 mm.',
+    'Hydrotest at 1.3 times MAWP'
+  ]);
+});
+
+test('tokenize keeps decimals and drops stopwords', () => {
+  assert.deepEqual(tokenize('The MAWP is 1.5 MPa at 150 C'), ['mawp', '1.5', 'mpa', '150']);
+});
+
+test('claimSimilarity is word-set overlap', () => {
+  assert.equal(claimSimilarity('shell thickness adequate', 'shell thickness adequate'), 1);
+  assert.equal(claimSimilarity('shell thickness adequate', 'nozzle load excessive'), 0);
+  assert.equal(claimSimilarity('shell thickness adequate', 'shell thickness insufficient'), 0.5);
+});
+
+test('diffClaims matches reworded claims and lists added and dropped ones', () => {
+  const diff = diffClaims(
+    '- Shell thickness of 12 mm is adequate.\n- Nozzle N1 needs a reinforcement pad.',
+    '- The 12 mm shell thickness is adequate.\n- Hydrotest pressure must be 1.3 times MAWP.'
+  );
+
+  assert.deepEqual(diff.kept.map(pair => pair.before), ['Shell thickness of 12 mm is adequate.']);
+  assert.deepEqual(diff.added, ['Hydrotest pressure must be 1.3 times MAWP.']);
+  assert.deepEqual(diff.dropped, ['Nozzle N1 needs a reinforcement pad.']);
+  assert.equal(diff.similarity, 1 / 3);
+  assert.equal(diffClaims('same claim here', 'same claim here').similarity, 1);
+});
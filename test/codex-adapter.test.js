@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CodexAdapter, formatCodexRun } from '../codex-adapter.js';
+import { McpClientPool } from '../mcp-client-pool.js';
+import { STUB_PARTICIPANT } from './helpers/stdio-client.js';
+
+// Every adapter shares one pool so the stub servers are stopped once at the end
+const pool = new McpClientPool();
+after(() => pool.closeAll());
+
+const stubCodex = (mode, options = {}) => new CodexAdapter({
+  command: process.execPath,
+  args: [STUB_PARTICIPANT, '--name=codex', `--mode=${mode}`, '--tool=codex'],
+  pool,
+  ...options
+});
+
+test('the codex tool gets the prompt, sandbox, approval policy and working directory', async () => {
+  const run = await stubCodex('arguments', { cwd: '/work' }).run('Check the shell');
+
+  assert.deepEqual(JSON.parse(run.answer), { prompt: 'Check the shell', sandbox: 'read-only', 'approval-policy': 'never', cwd: '/work' });
+  assert.deepEqual(run.commands, []);
+  assert.deepEqual(run.changes, []);
+});
+
+test('configured sandbox, approval policy and model replace the defaults', async () => {
+  const adapter = stubCodex('arguments', { sandbox: 'workspace-write', approvalPolicy: 'on-request', model: 'o3', name: 'codex-write' });
+  const args = JSON.parse((await adapter.run('Fix the notes')).answer);
+
+  assert.equal(args.sandbox, 'workspace-write');
+  assert.equal(args['approval-policy'], 'on-request');
+  assert.equal(args.model, 'o3');
+  assert.equal(args.cwd, process.cwd());
+});
+
+test('codex/event notifications become commands, file changes and the diff', async () => {
+  const run = await stubCodex('codex', { name: 'codex-events' }).run('Check the shell');
+
+  // No text in the result, so the last agent message is the answer
+  assert.equal(run.answer, 'The shell is adequate.');
+  assert.deepEqual(run.commands, [
+    { command: 'cat shell.txt', cwd: '/work', exitCode: 0, output: 't = 12.5 mm' },
+    { command: 'unknown command', cwd: undefined, exitCode: 1, output: 'partial\npermission denied' }
+  ]);
+  assert.deepEqual(run.changes, [
+    { path: 'notes.md', kind: 'add', diff: '# Notes' },
+    { path: 'old.md', kind: 'delete', diff: '' }
+  ]);
+  assert.equal(run.diff, '--- /dev/null\n+++ b/notes.md\n+# Notes');
+});
+
+test('ask formats the run and falls back when Codex returns no text', async () => {
+  assert.match(await stubCodex('codex', { name: 'codex-ask' }).ask('Check the shell'), /^The shell is adequate\.\n\n### Commands Executed\n/);
+  assert.equal(await stubCodex('empty', { name: 'codex-empty' }).ask('Check the shell'), 'No text content returned');
+});
+
+test('formatCodexRun lists commands, then the diff or else each change', () => {
+  const run = {
+    answer: 'Done.',
+    commands: [{ command: 'ls', exitCode: undefined, output: '' }, { command: 'make', exitCode: 2, output: 'x'.repeat(2005) }],
+    changes: [
+      { path: 'a.js', kind: 'update', diff: '@@ -1 +1 @@', movedTo: 'b.js' },
+      { path: 'c.js', kind: 'delete', diff: '' }
+    ],
+    diff: ''
+  };
+
+  assert.equal(formatCodexRun(run), `Done.
+
+### Commands Executed
+
+\`ls\` (exit unknown)
+
+\`make\` (exit 2)
+\`\`\`
+${'x'.repeat(2000)}
+… (5 more characters)
+\`\`\`
+
+
+### File Changes
+
+**update** \`a.js → b.js\`
+\`\`\`diff
+@@ -1 +1 @@
+\`\`\`
+
+**delete** \`c.js\`
+`);
+  assert.equal(formatCodexRun({ ...run, commands: [], diff: '+added' }), 'Done.\n\n### File Changes\n\n```diff\n+added\n```\n');
+  assert.equal(formatCodexRun({ answer: 'Only text.', commands: [], changes: [], diff: '' }), 'Only text.');
+});
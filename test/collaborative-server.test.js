@@ -0,0 +1,531 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { CollaborativeServer, resolveRunMode } from '../collaborative-server.js';
+import { CONFIG_DEFAULTS } from '../config.js';
+import { INVALID_PARAMS } from '../jsonrpc-framing.js';
+import { RESOURCE_NOT_FOUND } from '../session-store.js';
+import { ParticipantRegistry } from '../participant-registry.js';
+
+// The command line and environment of a server that ignores the process's own
+const isolated = { argv: ['node', 'index.js'], env: {} };
+
+// Server whose participants are in-process echo handlers, so no MCP servers start
+function createServer({ synthesis, ...options } = {}) {
+  const calls = [];
+  const registry = new ParticipantRegistry([
+    { name: 'alpha', role: 'First opinion', transport: { type: 'builtin', handler: 'alpha' } },
+    { name: 'beta', role: 'Second opinion', transport: { type: 'builtin', handler: 'beta' } }
+  ], { synthesis });
+  for (const name of ['alpha', 'beta']) {
+    registry.registerBuiltin(name, ({ prompt }) => {
+      calls.push({ name, prompt });
+      return Promise.resolve(`${name} says: ${prompt.split('\n')[0]}`);
+    });
+  }
+
+  const server = new CollaborativeServer({ registry, strategy: 'sequential', ...isolated, ...options });
+  return { server, calls };
+}
+
+const collaborate = (server, args) => server.handleRequest({
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'tools/call',
+  params: { name: 'collaborate', arguments: args }
+});
+
+test('tools/list advertises every strategy and the configured default', async () => {
+  const { server } = createServer();
+  const response = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  const { properties } = response.result.tools[0].inputSchema;
+
+  assert.deepEqual(properties.strategy.enum, ['sequential', 'zen', 'cross-review', 'enhanced', 'debate']);
+  assert.equal(properties.strategy.default, 'sequential');
+  assert.deepEqual(properties.participants.items.enum, ['alpha', 'beta']);
+  await server.close();
+});
+
+test('collaborate returns structuredContent matching its declared outputSchema', async () => {
+  const { server } = createServer();
+  server.registry.registerBuiltin('beta', () => Promise.reject(new Error('beta offline')));
+
+  const list = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+  const { outputSchema } = list.result.tools[0];
+  const response = await collaborate(server, { task: 'Check the vessel at 20 bar and 150 C', domain: 'pressure_vessel' });
+  const structured = response.result.structuredContent;
+
+  assert.deepEqual(Object.keys(structured).sort(), Object.keys(outputSchema.properties).sort());
+  assert.equal(structured.sessionId, response.result.content[1].uri.split('/')[3]);
+  assert.equal(structured.strategy, 'sequential');
+  assert.deepEqual(structured.participants, ['alpha', 'beta']);
+  assert.deepEqual(structured.answers, { alpha: 'alpha says: Check the vessel at 20 bar and 150 C' });
+  assert.deepEqual(structured.errors, { beta: 'beta offline' });
+  assert.equal(structured.timings.participants.alpha.calls, 1);
+  assert.equal(structured.timings.participants.beta.calls, 1);
+  assert.match(structured.consensus.text, /only alpha answered/);
+  assert.equal(structured.consensus.synthesizer, null);
+  assert.deepEqual(structured.consensus.items, []);
+  assert.deepEqual(Object.keys(structured.extractedData), ['designPressure', 'designTemperature']);
+  assert.equal(structured.extractedData.designPressure.value, 20);
+  assert.deepEqual(structured.extractedData.designPressure.source, { text: '20 bar', start: 20, end: 26, line: 1 });
+  assert.equal(structured.extractedData.designTemperature.value, 150);
+  assert.equal(structured.calculations.components.shellCircumferential.rule, 'UG-27(c)(1)');
+  assert.deepEqual(structured.calculations.assumed, ['diameter', 'material', 'jointEfficiency', 'corrosionAllowance', 'headType']);
+  await server.close();
+});
+
+test('pressure vessel participants get the normalized specification in the chosen units', async () => {
+  const { server, calls } = createServer();
+  const content = 'Design pressure: 300 psig\nDesign temperature: 650 F';
+  await collaborate(server, { task: 'Size the shell', content, domain: 'pressure_vessel', units: 'us' });
+  await collaborate(server, { task: 'Size the shell', content, domain: 'pressure_vessel' });
+  await collaborate(server, { task: 'Size the shell', content });
+
+  const [us, si, general] = [calls[0], calls[2], calls[4]].map(call => call.prompt);
+  assert.match(us, /Content to analyze:\nDesign pressure: 300 psig\nDesign temperature: 650 F\n\nNormalized specification \(US customary units, gauge pressures\):\n- Design pressure: 300 psig\n- Design temperature: 650 °F$/);
+  assert.match(si, /- Design pressure: 20\.68 barg \(given as 300 psig\)\n- Design temperature: 343\.3 °C \(given as 650 °F\)$/);
+  assert.doesNotMatch(general, /Normalized specification/);
+  await server.close();
+});
+
+test('sequential focus prompts carry the normalized specification', async () => {
+  const prompts = [];
+  const registry = new ParticipantRegistry([{ name: 'codex', transport: { type: 'builtin', handler: 'codex' } }]);
+  const server = new CollaborativeServer({ registry, strategy: 'sequential', ...isolated });
+  server.registry.registerBuiltin('codex', ({ prompt }) => {
+    prompts.push(prompt);
+    return Promise.resolve('codex says: fine');
+  });
+
+  await collaborate(server, { task: 'Size the shell', content: 'Design pressure: 300 psig', domain: 'pressure_vessel' });
+
+  assert.match(prompts[0], /^Provide technical implementation analysis/);
+  assert.match(prompts[0], /Content: Design pressure: 300 psig\n\nNormalized specification \(SI units, gauge pressures\):\n- Design pressure: 20\.68 barg \(given as 300 psig\)\n/);
+  await server.close();
+});
+
+test('shared spec issues reach sequential focus prompts', async () => {
+  const prompts = [];
+  const registry = new ParticipantRegistry([
+    { name: 'gemini', transport: { type: 'builtin', handler: 'gemini' } },
+    { name: 'judge', transport: { type: 'builtin', handler: 'judge' } }
+  ]);
+  const server = new CollaborativeServer({ registry, strategy: 'sequential', ...isolated });
+  server.registry.registerBuiltin('gemini', ({ prompt }) => {
+    prompts.push(prompt);
+    return Promise.resolve('gemini says: fine');
+  });
+  server.registry.registerBuiltin('judge', () => Promise.resolve('judge verdict: fine'));
+  const content = 'Design pressure: 20 bar\nDesign pressure: 25 bar';
+
+  await collaborate(server, { task: 'Size the shell', content, domain: 'pressure_vessel', synthesizer: 'judge' });
+  await collaborate(server, { task: 'Size the shell', content, domain: 'pressure_vessel', synthesizer: 'judge', shareSpecIssues: true });
+
+  assert.match(prompts[0], /^Perform comprehensive analysis/);
+  assert.doesNotMatch(prompts[0], /Spec issues/);
+  assert.match(prompts[1], /Content to analyze: Design pressure: 20 bar\n[^]*\n\nSpec issues found in this request:\n- Design pressure is given as 20 bar on line 2 and 25 bar on line 3; 20 bar from line 2 was used\.\n/);
+  await server.close();
+});
+
+test('spec issues open the report and reach participants only when shared', async () => {
+  const { server, calls } = createServer();
+  const content = 'Design pressure: 20 bar\nDesign pressure: 25 bar\nDO NOT use 15 bar';
+  const response = await collaborate(server, { task: 'Size the shell', content, domain: 'pressure_vessel' });
+  const text = response.result.content[0].text;
+
+  assert.match(text, /^## Spec Issues\n\nFound in the request before it was sent to the participants\.\n\n- ⚠️ Design pressure is given as 20 bar on line 2 and 25 bar on line 3; 20 bar from line 2 was used\.\n- ℹ️ 15 bar on line 4 is negated/);
+  assert.deepEqual(response.result.structuredContent.specIssues.map(issue => issue.type), ['conflict', 'negated']);
+  assert.doesNotMatch(calls[0].prompt, /Spec issues/);
+
+  await collaborate(server, { task: 'Size the shell', content, domain: 'pressure_vessel', shareSpecIssues: true });
+  assert.match(calls[2].prompt, /- Design pressure: 20 barg\n\nSpec issues found in this request:\n- Design pressure is given as 20 bar on line 2 and 25 bar on line 3; 20 bar from line 2 was used\.\n- 15 bar on line 4 is negated/);
+
+  const general = await collaborate(server, { task: 'Size the shell', content });
+  assert.doesNotMatch(general.result.content[0].text, /Spec Issues/);
+  assert.deepEqual(general.result.structuredContent.specIssues, []);
+  await server.close();
+});
+
+test('reports state only what was measured during the run', async () => {
+  const { server } = createServer();
+  const response = await collaborate(server, { task: 'Review the vessel at 20 bar', strategy: 'enhanced', domain: 'pressure_vessel' });
+  const text = response.result.content[0].text;
+
+  assert.doesNotMatch(text, /ASME Compliance|safety factors|System Status|Serena Integration/);
+  assert.match(text, /## ASME VIII-1 Reference Calculations/);
+  assert.match(text, /\*\*Design pressure:\*\* 20\.00 bar \(2\.000 MPa\), from "20 bar" on line 1 \(not labeled, confidence 0\.4\)\n/);
+  assert.match(text, /\*\*Inside diameter:\*\* 1200 mm \(assumed\)/);
+  assert.match(text, /## Run Summary[\s\S]*\| alpha \| answered \| 1 \|/);
+  await server.close();
+});
+
+test('the strategy argument selects the orchestration for one call', async () => {
+  const { server, calls } = createServer();
+  const response = await collaborate(server, { task: 'Check the weld', strategy: 'cross-review' });
+  const text = response.result.content[0].text;
+
+  assert.match(text, /Discussion Engine/);
+  assert.match(text, /\*\*Claim Consensus\*\*: Claims the first-round analyses share, computed before the reviews/);
+  assert.doesNotMatch(text, /Unified recommendations/i);
+  // Two initial analyses, then each participant reviews the other
+  assert.equal(calls.length, 4);
+  assert.match(calls[2].prompt, /review and discuss/);
+  await server.close();
+});
+
+test('progress notifications follow each phase when the call has a progress token', async () => {
+  const output = new PassThrough();
+  const { server } = createServer({ output });
+  const notifications = [];
+  output.on('data', chunk => {
+    const messages = chunk.toString().trim().split('\n').map(line => JSON.parse(line));
+    notifications.push(...messages.filter(message => message.method === 'notifications/progress'));
+  });
+
+  await server.handleRequest({
+    jsonrpc: '2.0',
+    id: 7,
+    method: 'tools/call',
+    params: { name: 'collaborate', arguments: { task: 'Check the weld', strategy: 'cross-review' }, _meta: { progressToken: 'tok' } }
+  });
+
+  assert.ok(notifications.every(n => n.params.progressToken === 'tok'));
+  assert.deepEqual(notifications.map(n => n.params.progress), notifications.map((_, i) => i + 1));
+  assert.deepEqual(notifications.map(n => n.params.message), [
+    'Alpha started',
+    'Beta started',
+    'Alpha done (1/2)',
+    'Beta done (2/2)',
+    'Alpha cross-review started',
+    'Alpha cross-review done (1/2)',
+    'Beta cross-review started',
+    'Beta cross-review done (2/2)',
+    'Consensus built'
+  ]);
+
+  notifications.length = 0;
+  await collaborate(server, { task: 'Check the weld' });
+  assert.equal(notifications.length, 0);
+  await server.close();
+});
+
+test('notifications/cancelled aborts participant calls, skips later phases and suppresses the response', async () => {
+  const { server, calls } = createServer();
+  let aborted = false;
+  server.registry.registerBuiltin('alpha', (request, args, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      aborted = true;
+      reject(new Error('alpha stopped'));
+    });
+  }));
+
+  const pending = server.handleRequest({
+    jsonrpc: '2.0',
+    id: 'call-1',
+    method: 'tools/call',
+    params: { name: 'collaborate', arguments: { task: 'Check the weld', strategy: 'cross-review' } }
+  });
+  await new Promise(resolve => setImmediate(resolve));
+
+  await server.handleRequest({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'call-1', reason: 'user' } });
+
+  assert.equal(await pending, null);
+  assert.ok(aborted);
+  // Only beta's initial analysis ran; no cross-review round started
+  assert.deepEqual(calls.map(call => call.name), ['beta']);
+  assert.equal(server.inFlight.size, 0);
+  await server.close();
+});
+
+test('finished collaborations can be read back as resources and notify subscribers', async () => {
+  const output = new PassThrough();
+  const { server } = createServer({ output });
+  const messages = [];
+  output.on('data', chunk => {
+    messages.push(...chunk.toString().trim().split('\n').map(line => JSON.parse(line)));
+  });
+  const request = (method, params) => server.handleRequest({ jsonrpc: '2.0', id: 9, method, params });
+
+  const pending = collaborate(server, { task: 'Check the weld', strategy: 'cross-review' });
+  const [running] = (await request('resources/list')).result.resources;
+  assert.match(running.uri, /^collab:\/\/sessions\/[^/]+\/report$/);
+  assert.deepEqual((await request('resources/subscribe', { uri: running.uri })).result, {});
+
+  const response = await pending;
+  const links = response.result.content.filter(item => item.type === 'resource_link').map(item => item.uri);
+  const base = running.uri.replace(/report$/, '');
+  assert.deepEqual(links, [`${base}report`, `${base}participants/alpha`, `${base}participants/beta`, `${base}consensus`, `${base}discussion`]);
+
+  const updated = messages.filter(message => message.method === 'notifications/resources/updated');
+  assert.deepEqual(updated.map(message => message.params.uri), [running.uri]);
+
+  const report = await request('resources/read', { uri: running.uri });
+  assert.equal(report.result.contents[0].text, response.result.content[0].text);
+  const alpha = await request('resources/read', { uri: `${base}participants/alpha` });
+  assert.equal(alpha.result.contents[0].text, 'alpha says: Check the weld');
+
+  const missing = await request('resources/read', { uri: `${base}participants/gamma` });
+  assert.equal(missing.error.code, RESOURCE_NOT_FOUND);
+  assert.equal((await request('resources/read', { uri: `${base}participants/%E0` })).error.code, RESOURCE_NOT_FOUND);
+  assert.equal((await request('resources/subscribe', { uri: 'file:///etc/passwd' })).error.code, INVALID_PARAMS);
+  await server.close();
+});
+
+test('prompts/get renders a workflow that calls collaborate with matching arguments', async () => {
+  const { server } = createServer();
+  const request = (method, params) => server.handleRequest({ jsonrpc: '2.0', id: 3, method, params });
+
+  const { prompts } = (await request('prompts/list')).result;
+  assert.deepEqual(prompts.map(prompt => prompt.name), ['collaborative-plan', 'asme-vessel-review', 'code-performance-review', 'collaborative-review']);
+  assert.equal(prompts[0].render, undefined);
+
+  const { messages } = (await request('prompts/get', {
+    name: 'asme-vessel-review',
+    arguments: { specification: 'Shell ID 1500 mm, P = 1.5 MPa, SA-516-70', strategy: 'zen' }
+  })).result;
+  const { text } = messages[0].content;
+  const toolArguments = JSON.parse(text.slice(text.indexOf('```json') + 7, text.lastIndexOf('```')));
+
+  assert.equal(messages[0].role, 'user');
+  assert.match(text, /^Review the pressure vessel specification below for ASME Section VIII Division 1 compliance\.\n\nRun this as a multi-AI collaboration/);
+  assert.doesNotMatch(text, /Perform comprehensive analysis/);
+  // The specification is only in the arguments, not repeated in the brief
+  assert.equal(text.split('Shell ID 1500 mm').length, 2);
+  assert.equal(toolArguments.content, 'Shell ID 1500 mm, P = 1.5 MPa, SA-516-70');
+  assert.equal(toolArguments.strategy, 'zen');
+  assert.equal(toolArguments.domain, 'pressure_vessel');
+
+  assert.equal((await request('prompts/get', { name: 'asme-vessel-review', arguments: {} })).error.code, INVALID_PARAMS);
+  assert.equal((await request('prompts/get', { name: 'code-performance-review', arguments: { code: 'x', strategy: 'nope' } })).error.code, INVALID_PARAMS);
+  assert.equal((await request('prompts/get', { name: 'haiku' })).error.code, INVALID_PARAMS);
+  await server.close();
+});
+
+test('the debate strategy stops once positions converge and reports each round', async () => {
+  const { server } = createServer();
+  // alpha concedes a point in round 1 and then holds its position; beta never moves
+  const alphaPositions = [
+    '- The shell thickness of 12 mm meets the design pressure.\n- The nozzle needs a reinforcement pad.',
+    '- The shell thickness of 12 mm meets the design pressure.\n- The nozzle reinforcement from the shell is sufficient without a pad.',
+    '- The shell thickness of 12 mm meets the design pressure.\n- The nozzle reinforcement from the shell is sufficient without a pad.'
+  ];
+  let alphaCalls = 0;
+  server.registry
+    .registerBuiltin('alpha', () => Promise.resolve(alphaPositions[Math.min(alphaCalls++, alphaPositions.length - 1)]))
+    .registerBuiltin('beta', () => Promise.resolve('- The shell thickness of 12 mm meets the design pressure.\n- The nozzle reinforcement from the shell is sufficient without a pad.'));
+
+  const response = await collaborate(server, { task: 'Check the vessel', strategy: 'debate', rounds: 4 });
+  const text = response.result.content[0].text;
+
+  assert.equal(alphaCalls, 3);
+  assert.match(text, /\*\*Rounds:\*\* 2 of 4/);
+  assert.match(text, /Positions converged after round 2/);
+  assert.match(text, /\| alpha \| 33% kept \(\+1\/−1\) \| 100% kept \(\+0\/−0\) \|/);
+  assert.match(text, /\*\*Dropped:\*\*\n- The nozzle needs a reinforcement pad\./);
+
+  const invalid = await collaborate(server, { task: 'Check the vessel', strategy: 'debate', rounds: 0 });
+  assert.equal(invalid.error.code, INVALID_PARAMS);
+  await server.close();
+});
+
+// Adds a `judge` participant that only synthesizes; `fail` makes its calls reject
+function addJudge(server, calls, { fail = false } = {}) {
+  server.registry
+    .add({ name: 'judge', role: 'Local judge', transport: { type: 'builtin', handler: 'judge' } })
+    .registerBuiltin('judge', ({ prompt }) => {
+      calls.push({ name: 'judge', prompt });
+      return fail ? Promise.reject(new Error('judge offline')) : Promise.resolve('judge verdict: both analyses agree');
+    });
+}
+
+test('the synthesizer argument picks who writes the consensus', async () => {
+  const { server, calls } = createServer();
+  addJudge(server, calls);
+
+  const response = await collaborate(server, { task: 'Check the weld', participants: ['alpha', 'beta'], synthesizer: 'judge' });
+  const text = response.result.content[0].text;
+
+  assert.deepEqual(calls.map(call => call.name), ['alpha', 'beta', 'judge']);
+  assert.match(calls[2].prompt, /alpha Analysis:\*\*\nalpha says: /);
+  assert.match(text, /judge verdict: both analyses agree\n\n\*Consensus written by judge\.\*/);
+  await server.close();
+});
+
+test('sequential leaves the synthesizer out of the analysis unless allowed, and skips analysts in the fallback chain', async () => {
+  const { server, calls } = createServer({ synthesis: { fallback: ['judge', 'beta'] } });
+  addJudge(server, calls, { fail: true });
+
+  const excluded = await collaborate(server, { task: 'Check the weld', participants: ['alpha', 'beta'], synthesizer: 'alpha' });
+  assert.deepEqual(calls.map(call => call.name), ['beta', 'alpha']);
+  assert.deepEqual(Object.keys(excluded.result.structuredContent.answers), ['beta']);
+  assert.match(excluded.result.content[0].text, /\*Consensus written by alpha\. beta skipped \(also an analyst\)\.\*/);
+
+  calls.length = 0;
+  const skipped = await collaborate(server, { task: 'Check the weld', participants: ['alpha', 'beta'], synthesizer: 'judge' });
+  assert.deepEqual(calls.map(call => call.name), ['alpha', 'beta', 'judge']);
+  assert.match(skipped.result.content[0].text, /No synthesizer was available, so this consensus was built from the participants' claims\. beta skipped \(also an analyst\); judge failed \(judge offline\)\./);
+
+  calls.length = 0;
+  const allowed = await collaborate(server, { task: 'Check the weld', participants: ['alpha', 'beta'], synthesizer: 'alpha', allowAnalystSynthesizer: true });
+  assert.deepEqual(calls.map(call => call.name), ['alpha', 'beta', 'alpha']);
+  assert.match(allowed.result.content[0].text, /\*Consensus written by alpha\.\*/);
+  await server.close();
+});
+
+test('a local synthesizer does not fall back to a participant that is not local', async () => {
+  const { server, calls } = createServer({ synthesis: { fallback: ['beta', 'judge'] } });
+  server.registry.add({ name: 'judge', local: true, transport: { type: 'builtin', handler: 'judge' } });
+  server.registry.registerBuiltin('judge', () => Promise.reject(new Error('judge offline')));
+
+  const response = await collaborate(server, { task: 'Check the weld', participants: ['alpha'], synthesizer: 'judge' });
+  assert.deepEqual(calls.map(call => call.name), ['alpha']);
+  assert.match(response.result.content[0].text, /built from the participants' claims\. beta skipped \(not local like judge\); judge failed \(judge offline\)\./);
+  await server.close();
+});
+
+test('the zen strategy leaves the synthesizer out of the analysis', async () => {
+  const { server, calls } = createServer();
+  addJudge(server, calls);
+
+  const response = await collaborate(server, { task: 'Check the weld', strategy: 'zen', participants: ['alpha', 'beta', 'judge'], synthesizer: 'judge' });
+  const text = response.result.content[0].text;
+
+  assert.deepEqual(calls.map(call => call.name), ['alpha', 'beta', 'judge']);
+  assert.match(text, /✅ JUDGE \(Context-aware synthesis\)/);
+  assert.match(text, /# Judge Consensus\n\njudge verdict/);
+  await server.close();
+});
+
+// Fixtures served from memory: alpha and beta each have a default answer
+const memoryFixtures = {
+  lookup: (participant) => ({ response: `${participant} fixture: the weld needs radiographic testing.` }),
+  respond: (participant) => `${participant} fixture: the weld needs radiographic testing.`
+};
+
+test('mock mode answers from fixtures and labels every response as simulated', async () => {
+  const { server, calls } = createServer({ mode: 'mock', fixtures: memoryFixtures });
+  const response = await collaborate(server, { task: 'Check the weld' });
+  const text = response.result.content[0].text;
+  const structured = response.result.structuredContent;
+
+  assert.equal(calls.length, 0);
+  assert.match(text, /^> ⚠️ \*\*SIMULATED OUTPUT\.\*\* 2 of 2 responses \(alpha, beta\) came from fixtures.*mock mode/);
+  assert.match(text, /\| alpha \| answered \(SIMULATED: 1 of 1 calls from fixtures\) \|/);
+  assert.equal(structured.runMode, 'mock');
+  assert.equal(structured.simulated, true);
+  assert.deepEqual(structured.responses.map(({ participant, real, source }) => ({ participant, real, source })), [
+    { participant: 'alpha', real: false, source: 'fixture' },
+    { participant: 'beta', real: false, source: 'fixture' }
+  ]);
+  await server.close();
+});
+
+test('real mode only falls back to fixtures when simulation is allowed', async () => {
+  for (const allowSimulation of [false, true]) {
+    const { server } = createServer({ mode: 'real', allowSimulation, fixtures: memoryFixtures });
+    server.registry.registerBuiltin('beta', () => Promise.reject(new Error('beta offline')));
+
+    const response = await collaborate(server, { task: 'Check the weld' });
+    const { responses, errors, simulated } = response.result.structuredContent;
+
+    assert.deepEqual(responses[0], { ...responses[0], participant: 'alpha', real: true, source: 'live' });
+    if (allowSimulation) {
+      assert.deepEqual(responses[1], { ...responses[1], participant: 'beta', real: false, source: 'simulated-fallback' });
+      assert.equal(simulated, true);
+      assert.match(response.result.content[0].text, /failed and simulation fallback is allowed/);
+    } else {
+      assert.equal(responses.length, 1);
+      assert.deepEqual(errors, { beta: 'beta offline' });
+      assert.equal(simulated, false);
+      assert.doesNotMatch(response.result.content[0].text, /SIMULATED/);
+    }
+    await server.close();
+  }
+});
+
+test('resolveRunMode reads --mock, COLLAB_MODE, the simulation switch and cassettes', () => {
+  assert.deepEqual(resolveRunMode({ argv: ['node', 'index.js', '--mock'], env: {} }), { mode: 'mock', allowSimulation: false, cassette: null });
+  assert.deepEqual(resolveRunMode({ argv: ['node', 'index.js'], env: { COLLAB_MODE: 'mock' } }), { mode: 'mock', allowSimulation: false, cassette: null });
+  assert.deepEqual(resolveRunMode({ argv: ['node', 'index.js'], env: { COLLAB_ALLOW_SIMULATION: '1' } }), { mode: 'real', allowSimulation: true, cassette: null });
+  assert.deepEqual(resolveRunMode({ argv: ['node', 'index.js'], env: {} }), { mode: 'real', allowSimulation: false, cassette: null });
+  assert.deepEqual(resolveRunMode({ argv: ['node', 'index.js', '--record=run.json'], env: {} }).cassette, { mode: 'record', file: 'run.json' });
+  assert.deepEqual(resolveRunMode({ argv: ['node', 'index.js'], env: { COLLAB_REPLAY: 'run.json' } }).cassette, { mode: 'replay', file: 'run.json' });
+});
+
+test('unknown strategies, participants, synthesizers and missing tasks are invalid params', async () => {
+  const { server, calls } = createServer();
+
+  const unknown = await collaborate(server, { task: 'Check the weld', strategy: 'round-robin' });
+  assert.equal(unknown.error.code, INVALID_PARAMS);
+  assert.match(unknown.error.message, /round-robin/);
+
+  for (const participants of ['alpha', [], [42]]) {
+    const invalid = await collaborate(server, { task: 'Check the weld', strategy: 'zen', participants });
+    assert.equal(invalid.error.code, INVALID_PARAMS);
+    assert.match(invalid.error.message, /participants must be a non-empty array of participant names/);
+  }
+  const participant = await collaborate(server, { task: 'Check the weld', participants: ['alpha', 'oracle'] });
+  assert.equal(participant.error.code, INVALID_PARAMS);
+  assert.match(participant.error.message, /Unknown participant: oracle/);
+
+  const synthesizer = await collaborate(server, { task: 'Check the weld', synthesizer: 'oracle' });
+  assert.equal(synthesizer.error.code, INVALID_PARAMS);
+  assert.match(synthesizer.error.message, /oracle/);
+
+  const share = await collaborate(server, { task: 'Check the weld', shareSpecIssues: 'yes' });
+  assert.equal(share.error.code, INVALID_PARAMS);
+  assert.match(share.error.message, /shareSpecIssues must be a boolean/);
+
+  const units = await collaborate(server, { task: 'Check the weld', units: 'imperial' });
+  assert.equal(units.error.code, INVALID_PARAMS);
+  assert.match(units.error.message, /Unknown unit system: imperial/);
+
+  const missing = await collaborate(server, { mode: 'apply' });
+  assert.equal(missing.error.code, INVALID_PARAMS);
+  assert.equal(calls.length, 0);
+  await server.close();
+});
+
+test('a misconfigured default strategy fails at start-up', () => {
+  assert.throws(() => createServer({ strategy: 'round-robin' }), /Unknown strategy: round-robin/);
+});
+
+test('plan and review modes are answered by the configured planner, else Gemini or the first participant', async () => {
+  const { server, calls } = createServer();
+  const plan = await collaborate(server, { task: 'Plan the weld inspection', mode: 'plan' });
+  assert.deepEqual(calls.map(call => call.name), ['alpha']);
+  assert.match(plan.result.content[0].text, /\*Plan generated by Alpha\*$/);
+  assert.equal(plan.result.structuredContent.strategy, 'alpha');
+
+  const configured = createServer({ config: { ...CONFIG_DEFAULTS, planner: 'beta' } });
+  const review = await collaborate(configured.server, { task: 'Review the weld inspection', mode: 'review', content: 'All welds pass' });
+  assert.deepEqual(configured.calls.map(call => call.name), ['beta']);
+  assert.match(review.result.content[0].text, /\*Review generated by Beta\*$/);
+
+  assert.throws(() => createServer({ config: { ...CONFIG_DEFAULTS, planner: 'gemini' } }), (error) =>
+    error.name === 'ConfigError' && /planner gemini is not a registered participant/.test(error.message));
+  await server.close();
+  await configured.server.close();
+});
+
+test('a strategy option overrides the configuration, which overrides the entry point default', async () => {
+  const config = { ...CONFIG_DEFAULTS, strategy: 'debate' };
+  const explicit = createServer({ config, strategy: 'zen' }).server;
+  const entryPoint = new CollaborativeServer({ registry: explicit.registry, config, defaultStrategy: 'zen', ...isolated });
+  const unconfigured = new CollaborativeServer({ registry: explicit.registry, config: CONFIG_DEFAULTS, defaultStrategy: 'zen', ...isolated });
+
+  assert.deepEqual([explicit, entryPoint, unconfigured].map(server => server.defaultStrategy), ['zen', 'debate', 'zen']);
+  await explicit.close();
+});
+
+test('a strategy option overrides --strategy and COLLAB_STRATEGY, which override the entry point default', async () => {
+  const argv = ['node', 'index.js', '--strategy=cross-review'];
+  const env = { COLLAB_STRATEGY: 'zen' };
+  const explicit = createServer({ argv, env, strategy: 'debate' }).server;
+  const flagged = new CollaborativeServer({ registry: explicit.registry, argv, env, defaultStrategy: 'enhanced' });
+  const environment = new CollaborativeServer({ registry: explicit.registry, argv: isolated.argv, env, defaultStrategy: 'enhanced' });
+
+  assert.deepEqual([explicit, flagged, environment].map(server => server.defaultStrategy), ['debate', 'cross-review', 'zen']);
+  await explicit.close();
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CONFIG_DEFAULTS, ConfigError, findConfigFile, loadConfig, validateConfig } from '../config.js';
+import { ParticipantRegistry } from '../participant-registry.js';
+import { synthesizerCandidates } from '../synthesis.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'collab-config-'));
+}
+
+function writeConfig(dir, config, name = 'collab.config.json') {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof config === 'string' ? config : JSON.stringify(config));
+  return file;
+}
+
+// No file is found unless a test writes one
+const isolated = (dir, env = {}) => ({ argv: ['node', 'index.js'], env: { XDG_CONFIG_HOME: path.join(dir, 'xdg'), ...env }, cwd: dir });
+
+test('without a file or environment the defaults apply', () => {
+  const dir = tempDir();
+  try {
+    const config = loadConfig(isolated(dir));
+
+    assert.equal(config.file, null);
+    assert.equal(config.participantsFile, CONFIG_DEFAULTS.participantsFile);
+    assert.equal(config.timeout, 120000);
+    assert.equal(config.serena.directory, path.join(os.homedir(), 'serena'));
+    assert.equal(config.strategy, undefined);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the file overrides the defaults and the environment overrides the file', () => {
+  const dir = tempDir();
+  try {
+    writeConfig(dir, {
+      strategy: 'zen',
+      timeout: 30000,
+      codex: { command: 'codex-mcp-beta', sandbox: 'workspace-write' },
+      serena: { directory: 'tools/serena' }
+    });
+    const config = loadConfig(isolated(dir, { COLLAB_TIMEOUT: '5000', COLLAB_CODEX_COMMAND: '/opt/codex/bin/codex-mcp' }));
+
+    assert.equal(config.file, path.join(dir, 'collab.config.json'));
+    assert.equal(config.strategy, 'zen');
+    assert.equal(config.timeout, 5000);
+    assert.deepEqual(config.codex, { command: '/opt/codex/bin/codex-mcp', sandbox: 'workspace-write' });
+    // Relative paths resolve against the file that set them
+    assert.equal(config.serena.directory, path.join(dir, 'tools/serena'));
+    assert.equal(config.fixturesDir, CONFIG_DEFAULTS.fixturesDir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('--strategy overrides COLLAB_STRATEGY, which overrides the file', () => {
+  const dir = tempDir();
+  try {
+    writeConfig(dir, { strategy: 'zen' });
+    const env = isolated(dir, { COLLAB_STRATEGY: 'debate' });
+
+    assert.equal(loadConfig(isolated(dir)).strategy, 'zen');
+    assert.equal(loadConfig(env).strategy, 'debate');
+    assert.equal(loadConfig({ ...env, argv: ['node', 'index.js', '--strategy=cross-review'] }).strategy, 'cross-review');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the file is found in the working directory, then the XDG config directory', () => {
+  const dir = tempDir();
+  try {
+    const xdgDir = path.join(dir, 'xdg', 'collaborative-mcp-proxy');
+    fs.mkdirSync(xdgDir, { recursive: true });
+    const xdgFile = writeConfig(xdgDir, { timeout: 1 });
+    assert.equal(findConfigFile(isolated(dir)), xdgFile);
+
+    const projectFile = writeConfig(dir, { timeout: 2 });
+    assert.equal(findConfigFile(isolated(dir)), projectFile);
+
+    const explicit = writeConfig(dir, { timeout: 3 }, 'team.json');
+    assert.equal(findConfigFile(isolated(dir, { COLLAB_CONFIG: 'team.json' })), explicit);
+    assert.equal(loadConfig({ ...isolated(dir), argv: ['node', 'index.js', `--config=${explicit}`] }).timeout, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('validateConfig names every problem in a layer', () => {
+  assert.deepEqual(validateConfig({ timeout: 0, gemini: { comand: 'npx', args: 'gemini-mcp-tool' }, codex: { sandbox: 'none' } }), [
+    'timeout must be at least 1',
+    'gemini.comand is not a known setting',
+    'gemini.args must be an array',
+    'codex.sandbox must be one of: read-only, workspace-write, danger-full-access'
+  ]);
+  assert.deepEqual(validateConfig([]), ['configuration must be an object']);
+  assert.deepEqual(validateConfig({}), []);
+});
+
+test('an invalid file, a missing explicit file or a bad variable is a ConfigError naming its source', () => {
+  const dir = tempDir();
+  try {
+    const file = writeConfig(dir, { serena: { directory: 42 } });
+    assert.throws(() => loadConfig(isolated(dir)), (error) =>
+      error instanceof ConfigError && error.source === file && /serena\.directory must be a non-empty string/.test(error.message));
+
+    writeConfig(dir, '{ "timeout": ');
+    assert.throws(() => loadConfig(isolated(dir)), ConfigError);
+
+    assert.throws(() => loadConfig(isolated(dir, { COLLAB_CONFIG: 'missing.json' })), /missing\.json:\n {2}- file not found/);
+
+    fs.rmSync(file);
+    assert.throws(() => loadConfig(isolated(dir, { COLLAB_TIMEOUT: 'soon' })), /the environment:\n {2}- COLLAB_TIMEOUT must be an integer/);
+    assert.throws(() => loadConfig(isolated(dir, { COLLAB_UNITS: 'metric' })), /COLLAB_UNITS must be one of: si, us/);
+    assert.equal(loadConfig(isolated(dir, { COLLAB_UNITS: 'us' })).units, 'us');
+    assert.equal(loadConfig(isolated(dir, { COLLAB_SHARE_SPEC_ISSUES: 'true' })).shareSpecIssues, true);
+    assert.throws(() => loadConfig(isolated(dir, { COLLAB_SHARE_SPEC_ISSUES: 'yes' })), /COLLAB_SHARE_SPEC_ISSUES must be true or false/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('registry transports are filled in from configuration variables', () => {
+  const dir = tempDir();
+  try {
+    const file = path.join(dir, 'participants.json');
+    fs.writeFileSync(file, JSON.stringify({
+      participants: [{
+        name: 'serena',
+        transport: { type: 'stdio', command: 'uv', args: ['run', '--directory', '{{serenaDirectory}}'], cwd: '{{serenaDirectory}}' },
+        tool: 'think'
+      }]
+    }));
+    const registry = ParticipantRegistry.load(file, { variables: { serenaDirectory: '/srv/serena' } });
+
+    assert.deepEqual(registry.get('serena').transport, { type: 'stdio', command: 'uv', args: ['run', '--directory', '/srv/serena'], cwd: '/srv/serena' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the bundled participants.json keeps analysts and remote fallbacks away from a local synthesizer', () => {
+  const registry = ParticipantRegistry.load(new URL('../participants.json', import.meta.url), { variables: { serenaDirectory: '/srv/serena' } });
+  const names = [...registry.participants.keys()];
+  const session = {
+    synthesizer: registry.synthesis.synthesizer,
+    synthesisFallback: registry.synthesis.fallback,
+    allowAnalystSynthesizer: registry.synthesis.allowAnalyst,
+    localParticipants: names.filter(name => registry.get(name).local),
+    available: names
+  };
+
+  assert.equal(registry.synthesis.allowAnalyst, false);
+  assert.deepEqual(session.localParticipants, ['ollama', 'serena']);
+  // A default sequential run: Gemini synthesizes and the others analyze
+  assert.deepEqual(synthesizerCandidates(session, ['ollama', 'codex', 'serena'], 'gemini'), {
+    candidates: ['gemini'],
+    skipped: [{ name: 'serena', reason: 'also an analyst' }, { name: 'ollama', reason: 'also an analyst' }]
+  });
+  // Ollama picked for confidential content never falls back to Gemini
+  assert.deepEqual(synthesizerCandidates({ ...session, synthesizer: 'ollama' }, ['codex'], 'gemini'), {
+    candidates: ['ollama', 'serena'],
+    skipped: [{ name: 'gemini', reason: 'not local like ollama' }]
+  });
+});
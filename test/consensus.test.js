@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildClaimConsensus, classifyClaim, formatClaimConsensus, labelSupport } from '../consensus.js';
+
+const answers = {
+  gemini: `## Findings
+- The 12 mm shell thickness is adequate for the design pressure.
+- Nozzle N1 should get a reinforcement pad.
+- Hydrotest pressure must be 1.3 times MAWP.`,
+  codex: `1. Shell thickness of 12 mm is adequate for design pressure.
+2. Hydrotest at 1.3 times MAWP is required.
+3. Flange rating is class 300.`,
+  ollama: `The shell thickness (12 mm) is adequate for the design pressure. Add a reinforcement pad to nozzle N1.`
+};
+
+test('labelSupport splits unanimous, majority and disputed', () => {
+  assert.equal(labelSupport(3, 3), 'unanimous');
+  assert.equal(labelSupport(2, 3), 'majority');
+  assert.equal(labelSupport(2, 4), 'disputed');
+  assert.equal(labelSupport(1, 3), 'disputed');
+});
+
+test('classifyClaim tells recommendations from findings', () => {
+  assert.equal(classifyClaim('Nozzle N1 should get a reinforcement pad.'), 'recommendation');
+  assert.equal(classifyClaim('Flange rating is class 300.'), 'finding');
+});
+
+test('equivalent claims from different participants are clustered and labeled', () => {
+  const { agents, items, counts } = buildClaimConsensus(answers);
+
+  assert.deepEqual(agents, ['gemini', 'codex', 'ollama']);
+  assert.deepEqual(counts, { unanimous: 1, majority: 2, disputed: 1 });
+  assert.deepEqual(items.map(item => [item.label, item.agents]), [
+    ['unanimous', ['gemini', 'codex', 'ollama']],
+    ['majority', ['gemini', 'ollama']],
+    ['majority', ['gemini', 'codex']],
+    ['disputed', ['codex']]
+  ]);
+  assert.equal(items[0].claim, 'The 12 mm shell thickness is adequate for the design pressure.');
+  assert.equal(items[0].kind, 'finding');
+  assert.equal(items[1].kind, 'recommendation');
+});
+
+test('the consensus is deterministic and lists supporting participants', () => {
+  const text = formatClaimConsensus(buildClaimConsensus(answers));
+
+  assert.equal(text, formatClaimConsensus(buildClaimConsensus(answers)));
+  assert.match(text, /\*\*Claims:\*\* 1 unanimous, 2 majority, 1 disputed/);
+  assert.match(text, /- \*\*Finding:\*\* Flange rating is class 300\. \(codex; not raised by gemini, ollama\)/);
+  assert.match(formatClaimConsensus(buildClaimConsensus({ gemini: 'Only one answer here.' })), /only gemini answered/);
+});
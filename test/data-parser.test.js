@@ -0,0 +1,213 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import DataParser, { CONFIDENCE } from '../data-parser.js';
+
+const FLNG_SPEC = `
+PROJECT SPECIFICATIONS:
+- Design Pressure: 20.7 bar (300 psi)
+- Operating Temperature: 325°C (617°F)
+- Inner Diameter: 3950mm (155.5 inches)
+- Tangent-to-tangent length: 12 m
+- Corrosion allowance: 3 mm
+- Joint efficiency: 85%
+- Material: ASTM A516 Grade 70
+- Service: FLNG Offshore Application
+- Design Code: ASME Section VIII Division 1
+`;
+
+test('parseVesselData reads pressure, temperature, diameter and material from a spec', () => {
+  const parser = new DataParser();
+  const data = parser.parseVesselData(FLNG_SPEC);
+
+  assert.deepEqual(data, {
+    pressure: 20.7,
+    temperature: 325,
+    diameter: 3950,
+    material: 'ASTM A516 Grade 70'
+  });
+  assert.equal(parser.hasRealData(data), true);
+});
+
+test('parseVesselData converts MPa, Fahrenheit and inches', () => {
+  const data = new DataParser().parseVesselData('Design pressure 2.5 MPa at 450 F, ID 48 inches, SA-516-70');
+
+  assert.equal(data.pressure, 25);
+  assert.ok(Math.abs(data.temperature - 232.22) < 0.01);
+  assert.ok(Math.abs(data.diameter - 1219.2) < 0.01);
+  assert.equal(data.material, 'SA-516-70');
+});
+
+test('a pressure in MPa is not read as a diameter in metres', () => {
+  const data = new DataParser().parseVesselData('Design pressure 2.5 MPa');
+
+  assert.equal(data.diameter, new DataParser().defaultValues.diameter);
+});
+
+test('a material line does not run into the next line', () => {
+  const data = new DataParser().parseVesselData('Material: carbon steel\nService: sour gas');
+
+  assert.equal(data.material, 'carbon steel');
+});
+
+test('extractFields cites the text, offsets and line each value came from', () => {
+  const fields = new DataParser().extractFields(FLNG_SPEC);
+  const { alternate, ...designPressure } = fields.designPressure;
+
+  assert.deepEqual(designPressure, {
+    value: 20.7,
+    unit: 'bar',
+    range: null,
+    tolerance: null,
+    reference: null,
+    given: { value: 20.7, unit: 'bar', min: null },
+    label: 'Design Pressure',
+    source: {
+      text: 'Design Pressure: 20.7 bar',
+      start: FLNG_SPEC.indexOf('Design Pressure'),
+      end: FLNG_SPEC.indexOf(' (300 psi)'),
+      line: 3
+    },
+    confidence: CONFIDENCE.labeled
+  });
+  assert.deepEqual(alternate.given, { value: 300, unit: 'psi', min: null });
+  assert.equal(FLNG_SPEC.slice(alternate.source.start, alternate.source.end), '300 psi');
+  assert.equal(fields.operatingTemperature.alternate.given.unit, '°F');
+  assert.equal(FLNG_SPEC.slice(fields.insideDiameter.source.start, fields.insideDiameter.source.end), 'Inner Diameter: 3950mm');
+  assert.equal(fields.operatingTemperature.value, 325);
+  assert.equal(fields.designTemperature, undefined);
+  assert.equal(fields.length.value, 12000);
+  assert.equal(fields.corrosionAllowance.value, 3);
+  assert.equal(fields.jointEfficiency.value, 0.85);
+  assert.equal(fields.service.value, 'FLNG Offshore Application');
+  assert.equal(fields.designCode.value, 'ASME Section VIII Division 1');
+});
+
+test('design and operating conditions are kept apart', () => {
+  const parser = new DataParser();
+  const fields = parser.extractFields('Design temp. 650 °F\nOperating temperature: 300 °C\nWorking pressure 8 barg, design pressure 10 barg');
+
+  assert.ok(Math.abs(fields.designTemperature.value - 343.33) < 0.01);
+  assert.equal(fields.designTemperature.source.line, 1);
+  assert.equal(fields.operatingTemperature.value, 300);
+  assert.equal(fields.operatingPressure.value, 8);
+  assert.equal(fields.designPressure.value, 10);
+
+  const sources = parser.vesselSources(parser.extractFields('Operating pressure: 12 bar'));
+  assert.equal(sources.pressure.label, 'Operating pressure');
+});
+
+test('values the text says not to use are ignored', () => {
+  const parser = new DataParser();
+  const text = 'DO NOT use 15 bar or 1200mm - these are WRONG values!\nThe vessel runs at 20.7 bar. Use 3950mm diameter (NOT 1200mm).';
+  const fields = parser.extractFields(text);
+
+  assert.equal(fields.designPressure.value, 20.7);
+  assert.equal(fields.designPressure.confidence, CONFIDENCE.unlabeled);
+  assert.equal(fields.designPressure.source.line, 2);
+  assert.equal(fields.insideDiameter.value, 3950);
+  assert.equal(fields.insideDiameter.confidence, CONFIDENCE.unlabeled);
+});
+
+test('bounds such as "not less than" state a value rather than negate it', () => {
+  const parser = new DataParser();
+
+  assert.equal(parser.extractFields('Design pressure: not less than 10 bar').designPressure.value, 10);
+  assert.equal(parser.extractFields('MAWP not to exceed 12 bar').designPressure.value, 12);
+  assert.equal(parser.extractFields('Design temperature no more than 200 C').designTemperature.value, 200);
+  assert.deepEqual(parser.scan('Design pressure: not less than 10 bar, MAWP not to exceed 12 bar').negated, []);
+  assert.deepEqual(parser.scan('Not 15 bar. Design pressure: not less than 10 bar').negated.map(({ field }) => field.value), [15]);
+});
+
+test('ID, OD and CA are labels only as capitals, and CA only before ":" or "="', () => {
+  const parser = new DataParser();
+
+  assert.equal(parser.extractFields('C.A. = 3 mm').corrosionAllowance.value, 3);
+  assert.equal(parser.extractFields('CA: 3.2 mm').corrosionAllowance.value, 3.2);
+  assert.equal(parser.extractFields('Shell length ca. 1500 mm').corrosionAllowance, undefined);
+  assert.equal(parser.extractFields('CA 3 mm').corrosionAllowance, undefined);
+  assert.equal(parser.extractFields('I.D. 1500 mm').insideDiameter.label, 'I.D.');
+  assert.equal(parser.extractFields('tag id 42 mm').insideDiameter.confidence, CONFIDENCE.unlabeled);
+  assert.equal(parser.extractFields('Use od 2000 mm').outsideDiameter, undefined);
+});
+
+test('a bare "in" is inches only right after a label', () => {
+  const parser = new DataParser();
+
+  assert.equal(parser.extractFields('Design pressure: 10 bar with 24 in total').insideDiameter, undefined);
+  assert.equal(parser.extractFields('Put 24 in the manifold').insideDiameter, undefined);
+  assert.deepEqual(parser.extractFields('ID 24 in').insideDiameter.given, { value: 24, unit: 'in', min: null });
+  assert.equal(parser.extractFields('Vessel of 24 in. diameter').insideDiameter.value.toFixed(1), '609.6');
+});
+
+test('an outside diameter is not read as the inside diameter', () => {
+  const fields = new DataParser().extractFields('OD 2000 mm, 12 mm wall');
+
+  assert.equal(fields.outsideDiameter.value, 2000);
+  assert.equal(fields.insideDiameter, undefined);
+});
+
+test('a labeled value that cannot be read is not replaced by a stray number', () => {
+  const parser = new DataParser();
+  assert.equal(parser.extractFields('Design pressure: 20,7 bar').designPressure.value, 20.7);
+
+  const { fields, unreadable } = parser.scan('Design pressure: 20.7.1 bar\nNozzle N12 bar stock; hydrotest at 30 bar');
+  assert.equal(fields.designPressure, undefined);
+  assert.deepEqual(unreadable.map(({ name, source }) => [name, source.text, source.line]), [['designPressure', 'Design pressure: 20.7.1', 1]]);
+  assert.equal(parser.parseVesselData('Design pressure: 20.7.1 bar\nhydrotest at 30 bar').pressure, 15);
+});
+
+test('joint efficiency reads as a fraction or a percentage', () => {
+  const parser = new DataParser();
+
+  assert.equal(parser.extractFields('Joint efficiency E = 0.7').jointEfficiency.value, 0.7);
+  assert.equal(parser.extractFields('Weld joint efficiency: 85 %').jointEfficiency.value, 0.85);
+  assert.equal(parser.extractFields('Joint efficiency: 120').jointEfficiency, undefined);
+});
+
+test('gauge and absolute pressures, ranges and tolerances are normalized', () => {
+  const fields = new DataParser().extractFields('Design pressure: 300 psig\nOperating pressure: 18 bar(a)\nDesign temperature: -10 to 80°C\nID: 3950 ± 5 mm');
+
+  assert.ok(Math.abs(fields.designPressure.value - 20.684) < 0.001);
+  assert.equal(fields.designPressure.reference, 'gauge');
+  assert.deepEqual(fields.designPressure.given, { value: 300, unit: 'psig', min: null });
+  assert.ok(Math.abs(fields.operatingPressure.value - 16.987) < 0.001);
+  assert.equal(fields.operatingPressure.reference, 'absolute');
+  assert.equal(fields.designTemperature.value, 80);
+  assert.deepEqual(fields.designTemperature.range, { min: -10, max: 80 });
+  assert.equal(fields.insideDiameter.value, 3950);
+  assert.equal(fields.insideDiameter.tolerance, 5);
+});
+
+test('formatSpec writes the same spec in SI or US customary units', () => {
+  const parser = new DataParser();
+  const fields = parser.extractFields('Design pressure: 300 psig\nDesign temperature: -10 to 80°C\nID: 3950 ± 5 mm\nJoint efficiency: 85%\nMaterial: SA-516-70');
+
+  assert.equal(parser.formatSpec(fields), [
+    'Normalized specification (SI units, gauge pressures):',
+    '- Design pressure: 20.68 barg (given as 300 psig)',
+    '- Design temperature: -10 to 80 °C',
+    '- Inside diameter: 3950 ± 5 mm',
+    '- Joint efficiency: 0.85',
+    '- Material: SA-516-70'
+  ].join('\n'));
+  assert.match(parser.formatSpec(fields, 'us'), /^Normalized specification \(US customary units, gauge pressures\):\n- Design pressure: 300 psig\n- Design temperature: 14 to 176 °F \(given as -10 to 80 °C\)\n- Inside diameter: 155\.5 ± 0\.1969 in \(given as 3950 mm\)\n/);
+  assert.equal(parser.formatSpec({}), '');
+});
+
+test('text without vessel data falls back to the defaults', () => {
+  const parser = new DataParser();
+  const data = parser.parseVesselData('Review the project schedule');
+
+  assert.deepEqual(data, parser.defaultValues);
+  assert.equal(parser.hasRealData(data), false);
+});
+
+test('formatAnalysis reports whether real data was found', () => {
+  const parser = new DataParser();
+  const analysis = parser.formatAnalysis('Size the shell', parser.parseVesselData(FLNG_SPEC));
+
+  assert.equal(analysis.task, 'Size the shell');
+  assert.equal(analysis.isRealData, true);
+  assert.equal(analysis.extractedData.pressure, 20.7);
+  assert.equal(typeof analysis.summary, 'string');
+});
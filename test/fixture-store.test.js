@@ -0,0 +1,48 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FixtureStore, promptHash } from '../fixture-store.js';
+import { FixtureNotFoundError } from '../participant-errors.js';
+
+// Each store gets its own directory, removed once every test has run
+const dirs = [];
+after(() => {
+  for (const dir of dirs) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+function createStore(fixtures) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collab-fixtures-'));
+  dirs.push(dir);
+  for (const [participant, name, response] of fixtures) {
+    fs.mkdirSync(path.join(dir, participant), { recursive: true });
+    fs.writeFileSync(path.join(dir, participant, `${name}.json`), JSON.stringify({ participant, response }));
+  }
+  return new FixtureStore({ dir });
+}
+
+test('promptHash is stable and differs between prompts', () => {
+  assert.equal(promptHash('Check the weld'), promptHash('Check the weld'));
+  assert.notEqual(promptHash('Check the weld'), promptHash('Check the nozzle'));
+  assert.match(promptHash('Check the weld'), /^[0-9a-f]{16}$/);
+});
+
+test('a prompt fixture wins over the participant default', () => {
+  const store = createStore([
+    ['alpha', promptHash('Check the weld'), 'recorded weld answer'],
+    ['alpha', 'default', 'default answer']
+  ]);
+
+  assert.equal(store.respond('alpha', 'Check the weld'), 'recorded weld answer');
+  assert.equal(store.respond('alpha', 'Check the nozzle'), 'default answer');
+});
+
+test('a participant without fixtures fails instead of inventing an answer', () => {
+  const store = createStore([['alpha', 'default', 'default answer']]);
+
+  assert.equal(store.lookup('beta', 'Check the weld'), null);
+  assert.throws(() => store.respond('beta', 'Check the weld'), FixtureNotFoundError);
+});
@@ -0,0 +1,36 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { GeminiAdapter } from '../gemini-adapter.js';
+import { McpClientPool } from '../mcp-client-pool.js';
+import { ParticipantError } from '../participant-errors.js';
+import { STUB_PARTICIPANT } from './helpers/stdio-client.js';
+
+const pool = new McpClientPool();
+after(() => pool.closeAll());
+
+const stubGemini = (mode) => new GeminiAdapter({
+  name: `gemini-${mode}`,
+  command: process.execPath,
+  args: [STUB_PARTICIPANT, '--name=gemini', `--mode=${mode}`, '--tool=ask-gemini'],
+  pool
+});
+
+test('ask sends the prompt with the configured or per-call model', async () => {
+  const adapter = stubGemini('arguments');
+
+  assert.deepEqual(JSON.parse(await adapter.ask('Check the shell')), { prompt: 'Check the shell', model: 'gemini-2.5-pro' });
+  assert.equal(JSON.parse(await adapter.ask('Check the shell', { model: 'gemini-2.5-flash' })).model, 'gemini-2.5-flash');
+});
+
+test('ask returns the text of the answer', async () => {
+  assert.equal(await stubGemini('echo').ask('Check the shell\nin detail'), 'gemini says: Check the shell');
+});
+
+test('an answer without text and a tool error are reported', async () => {
+  assert.equal(await stubGemini('empty').ask('Check the shell'), 'No text content returned');
+  await assert.rejects(stubGemini('error').ask('Check the shell'), (error) => {
+    assert.ok(error instanceof ParticipantError);
+    assert.equal(error.message, 'ask-gemini returned an error: gemini refuses');
+    return true;
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Stdio Client Fixture
+ * Drives any server entry point the way an MCP client would: spawns it with
+ * `node`, speaks newline-delimited JSON-RPC over its stdin/stdout and hands
+ * back raw responses, so tests can assert on the exact JSON-RPC messages.
+ */
+
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonRpcFraming } from '../../jsonrpc-framing.js';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+export const STUB_PARTICIPANT = path.join(ROOT, 'test/helpers/stub-participant.js');
+
+// Strip the operator's run settings so every test starts from the defaults
+const CLEAN_ENV = Object.fromEntries(Object.entries(process.env).filter(([key]) => !key.startsWith('COLLAB_')));
+
+/**
+ * A participants.json entry for a stub participant server.
+ */
+export function stubParticipant(name, mode = 'echo') {
+  return {
+    name,
+    role: `Stub ${mode} participant`,
+    transport: { type: 'stdio', command: process.execPath, args: [STUB_PARTICIPANT, `--name=${name}`, `--mode=${mode}`] },
+    tool: 'ask',
+    arguments: { prompt: '{{prompt}}' }
+  };
+}
+
+export class StdioClient {
+  /**
+   * Start `entry` (relative to the repository root) with extra `args` and
+   * `env`, and complete the MCP initialize handshake.
+   */
+  static async start(entry, { args = [], env = {}, timeout = 10000 } = {}) {
+    const client = new StdioClient(entry, { args, env, timeout });
+    client.initializeResult = await client.request('initialize', {
+      protocolVersion: '2025-06-18',
+      capabilities: {},
+      clientInfo: { name: 'stdio-client-fixture', version: '1.0.0' }
+    });
+    client.notify('notifications/initialized');
+    return client;
+  }
+
+  constructor(entry, { args, env, timeout }) {
+    this.timeout = timeout;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.notifications = [];
+    this.stderr = '';
+
+    this.child = spawn(process.execPath, [path.join(ROOT, entry), ...args], {
+      cwd: ROOT,
+      env: { ...CLEAN_ENV, ...env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+    this.child.stderr.on('data', chunk => { this.stderr += chunk; });
+    this.exited = new Promise(resolve => this.child.once('exit', code => resolve(code)));
+
+    this.framing = new JsonRpcFraming({
+      handler: async (message) => {
+        this.notifications.push(message);
+        return null;
+      },
+      onResponse: (response) => {
+        const waiter = this.pending.get(response.id);
+        this.pending.delete(response.id);
+        waiter?.(response);
+      },
+      input: this.child.stdout,
+      output: this.child.stdin,
+      logPrefix: '[Stdio Client]'
+    }).start();
+  }
+
+  /**
+   * Send a request and resolve to the raw JSON-RPC response message.
+   */
+  request(method, params, { id = this.nextId++, timeout = this.timeout } = {}) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} (id ${id}) got no response within ${timeout}ms\n${this.stderr}`));
+      }, timeout);
+      this.pending.set(id, (response) => {
+        clearTimeout(timer);
+        resolve(response);
+      });
+      this.framing.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    this.framing.send(params === undefined ? { jsonrpc: '2.0', method } : { jsonrpc: '2.0', method, params });
+  }
+
+  callTool(name, args, options) {
+    return this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  /**
+   * End stdin so the server shuts down, and kill it if it has not exited
+   * within the timeout. Resolves to the exit code.
+   */
+  async close() {
+    this.child.stdin.end();
+    let timer;
+    const code = await Promise.race([
+      this.exited,
+      new Promise(resolve => { timer = setTimeout(() => resolve(null), this.timeout); })
+    ]);
+    clearTimeout(timer);
+    if (code === null) {
+      this.child.kill('SIGKILL');
+      return await this.exited;
+    }
+    return code;
+  }
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Stub Participant Server
+ * A minimal MCP server standing in for a participant in stdio tests. It
+ * offers one tool whose behavior is picked on the command line:
+ *   --name=<name>   name used in answers (default "stub")
+ *   --tool=<tool>   name of the tool (default "ask")
+ *   --mode=echo     answer "<name> says: <first line of prompt>" (default)
+ *   --mode=error    return an isError tool result
+ *   --mode=exit     exit with code 3 on the first tool call
+ *   --mode=arguments answer with the call's arguments as JSON
+ *   --mode=empty    answer with no text content
+ *   --mode=codex    send the `codex/event` notifications of a Codex run, then
+ *                   answer with no text content
+ */
+
+import { JsonRpcFraming, errorResponse, METHOD_NOT_FOUND } from '../../jsonrpc-framing.js';
+
+const option = (name, fallback) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3) ?? fallback;
+const name = option('name', 'stub');
+const mode = option('mode', 'echo');
+const tool = option('tool', 'ask');
+
+// One Codex run: a command, one that ended without a begin event, a patch, the diff and a message
+const CODEX_EVENTS = [
+  { type: 'exec_command_begin', call_id: 'c1', command: ['cat', 'shell.txt'], cwd: '/work' },
+  { type: 'exec_command_end', call_id: 'c1', exit_code: 0, aggregated_output: 't = 12.5 mm' },
+  { type: 'exec_command_end', call_id: 'c2', exit_code: 1, stdout: 'partial', stderr: 'permission denied' },
+  { type: 'patch_apply_begin', changes: { 'notes.md': { add: { content: '# Notes' } }, 'old.md': { delete: {} } } },
+  { type: 'turn_diff', unified_diff: '--- /dev/null\n+++ b/notes.md\n+# Notes' },
+  { type: 'agent_message', message: 'Checking the shell' },
+  { type: 'agent_message', message: 'The shell is adequate.' }
+];
+
+function answer(prompt, args) {
+  switch (mode) {
+    case 'arguments':
+      return [{ type: 'text', text: JSON.stringify(args) }];
+    case 'empty':
+    case 'codex':
+      return [];
+    default:
+      return [{ type: 'text', text: mode === 'error' ? `${name} refuses` : `${name} says: ${prompt.split('\n')[0]}` }];
+  }
+}
+
+function handle({ method, id, params }) {
+  switch (method) {
+    case 'initialize':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          protocolVersion: params?.protocolVersion || '2025-06-18',
+          capabilities: { tools: {} },
+          serverInfo: { name: `stub-${name}`, version: '1.0.0' }
+        }
+      };
+    case 'tools/list':
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          tools: [{ name: tool, description: 'Answer a prompt', inputSchema: { type: 'object', properties: { prompt: { type: 'string' } } } }]
+        }
+      };
+    case 'tools/call': {
+      if (mode === 'exit') {
+        process.exit(3);
+      }
+      if (mode === 'codex') {
+        for (const msg of CODEX_EVENTS) {
+          framing.send({ jsonrpc: '2.0', method: 'codex/event', params: { msg } });
+        }
+      }
+      const content = answer(params?.arguments?.prompt || '', params?.arguments);
+      return { jsonrpc: '2.0', id, result: { content, isError: mode === 'error' } };
+    }
+    case 'ping':
+      return { jsonrpc: '2.0', id, result: {} };
+    default:
+      return method.startsWith('notifications/') ? null : errorResponse(id, METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+}
+
+const framing = new JsonRpcFraming({ handler: handle, logPrefix: `[Stub ${name}]` });
+framing.start();
+process.stdin.on('end', () => process.exit(0));
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import {
+  JsonRpcFraming,
+  INTERNAL_ERROR,
+  INVALID_REQUEST,
+  PARSE_ERROR
+} from '../jsonrpc-framing.js';
+
+// Echo handler: answers requests with their params, fails on method "fail"
+function createFraming(options = {}) {
+  const output = new PassThrough();
+  const lines = [];
+  let pending = '';
+  output.on('data', chunk => {
+    pending += chunk;
+    const parts = pending.split('\n');
+    pending = parts.pop();
+    lines.push(...parts);
+  });
+
+  const framing = new JsonRpcFraming({
+    input: new PassThrough(),
+    output,
+    handler: async (message) => {
+      if (message.method === 'fail') {
+        throw new Error('handler exploded');
+      }
+      return { jsonrpc: '2.0', id: message.id, result: message.params ?? {} };
+    },
+    ...options
+  });
+
+  const received = async (count) => {
+    for (let i = 0; i < 50 && lines.length < count; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return lines.map(line => JSON.parse(line));
+  };
+
+  return { framing, received, raw: () => lines };
+}
+
+test('reassembles a message split across chunks', async () => {
+  const { framing, received } = createFraming();
+
+  framing.push('{"jsonrpc":"2.0","id":1,"met');
+  framing.push('hod":"echo","params":{"a":1}}\n');
+
+  assert.deepEqual(await received(1), [{ jsonrpc: '2.0', id: 1, result: { a: 1 } }]);
+});
+
+test('handles several messages in one chunk and CRLF endings', async () => {
+  const { framing, received } = createFraming();
+
+  framing.push('{"jsonrpc":"2.0","id":1,"method":"echo"}\r\n{"jsonrpc":"2.0","id":2,"method":"echo"}\n');
+
+  const ids = (await received(2)).map(response => response.id).sort();
+  assert.deepEqual(ids, [1, 2]);
+});
+
+test('answers a batch with one array and skips notifications', async () => {
+  const { framing, received } = createFraming();
+
+  framing.push(JSON.stringify([
+    { jsonrpc: '2.0', id: 'a', method: 'echo' },
+    { jsonrpc: '2.0', method: 'notifications/initialized' },
+    { jsonrpc: '2.0', id: 'b', method: 'echo' }
+  ]) + '\n');
+
+  const [batch] = await received(1);
+  assert.ok(Array.isArray(batch));
+  assert.deepEqual(batch.map(response => response.id), ['a', 'b']);
+});
+
+test('rejects an empty batch', async () => {
+  const { framing, received } = createFraming();
+
+  framing.push('[]\n');
+
+  const [response] = await received(1);
+  assert.equal(response.id, null);
+  assert.equal(response.error.code, INVALID_REQUEST);
+});
+
+test('reports parse errors with a null id', async () => {
+  const { framing, received } = createFraming();
+
+  framing.push('{"jsonrpc":"2.0","id":7,\n');
+
+  const [response] = await received(1);
+  assert.equal(response.id, null);
+  assert.equal(response.error.code, PARSE_ERROR);
+});
+
+test('reports invalid requests with the request id', async () => {
+  const { framing, received } = createFraming();
+
+  framing.push('{"jsonrpc":"1.0","id":9,"method":"echo"}\n');
+  framing.push('{"jsonrpc":"2.0","id":10,"method":42}\n');
+
+  const responses = await received(2);
+  assert.deepEqual(responses.map(response => [response.id, response.error.code]), [[9, INVALID_REQUEST], [10, INVALID_REQUEST]]);
+});
+
+test('turns handler failures into internal errors for the request', async () => {
+  const { framing, received } = createFraming();
+
+  framing.push('{"jsonrpc":"2.0","id":3,"method":"fail"}\n');
+
+  const [response] = await received(1);
+  assert.equal(response.id, 3);
+  assert.equal(response.error.code, INTERNAL_ERROR);
+  assert.match(response.error.message, /handler exploded/);
+});
+
+test('discards oversized messages and recovers on the next line', async () => {
+  const { framing, received } = createFraming({ maxMessageSize: 64 });
+
+  framing.push(`{"jsonrpc":"2.0","id":1,"method":"echo","params":{"pad":"${'x'.repeat(100)}`);
+  framing.push('"}}\n{"jsonrpc":"2.0","id":2,"method":"echo"}\n');
+
+  const responses = await received(2);
+  assert.equal(responses.length, 2);
+  assert.equal(responses[0].error.code, INVALID_REQUEST);
+  assert.equal(responses[1].id, 2);
+});
+
+test('terminates every response with a real newline', async () => {
+  const { framing, received, raw } = createFraming();
+
+  framing.push('{"jsonrpc":"2.0","id":1,"method":"echo"}\n');
+  await received(1);
+
+  assert.equal(raw().length, 1);
+  assert.ok(!raw()[0].includes('\\n'));
+});
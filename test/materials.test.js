@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MaterialTable, defaultMaterialTable, parseDesignation } from '../materials.js';
+
+const KSI = 6.894757;
+
+const close = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+
+test('parseDesignation reads spec and grade from common spellings', () => {
+  assert.deepEqual(parseDesignation('ASTM A516 Grade 70'), { spec: 'SA-516', grade: '70' });
+  assert.deepEqual(parseDesignation('SA-516-70'), { spec: 'SA-516', grade: '70' });
+  assert.deepEqual(parseDesignation('SA 240 Type 316L'), { spec: 'SA-240', grade: '316L' });
+  assert.deepEqual(parseDesignation('SA-106 Gr. B'), { spec: 'SA-106', grade: 'B' });
+  assert.deepEqual(parseDesignation('SA-516'), { spec: 'SA-516', grade: null });
+  assert.equal(parseDesignation('carbon steel'), null);
+});
+
+test('every bundled material has one stress per temperature, in rising order', () => {
+  const table = defaultMaterialTable();
+  const names = table.materials.map(material => `${material.spec} ${material.grade}`);
+
+  assert.ok(['SA-516 70', 'SA-516 60', 'SA-285 C', 'SA-106 B', 'SA-240 304', 'SA-240 316'].every(name => names.includes(name)));
+  for (const material of table.materials) {
+    assert.equal(material.temperatures.length, material.stresses.length);
+    assert.ok(material.temperatures.every((temperature, i) => i === 0 || temperature > material.temperatures[i - 1]));
+  }
+});
+
+test('stress is interpolated linearly between table columns', () => {
+  const table = defaultMaterialTable();
+
+  // 371 °C is 699.8 °F, just below the 700 °F column (18.1 ksi)
+  const hot = table.allowableStress('SA-516-70', 371);
+  close(hot.stress, (18.8 - 49.8 / 50 * 0.7) * KSI);
+  assert.equal(hot.material, 'SA-516 Gr 70');
+  assert.equal(hot.interpolated, true);
+  assert.deepEqual(hot.warnings, []);
+
+  // 325 °C is 617 °F, between the 600 °F (19.4 ksi) and 650 °F (18.8 ksi) columns
+  close(table.allowableStress('SA-516-70', 325).stress, (19.4 - 17 / 50 * 0.6) * KSI);
+  // Yield governs the lower-strength carbon steels from 600 °F
+  close(table.allowableStress('SA-516-60', 315.5555556).stress, 16.4 * KSI, 1e-4);
+  // 20 °C is inside the first column
+  assert.equal(table.allowableStress('SA-240 304', 20).interpolated, false);
+  close(table.allowableStress('SA-240 304', 20).ambientStress, 20.0 * KSI);
+});
+
+test('unknown materials, missing grades and temperatures outside the table are warned about', () => {
+  const table = defaultMaterialTable();
+
+  const unknown = table.allowableStress('Hastelloy C-276', 100);
+  assert.equal(unknown.material, 'SA-516 Gr 70');
+  assert.match(unknown.warnings[0], /Hastelloy C-276 is not in the material table/);
+
+  const gradeless = table.allowableStress('SA-516', 100);
+  assert.equal(gradeless.material, 'SA-516 Gr 60');
+  assert.match(gradeless.warnings[0], /does not name a grade; the weakest SA-516 grade in the table \(60\)/);
+
+  const tooHot = table.allowableStress('SA-240 316L', 500);
+  close(tooHot.stress, 9.4 * KSI);
+  assert.match(tooHot.warnings[0], /above the highest temperature in the table for SA-240 Gr 316L \(454 °C\)/);
+
+  const tooCold = table.allowableStress('SA-285 C', -40);
+  assert.match(tooCold.warnings[0], /below the lowest temperature .* \(-29 °C\).*UCS-66/);
+});
+
+test('MaterialTable.load rejects a table whose rows do not line up', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collab-materials-'));
+  try {
+    const file = path.join(dir, 'materials.json');
+    fs.writeFileSync(file, JSON.stringify({ materials: [{ spec: 'SA-999', grade: '1', temperatures: [100, 200], stresses: [10] }] }));
+    assert.throws(() => MaterialTable.load(file), /SA-999 1 .* needs one stress per temperature/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpClientPool } from '../mcp-client-pool.js';
+
+// In-process stand-in for a server's stdio: answers initialize and ping unless told not to
+class FakeTransport {
+  constructor({ failStart = false } = {}) {
+    this.failStart = failStart;
+    this.unresponsive = false;
+    this.closed = false;
+    this.requests = [];
+    this.exitCode = null;
+    this.signal = null;
+    this.exited = new Promise(resolve => {
+      this.resolveExited = resolve;
+    });
+  }
+
+  async start() {
+    if (this.failStart) {
+      throw new Error('Failed to spawn fake-server');
+    }
+  }
+
+  async send(message) {
+    if (message.id === undefined) {
+      return;
+    }
+    this.requests.push(message.method);
+    if (message.method === 'ping' && this.unresponsive) {
+      return;
+    }
+    const result = message.method === 'initialize'
+      ? { protocolVersion: message.params.protocolVersion, capabilities: {}, serverInfo: { name: 'fake-server', version: '1.0.0' } }
+      : {};
+    queueMicrotask(() => this.onmessage?.({ jsonrpc: '2.0', id: message.id, result }));
+  }
+
+  async close() {
+    this.closed = true;
+    this.exit(null, 'SIGTERM');
+  }
+
+  exit(code, signal) {
+    if (this.exitCode !== null || this.signal !== null) {
+      return;
+    }
+    this.exitCode = code;
+    this.signal = signal;
+    this.resolveExited({ code, signal });
+    this.onclose?.();
+  }
+}
+
+// Pool whose transports are fakes; `starts` lists whether each successive start fails
+function createPool(options = {}, starts = []) {
+  const transports = [];
+  const pool = new McpClientPool({
+    backoffMs: 1,
+    ...options,
+    createTransport: () => {
+      const transport = new FakeTransport({ failStart: starts[transports.length] === 'fail' });
+      transports.push(transport);
+      return transport;
+    }
+  });
+  return { pool, transports };
+}
+
+const SERVER = { command: 'fake-server' };
+
+test('an idle connection is pinged and kept while it answers', async () => {
+  const { pool, transports } = createPool({ healthCheckInterval: 0 });
+
+  const first = await pool.acquire('fake', SERVER);
+  const second = await pool.acquire('fake', SERVER);
+
+  assert.equal(second, first);
+  assert.equal(transports.length, 1);
+  assert.deepEqual(transports[0].requests, ['initialize', 'ping']);
+  await pool.closeAll();
+});
+
+test('a connection that does not answer its ping is replaced', async () => {
+  const { pool, transports } = createPool({ healthCheckInterval: 0, pingTimeout: 50 });
+
+  const first = await pool.acquire('fake', SERVER);
+  transports[0].unresponsive = true;
+  const second = await pool.acquire('fake', SERVER);
+
+  assert.notEqual(second, first);
+  assert.equal(transports.length, 2);
+  assert.equal(transports[0].closed, true);
+  await pool.closeAll();
+});
+
+test('a recently healthy connection is reused without a ping', async () => {
+  const { pool, transports } = createPool();
+
+  await pool.acquire('fake', SERVER);
+  await pool.acquire('fake', SERVER);
+
+  assert.deepEqual(transports[0].requests, ['initialize']);
+  await pool.closeAll();
+});
+
+test('backoff doubles with each failure up to the maximum', () => {
+  const pool = new McpClientPool({ backoffMs: 10, maxBackoffMs: 25 });
+
+  assert.deepEqual([0, 1, 2, 3, 4].map(failures => pool.backoffDelay(failures)), [0, 10, 20, 25, 25]);
+});
+
+test('failed connects are retried with backoff and a success clears the failures', async () => {
+  const { pool, transports } = createPool({ backoffMs: 5 }, ['fail', 'fail']);
+  const started = Date.now();
+
+  const entry = await pool.acquire('fake', SERVER);
+
+  assert.equal(transports.length, 3);
+  assert.equal(entry.transport, transports[2]);
+  // Waited 5 ms after the first failure and 10 ms after the second
+  assert.ok(Date.now() - started >= 15);
+  assert.equal(pool.failures.has('fake'), false);
+  await pool.closeAll();
+});
+
+test('a server that never connects is given up after maxAttempts', async () => {
+  const { pool, transports } = createPool({ maxAttempts: 2 }, ['fail', 'fail', 'fail']);
+
+  await assert.rejects(pool.acquire('fake', SERVER), /Failed to spawn fake-server/);
+  assert.equal(transports.length, 2);
+  assert.equal(pool.clients.has('fake'), false);
+  assert.equal(pool.failures.get('fake'), 2);
+});
+
+test('a server that exits is evicted and reconnected on the next acquire', async () => {
+  const { pool, transports } = createPool();
+
+  const first = await pool.acquire('fake', SERVER);
+  transports[0].exit(1, null);
+  await transports[0].exited;
+
+  assert.equal(pool.clients.has('fake'), false);
+  assert.equal(pool.failures.get('fake'), 1);
+
+  const second = await pool.acquire('fake', SERVER);
+  assert.notEqual(second, first);
+  assert.equal(second.transport, transports[1]);
+  assert.equal(pool.failures.has('fake'), false);
+  await pool.closeAll();
+});
+
+test('closing the pool does not count as a crash', async () => {
+  const { pool, transports } = createPool();
+
+  await pool.acquire('fake', SERVER);
+  await pool.closeAll();
+  await transports[0].exited;
+
+  assert.equal(transports[0].closed, true);
+  assert.equal(pool.failures.has('fake'), false);
+});
@@ -0,0 +1,170 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { OllamaAdapter } from '../ollama-adapter.js';
+import { ParticipantRegistry } from '../participant-registry.js';
+import { ParticipantCancelledError, ParticipantError, ParticipantTimeoutError } from '../participant-errors.js';
+
+// Stub standing in for a local Ollama server; records the last request body.
+let server;
+let baseUrl;
+let lastRequest;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      lastRequest = { path: req.url, body: JSON.parse(body) };
+      const { model } = lastRequest.body;
+
+      if (model === 'missing') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `model "${model}" not found, try pulling it first` }));
+        return;
+      }
+
+      if (model === 'garbled') {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.end(JSON.stringify({ response: 'Shell ', done: false }) + '\n<html>Bad Gateway</html>\n');
+        return;
+      }
+
+      if (model === 'slow') {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write(JSON.stringify({ response: 'partial', done: false }) + '\n');
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      const tokens = ['Shell ', 'thickness ', 'is ', 'adequate.'];
+      const chunks = req.url === '/api/chat'
+        ? tokens.map(token => ({ message: { role: 'assistant', content: token }, done: false }))
+        : tokens.map(token => ({ response: token, done: false }));
+      chunks.push({ done: true, eval_count: tokens.length });
+
+      // Split a line across writes to exercise partial-line buffering
+      const payload = chunks.map(chunk => JSON.stringify(chunk) + '\n').join('');
+      res.write(payload.slice(0, 25));
+      setTimeout(() => res.end(payload.slice(25)), 10);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('assembles streamed tokens from /api/generate', async () => {
+  const adapter = new OllamaAdapter({ url: baseUrl, model: 'llama3.1' });
+  const tokens = [];
+
+  const text = await adapter.generate('Check the shell', { onToken: token => tokens.push(token) });
+
+  assert.equal(text, 'Shell thickness is adequate.');
+  assert.deepEqual(tokens, ['Shell ', 'thickness ', 'is ', 'adequate.']);
+  assert.equal(lastRequest.path, '/api/generate');
+  assert.equal(lastRequest.body.prompt, 'Check the shell');
+  assert.equal(lastRequest.body.stream, true);
+});
+
+test('sends model, temperature, context length and keep-alive', async () => {
+  const adapter = new OllamaAdapter({
+    url: baseUrl,
+    model: 'qwen2.5:14b',
+    temperature: 0.1,
+    contextLength: 16384,
+    keepAlive: '5m'
+  });
+
+  await adapter.generate('prompt');
+
+  assert.equal(lastRequest.body.model, 'qwen2.5:14b');
+  assert.deepEqual(lastRequest.body.options, { temperature: 0.1, num_ctx: 16384 });
+  assert.equal(lastRequest.body.keep_alive, '5m');
+});
+
+test('uses chat messages with the chat endpoint', async () => {
+  const adapter = new OllamaAdapter({ url: baseUrl, endpoint: 'chat' });
+
+  const text = await adapter.generate('Hello');
+
+  assert.equal(text, 'Shell thickness is adequate.');
+  assert.equal(lastRequest.path, '/api/chat');
+  assert.deepEqual(lastRequest.body.messages, [{ role: 'user', content: 'Hello' }]);
+});
+
+test('per-call model overrides the configured model', async () => {
+  const adapter = new OllamaAdapter({ url: baseUrl, model: 'llama3.1' });
+
+  await adapter.generate('prompt', { model: 'mistral' });
+
+  assert.equal(lastRequest.body.model, 'mistral');
+});
+
+test('reports Ollama HTTP errors', async () => {
+  const adapter = new OllamaAdapter({ url: baseUrl, model: 'missing' });
+
+  await assert.rejects(adapter.generate('prompt'), (error) => {
+    assert.ok(error instanceof ParticipantError);
+    assert.match(error.message, /HTTP 404: model "missing" not found/);
+    return true;
+  });
+});
+
+test('reports a response line that is not JSON', async () => {
+  const adapter = new OllamaAdapter({ url: baseUrl, model: 'garbled' });
+
+  await assert.rejects(adapter.generate('prompt'), (error) => {
+    assert.ok(error instanceof ParticipantError);
+    assert.match(error.message, /Ollama returned a line that is not JSON: <html>Bad Gateway<\/html>/);
+    assert.doesNotMatch(error.message, /not reachable/);
+    return true;
+  });
+});
+
+test('times out a stalled stream', async () => {
+  const adapter = new OllamaAdapter({ url: baseUrl, model: 'slow', timeout: 200 });
+
+  await assert.rejects(adapter.generate('prompt'), ParticipantTimeoutError);
+});
+
+test('aborting the signal cancels a streaming request', async () => {
+  const adapter = new OllamaAdapter({ url: baseUrl, model: 'slow', timeout: 5000 });
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+
+  await assert.rejects(adapter.generate('prompt', { signal: controller.signal }), ParticipantCancelledError);
+});
+
+test('refuses non-local hosts unless allowed', async () => {
+  const adapter = new OllamaAdapter({ url: 'http://ollama.example.com:11434' });
+
+  await assert.rejects(adapter.generate('secret'), /non-local Ollama host/);
+});
+
+test('reports an unreachable server', async () => {
+  const adapter = new OllamaAdapter({ url: 'http://127.0.0.1:1', timeout: 2000 });
+
+  await assert.rejects(adapter.generate('prompt'), /Ollama is not reachable/);
+});
+
+test('a registry participant without a timeout keeps the adapter default', async () => {
+  const registry = new ParticipantRegistry([
+    { name: 'ollama', transport: { type: 'ollama', url: baseUrl, model: 'llama3.1' } }
+  ]);
+
+  assert.equal(await registry.call('ollama', { task: 'Check the shell' }), 'Shell thickness is adequate.');
+});
+
+test('the registry timeout applies to participants that set none', async () => {
+  const registry = new ParticipantRegistry([
+    { name: 'ollama', transport: { type: 'ollama', url: baseUrl, model: 'slow' } }
+  ], { timeout: 200 });
+
+  await assert.rejects(registry.call('ollama', { task: 'Check the shell' }), ParticipantTimeoutError);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeAgreement, formatRunSummary } from '../run-summary.js';
+
+test('formatRunSummary lists every requested or called participant with what happened', () => {
+  const session = {
+    participants: ['alpha', 'beta', 'gamma'],
+    startedAt: Date.now() - 2000,
+    timings: {
+      alpha: { calls: 1, totalMs: 1200 },
+      beta: { calls: 1, totalMs: 300 },
+      judge: { calls: 1, totalMs: 450 }
+    }
+  };
+  const text = formatRunSummary(session, { answers: { alpha: 'The shell is thick enough for the load.' }, errors: { beta: 'timed out' } });
+
+  assert.match(text, /\| alpha \| answered \| 1 \| 1\.2 s \|/);
+  assert.match(text, /\| beta \| failed: timed out \| 1 \| 0\.3 s \|/);
+  assert.match(text, /\| gamma \| not called \| 0 \| – \|/);
+  assert.match(text, /\| judge \| not an analyst \| 1 \| 0\.5 s \|/);
+  assert.match(text, /\*\*Answered:\*\* 1 of 3 requested/);
+  assert.match(text, /\*\*Agreement:\*\* Not measured: fewer than two participants answered\./);
+});
+
+test('describeAgreement reports claim counts from the answers', () => {
+  const answers = {
+    alpha: '- The shell thickness of 12 mm meets the design pressure.\n- The nozzle needs a reinforcement pad.',
+    beta: '- The shell thickness of 12 mm meets the design pressure.'
+  };
+
+  assert.equal(describeAgreement(answers), '2 distinct claims: 1 unanimous, 0 majority, 1 disputed (50% raised by every participant).');
+  assert.equal(describeAgreement({ alpha: 'ok', beta: 'fine' }), 'Not measured: no comparable claims were found in the answers.');
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SessionStore, parseSessionUri } from '../session-store.js';
+
+const outcome = {
+  report: '# Report',
+  answers: { gemini: 'Gemini answer', 'local llm': 'Local answer' },
+  errors: { codex: 'timed out' },
+  consensus: 'Agreed',
+  discussion: { gemini: 'Codex missed the nozzle load' }
+};
+
+test('a running session only exposes a placeholder report', () => {
+  const store = new SessionStore();
+  store.start({ id: 's1', task: 'Check the shell', mode: 'apply', strategy: 'sequential' });
+
+  assert.deepEqual(store.listResources().map(resource => resource.uri), ['collab://sessions/s1/report']);
+  assert.match(store.read('collab://sessions/s1/report').text, /in progress/);
+  assert.equal(store.read('collab://sessions/s1/consensus'), null);
+});
+
+test('a finished session exposes report, answers, consensus and discussion', () => {
+  const store = new SessionStore();
+  store.start({ id: 's1', task: 'Check the shell', mode: 'apply', strategy: 'cross-review' });
+  store.finish('s1', 'completed', outcome);
+
+  assert.deepEqual(store.listResources().map(resource => resource.uri), [
+    'collab://sessions/s1/report',
+    'collab://sessions/s1/participants/gemini',
+    'collab://sessions/s1/participants/local%20llm',
+    'collab://sessions/s1/consensus',
+    'collab://sessions/s1/discussion'
+  ]);
+  assert.equal(store.read('collab://sessions/s1/participants/local%20llm').text, 'Local answer');
+  assert.equal(store.read('collab://sessions/s1/participants/codex'), null);
+  assert.match(store.read('collab://sessions/s1/discussion').text, /## gemini\n\nCodex missed/);
+  assert.equal(store.read('collab://sessions/s1/report').mimeType, 'text/markdown');
+});
+
+test('the oldest session is evicted beyond maxSessions', () => {
+  const store = new SessionStore({ maxSessions: 2 });
+  for (const id of ['a', 'b', 'c']) {
+    store.start({ id, task: id, mode: 'apply', strategy: 'zen' });
+  }
+
+  assert.equal(store.get('a'), undefined);
+  assert.deepEqual(store.listResources().map(resource => resource.uri), ['collab://sessions/c/report', 'collab://sessions/b/report']);
+});
+
+test('parseSessionUri accepts only session resource URIs', () => {
+  assert.deepEqual(parseSessionUri('collab://sessions/s1/participants/local%20llm'), { id: 's1', part: 'participants', participant: 'local llm' });
+  assert.deepEqual(parseSessionUri('collab://sessions/s1/consensus'), { id: 's1', part: 'consensus' });
+  assert.equal(parseSessionUri('collab://sessions/s1/secrets'), null);
+  assert.equal(parseSessionUri('file:///etc/passwd'), null);
+  assert.equal(parseSessionUri('collab://sessions/s1/participants/%E0'), null);
+});
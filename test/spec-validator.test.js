@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeSpecIssues, formatSpecIssues, sameValue, validateSpec } from '../spec-validator.js';
+
+// The request the old real-data script sent: one real spec wrapped in warnings about stale values
+const REAL_DATA = `
+IGNORE any previous 15 bar examples - USE ONLY THIS REAL DATA:
+
+PROJECT SPECIFICATIONS:
+- Design Pressure: 20.7 bar (300 psi)
+- Operating Temperature: 325°C (617°F)
+- Inner Diameter: 3950mm (155.5 inches)
+
+REQUIREMENTS:
+- Use 3950mm diameter (NOT 1200mm)
+
+DO NOT use 15 bar or 1200mm - these are WRONG values!
+`;
+
+test('negated values and agreeing restatements are noted', () => {
+  const issues = validateSpec(REAL_DATA);
+
+  assert.ok(issues.every(issue => issue.severity === 'note'));
+  assert.deepEqual(issues.map(issue => issue.type), ['restated', 'restated', 'restated', 'negated', 'negated', 'negated', 'negated']);
+  assert.equal(issues[0].message, 'Design pressure on line 5 is given as 20.7 bar and as 300 psi (20.68 bar), which agree; 20.7 bar was used.');
+  assert.deepEqual(issues[0].sources.map(source => source.text), ['Design Pressure: 20.7 bar', '300 psi']);
+  assert.equal(issues[3].message, '15 bar on line 2 is negated ("IGNORE any previous 15 bar") and was not used.');
+  assert.equal(issues[4].message, '1200 mm on line 10 is negated ("NOT 1200mm") and was not used.');
+  assert.equal(issues[6].sources[0].line, 12);
+});
+
+test('different values for one field are a conflict', () => {
+  const [pressure, material] = validateSpec('Design pressure: 20 bar\nDesign pressure 2.5 MPa\nDesign pressure: 20.1 bar\nMaterial: SA-516-70\nMaterial: sa-516-70\nMaterial: SA-240 316L');
+
+  assert.equal(pressure.type, 'conflict');
+  assert.equal(pressure.severity, 'warning');
+  assert.equal(pressure.field, 'designPressure');
+  assert.equal(pressure.message, 'Design pressure is given as 20 bar on line 1 and 2.5 MPa on line 2; 20 bar from line 1 was used.');
+  assert.equal(material.message, 'Material is given as "SA-516-70" on line 4 and "SA-240 316L" on line 6; "SA-516-70" from line 4 was used.');
+});
+
+test('a restatement that does not match and a negated value that was used are warnings', () => {
+  const issues = validateSpec('Design pressure: 20 bar (350 psi)\nOperating pressure: 15 bar\nDo not use 15 bar');
+
+  assert.deepEqual(issues.map(issue => [issue.type, issue.severity]), [['restated', 'warning'], ['negated', 'warning']]);
+  assert.equal(issues[0].message, 'Design pressure on line 1 is given as 20 bar and as 350 psi (24.13 bar), which differ by 17%; 20 bar was used.');
+  assert.equal(issues[1].field, 'operatingPressure');
+  assert.match(issues[1].message, /The same value was read as Operating pressure on line 2; check which is meant\.$/);
+});
+
+test('a labeled value that cannot be read is a warning', () => {
+  const [left] = validateSpec('Design pressure: 20.7.1 bar');
+  assert.equal(left.type, 'unreadable');
+  assert.equal(left.severity, 'warning');
+  assert.equal(left.field, 'designPressure');
+  assert.equal(left.message, 'Design pressure on line 1 ("Design pressure: 20.7.1") could not be read and was left out.');
+
+  const [used] = validateSpec('Design pressure: 20.7.1 bar\nDesign pressure: 20 bar');
+  assert.equal(used.message, 'Design pressure on line 1 ("Design pressure: 20.7.1") could not be read; 20 bar from line 2 was used.');
+  assert.equal(used.sources.length, 2);
+});
+
+test('sameValue allows rounding in the canonical unit', () => {
+  assert.ok(sameValue({ value: 325, unit: '°C' }, { value: 325.3, unit: '°C' }));
+  assert.ok(sameValue({ value: 0.2, unit: '°C' }, { value: -0.2, unit: '°C' }));
+  assert.ok(!sameValue({ value: 20, unit: 'bar' }, { value: 20.5, unit: 'bar' }));
+  assert.ok(sameValue({ value: 'Carbon steel', unit: null }, { value: 'carbon steel', unit: null }));
+});
+
+test('issues format as a report section and as prompt text', () => {
+  const issues = validateSpec('Design pressure: 20 bar\nDesign pressure: 25 bar\nDO NOT use 15 bar');
+
+  assert.equal(formatSpecIssues(issues), `## Spec Issues
+
+Found in the request before it was sent to the participants.
+
+- ⚠️ Design pressure is given as 20 bar on line 1 and 25 bar on line 2; 20 bar from line 1 was used.
+- ℹ️ 15 bar on line 3 is negated ("DO NOT use 15 bar") and was not used.`);
+  assert.equal(describeSpecIssues(issues), `Spec issues found in this request:
+- Design pressure is given as 20 bar on line 1 and 25 bar on line 2; 20 bar from line 1 was used.
+- 15 bar on line 3 is negated ("DO NOT use 15 bar") and was not used.`);
+  assert.equal(formatSpecIssues(validateSpec('Design pressure: 20 bar')), '');
+  assert.equal(describeSpecIssues([]), '');
+});
@@ -0,0 +1,135 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { INVALID_PARAMS, METHOD_NOT_FOUND } from '../jsonrpc-framing.js';
+import { StdioClient, stubParticipant } from './helpers/stdio-client.js';
+
+let dir;
+let env;
+
+// Every server below talks to stub participant servers instead of the real backends
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collab-stdio-'));
+  const file = path.join(dir, 'participants.json');
+  fs.writeFileSync(file, JSON.stringify({
+    participants: [stubParticipant('alpha'), stubParticipant('beta'), stubParticipant('broken', 'error')]
+  }));
+  env = { COLLAB_PARTICIPANTS: file };
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ENTRY_POINTS = {
+  'index.js': 'sequential',
+  'collaborative-simple.js': 'sequential',
+  'fixed-collaborative.js': 'sequential',
+  'fixed-collaborative-v2.js': 'sequential',
+  'simple-collaborative.js': 'zen',
+  'real-collaborative.js': 'cross-review',
+  'enhanced-collaborative.js': 'enhanced'
+};
+
+for (const [entry, strategy] of Object.entries(ENTRY_POINTS)) {
+  test(`${entry} initializes over stdio and defaults to ${strategy}`, async () => {
+    const client = await StdioClient.start(entry, { env });
+    try {
+      assert.equal(client.initializeResult.jsonrpc, '2.0');
+      assert.equal(client.initializeResult.id, 1);
+      assert.ok(client.initializeResult.result.capabilities.tools);
+
+      const response = await client.request('tools/list');
+      const [tool] = response.result.tools;
+      assert.equal(tool.name, 'collaborate');
+      assert.equal(tool.inputSchema.properties.strategy.default, strategy);
+      assert.deepEqual(tool.inputSchema.properties.participants.default, ['alpha', 'beta', 'broken']);
+    } finally {
+      assert.equal(await client.close(), 0);
+    }
+  });
+}
+
+test('collaborate over stdio calls the stub participants and returns a structured result', async () => {
+  const client = await StdioClient.start('index.js', { env });
+  try {
+    const response = await client.callTool('collaborate', { task: 'Check the flange rating', participants: ['alpha', 'beta', 'broken'] });
+
+    assert.equal(response.id, 2);
+    assert.equal(response.error, undefined);
+    const { content, structuredContent, isError } = response.result;
+    assert.ok(!isError);
+    assert.match(content[0].text, /alpha says: Check the flange rating/);
+    assert.match(content[0].text, /### broken Analysis \(failed\)/);
+    assert.doesNotMatch(content[0].text, /SIMULATED OUTPUT/);
+
+    assert.deepEqual(structuredContent.answers, {
+      alpha: 'alpha says: Check the flange rating',
+      beta: 'beta says: Check the flange rating'
+    });
+    assert.match(structuredContent.errors.broken, /broken refuses/);
+    assert.equal(structuredContent.simulated, false);
+    assert.deepEqual(structuredContent.responses.map(({ participant, source }) => [participant, source]), [['alpha', 'live'], ['beta', 'live']]);
+  } finally {
+    await client.close();
+  }
+});
+
+test('a stub participant that exits mid-call is reported as failed', async () => {
+  const file = path.join(dir, 'crashing.json');
+  fs.writeFileSync(file, JSON.stringify({ participants: [stubParticipant('alpha'), stubParticipant('crash', 'exit')] }));
+  const client = await StdioClient.start('real-collaborative.js', { env: { COLLAB_PARTICIPANTS: file } });
+  try {
+    const response = await client.callTool('collaborate', { task: 'Review the nozzle loads' });
+
+    assert.deepEqual(Object.keys(response.result.structuredContent.answers), ['alpha']);
+    assert.ok(response.result.structuredContent.errors.crash);
+  } finally {
+    await client.close();
+  }
+});
+
+test('--mock answers from fixtures and flags the report as simulated', async () => {
+  const fixtures = path.join(dir, 'fixtures');
+  for (const name of ['alpha', 'beta']) {
+    fs.mkdirSync(path.join(fixtures, name), { recursive: true });
+    fs.writeFileSync(path.join(fixtures, name, 'default.json'), JSON.stringify({ participant: name, promptHash: 'default', response: `[fixture: ${name} default] Recorded answer.` }));
+  }
+  const client = await StdioClient.start('index.js', { args: ['--mock'], env: { ...env, COLLAB_FIXTURES: fixtures } });
+  try {
+    const response = await client.callTool('collaborate', { task: 'Check the flange rating', participants: ['alpha', 'beta'] });
+    const { content, structuredContent } = response.result;
+
+    assert.match(content[0].text, /SIMULATED OUTPUT/);
+    assert.equal(structuredContent.runMode, 'mock');
+    assert.equal(structuredContent.answers.alpha, '[fixture: alpha default] Recorded answer.');
+    assert.ok(structuredContent.responses.every(({ source }) => source === 'fixture'));
+  } finally {
+    await client.close();
+  }
+});
+
+test('protocol errors come back as JSON-RPC error responses', async () => {
+  const client = await StdioClient.start('index.js', { env });
+  try {
+    const unknown = await client.request('no/such/method');
+    assert.equal(unknown.error.code, METHOD_NOT_FOUND);
+
+    const invalid = await client.callTool('collaborate', { task: '' });
+    assert.equal(invalid.error.code, INVALID_PARAMS);
+    assert.equal(invalid.result, undefined);
+  } finally {
+    await client.close();
+  }
+});
+
+test('an invalid configuration stops the server at startup with a readable error', async () => {
+  const file = path.join(dir, 'collab.config.json');
+  fs.writeFileSync(file, JSON.stringify({ timeout: 'slow', codex: { comand: 'codex-mcp' } }));
+  const client = new StdioClient('index.js', { args: [], env: { ...env, COLLAB_CONFIG: file }, timeout: 10000 });
+
+  assert.equal(await client.exited, 1);
+  assert.match(client.stderr, /Cannot start: Invalid configuration in .*collab\.config\.json:/);
+  assert.match(client.stderr, /- timeout must be an integer/);
+  assert.match(client.stderr, /- codex\.comand is not a known setting/);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ATMOSPHERIC_PRESSURE, formatQuantity, parseQuantity } from '../units.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} !== ${expected}`);
+
+test('pressures normalize to gauge bar', () => {
+  close(parseQuantity('2.5 MPa', 'pressure').value, 25);
+  close(parseQuantity('150 kPa', 'pressure').value, 1.5);
+  close(parseQuantity('14.5037738 psig', 'pressure').value, 1);
+  close(parseQuantity('20 bara', 'pressure').value, 20 - ATMOSPHERIC_PRESSURE);
+  close(parseQuantity('20 bar(a)', 'pressure').value, 20 - ATMOSPHERIC_PRESSURE);
+  close(parseQuantity('101.325 kPa abs', 'pressure').value, 0);
+
+  assert.equal(parseQuantity('20 barg', 'pressure').reference, 'gauge');
+  assert.equal(parseQuantity('20 psia', 'pressure').reference, 'absolute');
+  assert.equal(parseQuantity('20 bar', 'pressure').reference, null);
+  assert.deepEqual(parseQuantity('2 MPa(g)', 'pressure').given, { value: 2, unit: 'MPa(g)', min: null });
+});
+
+test('temperatures normalize to °C however the scale is written', () => {
+  close(parseQuantity('650°F', 'temperature').value, 343.333333);
+  close(parseQuantity('650 F', 'temperature').value, 343.333333);
+  close(parseQuantity('650 deg F', 'temperature').value, 343.333333);
+  close(parseQuantity('300 K', 'temperature').value, 26.85);
+  assert.equal(parseQuantity('120 degrees Celsius', 'temperature').value, 120);
+  assert.equal(parseQuantity('-29 °C', 'temperature').value, -29);
+});
+
+test('length units do not match inside other words', () => {
+  assert.equal(parseQuantity('12 m', 'length').value, 12000);
+  assert.equal(parseQuantity('3,950 mm', 'length').value, 3950);
+  close(parseQuantity('48"', 'length').value, 1219.2);
+  close(parseQuantity('48 in.', 'length').value, 1219.2);
+  close(parseQuantity('40 ft', 'length').value, 12192);
+  assert.equal(parseQuantity('3 months', 'length'), null);
+  assert.equal(parseQuantity('20 minutes', 'length'), null);
+  assert.equal(parseQuantity('2 MPa', 'length'), null);
+});
+
+test('ranges keep both ends and use the upper one as the value', () => {
+  const range = parseQuantity('-10 to 80°C', 'temperature');
+  assert.equal(range.value, 80);
+  assert.deepEqual(range.range, { min: -10, max: 80 });
+
+  close(parseQuantity('-20 °F to 650 °F', 'temperature').range.min, -28.888889);
+  assert.deepEqual(parseQuantity('10-20 bar', 'pressure').range, { min: 10, max: 20 });
+  // A larger number before "to" is not the low end of a range
+  assert.equal(parseQuantity('150 to 20 bar', 'pressure').range, null);
+});
+
+test('numbers never start inside a word or another number, and a decimal comma is read', () => {
+  assert.equal(parseQuantity('Nozzle N12 bar stock', 'pressure'), null);
+  assert.equal(parseQuantity('20,7 bar', 'pressure').value, 20.7);
+  assert.equal(parseQuantity('3,950 mm', 'length').value, 3950);
+  assert.equal(parseQuantity('3,950.5 mm', 'length').value, 3950.5);
+  assert.equal(parseQuantity('20.7.1 bar', 'pressure'), null);
+  assert.deepEqual(parseQuantity('10...20 bar', 'pressure').range, { min: 10, max: 20 });
+});
+
+test('tolerances are converted without the temperature offset', () => {
+  assert.equal(parseQuantity('3950 ± 5 mm', 'length').tolerance, 5);
+  assert.equal(parseQuantity('3950 mm +/- 5 mm', 'length').tolerance, 5);
+  close(parseQuantity('2 in. ± 0.5', 'length').tolerance, 12.7);
+  close(parseQuantity('650 ± 9 °F', 'temperature').tolerance, 5);
+});
+
+test('formatQuantity writes SI or US customary units', () => {
+  const pressure = parseQuantity('300 psig', 'pressure');
+  assert.equal(formatQuantity(pressure, 'pressure'), '20.68 barg');
+  assert.equal(formatQuantity(pressure, 'pressure', 'us'), '300 psig');
+
+  const temperature = parseQuantity('-10 to 80 °C', 'temperature');
+  assert.equal(formatQuantity(temperature, 'temperature', 'us'), '14 to 176 °F');
+
+  const length = parseQuantity('3950 ± 5 mm', 'length');
+  assert.equal(formatQuantity(length, 'length'), '3950 ± 5 mm');
+  assert.equal(formatQuantity(length, 'length', 'us'), '155.5 ± 0.1969 in');
+  assert.equal(formatQuantity(parseQuantity('650 ± 9 °F', 'temperature'), 'temperature', 'us'), '650 ± 9 °F');
+});
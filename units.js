@@ -0,0 +1,182 @@
+/**
+ * Units of Measure
+ * Reads quantities as vessel specs write them and normalizes them to bar
+ * (gauge), °C and mm: SI or US customary units, gauge or absolute pressures
+ * ("barg", "psia", "bar(a)"), ranges ("-10 to 80°C") and tolerances
+ * ("3950 ± 5 mm"). Normalized quantities are written back out in either unit
+ * system.
+ */
+
+export const ATMOSPHERIC_PRESSURE = 1.01325; // bar
+
+const PSI_PER_BAR = 14.5037738;
+const MM_PER_INCH = 25.4;
+
+// A number, optionally signed, with thousands separators or a decimal comma:
+// "-10", "3,950.5", "20,7". It never starts inside a word or another number,
+// so "N12" and the "7" of "20,7" are not numbers.
+const NUMBER = String.raw`(?<![\w,]|\d\.)-?(?:\d{1,3}(?:,\d{3})+(?!\d)(?:\.\d+)?|\d+(?:[.,]\d+)?)`;
+const THOUSANDS = /^-?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+
+// Length units, with `inch` the spelling accepted for a bare inch abbreviation
+const lengthUnits = (inch) => String.raw`(?:millimet(?:er|re)s?|mm|met(?:er|re)s?|m|inch(?:es)?|${inch}|"|ft|feet|foot)(?![a-z])`;
+
+/**
+ * Each kind of quantity: its canonical unit, a pattern for every spelling of
+ * its units (never matching inside a longer word), optionally a looser
+ * `labeledPattern` for a value right after its label, and `read`, which turns
+ * a spelling into the conversion to the canonical unit.
+ */
+const KINDS = {
+  pressure: {
+    unit: 'bar',
+    pattern: String.raw`(?:mpa|kpa|bar|psi)(?:[ga]|\s*\([ga]\)|\s+(?:gauge|gage|absolute|abs)\b)?(?![a-z])`,
+    read: (spelling) => {
+      const [, base, marker = ''] = spelling.match(/^(mpa|kpa|bar|psi)\s*\(?(.*?)\)?$/);
+      const factor = { mpa: 10, kpa: 0.01, bar: 1, psi: 1 / PSI_PER_BAR }[base];
+      const reference = /^a/.test(marker) ? 'absolute' : /^g/.test(marker) ? 'gauge' : null;
+      const name = { mpa: 'MPa', kpa: 'kPa', bar: 'bar', psi: 'psi' }[base];
+      const suffix = !reference ? '' : base === 'mpa' || base === 'kpa' ? `(${reference[0]})` : reference[0];
+      return {
+        unit: `${name}${suffix}`,
+        reference,
+        convert: (value) => value * factor - (reference === 'absolute' ? ATMOSPHERIC_PRESSURE : 0),
+        scale: factor
+      };
+    }
+  },
+  temperature: {
+    unit: '°C',
+    pattern: String.raw`(?:°\s*|º\s*|deg\.?\s*|degrees?\s+)?(?:celsius|centigrade|fahrenheit|kelvin|c|f|k)(?![a-z])`,
+    read: (spelling) => {
+      const scale = spelling.match(/(c|f|k)[a-z]*$/)[1];
+      return {
+        unit: { c: '°C', f: '°F', k: 'K' }[scale],
+        reference: null,
+        convert: (value) => scale === 'f' ? (value - 32) * 5 / 9 : scale === 'k' ? value - 273.15 : value,
+        scale: scale === 'f' ? 5 / 9 : 1
+      };
+    }
+  },
+  length: {
+    unit: 'mm',
+    // A bare "in" is only inches after a label ("ID 24 in"); elsewhere it is "24 in total"
+    pattern: lengthUnits(String.raw`in\.`),
+    labeledPattern: lengthUnits(String.raw`in\b\.?`),
+    read: (spelling) => {
+      const unit = /^(?:mm|milli)/.test(spelling) ? 'mm'
+        : /^m/.test(spelling) ? 'm'
+          : /^(?:ft|fe|fo)/.test(spelling) ? 'ft' : 'in';
+      const factor = { mm: 1, m: 1000, ft: 12 * MM_PER_INCH, in: MM_PER_INCH }[unit];
+      return { unit, reference: null, convert: (value) => value * factor, scale: factor };
+    }
+  },
+  efficiency: {
+    unit: null,
+    pattern: '%?',
+    read: (spelling) => {
+      const factor = spelling === '%' ? 0.01 : 1;
+      return { unit: spelling || null, reference: null, convert: (value) => value * factor, scale: factor };
+    }
+  }
+};
+
+export const QUANTITY_KINDS = Object.keys(KINDS);
+
+/**
+ * What each unit system writes normalized quantities as, and the `native`
+ * units it would have written them in. Pressures are always gauge once
+ * normalized.
+ */
+export const UNIT_SYSTEMS = {
+  si: {
+    name: 'SI',
+    pressure: { unit: 'barg', native: ['bar', 'barg'], from: (bar) => bar },
+    temperature: { unit: '°C', native: ['°C'], from: (celsius) => celsius, scale: 1 },
+    length: { unit: 'mm', native: ['mm'], from: (mm) => mm }
+  },
+  us: {
+    name: 'US customary',
+    pressure: { unit: 'psig', native: ['psi', 'psig'], from: (bar) => bar * PSI_PER_BAR },
+    temperature: { unit: '°F', native: ['°F'], from: (celsius) => celsius * 9 / 5 + 32, scale: 9 / 5 },
+    length: { unit: 'in', native: ['in'], from: (mm) => mm / MM_PER_INCH }
+  }
+};
+
+/**
+ * Regular expression source matching one quantity of `kind`: a value or a
+ * range ("-10 to 80", "10-20", "10...20", with or without a unit on the low
+ * end), an optional tolerance ("± 5", "+/- 5") and the unit. With `labeled`
+ * the quantity follows its label and may use the kind's looser spellings.
+ * Its named groups are read by `readQuantity`.
+ */
+export function quantityPattern(kind, { labeled = false } = {}) {
+  const unit = (labeled && KINDS[kind].labeledPattern) || KINDS[kind].pattern;
+  const tolerance = String.raw`\s*(?:±|\+\/-|\+-)\s*(?<tolerance>${NUMBER})`;
+  return String.raw`(?:(?<low>${NUMBER})\s*(?<lowUnit>${unit})?\s*(?:to|–|—|\.\.\.?|-)\s*)?(?<value>${NUMBER})(?:${tolerance})?\s*(?<unit>${unit})(?:\s*(?:±|\+\/-|\+-)\s*(?<trailingTolerance>${NUMBER})\s*(?:${unit})?)?`;
+}
+
+const toNumber = (text) => parseFloat(THOUSANDS.test(text) ? text.replace(/,/g, '') : text.replace(',', '.'));
+
+/**
+ * Normalize a match of `quantityPattern(kind)`. Returns `{ value, unit,
+ * range, tolerance, reference, given }`: `value` in the canonical unit (the
+ * upper end of a range), `range` as `{ min, max }` or null, `tolerance` as a
+ * plus-or-minus amount in the canonical unit or null, `reference` as
+ * `gauge`, `absolute` or null (pressure written without either) and `given`
+ * as the value, unit and low end of a range (or null) as written.
+ */
+export function readQuantity(kind, groups) {
+  const { low, lowUnit, value, unit, tolerance = groups.trailingTolerance } = groups;
+  const spelling = (text) => text.toLowerCase().replace(/^(?:°|º|deg\.?|degrees?)\s*/, '').replace(/\s+/g, ' ');
+  const read = KINDS[kind].read(spelling(unit));
+  const high = read.convert(toNumber(value));
+
+  let range = null;
+  if (low !== undefined) {
+    const from = lowUnit ? KINDS[kind].read(spelling(lowUnit)) : read;
+    const min = from.convert(toNumber(low));
+    // "150 to 20 bar" is not a range, just the upper value
+    if (min <= high) {
+      range = { min, max: high };
+    }
+  }
+
+  return {
+    value: high,
+    unit: KINDS[kind].unit,
+    range,
+    tolerance: tolerance === undefined ? null : Math.abs(toNumber(tolerance)) * read.scale,
+    reference: read.reference,
+    given: { value: toNumber(value), unit: read.unit, min: range ? toNumber(low) : null }
+  };
+}
+
+/**
+ * The first quantity of `kind` in `text`, normalized, or null.
+ */
+export function parseQuantity(text, kind) {
+  const match = String(text ?? '').match(new RegExp(quantityPattern(kind), 'i'));
+  return match ? readQuantity(kind, match.groups) : null;
+}
+
+const round = (value) => Math.abs(value) >= 1000 ? String(Math.round(value)) : String(Number(value.toPrecision(4)));
+
+/**
+ * Write a normalized quantity of `kind` in `system` (`si` or `us`), e.g.
+ * "-10 to 80 °C" or "3950 ± 5 mm". Efficiencies are written as fractions.
+ */
+export function formatQuantity(quantity, kind, system = 'si') {
+  if (kind === 'efficiency') {
+    return round(quantity.value);
+  }
+  const { unit, from, scale } = UNIT_SYSTEMS[system][kind];
+  const amount = quantity.range
+    ? `${round(from(quantity.range.min))} to ${round(from(quantity.range.max))}`
+    : round(from(quantity.value));
+  // A tolerance is a difference, so temperatures scale without the offset
+  const tolerance = quantity.tolerance === null || quantity.tolerance === undefined
+    ? ''
+    : ` ± ${round(scale ? quantity.tolerance * scale : from(quantity.tolerance))}`;
+  return `${amount}${tolerance} ${unit}`;
+}